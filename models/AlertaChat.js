@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Conversación de SANABOT marcada por las reglas de seguridad clínica, para revisión de la farmacéutica
+const alertaChatSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  sessionId: { type: String, index: true },
+  // "pregunta": se respondió con un mensaje fijo sin consultar al modelo; "respuesta": se reemplazó lo que dijo el modelo
+  etapa: { type: String, enum: ['pregunta', 'respuesta'], required: true },
+  categoria: { type: String, required: true, index: true },
+  regla: String,
+  pregunta: String,
+  respuesta: String,
+  respuestaModelo: String,
+  estado: { type: String, enum: ['pendiente', 'revisada'], default: 'pendiente', index: true },
+  revisadaPor: String,
+  revisadaEn: Date,
+  nota: String,
+  creadaEn: { type: Date, default: Date.now, index: true }
+});
+
+module.exports = mongoose.model('AlertaChat', alertaChatSchema);
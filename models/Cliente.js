@@ -0,0 +1,60 @@
+// En models/Cliente.js
+const mongoose = require('mongoose');
+
+// Recordatorio de recompra de un medicamento crónico (ver servicios/clientes.js).
+// La duración de cada compra sale de la cantidad comprada y la dosis indicada por el cliente.
+const recordatorioSchema = new mongoose.Schema({
+  medicamentoId: { type: String, required: true },
+  nombre: String,
+  // Unidades (tabletas, dosis, etc.) por cada unidad vendida: "caja de 30" = 30
+  unidadesPorEnvase: {
+    type: Number,
+    default: 1,
+    min: [1, 'Las unidades por envase deben ser al menos 1']
+  },
+  unidadesPorDosis: {
+    type: Number,
+    default: 1,
+    validate: { validator: valor => valor > 0, message: 'Las unidades por dosis deben ser mayores que cero' }
+  },
+  horasEntreDosis: {
+    type: Number,
+    default: 24,
+    min: [1, 'Indica cada cuántas horas se toma (al menos 1)'],
+    max: [24 * 31, 'El intervalo entre dosis no puede superar un mes']
+  },
+  // Cuántos días antes de que se termine se envía el aviso
+  diasAnticipacion: {
+    type: Number,
+    default: 3,
+    min: [0, 'Los días de anticipación no pueden ser negativos'],
+    max: [30, 'Los días de anticipación no pueden superar 30']
+  },
+  // Pedido por el que ya se avisó (se avisa una vez por compra)
+  avisadoPorPedido: String,
+  avisadoEn: Date,
+  creadoEn: { type: Date, default: Date.now }
+}, { _id: false });
+
+const clienteSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  // Formato +591..., es el usuario de la cuenta
+  telefono: { type: String, required: true, unique: true },
+  nombre: { type: String, trim: true, maxlength: [100, 'El nombre no puede superar 100 caracteres'] },
+  nit: { type: String, trim: true, match: [/^[0-9A-Z-]{1,20}$/, 'NIT/CI inválido'] },
+  // Sesión de la cuenta: las sesiones anónimas se unen a esta al ingresar
+  sessionId: String,
+  // Código de ingreso de un solo uso (solo se guarda su hash)
+  codigo: {
+    hash: String,
+    expiraEn: Date,
+    intentos: Number,
+    enviadoEn: Date
+  },
+  recordatorios: [recordatorioSchema],
+  creadoEn: { type: Date, default: Date.now },
+  verificadoEn: Date,
+  ultimoIngreso: Date
+});
+
+module.exports = mongoose.model('Cliente', clienteSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Comprobante de venta de un pedido. La numeración es correlativa (models/Contador.js) e
+// independiente del número de pedido; un comprobante anulado conserva su número.
+const comprobanteSchema = new mongoose.Schema({
+  numero: { type: Number, required: true, unique: true },
+  pedido: { type: String, required: true, index: true },
+  // Datos de la farmacia al momento de emitir (config/comprobantes.json)
+  farmacia: {
+    razonSocial: String,
+    nit: String,
+    direccion: String,
+    ciudad: String,
+    telefono: String
+  },
+  cliente: {
+    nombre: { type: String, required: true },
+    nit: { type: String, required: true }
+  },
+  items: [{
+    _id: false,
+    nombre: String,
+    cantidad: Number,
+    precio: Number,
+    descuento: Number,
+    subtotal: Number
+  }],
+  // Con promociones: subtotal a precio de lista y descuento por promoción
+  subtotal: Number,
+  descuento: Number,
+  promociones: [{
+    _id: false,
+    nombre: String,
+    monto: Number
+  }],
+  // Costo de envío del delivery (incluido en el total)
+  envio: Number,
+  total: { type: Number, required: true },
+  moneda: String,
+  // Impuestos incluidos en el total
+  impuestos: [{
+    _id: false,
+    nombre: String,
+    tasa: Number,
+    monto: Number
+  }],
+  leyenda: String,
+  estado: { type: String, enum: ['vigente', 'anulado'], default: 'vigente', index: true },
+  emitidoEn: { type: Date, default: Date.now, index: true },
+  emitidoPor: String,
+  // Reemisión: el comprobante nuevo apunta al anulado y viceversa
+  reemplazaA: Number,
+  reemplazadoPor: Number,
+  anuladoEn: Date,
+  anuladoPor: String,
+  motivoAnulacion: String
+});
+
+module.exports = mongoose.model('Comprobante', comprobanteSchema);
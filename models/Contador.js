@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Contadores correlativos (p. ej. numeración de comprobantes), incrementados de forma atómica
+const contadorSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  valor: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Contador', contadorSchema);
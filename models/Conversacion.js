@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Historial de SANABOT por sesión (chat web o WhatsApp)
+const conversacionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  // Resumen de los turnos antiguos que ya no se envían completos al modelo
+  resumen: { type: String, default: '' },
+  // Mensajes en el formato de la API de chat (user, assistant, tool) más su fecha
+  mensajes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  actualizadaEn: { type: Date, default: Date.now },
+  // MongoDB borra la conversación sola cuando vence (índice TTL)
+  expiraEn: { type: Date, required: true, index: { expires: 0 } }
+}, { minimize: false });
+
+module.exports = mongoose.model('Conversacion', conversacionSchema);
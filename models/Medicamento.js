@@ -1,15 +1,68 @@
 // En models/Medicamento.js
 const mongoose = require('mongoose');
+const { categorias } = require('../config/clasificacion.json');
+
+// Lote de stock con su fecha de vencimiento; se despacha primero el que vence antes (FEFO)
+const loteSchema = new mongoose.Schema({
+  numero: { type: String, required: [true, 'El número de lote es obligatorio'], trim: true },
+  fechaVencimiento: Date,
+  cantidad: {
+    type: Number,
+    required: true,
+    min: [0, 'La cantidad del lote no puede ser negativa'],
+    validate: { validator: Number.isInteger, message: 'La cantidad del lote debe ser un número entero' }
+  },
+  ingresadoEn: { type: Date, default: Date.now }
+}, { _id: false });
 
 const medicamentoSchema = new mongoose.Schema({
-  nombre: { type: String, required: true },
-  precio: { type: Number, required: true },
-  stock: { type: Number, default: 0 },
+  nombre: { type: String, required: [true, 'El nombre es obligatorio'], trim: true },
+  precio: {
+    type: Number,
+    required: [true, 'El precio es obligatorio'],
+    min: [0, 'El precio no puede ser negativo']
+  },
+  // Costo unitario de compra (interno): valoriza el inventario en los reportes
+  costo: {
+    type: Number,
+    min: [0, 'El costo no puede ser negativo']
+  },
+  // Con lotes, stock es la suma de sus cantidades (incluye vencidos)
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'El stock no puede ser negativo'],
+    validate: { validator: Number.isInteger, message: 'El stock debe ser un número entero' }
+  },
+  // Umbral para alertas de stock bajo (si falta, se usa STOCK_MINIMO_DEFECTO)
+  stockMinimo: {
+    type: Number,
+    min: [0, 'El stock mínimo no puede ser negativo'],
+    validate: { validator: Number.isInteger, message: 'El stock mínimo debe ser un número entero' }
+  },
   controlado: { 
     type: Boolean,
     default: false,
     index: true
-  }
+  },
+  // Categoría regulatoria (ver servicios/clasificacion.js); define si es controlado
+  categoria: {
+    type: String,
+    enum: { values: categorias.map(c => c.clave), message: 'Categoría inválida: {VALUE}' },
+    index: true
+  },
+  activo: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Datos estructurados (ver models/migrarEstructura.js)
+  principioActivo: { type: String, trim: true, index: true },
+  concentracion: { type: String, trim: true },
+  formaFarmaceutica: { type: String, trim: true },
+  laboratorio: { type: String, trim: true },
+  presentacion: { type: String, trim: true },
+  lotes: { type: [loteSchema], default: undefined }
 });
 
 module.exports = mongoose.model('Medicamento', medicamentoSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+// En models/MovimientoControlado.js
+const mongoose = require('mongoose');
+
+// Libro de control de medicamentos controlados: solo se agregan movimientos, nunca se editan
+const movimientoSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  medicamentoId: { type: String, required: true, index: true },
+  medicamentoNombre: String,
+  fecha: { type: Date, default: Date.now, index: true },
+  tipo: {
+    type: String,
+    enum: ['venta', 'ingreso', 'ajuste', 'devolucion', 'alta', 'apertura', 'correccion', 'carga'],
+    required: true
+  },
+  cantidad: { type: Number, required: true },
+  saldo: { type: Number, required: true },
+  lotes: [{ _id: false, numero: String, fechaVencimiento: Date, cantidad: Number }],
+  paciente: String,
+  receta: String,
+  pedido: String,
+  usuario: String,
+  motivo: String
+});
+
+function rechazarCambios() {
+  throw new Error('El libro de control no admite modificaciones ni borrados');
+}
+
+movimientoSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rechazarCambios
+);
+
+module.exports = mongoose.model('MovimientoControlado', movimientoSchema);
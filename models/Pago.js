@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Cobro por QR de un pedido (ver servicios/pagos.js)
+const pagoSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  pedido: { type: String, required: true, index: true },
+  // Pasarela que emitió el cobro y su identificador en ella
+  pasarela: { type: String, required: true },
+  idExterno: { type: String, required: true, index: true },
+  monto: { type: Number, required: true },
+  moneda: { type: String, default: 'BOB' },
+  // Contenido del código QR que el cliente escanea con la app de su banco
+  qr: { type: String, required: true },
+  // Si vence sin pagarse cancela el pedido (pedidos hechos para pagar por QR)
+  cancelaPedido: { type: Boolean, default: false },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'pagado', 'expirado'],
+    default: 'pendiente',
+    index: true
+  },
+  creadoEn: { type: Date, default: Date.now },
+  expiraEn: { type: Date, required: true, index: true },
+  pagadoEn: Date,
+  referenciaBanco: String,
+  expiradoEn: Date,
+  // P. ej. un pago que llegó cuando el pedido ya estaba cancelado (hay que devolverlo)
+  observacion: String
+});
+
+module.exports = mongoose.model('Pago', pagoSchema);
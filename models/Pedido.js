@@ -0,0 +1,98 @@
+// En models/Pedido.js
+const mongoose = require('mongoose');
+
+const itemPedidoSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  nombre: { type: String, required: true },
+  cantidad: { type: Number, required: true },
+  // Precio de lista; subtotal es lo que se cobra de la línea (precio x cantidad - descuento)
+  precio: { type: Number, required: true },
+  descuento: Number,
+  subtotal: { type: Number, required: true },
+  // Número de receta aprobada (solo medicamentos controlados)
+  receta: String,
+  // Lotes de los que salieron las unidades (para trazabilidad y devoluciones)
+  lotes: [{
+    _id: false,
+    numero: String,
+    fechaVencimiento: Date,
+    cantidad: Number
+  }]
+}, { _id: false });
+
+const historialSchema = new mongoose.Schema({
+  estado: { type: String, required: true },
+  fecha: { type: Date, default: Date.now },
+  nota: String,
+  usuario: String
+}, { _id: false });
+
+const pedidoSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  sessionId: { type: String, index: true },
+  // Cuenta del cliente (CLI-...), si compró con sesión iniciada o la vinculó después
+  cuenta: { type: String, index: true },
+  // WhatsApp del cliente para avisos (opcional, formato +591...)
+  telefono: { type: String, index: true },
+  // Nombre y NIT/CI para el comprobante de venta (opcional)
+  cliente: {
+    nombre: String,
+    nit: String
+  },
+  items: [itemPedidoSchema],
+  // Interacciones y duplicidades detectadas al crear el pedido (las graves las confirmó el cliente)
+  advertencias: [{
+    _id: false,
+    severidad: String,
+    descripcion: String,
+    productos: [String]
+  }],
+  // Con promociones: subtotal a precio de lista, descuento total y detalle por promoción
+  subtotal: Number,
+  descuento: Number,
+  promociones: [{
+    _id: false,
+    numero: String,
+    nombre: String,
+    cupon: String,
+    monto: Number
+  }],
+  cupon: String,
+  // Retiro en farmacia (turno) o delivery (zona y dirección); el costo de envío está incluido en el total
+  entrega: {
+    tipo: { type: String, enum: ['retiro', 'delivery'] },
+    turno: { type: String, index: true },
+    horario: String,
+    inicio: Date,
+    fin: Date,
+    zona: String,
+    zonaNombre: String,
+    direccion: String,
+    referencia: String,
+    costo: Number
+  },
+  total: { type: Number, required: true },
+  // Cómo eligió pagar el cliente: al retirar o recibir, o por QR (si el QR vence sin pagarse, se cancela)
+  metodoPago: { type: String, enum: ['entrega', 'qr'], default: 'entrega' },
+  // Último cobro por QR (servicios/pagos.js); sin pago el pedido se paga al retirar o recibir
+  pago: {
+    numero: String,
+    estado: { type: String, enum: ['pendiente', 'pagado', 'expirado'] },
+    monto: Number,
+    expiraEn: Date,
+    cancelaPedido: Boolean,
+    pagadoEn: Date,
+    referenciaBanco: String
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'confirmado', 'preparado', 'entregado', 'cancelado'],
+    default: 'pendiente',
+    index: true
+  },
+  historial: [historialSchema],
+  creadoEn: { type: Date, default: Date.now, index: true },
+  actualizadoEn: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Pedido', pedidoSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { categorias } = require('../config/clasificacion.json');
+
+// Promoción o cupón de descuento (ver servicios/promociones.js)
+const promocionSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  nombre: { type: String, required: [true, 'El nombre es obligatorio'], trim: true },
+  // porcentaje: % sobre cada línea alcanzada; volumen: "lleva X, paga Y" por producto;
+  // monto: Bs de descuento sobre el total de las líneas alcanzadas (una vez por pedido)
+  tipo: {
+    type: String,
+    required: [true, 'El tipo es obligatorio'],
+    enum: { values: ['porcentaje', 'monto', 'volumen'], message: 'Tipo de promoción inválido: {VALUE}' }
+  },
+  valor: {
+    type: Number,
+    required: [function () { return this.tipo !== 'volumen'; }, 'Indica el porcentaje o monto del descuento'],
+    validate: [
+      {
+        validator: valor => valor > 0,
+        message: 'El descuento debe ser mayor que cero'
+      },
+      {
+        validator: function (valor) { return this.tipo !== 'porcentaje' || valor <= 100; },
+        message: 'El porcentaje no puede superar 100'
+      }
+    ]
+  },
+  lleva: {
+    type: Number,
+    required: [function () { return this.tipo === 'volumen'; }, 'Indica cuántas unidades lleva el cliente'],
+    validate: {
+      validator: function (lleva) { return this.tipo !== 'volumen' || (Number.isInteger(lleva) && lleva >= 2); },
+      message: 'En una promoción por volumen "lleva" debe ser un entero de 2 o más'
+    }
+  },
+  paga: {
+    type: Number,
+    required: [function () { return this.tipo === 'volumen'; }, 'Indica cuántas unidades paga el cliente'],
+    validate: {
+      validator: function (paga) {
+        return this.tipo !== 'volumen' || (Number.isInteger(paga) && paga >= 1 && paga < this.lleva);
+      },
+      message: 'En una promoción por volumen "paga" debe ser un entero menor que "lleva"'
+    }
+  },
+  // Alcance: productos (ids) y/o categorías regulatorias; sin ninguno, todo el catálogo salvo controlados
+  productos: { type: [String], default: undefined },
+  categorias: {
+    type: [{ type: String, enum: { values: categorias.map(c => c.clave), message: 'Categoría inválida: {VALUE}' } }],
+    default: undefined
+  },
+  // Con cupón solo se aplica si el cliente ingresa el código
+  cupon: { type: String, trim: true, uppercase: true, match: [/^[A-Z0-9_-]{3,30}$/, 'Código de cupón inválido'] },
+  // Compra mínima (Bs) de los productos alcanzados
+  minimo: { type: Number, min: [0, 'La compra mínima no puede ser negativa'] },
+  limiteUsos: {
+    type: Number,
+    validate: {
+      validator: limite => limite === null || limite === undefined || (Number.isInteger(limite) && limite > 0),
+      message: 'El límite de usos debe ser un entero positivo'
+    }
+  },
+  usos: { type: Number, default: 0 },
+  desde: Date,
+  hasta: {
+    type: Date,
+    validate: {
+      validator: function (hasta) { return !hasta || !this.desde || hasta >= this.desde; },
+      message: 'La fecha de fin es anterior a la de inicio'
+    }
+  },
+  activa: { type: Boolean, default: true, index: true },
+  creadaEn: { type: Date, default: Date.now },
+  creadaPor: String,
+  actualizadaEn: Date
+});
+
+// Un código de cupón identifica a una sola promoción
+promocionSchema.index({ cupon: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Promocion', promocionSchema);
@@ -0,0 +1,29 @@
+// En models/Receta.js
+const mongoose = require('mongoose');
+
+const recetaSchema = new mongoose.Schema({
+  numero: { type: String, required: true, unique: true },
+  sessionId: { type: String, index: true },
+  medicamentoId: { type: String, required: true },
+  medicamentoNombre: String,
+  cantidad: { type: Number, required: true },
+  medico: { type: String, required: true },
+  matricula: { type: String, required: true },
+  fechaEmision: { type: Date, required: true },
+  paciente: { type: String, required: true },
+  // Imagen escaneada como data URL (image/png, image/jpeg, image/webp o application/pdf)
+  imagen: { type: String, required: true },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aprobada', 'rechazada', 'utilizada'],
+    default: 'pendiente',
+    index: true
+  },
+  revisadaPor: String,
+  revisadaEn: Date,
+  motivoRechazo: String,
+  pedidoNumero: String,
+  creadaEn: { type: Date, default: Date.now, index: true }
+});
+
+module.exports = mongoose.model('Receta', recetaSchema);
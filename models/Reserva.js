@@ -0,0 +1,18 @@
+// En models/Reserva.js
+const mongoose = require('mongoose');
+
+const reservaSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  items: [{
+    _id: false,
+    id: { type: String, required: true },
+    nombre: String,
+    cantidad: { type: Number, required: true },
+    receta: String
+  }],
+  creadaEn: { type: Date, default: Date.now },
+  // MongoDB borra la reserva sola cuando vence (índice TTL)
+  expiraEn: { type: Date, required: true, index: { expires: 0 } }
+});
+
+module.exports = mongoose.model('Reserva', reservaSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// Cupos ocupados de un turno de retiro en farmacia (clave "2025-06-30T09:00", hora local)
+const turnoSchema = new mongoose.Schema({
+  clave: { type: String, required: true, unique: true },
+  ocupados: { type: Number, default: 0 }
+});
+
+module.exports = mongoose.model('Turno', turnoSchema);
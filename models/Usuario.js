@@ -0,0 +1,17 @@
+// En models/Usuario.js
+const mongoose = require('mongoose');
+
+const usuarioSchema = new mongoose.Schema({
+  usuario: { type: String, required: true, unique: true, trim: true },
+  nombre: String,
+  rol: {
+    type: String,
+    enum: ['farmaceutico', 'admin'],
+    default: 'farmaceutico'
+  },
+  passwordHash: { type: String, required: true },
+  activo: { type: Boolean, default: true },
+  creadoEn: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Usuario', usuarioSchema);
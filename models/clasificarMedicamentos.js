@@ -0,0 +1,39 @@
+require('dotenv').config();
+const { crearRepositorios } = require('../repositorios');
+const { crearClasificador, crearServicioClasificacion } = require('../servicios/clasificacion');
+
+// Clasifica el catálogo según config/clasificacion.json (estupefaciente, psicotrópico,
+// antibiótico con receta, venta libre) y ajusta "controlado" de acuerdo a la categoría.
+// Sin --aplicar solo muestra lo que cambiaría. Funciona con el backend configurado (ALMACENAMIENTO).
+// Uso: node models/clasificarMedicamentos.js [--aplicar] [--usuario nombre]
+
+async function clasificarMedicamentos() {
+  const aplicar = process.argv.includes('--aplicar');
+  const indiceUsuario = process.argv.indexOf('--usuario');
+
+  const repos = await crearRepositorios();
+  const clasificacion = crearServicioClasificacion({ repos, clasificador: crearClasificador() });
+  const resultado = aplicar
+    ? await clasificacion.aplicar({ usuario: indiceUsuario === -1 ? process.env.USER || 'consola' : process.argv[indiceUsuario + 1] })
+    : await clasificacion.revisar();
+
+  resultado.cambios.forEach(({ nombre, principio, campos }) => {
+    const detalle = Object.entries(campos)
+      .map(([campo, { antes, despues }]) => `${campo} ${antes ?? '(sin)'} -> ${despues}`)
+      .join(', ');
+    console.log(`${nombre}: ${detalle}${principio ? ` [${principio}]` : ''}`);
+  });
+  resultado.revisionManual.forEach(({ nombre }) => {
+    console.log(`${nombre}: controlado sin regla que lo reconozca, revisar a mano (no se cambia)`);
+  });
+
+  const categorias = Object.entries(resultado.porCategoria).map(([clave, total]) => `${clave} ${total}`).join(', ');
+  console.log(`Medicamentos: ${resultado.total} (${categorias})`);
+  console.log(`${aplicar ? 'Actualizados' : '[dry-run] Se actualizarían'}: ${resultado.cambios.length}`);
+  process.exit(0);
+}
+
+clasificarMedicamentos().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
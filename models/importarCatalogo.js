@@ -0,0 +1,81 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { crearRepositorios } = require('../repositorios');
+const { crearServicioImportacionCatalogo } = require('../servicios/importacionCatalogo');
+const { crearClasificador } = require('../servicios/clasificacion');
+
+// Importa precios, stock y productos desde una planilla CSV/XLSX, o exporta el catálogo.
+// Sin --aplicar solo muestra las diferencias. Funciona con el backend configurado (ALMACENAMIENTO).
+// Uso: node models/importarCatalogo.js <archivo.csv|xlsx> [--aplicar] [--usuario nombre]
+//      node models/importarCatalogo.js --exportar <archivo.csv|xlsx>
+
+function mostrarValor(valor) {
+  return valor === undefined ? '(vacío)' : JSON.stringify(valor);
+}
+
+function mostrarDiferencias(vista) {
+  vista.nuevos.forEach(({ fila, datos }) => {
+    console.log(`+ fila ${fila}: ${datos.nombre} (precio ${datos.precio}, stock ${datos.stock})`);
+  });
+  vista.cambios.forEach(({ fila, nombre, campos }) => {
+    const detalle = Object.entries(campos)
+      .map(([campo, { antes, despues }]) => `${campo} ${mostrarValor(antes)} -> ${mostrarValor(despues)}`)
+      .join(', ');
+    console.log(`~ fila ${fila}: ${nombre}: ${detalle}`);
+  });
+  vista.errores.forEach(({ fila, nombre, errores }) => {
+    console.log(`! fila ${fila}${nombre ? ` (${nombre})` : ''}: ${errores.join('; ')}`);
+  });
+  if (vista.columnasIgnoradas.length > 0) {
+    console.log(`Columnas ignoradas: ${vista.columnasIgnoradas.join(', ')}`);
+  }
+
+  const r = vista.resumen;
+  console.log(`Filas: ${r.filas}. Nuevos: ${r.nuevos}, precios: ${r.cambiosPrecio}, stock: ${r.cambiosStock}, ` +
+    `otros cambios: ${r.otrosCambios}, sin cambios: ${r.sinCambios}, con errores: ${r.errores}`);
+}
+
+async function importarCatalogo() {
+  const argumentos = process.argv.slice(2);
+  const opcion = nombre => {
+    const indice = argumentos.indexOf(nombre);
+    return indice === -1 ? undefined : argumentos[indice + 1];
+  };
+  const exportar = opcion('--exportar');
+  const archivo = exportar || argumentos.find((arg, i) => !arg.startsWith('--') && argumentos[i - 1] !== '--usuario');
+  if (!archivo) {
+    console.error('Uso: node models/importarCatalogo.js <archivo.csv|xlsx> [--aplicar] | --exportar <archivo.csv|xlsx>');
+    process.exit(1);
+  }
+
+  const repos = await crearRepositorios();
+  const importacion = crearServicioImportacionCatalogo({ repos, clasificador: crearClasificador() });
+
+  if (exportar) {
+    const formato = path.extname(exportar).slice(1).toLowerCase();
+    fs.writeFileSync(exportar, await importacion.exportar(formato));
+    console.log(`Catálogo exportado a ${exportar}`);
+    process.exit(0);
+  }
+
+  const buffer = fs.readFileSync(archivo);
+  if (!argumentos.includes('--aplicar')) {
+    mostrarDiferencias(await importacion.previsualizar(buffer));
+    console.log('[dry-run] No se modificó nada. Usa --aplicar para guardar los cambios.');
+    process.exit(0);
+  }
+
+  const resultado = await importacion.aplicar(buffer, {}, {
+    usuario: opcion('--usuario') || process.env.USER || 'consola'
+  });
+  mostrarDiferencias(resultado);
+  console.log('Cambios aplicados.');
+  process.exit(0);
+}
+
+importarCatalogo().catch(error => {
+  console.error(error.message);
+  (error.errores || []).forEach(({ fila, errores }) => console.error(`! fila ${fila}: ${errores.join('; ')}`));
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+require('dotenv').config();
+const { crearRepositorios } = require('../repositorios');
+const { parsearNombre } = require('../servicios/estructuraProducto');
+
+// Completa principioActivo, concentracion, formaFarmaceutica y presentacion
+// a partir del nombre. Funciona con el backend configurado (ALMACENAMIENTO).
+// Uso: node models/migrarEstructura.js [--dry-run] [--sobrescribir]
+const CAMPOS = ['principioActivo', 'concentracion', 'formaFarmaceutica', 'laboratorio', 'presentacion'];
+
+async function migrarEstructura() {
+  const dryRun = process.argv.includes('--dry-run');
+  const sobrescribir = process.argv.includes('--sobrescribir');
+
+  const repos = await crearRepositorios();
+  const medicamentos = await repos.medicamentos.listar();
+
+  let actualizados = 0;
+  for (const med of medicamentos) {
+    const deducidos = parsearNombre(med.nombre);
+    const cambios = {};
+    for (const campo of CAMPOS) {
+      if (deducidos[campo] && (sobrescribir || !med[campo])) {
+        cambios[campo] = deducidos[campo];
+      }
+    }
+    if (Object.keys(cambios).length === 0) continue;
+
+    actualizados++;
+    console.log(`${med.nombre} => ${JSON.stringify(cambios)}`);
+    if (!dryRun) {
+      await repos.medicamentos.actualizar(med._id, cambios);
+    }
+  }
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}Medicamentos actualizados: ${actualizados} de ${medicamentos.length}`);
+  process.exit(0);
+}
+
+migrarEstructura().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
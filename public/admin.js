@@ -0,0 +1,683 @@
+let token = sessionStorage.getItem("adminToken");
+let usuarioActual = JSON.parse(sessionStorage.getItem("adminUsuario") || "null");
+// Categorías regulatorias (config/clasificacion.json)
+let categorias = [];
+
+// Llamada a la API con el token del personal
+async function api(url, opciones = {}) {
+  const response = await fetch(url, {
+    ...opciones,
+    headers: {
+      "Content-Type": "application/json",
+      "Authorization": `Bearer ${token}`,
+      ...(opciones.headers || {})
+    }
+  });
+
+  const data = await response.json();
+  if (response.status === 401) {
+    cerrarSesion();
+  }
+  if (!response.ok) {
+    const detalle = data.errores?.map(e => e.mensaje).join(", ");
+    throw new Error(detalle ? `${data.error}: ${detalle}` : data.error || "Error en el servidor");
+  }
+  return data;
+}
+
+window.onload = function () {
+  document.getElementById("form-login").addEventListener("submit", iniciarSesion);
+  document.getElementById("btn-salir").addEventListener("click", cerrarSesion);
+  document.getElementById("filtro-catalogo").addEventListener("input", cargarCatalogo);
+  document.getElementById("ver-inactivos").addEventListener("change", cargarCatalogo);
+  document.getElementById("btn-exportar-csv").addEventListener("click", () => exportarCatalogo("csv"));
+  document.getElementById("btn-exportar-xlsx").addEventListener("click", () => exportarCatalogo("xlsx"));
+  document.getElementById("archivo-importacion").addEventListener("change", previsualizarImportacion);
+  document.getElementById("btn-aplicar-importacion").addEventListener("click", aplicarImportacion);
+  document.getElementById("btn-descartar-importacion").addEventListener("click", descartarImportacion);
+  document.getElementById("form-nuevo").addEventListener("submit", crearMedicamento);
+  document.getElementById("btn-recetas").addEventListener("click", cargarRecetas);
+  document.getElementById("btn-chat-alertas").addEventListener("click", cargarAlertasChat);
+  document.getElementById("btn-promociones").addEventListener("click", cargarPromociones);
+  document.getElementById("form-promocion").addEventListener("submit", crearPromocion);
+
+  if (token && usuarioActual) {
+    mostrarPanel();
+  }
+};
+
+async function iniciarSesion(event) {
+  event.preventDefault();
+  const errorP = document.getElementById("login-error");
+  errorP.textContent = "";
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        usuario: document.getElementById("login-usuario").value.trim(),
+        password: document.getElementById("login-password").value
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "No se pudo iniciar sesión");
+
+    token = data.token;
+    usuarioActual = data.usuario;
+    sessionStorage.setItem("adminToken", token);
+    sessionStorage.setItem("adminUsuario", JSON.stringify(usuarioActual));
+    mostrarPanel();
+  } catch (error) {
+    errorP.textContent = error.message;
+  }
+}
+
+function cerrarSesion() {
+  token = null;
+  usuarioActual = null;
+  sessionStorage.removeItem("adminToken");
+  sessionStorage.removeItem("adminUsuario");
+  document.getElementById("seccion-login").style.display = "block";
+  document.getElementById("seccion-catalogo").style.display = "none";
+  document.getElementById("seccion-recetas").style.display = "none";
+  document.getElementById("seccion-promociones").style.display = "none";
+  document.getElementById("seccion-nuevo").style.display = "none";
+  descartarImportacion();
+}
+
+function mostrarPanel() {
+  const esAdmin = usuarioActual.rol === "admin";
+  document.getElementById("seccion-login").style.display = "none";
+  document.getElementById("seccion-catalogo").style.display = "block";
+  document.getElementById("seccion-recetas").style.display = "block";
+  document.getElementById("seccion-chat-alertas").style.display = "block";
+  document.getElementById("seccion-promociones").style.display = "block";
+  document.getElementById("usuario-actual").textContent = `${usuarioActual.nombre} (${usuarioActual.rol})`;
+  document.querySelectorAll(".solo-admin").forEach(el => {
+    el.style.display = esAdmin ? "" : "none";
+  });
+  cargarCatalogo();
+  cargarRecetas();
+  cargarAlertasChat();
+  cargarPromociones();
+}
+
+async function cargarCatalogo() {
+  const query = document.getElementById("filtro-catalogo").value.trim();
+  const inactivos = document.getElementById("ver-inactivos").checked;
+
+  try {
+    if (categorias.length === 0) {
+      categorias = (await api("/api/categorias")).categorias;
+    }
+    const data = await api(`/api/admin/medicamentos?query=${encodeURIComponent(query)}&inactivos=${inactivos}`);
+    renderizarCatalogo(data.medicamentos);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function renderizarCatalogo(medicamentos) {
+  const esAdmin = usuarioActual.rol === "admin";
+  const tbody = document.querySelector("#tabla-catalogo tbody");
+  tbody.innerHTML = "";
+
+  medicamentos.forEach(med => {
+    const tr = document.createElement("tr");
+    if (med.activo === false) tr.classList.add("inactivo");
+
+    const tdNombre = document.createElement("td");
+    tdNombre.textContent = med.nombre;
+
+    const inputPrecio = crearInputNumero(med.precio, "0.01");
+    inputPrecio.addEventListener("change", () => actualizarCampo(med._id, { precio: Number(inputPrecio.value) }));
+
+    // Costo de compra: solo para valorizar el inventario en los reportes
+    const inputCosto = crearInputNumero(med.costo ?? "", "0.01");
+    inputCosto.placeholder = "Sin costo";
+    inputCosto.addEventListener("change", () => actualizarCampo(med._id, { costo: Number(inputCosto.value) }));
+
+    // Con lotes, el stock se mueve con ajustes o ingresando lotes
+    const inputStock = crearInputNumero(med.stock, "1");
+    inputStock.disabled = Array.isArray(med.lotes) && med.lotes.length > 0;
+    if (med.stockVencido) inputStock.title = `${med.stockVencido} unidades vencidas`;
+    inputStock.addEventListener("change", () => actualizarCampo(med._id, { stock: Number(inputStock.value) }));
+
+    const inputMinimo = crearInputNumero(med.stockMinimo ?? "", "1");
+    inputMinimo.placeholder = "Por defecto";
+    inputMinimo.addEventListener("change", () => actualizarCampo(med._id, { stockMinimo: Number(inputMinimo.value) }));
+
+    const checkControlado = document.createElement("input");
+    checkControlado.type = "checkbox";
+    checkControlado.checked = Boolean(med.controlado);
+    checkControlado.disabled = !esAdmin;
+    checkControlado.addEventListener("change", () => actualizarCampo(med._id, { controlado: checkControlado.checked }));
+
+    // La categoría también define si es controlado: se recarga la tabla para verlo
+    const selectCategoria = document.createElement("select");
+    selectCategoria.disabled = !esAdmin;
+    selectCategoria.innerHTML = '<option value="" disabled>Sin clasificar</option>';
+    categorias.forEach(categoria => selectCategoria.add(new Option(categoria.nombre, categoria.clave)));
+    selectCategoria.value = med.categoria || "";
+    selectCategoria.addEventListener("change", async () => {
+      await actualizarCampo(med._id, { categoria: selectCategoria.value });
+      cargarCatalogo();
+    });
+
+    const inputAjuste = crearInputNumero("", "1");
+    inputAjuste.placeholder = "+/-";
+    const btnAjuste = document.createElement("button");
+    btnAjuste.textContent = "Ajustar";
+    btnAjuste.addEventListener("click", () => ajustarStock(med._id, Number(inputAjuste.value)));
+
+    const tdAcciones = document.createElement("td");
+    const btnLote = document.createElement("button");
+    btnLote.textContent = "Lote";
+    btnLote.addEventListener("click", () => ingresarLote(med._id, med.nombre));
+    tdAcciones.appendChild(btnLote);
+
+    if (esAdmin) {
+      const btnEstado = document.createElement("button");
+      btnEstado.textContent = med.activo === false ? "Reactivar" : "Desactivar";
+      btnEstado.addEventListener("click", () => med.activo === false
+        ? actualizarCampo(med._id, { activo: true })
+        : desactivar(med._id, med.nombre));
+      tdAcciones.appendChild(btnEstado);
+    }
+
+    tr.append(
+      tdNombre,
+      envolverEnCelda(inputPrecio),
+      envolverEnCelda(inputCosto),
+      envolverEnCelda(inputStock),
+      envolverEnCelda(inputMinimo),
+      envolverEnCelda(checkControlado),
+      envolverEnCelda(selectCategoria),
+      envolverEnCelda(inputAjuste, btnAjuste),
+      tdAcciones
+    );
+    tbody.appendChild(tr);
+  });
+}
+
+function crearInputNumero(valor, paso) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = paso;
+  input.value = valor;
+  return input;
+}
+
+function envolverEnCelda(...elementos) {
+  const td = document.createElement("td");
+  td.append(...elementos);
+  return td;
+}
+
+async function actualizarCampo(id, cambios) {
+  try {
+    await api(`/api/admin/medicamentos/${id}`, { method: "PATCH", body: JSON.stringify(cambios) });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarCatalogo();
+}
+
+async function ajustarStock(id, cantidad) {
+  if (!cantidad) {
+    alert("Indica una cantidad positiva (ingreso) o negativa (egreso).");
+    return;
+  }
+  const motivo = prompt("Motivo del ajuste:", cantidad > 0 ? "Recepción de mercadería" : "Merma");
+  if (motivo === null) return;
+
+  try {
+    await api(`/api/admin/medicamentos/${id}/ajuste-stock`, {
+      method: "POST",
+      body: JSON.stringify({ cantidad, motivo })
+    });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarCatalogo();
+}
+
+async function ingresarLote(id, nombre) {
+  const numero = prompt(`Número de lote para "${nombre}":`);
+  if (!numero) return;
+  const fechaVencimiento = prompt("Fecha de vencimiento (AAAA-MM-DD):");
+  if (fechaVencimiento === null) return;
+  const cantidad = Number(prompt("Cantidad recibida:"));
+
+  try {
+    await api(`/api/admin/medicamentos/${id}/lotes`, {
+      method: "POST",
+      body: JSON.stringify({ numero, fechaVencimiento, cantidad })
+    });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarCatalogo();
+}
+
+async function desactivar(id, nombre) {
+  if (!confirm(`¿Desactivar "${nombre}"? Dejará de aparecer en las búsquedas.`)) return;
+  try {
+    await api(`/api/admin/medicamentos/${id}`, { method: "DELETE" });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarCatalogo();
+}
+
+async function crearMedicamento(event) {
+  event.preventDefault();
+  try {
+    await api("/api/admin/medicamentos", {
+      method: "POST",
+      body: JSON.stringify({
+        nombre: document.getElementById("nuevo-nombre").value.trim(),
+        precio: Number(document.getElementById("nuevo-precio").value),
+        stock: Number(document.getElementById("nuevo-stock").value) || 0,
+        controlado: document.getElementById("nuevo-controlado").checked
+      })
+    });
+    document.getElementById("form-nuevo").reset();
+    cargarCatalogo();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+// ==============================================
+// IMPORTACIÓN Y EXPORTACIÓN DEL CATÁLOGO
+// ==============================================
+
+// Planilla previsualizada que se puede aplicar: { archivo, huella }
+let importacionPendiente = null;
+
+async function exportarCatalogo(formato) {
+  try {
+    const response = await fetch(`/api/admin/catalogo/exportar?formato=${formato}`, {
+      headers: { "Authorization": `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || "Error en el servidor");
+    }
+    const enlace = document.createElement("a");
+    enlace.href = URL.createObjectURL(await response.blob());
+    enlace.download = `catalogo.${formato}`;
+    enlace.click();
+    URL.revokeObjectURL(enlace.href);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function leerArchivoComoDataUrl(archivo) {
+  return new Promise((resolve, reject) => {
+    const lector = new FileReader();
+    lector.onload = () => resolve(lector.result);
+    lector.onerror = () => reject(new Error("No se pudo leer el archivo"));
+    lector.readAsDataURL(archivo);
+  });
+}
+
+// Sube la planilla sin aplicarla y muestra qué cambiaría
+async function previsualizarImportacion(event) {
+  const input = event.target;
+  if (!input.files[0]) return;
+
+  try {
+    const archivo = await leerArchivoComoDataUrl(input.files[0]);
+    const vista = await api("/api/admin/catalogo/importar", {
+      method: "POST",
+      body: JSON.stringify({ archivo })
+    });
+    importacionPendiente = { archivo, huella: vista.huella };
+    renderizarImportacion(vista);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  input.value = "";
+}
+
+function formatearValor(valor) {
+  if (valor === undefined || valor === null || valor === "") return "(vacío)";
+  if (typeof valor === "boolean") return valor ? "sí" : "no";
+  return valor;
+}
+
+function renderizarImportacion(vista) {
+  const r = vista.resumen;
+  document.getElementById("seccion-importacion").style.display = "block";
+  document.getElementById("resumen-importacion").textContent =
+    `${r.filas} filas: ${r.nuevos} nuevos, ${r.cambiosPrecio} cambios de precio, ${r.cambiosStock} de stock, ` +
+    `${r.otrosCambios} con otros cambios, ${r.sinCambios} sin cambios y ${r.errores} con errores.` +
+    (vista.columnasIgnoradas.length > 0 ? ` Columnas ignoradas: ${vista.columnasIgnoradas.join(", ")}.` : "");
+
+  const filas = [
+    ...vista.errores.map(e => ({ fila: e.fila, nombre: e.nombre || "", detalle: e.errores.join("; "), clase: "error" })),
+    ...vista.nuevos.map(n => ({
+      fila: n.fila,
+      nombre: n.datos.nombre,
+      detalle: `Nuevo: precio ${n.datos.precio}, stock ${n.datos.stock}${n.datos.controlado ? ", controlado" : ""}`
+    })),
+    ...vista.cambios.map(c => ({
+      fila: c.fila,
+      nombre: c.nombre,
+      detalle: Object.entries(c.campos)
+        .map(([campo, { antes, despues }]) => `${campo}: ${formatearValor(antes)} → ${formatearValor(despues)}`)
+        .join("; ")
+    }))
+  ].sort((a, b) => a.fila - b.fila);
+
+  const tbody = document.querySelector("#tabla-importacion tbody");
+  tbody.innerHTML = "";
+  if (filas.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="3">La planilla no cambia nada del catálogo.</td></tr>';
+  }
+  filas.forEach(({ fila, nombre, detalle, clase }) => {
+    const tr = document.createElement("tr");
+    if (clase) tr.classList.add(clase);
+    [fila, nombre, detalle].forEach(texto => {
+      const td = document.createElement("td");
+      td.textContent = texto;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  // Con filas erróneas no se aplica nada: hay que corregir la planilla
+  document.getElementById("btn-aplicar-importacion").disabled =
+    vista.errores.length > 0 || vista.nuevos.length + vista.cambios.length === 0;
+}
+
+async function aplicarImportacion() {
+  if (!importacionPendiente) return;
+  try {
+    const data = await api("/api/admin/catalogo/importar", {
+      method: "POST",
+      body: JSON.stringify({ ...importacionPendiente, aplicar: true })
+    });
+    alert(`Importación aplicada: ${data.resumen.nuevos} productos nuevos y ${data.cambios.length} actualizados.`);
+    descartarImportacion();
+    cargarCatalogo();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function descartarImportacion() {
+  importacionPendiente = null;
+  document.getElementById("seccion-importacion").style.display = "none";
+}
+
+// ==============================================
+// REVISIÓN DE RECETAS
+// ==============================================
+
+async function cargarRecetas() {
+  try {
+    const data = await api("/api/recetas?estado=pendiente");
+    renderizarRecetas(data.recetas);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function renderizarRecetas(recetas) {
+  const tbody = document.querySelector("#tabla-recetas tbody");
+  tbody.innerHTML = "";
+
+  if (recetas.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6">No hay recetas pendientes.</td></tr>';
+    return;
+  }
+
+  recetas.forEach(receta => {
+    const tr = document.createElement("tr");
+    const celdas = [
+      new Date(receta.creadaEn).toLocaleString(),
+      receta.paciente,
+      `${receta.medicamentoNombre} x ${receta.cantidad}`,
+      `${receta.medico} (${receta.matricula})`,
+      new Date(receta.fechaEmision).toLocaleDateString()
+    ];
+    celdas.forEach(texto => {
+      const td = document.createElement("td");
+      td.textContent = texto;
+      tr.appendChild(td);
+    });
+
+    const btnVer = document.createElement("button");
+    btnVer.textContent = "Ver receta";
+    btnVer.addEventListener("click", () => verImagenReceta(receta.numero));
+    const btnAprobar = document.createElement("button");
+    btnAprobar.textContent = "Aprobar";
+    btnAprobar.addEventListener("click", () => revisarReceta(receta.numero, true));
+    const btnRechazar = document.createElement("button");
+    btnRechazar.textContent = "Rechazar";
+    btnRechazar.addEventListener("click", () => revisarReceta(receta.numero, false));
+
+    tr.appendChild(envolverEnCelda(btnVer, btnAprobar, btnRechazar));
+    tbody.appendChild(tr);
+  });
+}
+
+async function verImagenReceta(numero) {
+  try {
+    const { receta } = await api(`/api/recetas/${encodeURIComponent(numero)}`);
+    const archivo = await (await fetch(receta.imagen)).blob();
+    window.open(URL.createObjectURL(archivo), "_blank");
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+async function revisarReceta(numero, aprobar) {
+  let motivo;
+  if (!aprobar) {
+    motivo = prompt("Motivo del rechazo:");
+    if (!motivo) return;
+  }
+
+  try {
+    await api(`/api/recetas/${encodeURIComponent(numero)}/revision`, {
+      method: "PATCH",
+      body: JSON.stringify({ aprobar, motivo })
+    });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarRecetas();
+}
+
+// ==============================================
+// CONVERSACIONES MARCADAS DE SANABOT
+// ==============================================
+
+const MOTIVOS_ALERTA_CHAT = {
+  emergencia: "Emergencia",
+  autolesion: "Autolesión",
+  embarazo: "Embarazo / lactancia",
+  dosisControlado: "Dosis de controlado"
+};
+
+async function cargarAlertasChat() {
+  try {
+    const data = await api("/api/admin/chat/alertas?estado=pendiente");
+    renderizarAlertasChat(data.alertas);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function renderizarAlertasChat(alertas) {
+  const tbody = document.querySelector("#tabla-chat-alertas tbody");
+  tbody.innerHTML = "";
+
+  if (alertas.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5">No hay conversaciones pendientes.</td></tr>';
+    return;
+  }
+
+  alertas.forEach(alerta => {
+    const tr = document.createElement("tr");
+    const motivo = `${MOTIVOS_ALERTA_CHAT[alerta.categoria] || alerta.categoria} (${alerta.regla})`;
+    const respuesta = alerta.respuestaModelo
+      ? `${alerta.respuesta}\n\nEl modelo había respondido: ${alerta.respuestaModelo}`
+      : alerta.respuesta;
+    const celdas = [new Date(alerta.creadaEn).toLocaleString(), motivo, alerta.pregunta, respuesta];
+    celdas.forEach(texto => {
+      const td = document.createElement("td");
+      td.textContent = texto;
+      td.style.whiteSpace = "pre-wrap";
+      tr.appendChild(td);
+    });
+
+    const btnRevisada = document.createElement("button");
+    btnRevisada.textContent = "Marcar revisada";
+    btnRevisada.addEventListener("click", () => revisarAlertaChat(alerta.numero));
+    tr.appendChild(envolverEnCelda(btnRevisada));
+    tbody.appendChild(tr);
+  });
+}
+
+async function revisarAlertaChat(numero) {
+  const nota = prompt("Nota (opcional):");
+  if (nota === null) return;
+
+  try {
+    await api(`/api/admin/chat/alertas/${encodeURIComponent(numero)}/revision`, {
+      method: "PATCH",
+      body: JSON.stringify({ nota })
+    });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarAlertasChat();
+}
+
+// ==============================================
+// PROMOCIONES Y CUPONES
+// ==============================================
+
+function describirDescuento(promocion) {
+  if (promocion.tipo === "porcentaje") return `${promocion.valor}%`;
+  if (promocion.tipo === "monto") return `Bs ${promocion.valor.toFixed(2)}`;
+  return `Lleva ${promocion.lleva}, paga ${promocion.paga}`;
+}
+
+function describirAlcance(promocion) {
+  const partes = [
+    ...(promocion.categorias || []).map(clave => categorias.find(c => c.clave === clave)?.nombre || clave),
+    ...(promocion.productos || []).map(id => `producto ${id}`)
+  ];
+  const alcance = partes.length > 0 ? partes.join(", ") : "Todo (salvo controlados)";
+  return promocion.minimo ? `${alcance}; mínimo Bs ${promocion.minimo.toFixed(2)}` : alcance;
+}
+
+function describirVigencia(promocion) {
+  const fecha = valor => valor ? new Date(valor).toLocaleDateString() : "…";
+  return promocion.desde || promocion.hasta ? `${fecha(promocion.desde)} a ${fecha(promocion.hasta)}` : "Sin límite";
+}
+
+async function cargarPromociones() {
+  try {
+    if (categorias.length === 0) {
+      categorias = (await api("/api/categorias")).categorias;
+    }
+    const select = document.getElementById("promo-categoria");
+    if (select.options.length === 0) {
+      select.appendChild(new Option("Todas las categorías", ""));
+      categorias.forEach(categoria => select.appendChild(new Option(categoria.nombre, categoria.clave)));
+    }
+    const data = await api("/api/admin/promociones");
+    renderizarPromociones(data.promociones);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function renderizarPromociones(promociones) {
+  const esAdmin = usuarioActual.rol === "admin";
+  const tbody = document.querySelector("#tabla-promociones tbody");
+  tbody.innerHTML = "";
+
+  if (promociones.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7">No hay promociones.</td></tr>';
+    return;
+  }
+
+  promociones.forEach(promocion => {
+    const tr = document.createElement("tr");
+    if (!promocion.activa) tr.classList.add("inactivo");
+    const usos = promocion.limiteUsos ? `${promocion.usos} / ${promocion.limiteUsos}` : String(promocion.usos);
+    [
+      promocion.nombre,
+      describirDescuento(promocion),
+      describirAlcance(promocion),
+      promocion.cupon || "Automática",
+      describirVigencia(promocion),
+      usos
+    ].forEach(texto => {
+      const td = document.createElement("td");
+      td.textContent = texto;
+      tr.appendChild(td);
+    });
+
+    const tdAcciones = document.createElement("td");
+    if (esAdmin) {
+      const btnActiva = document.createElement("button");
+      btnActiva.textContent = promocion.activa ? "Desactivar" : "Activar";
+      btnActiva.addEventListener("click", () => cambiarPromocion(promocion.numero, { activa: !promocion.activa }));
+      tdAcciones.appendChild(btnActiva);
+    } else {
+      tdAcciones.textContent = promocion.activa ? "Activa" : "Inactiva";
+    }
+    tr.appendChild(tdAcciones);
+    tbody.appendChild(tr);
+  });
+}
+
+async function cambiarPromocion(numero, cambios) {
+  try {
+    await api(`/api/admin/promociones/${encodeURIComponent(numero)}`, { method: "PATCH", body: JSON.stringify(cambios) });
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+  cargarPromociones();
+}
+
+async function crearPromocion(event) {
+  event.preventDefault();
+  const valor = id => document.getElementById(id).value.trim();
+  const numero = id => valor(id) === "" ? undefined : Number(valor(id));
+  const tipo = valor("promo-tipo");
+
+  try {
+    await api("/api/admin/promociones", {
+      method: "POST",
+      body: JSON.stringify({
+        nombre: valor("promo-nombre"),
+        tipo,
+        ...(tipo === "volumen"
+          ? { lleva: numero("promo-lleva"), paga: numero("promo-paga") }
+          : { valor: numero("promo-valor") }),
+        ...(valor("promo-categoria") && { categorias: [valor("promo-categoria")] }),
+        cupon: valor("promo-cupon") || undefined,
+        minimo: numero("promo-minimo"),
+        limiteUsos: numero("promo-limite"),
+        desde: valor("promo-desde") || undefined,
+        hasta: valor("promo-hasta") || undefined
+      })
+    });
+    document.getElementById("form-promocion").reset();
+    cargarPromociones();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
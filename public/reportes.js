@@ -0,0 +1,286 @@
+// Tablero de reportes para el personal: usa la sesión iniciada en admin.html
+const token = sessionStorage.getItem("adminToken");
+const SVG = "http://www.w3.org/2000/svg";
+
+async function api(url) {
+  const response = await fetch(url, { headers: { "Authorization": `Bearer ${token}` } });
+  const data = await response.json();
+  if (response.status === 401) {
+    sessionStorage.removeItem("adminToken");
+    mostrarSinSesion();
+  }
+  if (!response.ok) throw new Error(data.error || "Error en el servidor");
+  return data;
+}
+
+window.onload = function () {
+  if (!token) {
+    mostrarSinSesion();
+    return;
+  }
+
+  // Por defecto, los últimos 30 días
+  const hoy = new Date();
+  document.getElementById("filtro-hasta").value = fechaLocal(hoy);
+  document.getElementById("filtro-desde").value = fechaLocal(new Date(hoy.getTime() - 29 * 24 * 60 * 60 * 1000));
+
+  document.getElementById("btn-actualizar").addEventListener("click", cargarReportes);
+  document.getElementById("orden-productos").addEventListener("change", cargarProductos);
+  document.getElementById("dias-sin-movimiento").addEventListener("change", cargarSinMovimiento);
+  document.querySelectorAll("[data-csv]").forEach(boton => {
+    boton.addEventListener("click", () => exportarCsv(boton.dataset.csv));
+  });
+
+  document.querySelectorAll("section").forEach(seccion => {
+    seccion.style.display = seccion.id === "seccion-sin-sesion" ? "none" : "block";
+  });
+  cargarReportes();
+};
+
+function mostrarSinSesion() {
+  document.querySelectorAll("section").forEach(seccion => {
+    seccion.style.display = seccion.id === "seccion-sin-sesion" ? "block" : "none";
+  });
+}
+
+function fechaLocal(fecha) {
+  return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, "0")}-${String(fecha.getDate()).padStart(2, "0")}`;
+}
+
+function bs(monto) {
+  return `Bs ${Number(monto || 0).toFixed(2)}`;
+}
+
+// Parámetros de cada reporte según los filtros de la página
+function parametros(reporte) {
+  const periodo = {
+    desde: document.getElementById("filtro-desde").value,
+    hasta: document.getElementById("filtro-hasta").value
+  };
+  const porReporte = {
+    ventas: { ...periodo, periodo: document.getElementById("filtro-periodo").value },
+    productos: { ...periodo, orden: document.getElementById("orden-productos").value, limite: 10 },
+    controlados: periodo,
+    inventario: {},
+    "sin-movimiento": { dias: document.getElementById("dias-sin-movimiento").value }
+  };
+  const params = Object.entries(porReporte[reporte]).filter(([, valor]) => valor);
+  return new URLSearchParams(params);
+}
+
+async function cargarReportes() {
+  await Promise.all([cargarVentas(), cargarProductos(), cargarControlados(), cargarInventario(), cargarSinMovimiento()]);
+}
+
+async function exportarCsv(reporte) {
+  try {
+    const params = parametros(reporte);
+    params.set("formato", "csv");
+    if (reporte === "productos") params.set("limite", 500);
+    const response = await fetch(`/api/admin/reportes/${reporte}?${params}`, {
+      headers: { "Authorization": `Bearer ${token}` }
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || "Error en el servidor");
+    }
+    const enlace = document.createElement("a");
+    enlace.href = URL.createObjectURL(await response.blob());
+    enlace.download = `reporte-${reporte}.csv`;
+    enlace.click();
+    URL.revokeObjectURL(enlace.href);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+// ==============================================
+// GRÁFICOS
+// ==============================================
+
+// Columnas verticales en SVG (una por período)
+function graficoColumnas(contenedor, filas, { etiqueta, valor, texto }) {
+  contenedor.innerHTML = "";
+  if (filas.length === 0) {
+    contenedor.textContent = "Sin datos en el período.";
+    return;
+  }
+  const alto = 200;
+  const ancho = Math.max(filas.length * 28, 300);
+  const maximo = Math.max(...filas.map(valor), 1);
+  const svg = document.createElementNS(SVG, "svg");
+  svg.setAttribute("viewBox", `0 0 ${ancho} ${alto + 40}`);
+  svg.setAttribute("width", "100%");
+
+  const paso = ancho / filas.length;
+  // Con muchos períodos solo se rotulan algunos
+  const cadaEtiqueta = Math.ceil(filas.length / 15);
+  filas.forEach((fila, i) => {
+    const altura = (valor(fila) / maximo) * alto;
+    const barra = document.createElementNS(SVG, "rect");
+    barra.setAttribute("x", i * paso + paso * 0.15);
+    barra.setAttribute("y", alto - altura);
+    barra.setAttribute("width", paso * 0.7);
+    barra.setAttribute("height", altura);
+    barra.setAttribute("class", "barra");
+    const titulo = document.createElementNS(SVG, "title");
+    titulo.textContent = texto(fila);
+    barra.appendChild(titulo);
+    svg.appendChild(barra);
+
+    if (i % cadaEtiqueta === 0) {
+      const rotulo = document.createElementNS(SVG, "text");
+      rotulo.setAttribute("x", i * paso + paso / 2);
+      rotulo.setAttribute("y", alto + 15);
+      rotulo.setAttribute("text-anchor", "middle");
+      rotulo.setAttribute("font-size", "10");
+      rotulo.textContent = etiqueta(fila);
+      svg.appendChild(rotulo);
+    }
+  });
+  contenedor.appendChild(svg);
+}
+
+// Barras horizontales (un producto o grupo por fila)
+function graficoBarras(contenedor, filas, { etiqueta, valor, texto }) {
+  contenedor.innerHTML = "";
+  if (filas.length === 0) {
+    contenedor.textContent = "Sin datos.";
+    return;
+  }
+  const maximo = Math.max(...filas.map(valor), 1);
+  filas.forEach(fila => {
+    const linea = document.createElement("div");
+    linea.className = "barra-horizontal";
+    const nombre = document.createElement("span");
+    nombre.className = "barra-etiqueta";
+    nombre.textContent = etiqueta(fila);
+    const barra = document.createElement("span");
+    barra.className = "barra";
+    barra.style.width = `${(valor(fila) / maximo) * 60}%`;
+    const cifra = document.createElement("span");
+    cifra.textContent = texto(fila);
+    linea.append(nombre, barra, cifra);
+    contenedor.appendChild(linea);
+  });
+}
+
+function mostrarError(id, error) {
+  console.error(`Error cargando ${id}:`, error);
+  document.getElementById(id).textContent = `Error: ${error.message}`;
+}
+
+// ==============================================
+// REPORTES
+// ==============================================
+
+async function cargarVentas() {
+  try {
+    const data = await api(`/api/admin/reportes/ventas?${parametros("ventas")}`);
+    const { totales } = data;
+    document.getElementById("indicadores").innerHTML = "";
+    [
+      ["Ventas", bs(totales.ventas)],
+      ["Pedidos", totales.pedidos],
+      ["Unidades", totales.unidades],
+      ["Ticket promedio", bs(totales.ticketPromedio)],
+      ["Descuentos", bs(totales.descuento)],
+      ["Envíos", bs(totales.envios)]
+    ].forEach(([titulo, valor]) => {
+      const tarjeta = document.createElement("div");
+      tarjeta.className = "indicador";
+      tarjeta.innerHTML = `<small></small><strong></strong>`;
+      tarjeta.querySelector("small").textContent = titulo;
+      tarjeta.querySelector("strong").textContent = valor;
+      document.getElementById("indicadores").appendChild(tarjeta);
+    });
+
+    graficoColumnas(document.getElementById("grafico-ventas"), data.filas, {
+      etiqueta: fila => (data.periodo === "mes" ? fila.periodo : fila.periodo.slice(5)),
+      valor: fila => fila.ventas,
+      texto: fila => `${fila.periodo}: ${bs(fila.ventas)} en ${fila.pedidos} pedido(s)`
+    });
+  } catch (error) {
+    mostrarError("grafico-ventas", error);
+  }
+}
+
+async function cargarProductos() {
+  try {
+    const data = await api(`/api/admin/reportes/productos?${parametros("productos")}`);
+    const porUnidades = data.orden === "unidades";
+    graficoBarras(document.getElementById("grafico-productos"), data.filas, {
+      etiqueta: fila => fila.nombre,
+      valor: fila => fila[data.orden],
+      texto: fila => (porUnidades ? `${fila.unidades} u. (${bs(fila.ventas)})` : `${bs(fila.ventas)} (${fila.unidades} u.)`)
+    });
+  } catch (error) {
+    mostrarError("grafico-productos", error);
+  }
+}
+
+async function cargarControlados() {
+  try {
+    const data = await api(`/api/admin/reportes/controlados?${parametros("controlados")}`);
+    const { controlados, noControlados } = data.resumen;
+    graficoBarras(document.getElementById("grafico-controlados"), [
+      { nombre: "Controlados", ...controlados },
+      { nombre: "No controlados", ...noControlados },
+      ...data.filas.map(fila => ({ ...fila, nombre: `· ${fila.nombre}${fila.controlado ? " (controlado)" : ""}` }))
+    ], {
+      etiqueta: fila => fila.nombre,
+      valor: fila => fila.ventas,
+      texto: fila => `${bs(fila.ventas)} · ${fila.porcentaje}% · ${fila.unidades} u.`
+    });
+  } catch (error) {
+    mostrarError("grafico-controlados", error);
+  }
+}
+
+async function cargarInventario() {
+  try {
+    const data = await api("/api/admin/reportes/inventario");
+    const { totales } = data;
+    document.getElementById("resumen-inventario").textContent =
+      `${totales.unidades} unidades en ${totales.productos} productos. ` +
+      `Al costo: ${bs(totales.valorCosto)}` +
+      (totales.sinCosto > 0 ? ` (${totales.sinCosto} productos sin costo cargado)` : "") +
+      ` · A precio de venta: ${bs(totales.valorVenta)}` +
+      (totales.unidadesVencidas > 0 ? ` · Vencido: ${totales.unidadesVencidas} unidades (${bs(totales.valorVencidoCosto)} al costo)` : "");
+    graficoBarras(document.getElementById("grafico-inventario"), data.filas.slice(0, 10), {
+      etiqueta: fila => fila.nombre,
+      valor: fila => fila.valorVenta,
+      texto: fila => `${bs(fila.valorVenta)}${fila.valorCosto !== null ? ` (costo ${bs(fila.valorCosto)})` : ""} · ${fila.stock} u.`
+    });
+  } catch (error) {
+    mostrarError("resumen-inventario", error);
+  }
+}
+
+async function cargarSinMovimiento() {
+  try {
+    const data = await api(`/api/admin/reportes/sin-movimiento?${parametros("sin-movimiento")}`);
+    document.getElementById("resumen-sin-movimiento").textContent =
+      `${data.totales.productos} productos con stock sin ventas: ${bs(data.totales.valorCosto)} al costo, ` +
+      `${bs(data.totales.valorVenta)} a precio de venta.`;
+    const tbody = document.querySelector("#tabla-sin-movimiento tbody");
+    tbody.innerHTML = "";
+    data.filas.forEach(fila => {
+      const tr = document.createElement("tr");
+      [
+        fila.nombre,
+        fila.stock,
+        fila.ultimaVenta ? `${new Date(fila.ultimaVenta).toLocaleDateString()} (hace ${fila.diasSinVenta} días)` : "Nunca",
+        fila.valorCosto !== null ? fila.valorCosto.toFixed(2) : "-",
+        fila.valorVenta.toFixed(2)
+      ].forEach(valor => {
+        const td = document.createElement("td");
+        td.textContent = valor;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+  } catch (error) {
+    mostrarError("resumen-sin-movimiento", error);
+  }
+}
@@ -1,32 +1,87 @@
 let carrito = [];
-let sessionId = localStorage.getItem("sessionId");
-if (!sessionId) {
-  sessionId = "session-" + Math.random().toString(36).slice(2);
+// Última revisión de interacciones del carrito (la devuelve /api/verificar-stock)
+let interaccionesCarrito = null;
+// Cupón ingresado por el cliente (lo valida el servidor en la vista previa de precios)
+let cuponCarrito = "";
+// Solo se muestra la última vista previa pedida
+let cotizacionActual = 0;
+// Categorías regulatorias por clave (GET /api/categorias): nombre y requisitos de cada una
+let categorias = {};
+// Si la farmacia acepta pagos por QR (GET /api/entregas, "metodosPago")
+let pagoQrDisponible = false;
+// Token de la cuenta del cliente (vacío si no inició sesión)
+let tokenCliente = localStorage.getItem("tokenCliente") || "";
+// Sesión del navegador: la emite y firma el servidor (las generadas aquí antes, sin "ses-", se reemplazan)
+let sessionId = localStorage.getItem("sessionId") || "";
+
+async function nuevaSesion() {
+  const response = await fetch("/api/sesiones", { method: "POST" });
+  if (!response.ok) throw new Error("No se pudo iniciar la sesión");
+  sessionId = (await response.json()).sessionId;
   localStorage.setItem("sessionId", sessionId);
 }
 
-// Función para obtener medicamentos desde la API
-async function obtenerMedicamentos() {
+// Buscar medicamentos en la API (misma búsqueda para sugerencias y resultados)
+async function buscarEnCatalogo(texto, opciones = {}) {
+  const params = new URLSearchParams({ query: texto, sessionId, ...opciones });
+  const response = await fetch(`/api/medicamentos?${params}`);
+  if (!response.ok) throw new Error("Error en la búsqueda");
+  return response.json();
+}
+
+async function cargarCategorias() {
   try {
-    const response = await fetch('/api/medicamentos?query=');
-    if (!response.ok) throw new Error("Error al obtener medicamentos");
-    return await response.json();
+    const response = await fetch("/api/categorias");
+    if (!response.ok) throw new Error("Error obteniendo categorías");
+    const data = await response.json();
+    categorias = Object.fromEntries(data.categorias.map(c => [c.clave, c]));
   } catch (error) {
-    console.error("Error obteniendo medicamentos:", error);
-    return [];
+    console.error("Error cargando categorías:", error);
   }
 }
 
+// Aviso con lo que exige la categoría del producto (nada para los de venta libre)
+function avisoCategoria(med) {
+  const categoria = categorias[med.categoria];
+  if (!categoria || !categoria.requiereReceta) return "";
+  return `<p class="advertencia">⚠️ ${categoria.nombre}: ${categoria.requisitos}</p>`;
+}
+
 window.onload = async function () {
+  if (!sessionId.startsWith("ses-")) {
+    await nuevaSesion().catch(error => console.error("Error iniciando la sesión:", error));
+  }
+
+  // El carrito empieza vacío: liberar cualquier reserva previa de esta sesión
+  sincronizarReserva([]).catch(error => console.error("Error liberando reserva:", error));
+
+  // Estado de las recetas enviadas desde esta sesión
+  cargarMisRecetas();
+
+  // Cuenta del cliente, si inició sesión antes
+  cargarCuenta();
+
+  cargarCategorias();
+
+  // Turnos de retiro y zonas de delivery
+  cargarEntregas();
+  document.querySelectorAll('input[name="tipo-entrega"]').forEach(opcion => opcion.addEventListener("change", cambiarTipoEntrega));
+  document.getElementById("zona-delivery").addEventListener("change", cotizarCarrito);
+
   // Evento input para autocompletar búsqueda
   document.getElementById("input-busqueda").addEventListener("input", mostrarSugerencias);
 
+  // Conversación previa con SANABOT (se conserva entre recargas)
+  cargarHistorialChat();
+
   // Evento click para enviar pregunta en chat
-  document.querySelector("#chatbox button").addEventListener("click", async (event) => {
+  document.getElementById("btn-enviar").addEventListener("click", async (event) => {
     event.preventDefault();
     await manejarEnvioPregunta();
   });
 
+  document.getElementById("btn-nueva-conversacion").addEventListener("click", nuevaConversacion);
+
   // Enviar pregunta con Enter en input-chat
   document.getElementById("input-chat").addEventListener("keydown", async (event) => {
     if (event.key === "Enter") {
@@ -36,24 +91,40 @@ window.onload = async function () {
   });
 };
 
+let temporizadorSugerencias = null;
+
 function mostrarSugerencias() {
-  const input = document.getElementById("input-busqueda").value.trim().toLowerCase();
+  const input = document.getElementById("input-busqueda").value.trim();
   const lista = document.getElementById("sugerencias");
-  lista.innerHTML = "";
 
   // Mostrar sugerencias desde la 3ra letra
   if (input.length < 3) {
+    lista.innerHTML = "";
     lista.style.display = "none";
     return;
   }
 
-  // Filtrar medicamentos (excepto controlados)
-  const medicamentosNormales = medicamentos.filter(med => !med.controlado);
-  
-  const sugerencias = medicamentosNormales
-    .filter(med => med.nombre.toLowerCase().includes(input))
-    .slice(0, 5);
+  // Esperar a que el usuario deje de escribir para no consultar en cada tecla
+  clearTimeout(temporizadorSugerencias);
+  temporizadorSugerencias = setTimeout(() => cargarSugerencias(input), 250);
+}
 
+async function cargarSugerencias(input) {
+  const lista = document.getElementById("sugerencias");
+
+  let sugerencias = [];
+  try {
+    // La API ya excluye los controlados si no se pide controlado=true
+    const data = await buscarEnCatalogo(input, { limit: 5 });
+    sugerencias = data.resultados;
+  } catch (error) {
+    console.error("Error obteniendo sugerencias:", error);
+  }
+
+  // Si el texto cambió mientras esperábamos, descartar esta respuesta
+  if (document.getElementById("input-busqueda").value.trim() !== input) return;
+
+  lista.innerHTML = "";
   if (sugerencias.length === 0) {
     lista.style.display = "none";
     return;
@@ -63,7 +134,7 @@ function mostrarSugerencias() {
 
   sugerencias.forEach(med => {
     const li = document.createElement("li");
-    li.textContent = `${med.nombre} ${med.mg || ""} - Bs ${med.precio.toFixed(2)}`;
+    li.textContent = `${med.nombre} - Bs ${med.precio.toFixed(2)}`;
     li.classList.add("sugerencia-item");
     li.addEventListener("click", () => {
       document.getElementById("input-busqueda").value = med.nombre;
@@ -89,10 +160,7 @@ async function buscarMedicamento() {
   }
 
   try {
-    const response = await fetch(`/api/medicamentos?query=${encodeURIComponent(input)}`);
-    if (!response.ok) throw new Error("Error en la búsqueda");
-    
-    const resultados = await response.json();
+    const { resultados } = await buscarEnCatalogo(input);
 
     if (resultados.length === 0) {
       resultadoDiv.innerHTML = "<p>No se encontró el medicamento.</p>";
@@ -106,6 +174,9 @@ async function buscarMedicamento() {
         <br>
         Cantidad: <input type="number" min="1" max="${med.stock}" value="1" data-id="${med._id}" data-nombre="${med.nombre}" style="width: 60px" />
         <button onclick="agregarAlCarrito('${med._id}', '${med.nombre}', ${med.precio}, ${med.stock})">Agregar</button>
+        ${med.principioActivo && med.concentracion ? `<button onclick="mostrarEquivalentes('${med._id}')">Ver genéricos</button>` : ""}
+        ${avisoCategoria(med)}
+        <div id="equivalentes-${med._id}"></div>
         <hr>
       `;
       resultadoDiv.appendChild(div);
@@ -116,6 +187,38 @@ async function buscarMedicamento() {
   }
 }
 
+// Mostrar alternativas con el mismo principio activo y concentración
+async function mostrarEquivalentes(id) {
+  const contenedor = document.getElementById(`equivalentes-${id}`);
+  contenedor.innerHTML = "<p>Buscando alternativas...</p>";
+
+  try {
+    const response = await fetch(`/api/medicamentos/${encodeURIComponent(id)}/equivalentes?sessionId=${encodeURIComponent(sessionId)}`);
+    if (!response.ok) throw new Error("Error buscando alternativas");
+    const { medicamento, equivalentes } = await response.json();
+
+    if (equivalentes.length === 0) {
+      contenedor.innerHTML = "<p>No hay alternativas para este producto.</p>";
+      return;
+    }
+
+    contenedor.innerHTML = `<p>Alternativas de ${medicamento.principioActivo} ${medicamento.concentracion}:</p>`;
+    equivalentes.forEach(med => {
+      const div = document.createElement("div");
+      div.classList.add("equivalente");
+      div.innerHTML = `
+        ${med.nombre} - Bs ${med.precio.toFixed(2)} - Stock: ${med.stock}
+        <input type="number" min="1" max="${med.stock}" value="1" data-id="${med._id}" data-nombre="${med.nombre}" style="width: 60px" />
+        <button onclick="agregarAlCarrito('${med._id}', '${med.nombre}', ${med.precio}, ${med.stock})">Agregar</button>
+      `;
+      contenedor.appendChild(div);
+    });
+  } catch (error) {
+    contenedor.innerHTML = `<p>Error: ${error.message}</p>`;
+    console.error("Error buscando equivalentes:", error);
+  }
+}
+
 async function agregarAlCarrito(id, nombre, precio, stockMaximo) {
   const cantidadInput = document.querySelector(`input[data-id="${id}"]`);
   if (!cantidadInput) {
@@ -129,40 +232,25 @@ async function agregarAlCarrito(id, nombre, precio, stockMaximo) {
     return;
   }
 
-  // Verificar stock disponible
+  // Verificar stock y reservar el carrito completo para esta sesión
   try {
-    const response = await fetch(`/api/medicamentos?query=${encodeURIComponent(nombre)}`);
-    if (!response.ok) throw new Error("Error verificando stock");
-    
-    const resultados = await response.json();
-    const medicamento = resultados.find(m => m.nombre === nombre);
-    
-    if (!medicamento) {
-      alert("Medicamento no encontrado.");
-      return;
-    }
+    const existente = carrito.find(item => item.id === id);
+    const carritoNuevo = existente
+      ? carrito.map(item => item.id === id ? { ...item, cantidad: item.cantidad + cantidad } : item)
+      : [...carrito, { id, nombre, precio, cantidad, stockMaximo }];
+
+    const data = await sincronizarReserva(carritoNuevo);
 
-    if (cantidad > medicamento.stock) {
-      alert(`No hay suficiente stock. Stock disponible: ${medicamento.stock}`);
+    if (!data.success) {
+      const detalle = data.errors?.[0]?.error || data.error || "No hay suficiente stock.";
+      alert(detalle);
       return;
     }
 
-    const existente = carrito.find(item => item.id === id);
-    if (existente) {
-      if (existente.cantidad + cantidad > medicamento.stock) {
-        alert(`No hay suficiente stock. Stock disponible: ${medicamento.stock}`);
-        return;
-      }
-      existente.cantidad += cantidad;
-    } else {
-      carrito.push({ 
-        id,
-        nombre, 
-        precio, 
-        cantidad,
-        stockMaximo: medicamento.stock
-      });
-    }
+    carrito = carritoNuevo.map(item => {
+      const verificado = data.items.find(v => v.id === item.id);
+      return verificado ? { ...item, precio: verificado.precio, stockMaximo: verificado.stockDisponible } : item;
+    });
 
     actualizarCarrito();
   } catch (error) {
@@ -171,28 +259,159 @@ async function agregarAlCarrito(id, nombre, precio, stockMaximo) {
   }
 }
 
+// Verifica el stock del carrito y mantiene la reserva de la sesión en el servidor
+async function sincronizarReserva(items) {
+  if (items.length === 0) {
+    await fetch(`/api/reservas/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    mostrarInteracciones(null);
+    return { success: true, items: [] };
+  }
+
+  const response = await fetch('/api/verificar-stock', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      items: items.map(item => ({ id: item.id, nombre: item.nombre, cantidad: item.cantidad, receta: item.receta })),
+      sessionId
+    })
+  });
+
+  const data = await response.json();
+  if (data.success) mostrarInteracciones(data.interacciones);
+  return data;
+}
+
+// Consulta las interacciones del carrito actual (p. ej. después de que SANABOT agregó un producto)
+async function revisarInteracciones() {
+  if (carrito.length === 0) {
+    mostrarInteracciones(null);
+    return null;
+  }
+  const response = await fetch("/api/interacciones", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ items: carrito.map(item => ({ id: item.id, nombre: item.nombre })) })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || "Error al revisar interacciones");
+  mostrarInteracciones(data);
+  return data;
+}
+
+function mostrarInteracciones(revision) {
+  interaccionesCarrito = revision;
+  const contenedor = document.getElementById("interacciones-carrito");
+  contenedor.innerHTML = "";
+  if (!revision) return;
+
+  [...revision.interacciones, ...revision.duplicidades].forEach(advertencia => {
+    const div = document.createElement("div");
+    div.classList.add("advertencia", `severidad-${advertencia.severidad}`);
+    const titulo = advertencia.tipo === "duplicidad" ? "Duplicidad" : "Interacción";
+    div.innerHTML = `<strong></strong><span></span><small></small>`;
+    div.querySelector("strong").textContent = `${titulo} ${advertencia.severidad}: `;
+    div.querySelector("span").textContent = advertencia.descripcion;
+    div.querySelector("small").textContent = advertencia.productos.map(p => p.nombre).join(" + ");
+    contenedor.appendChild(div);
+  });
+}
+
 function actualizarCarrito() {
   const lista = document.getElementById("lista-carrito");
-  const totalSpan = document.getElementById("total");
   lista.innerHTML = "";
-  let total = 0;
 
   carrito.forEach(item => {
     const li = document.createElement("li");
     li.innerHTML = `
-      ${item.nombre} x ${item.cantidad} = Bs ${(item.precio * item.cantidad).toFixed(2)}
+      ${item.nombre} x ${item.cantidad} = <span class="precio-linea">...</span>
       <button onclick="eliminarDelCarrito('${item.id}')" style="margin-left: 10px; background: #ff4444; padding: 2px 6px;">×</button>
     `;
     lista.appendChild(li);
-    total += item.precio * item.cantidad;
   });
 
-  totalSpan.textContent = `Total: Bs ${total.toFixed(2)}`;
+  cotizarCarrito();
 }
 
-function eliminarDelCarrito(id) {
+// Precios, descuentos y total del carrito calculados por el servidor (lo mismo que se cobrará)
+async function cotizarCarrito() {
+  const totalSpan = document.getElementById("total");
+  document.getElementById("descuentos-carrito").innerHTML = "";
+  document.getElementById("estado-cupon").textContent = "";
+  if (carrito.length === 0) {
+    totalSpan.textContent = "Total: Bs 0.00";
+    return;
+  }
+
+  const consulta = ++cotizacionActual;
+  try {
+    const response = await fetch("/api/precios", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        items: carrito.map(item => ({ id: item.id, nombre: item.nombre, cantidad: item.cantidad })),
+        cupon: cuponCarrito || undefined,
+        entrega: leerEntrega()
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.errors?.[0]?.error || data.error || "Error al calcular los precios");
+    if (consulta === cotizacionActual) mostrarPrecios(data);
+  } catch (error) {
+    console.error("Error calculando precios:", error);
+    if (consulta === cotizacionActual) totalSpan.textContent = `Total: no disponible (${error.message})`;
+  }
+}
+
+function mostrarPrecios(precios) {
+  const spans = document.querySelectorAll("#lista-carrito .precio-linea");
+  precios.items.forEach((linea, i) => {
+    const span = spans[i];
+    if (!span) return;
+    span.textContent = linea.descuento > 0
+      ? `Bs ${linea.subtotal.toFixed(2)} (antes Bs ${(linea.precio * linea.cantidad).toFixed(2)})`
+      : `Bs ${linea.subtotal.toFixed(2)}`;
+  });
+
+  const descuentos = document.getElementById("descuentos-carrito");
+  precios.promociones.forEach(promocion => {
+    const p = document.createElement("p");
+    p.classList.add("descuento");
+    p.textContent = `${promocion.nombre}: -Bs ${promocion.monto.toFixed(2)}`;
+    descuentos.appendChild(p);
+  });
+  if (precios.envio.tipo === "delivery") {
+    const p = document.createElement("p");
+    p.textContent = precios.envio.error || `Envío: Bs ${precios.envio.costo.toFixed(2)}`;
+    if (precios.envio.error) p.classList.add("error");
+    descuentos.appendChild(p);
+  }
+
+  document.getElementById("total").textContent = precios.descuento > 0
+    ? `Total: Bs ${precios.total.toFixed(2)} (ahorras Bs ${precios.descuento.toFixed(2)})`
+    : `Total: Bs ${precios.total.toFixed(2)}`;
+  if (precios.cupon) {
+    document.getElementById("estado-cupon").textContent = precios.cupon.aplicado
+      ? `Cupón ${precios.cupon.codigo} aplicado.`
+      : precios.cupon.error;
+  }
+}
+
+function aplicarCupon() {
+  cuponCarrito = document.getElementById("cupon-carrito").value.trim();
+  actualizarCarrito();
+}
+
+async function eliminarDelCarrito(id) {
   carrito = carrito.filter(item => item.id !== id);
   actualizarCarrito();
+
+  // Liberar lo que ya no está en el carrito
+  try {
+    await sincronizarReserva(carrito);
+  } catch (error) {
+    console.error("Error actualizando la reserva:", error);
+  }
+  cargarMisRecetas();
 }
 
 async function enviarPedido() {
@@ -202,16 +421,39 @@ async function enviarPedido() {
   }
 
   try {
-    // 1. Enviar pedido al backend
+    // 1. Las interacciones graves se confirman antes de enviar
+    const revision = await revisarInteracciones();
+    let confirmaInteracciones = false;
+    if (revision && revision.requiereConfirmacion) {
+      const graves = [...revision.interacciones, ...revision.duplicidades]
+        .filter(advertencia => advertencia.severidad === "grave")
+        .map(advertencia => `- ${advertencia.productos.map(p => p.nombre).join(" + ")}: ${advertencia.descripcion}`);
+      confirmaInteracciones = confirm(
+        `Atención, tu pedido tiene advertencias graves:\n\n${graves.join("\n")}\n\n` +
+        "La farmacéutica las revisará contigo. ¿Deseas enviarlo de todos modos?"
+      );
+      if (!confirmaInteracciones) return;
+    }
+
+    // 2. Enviar pedido al backend
     const response = await fetch('/api/pedidos', {
       method: 'POST',
-      headers: {
+      headers: cabecerasCliente({
         'Content-Type': 'application/json',
         'Accept': 'application/json'
-      },
+      }),
       body: JSON.stringify({
         items: carrito,
-        sessionId
+        sessionId,
+        telefono: document.getElementById("telefono-cliente").value.trim() || undefined,
+        cupon: cuponCarrito || undefined,
+        entrega: leerEntrega(),
+        metodoPago: document.querySelector('input[name="metodo-pago"]:checked').value,
+        cliente: {
+          nombre: document.getElementById("nombre-cliente").value.trim(),
+          nit: document.getElementById("nit-cliente").value.trim()
+        },
+        confirmaInteracciones
       })
     });
 
@@ -224,20 +466,24 @@ async function enviarPedido() {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Error en el servidor');
+      throw new Error(data.errors?.[0]?.error || data.error || 'Error en el servidor');
     }
 
-    // 2. Generar mensaje WhatsApp
-    const mensaje = generarMensajeWhatsApp(carrito, data.numeroPedido);
-    const numeroFarmacia = '59175600630'; // Reemplaza con número real
-
-    // 3. Solución universal para WhatsApp
-    if (confirm('¿Enviar pedido por WhatsApp al farmacéutico?')) {
-      abrirWhatsAppUniversal(numeroFarmacia, mensaje);
+    // 3. La farmacia recibe el pedido por WhatsApp desde el servidor
+    alert(data.telefono
+      ? `Pedido ${data.numeroPedido} enviado a la farmacia. Te avisaremos por WhatsApp al ${data.telefono}.`
+      : `Pedido ${data.numeroPedido} enviado a la farmacia.`);
+    mostrarComprobante(data);
+    if (data.metodoPago === "qr") {
+      pagarConQr(data.numeroPedido);
+    } else {
+      mostrarOpcionPago(data.numeroPedido);
     }
 
-    // 4. Limpiar carrito
+    // 4. Limpiar carrito (y actualizar los cupos de los turnos)
     limpiarCarrito();
+    cargarEntregas();
+    if (tokenCliente) cargarMisPedidos();
 
   } catch (error) {
     console.error('Error en enviarPedido:', error);
@@ -245,75 +491,204 @@ async function enviarPedido() {
   }
 }
 
-// Función mejorada para abrir WhatsApp en todos los dispositivos
-function abrirWhatsAppUniversal(numero, mensaje) {
-  // Limpiar el número (solo dígitos)
-  const numeroLimpio = numero.replace(/\D/g, '');
-  const mensajeCodificado = encodeURIComponent(mensaje);
-  
-  // URLs para diferentes plataformas
-  const urlWeb = `https://web.whatsapp.com/send?phone=${numeroLimpio}&text=${mensajeCodificado}`;
-  const urlMobile = `https://api.whatsapp.com/send?phone=${numeroLimpio}&text=${mensajeCodificado}`;
-  const urlIOS = `whatsapp://send?phone=${numeroLimpio}&text=${mensajeCodificado}`;
-  
-  // Detectar dispositivo
-  const esIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
-  const esAndroid = /Android/i.test(navigator.userAgent);
-  
-  // Intentar abrir WhatsApp según el dispositivo
-  if (esIOS) {
-    // Primero intentamos con el esquema de URL para iOS
-    window.location.href = urlIOS;
-    
-    // Fallback después de un tiempo si no se abrió WhatsApp
-    setTimeout(() => {
-      if (!document.hidden) {
-        // Si no se abrió la app, mostramos el mensaje para copiar manualmente
-        const deberiaAbrir = confirm(
-          'No se pudo abrir WhatsApp automáticamente. ¿Quieres copiar el mensaje para enviarlo manualmente?'
-        );
-        if (deberiaAbrir) {
-          copiarMensajeWhatsApp(mensaje);
-          window.open(urlMobile, '_blank');
-        }
-      }
-    }, 500);
-  } else if (esAndroid) {
-    // Para Android usamos el esquema estándar
-    window.open(urlMobile, '_blank');
-  } else {
-    // Para escritorio usamos web.whatsapp.com
-    window.open(urlWeb, '_blank');
+// ==============================================
+// RETIRO EN FARMACIA O DELIVERY
+// ==============================================
+
+async function cargarEntregas() {
+  try {
+    const response = await fetch("/api/entregas");
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Error consultando las opciones de entrega");
+
+    pagoQrDisponible = data.metodosPago.includes("qr");
+    const opcionQr = document.querySelector('input[name="metodo-pago"][value="qr"]');
+    opcionQr.parentElement.style.display = pagoQrDisponible ? "" : "none";
+    if (!pagoQrDisponible && opcionQr.checked) {
+      document.querySelector('input[name="metodo-pago"][value="entrega"]').checked = true;
+    }
+
+    document.getElementById("direccion-farmacia").textContent = `Retira en: ${data.retiro.direccion}`;
+    const turnos = document.getElementById("turno-retiro");
+    const elegido = turnos.value;
+    turnos.innerHTML = data.retiro.turnos.length > 0
+      ? ""
+      : '<option value="">No hay turnos disponibles en los próximos días</option>';
+    data.retiro.turnos.forEach(turno => {
+      const opcion = document.createElement("option");
+      opcion.value = turno.clave;
+      opcion.disabled = turno.disponibles === 0;
+      opcion.textContent = turno.disponibles > 0 ? `${turno.horario} (${turno.disponibles} cupos)` : `${turno.horario} (completo)`;
+      turnos.appendChild(opcion);
+    });
+    const libre = data.retiro.turnos.find(turno => turno.clave === elegido && turno.disponibles > 0) ||
+      data.retiro.turnos.find(turno => turno.disponibles > 0);
+    if (libre) turnos.value = libre.clave;
+
+    const zonas = document.getElementById("zona-delivery");
+    if (zonas.options.length === 0) {
+      data.delivery.zonas.forEach(zona => {
+        const opcion = document.createElement("option");
+        opcion.value = zona.clave;
+        opcion.textContent = `${zona.nombre}: envío Bs ${zona.costo.toFixed(2)}` +
+          (zona.minimo > 0 ? ` (pedido mínimo Bs ${zona.minimo.toFixed(2)})` : "");
+        zonas.appendChild(opcion);
+      });
+    }
+  } catch (error) {
+    console.error("Error cargando opciones de entrega:", error);
   }
 }
 
-// Función para copiar el mensaje al portapapeles
-function copiarMensajeWhatsApp(mensaje) {
-  const textarea = document.createElement('textarea');
-  textarea.value = mensaje;
-  document.body.appendChild(textarea);
-  textarea.select();
-  document.execCommand('copy');
-  document.body.removeChild(textarea);
-  alert('Mensaje copiado al portapapeles. Pégalo en WhatsApp para enviarlo.');
+function tipoEntrega() {
+  return document.querySelector('input[name="tipo-entrega"]:checked').value;
+}
+
+function cambiarTipoEntrega() {
+  const delivery = tipoEntrega() === "delivery";
+  document.getElementById("opciones-retiro").style.display = delivery ? "none" : "";
+  document.getElementById("opciones-delivery").style.display = delivery ? "" : "none";
+  cotizarCarrito();
+}
+
+function leerEntrega() {
+  if (tipoEntrega() === "retiro") {
+    return { tipo: "retiro", turno: document.getElementById("turno-retiro").value };
+  }
+  return {
+    tipo: "delivery",
+    zona: document.getElementById("zona-delivery").value,
+    direccion: document.getElementById("direccion-delivery").value.trim(),
+    referencia: document.getElementById("referencia-delivery").value.trim()
+  };
 }
 
-function generarMensajeWhatsApp(items, numeroPedido) {
-  let total = 0;
-  const detalles = items.map(item => {
-    const subtotal = item.precio * item.cantidad;
-    total += subtotal;
-    return `- ${item.nombre} x${item.cantidad} = Bs ${subtotal.toFixed(2)}`;
-  }).join('\n');
+// Enlaces al comprobante de venta del último pedido (la sesión del pedido demuestra que es nuestro)
+function mostrarComprobante(data) {
+  const contenedor = document.getElementById("comprobante-pedido");
+  contenedor.innerHTML = "";
+  if (!data.comprobante) return;
 
-  return `🚀 *PEDIDO #${numeroPedido}*\n\n${detalles}\n\n💰 *Total:* Bs ${total.toFixed(2)}`;
+  const url = `/api/pedidos/${encodeURIComponent(data.numeroPedido)}/comprobante`;
+  contenedor.append(`Comprobante Nº ${String(data.comprobante).padStart(8, "0")}: `);
+  [["Ver / imprimir", "html"], ["Descargar PDF", "pdf"]].forEach(([texto, formato], i) => {
+    const enlace = document.createElement("a");
+    enlace.href = `${url}?${new URLSearchParams({ formato, sessionId })}`;
+    enlace.target = "_blank";
+    enlace.textContent = texto;
+    if (i > 0) contenedor.append(" · ");
+    contenedor.append(enlace);
+  });
+}
+
+// ==============================================
+// PAGO CON QR
+// ==============================================
+// El QR vence si no se paga a tiempo (y con él el pedido, si se eligió pagar por QR); mientras
+// está pendiente se consulta cada pocos segundos si la pasarela ya confirmó el pago.
+
+let consultaPago = null;
+
+function detenerConsultaPago() {
+  clearInterval(consultaPago);
+  consultaPago = null;
+}
+
+function mostrarOpcionPago(numeroPedido) {
+  const contenedor = document.getElementById("pago-pedido");
+  detenerConsultaPago();
+  contenedor.innerHTML = "";
+  if (!pagoQrDisponible) return;
+  const boton = document.createElement("button");
+  boton.textContent = "Pagar ahora con QR";
+  boton.onclick = () => pagarConQr(numeroPedido);
+  contenedor.appendChild(boton);
+}
+
+async function pagarConQr(numeroPedido) {
+  try {
+    const response = await fetch(`/api/pedidos/${encodeURIComponent(numeroPedido)}/pago`, {
+      method: 'POST',
+      headers: cabecerasCliente({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ sessionId })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "No se pudo generar el QR de pago");
+    mostrarPago(numeroPedido, data);
+  } catch (error) {
+    console.error("Error generando el QR de pago:", error);
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function mostrarPago(numeroPedido, { pago, simulacion }) {
+  const contenedor = document.getElementById("pago-pedido");
+  contenedor.innerHTML = "";
+  if (pago.estado !== "pendiente") {
+    detenerConsultaPago();
+    contenedor.textContent = pago.estado === "pagado"
+      ? `✅ Recibimos tu pago de Bs ${Number(pago.monto).toFixed(2)}. ¡Gracias!`
+      : pago.cancelaPedido
+        ? "El QR venció sin recibir el pago y el pedido fue cancelado."
+        : "El QR venció sin recibir el pago. Puedes pagar al retirar o recibir tu pedido.";
+    return;
+  }
+
+  const imagen = document.createElement("img");
+  imagen.src = pago.imagen;
+  imagen.alt = `QR de pago del pedido ${numeroPedido}`;
+  const detalle = document.createElement("p");
+  detalle.textContent = `Escanea el QR con la app de tu banco: Bs ${Number(pago.monto).toFixed(2)}. ` +
+    `Vence a las ${new Date(pago.expiraEn).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}.`;
+  contenedor.append(imagen, detalle);
+
+  if (simulacion) {
+    const simular = document.createElement("button");
+    simular.textContent = "Simular pago (pasarela de prueba)";
+    simular.onclick = () => simularPago(numeroPedido, pago.numero);
+    contenedor.appendChild(simular);
+  }
+
+  if (!consultaPago) consultaPago = setInterval(() => consultarPago(numeroPedido), 5000);
+}
+
+async function consultarPago(numeroPedido) {
+  try {
+    const consulta = new URLSearchParams({ sessionId });
+    const response = await fetch(`/api/pedidos/${encodeURIComponent(numeroPedido)}/pago?${consulta}`, {
+      headers: cabecerasCliente()
+    });
+    const data = await response.json();
+    if (response.ok && data.pago.estado !== "pendiente") {
+      mostrarPago(numeroPedido, data);
+      if (tokenCliente) cargarMisPedidos();
+    }
+  } catch (error) {
+    console.error("Error consultando el pago:", error);
+  }
+}
+
+async function simularPago(numeroPedido, numeroPago) {
+  try {
+    const response = await fetch(`/api/pagos/${encodeURIComponent(numeroPago)}/simular`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "No se pudo simular el pago");
+    await consultarPago(numeroPedido);
+  } catch (error) {
+    console.error("Error simulando el pago:", error);
+    alert(`Error: ${error.message}`);
+  }
 }
 
 function limpiarCarrito() {
   carrito = [];
+  cuponCarrito = "";
+  document.getElementById("cupon-carrito").value = "";
   actualizarCarrito();
+  mostrarInteracciones(null);
   document.getElementById("resultado-busqueda").innerHTML = "";
   document.getElementById("input-busqueda").value = "";
+  cargarMisRecetas();
 }
 
 // Funciones del chat
@@ -325,24 +700,111 @@ async function manejarEnvioPregunta() {
     return;
   }
 
-  const respuesta = await enviarPregunta(pregunta);
+  input.value = "";
+  agregarMensajeChat("usuario", pregunta);
+  const textoBot = agregarMensajeChat("bot", "...");
 
+  // La respuesta se muestra a medida que llega
   const chatDiv = document.getElementById("chat-mensajes");
+  let recibido = "";
+  textoBot.textContent = await enviarPreguntaStream(pregunta, fragmento => {
+    recibido += fragmento;
+    textoBot.textContent = recibido;
+    chatDiv.scrollTop = chatDiv.scrollHeight;
+  });
+}
 
-  // Crear mensaje usuario
-  const mensajeUsuario = document.createElement("div");
-  mensajeUsuario.classList.add("mensaje", "usuario");
-  mensajeUsuario.innerHTML = `<div class="icono"></div><div class="texto">${pregunta}</div>`;
-  chatDiv.appendChild(mensajeUsuario);
+function agregarMensajeChat(rol, texto) {
+  const chatDiv = document.getElementById("chat-mensajes");
+  const mensaje = document.createElement("div");
+  mensaje.classList.add("mensaje", rol);
+  mensaje.innerHTML = `<div class="icono"></div><div class="texto"></div>`;
+  mensaje.querySelector(".texto").textContent = texto;
+  chatDiv.appendChild(mensaje);
+  chatDiv.scrollTop = chatDiv.scrollHeight;
+  return mensaje.querySelector(".texto");
+}
 
-  // Crear mensaje bot
-  const mensajeBot = document.createElement("div");
-  mensajeBot.classList.add("mensaje", "bot");
-  mensajeBot.innerHTML = `<div class="icono"></div><div class="texto">${respuesta}</div>`;
-  chatDiv.appendChild(mensajeBot);
+async function cargarHistorialChat() {
+  try {
+    const res = await fetch(`/chat/${encodeURIComponent(sessionId)}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    data.mensajes.forEach(mensaje => agregarMensajeChat(mensaje.rol, mensaje.texto));
+  } catch (error) {
+    console.error("Error cargando la conversación:", error);
+  }
+}
 
-  chatDiv.scrollTop = chatDiv.scrollHeight;
-  input.value = "";
+async function nuevaConversacion() {
+  try {
+    await fetch(`/chat/${encodeURIComponent(sessionId)}`, { method: "DELETE" });
+    document.getElementById("chat-mensajes").innerHTML = "";
+  } catch (error) {
+    alert("No se pudo reiniciar la conversación. Intenta nuevamente.");
+  }
+}
+
+// Productos que SANABOT agregó al carrito (ya quedaron reservados en el servidor)
+function aplicarAccionesChat(acciones) {
+  const agregados = acciones.filter(accion => accion.tipo === "agregarAlCarrito");
+  if (agregados.length === 0) return;
+
+  agregados.forEach(accion => {
+    const existente = carrito.find(item => item.id === accion.id);
+    if (existente) {
+      existente.cantidad += accion.cantidad;
+      existente.precio = accion.precio;
+      existente.stockMaximo = accion.stockMaximo;
+    } else {
+      carrito.push({ id: accion.id, nombre: accion.nombre, precio: accion.precio, cantidad: accion.cantidad, stockMaximo: accion.stockMaximo });
+    }
+  });
+  actualizarCarrito();
+  revisarInteracciones().catch(error => console.error("Error revisando interacciones:", error));
+}
+
+// Envía la pregunta a /chat/stream y va entregando los fragmentos (Server-Sent Events).
+// Devuelve la respuesta final; si el navegador no permite leer el stream, usa /chat.
+async function enviarPreguntaStream(pregunta, alFragmento) {
+  try {
+    const res = await fetch("/chat/stream", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ texto: pregunta, sessionId })
+    });
+
+    if (!res.ok) throw new Error("Error en la respuesta del servidor");
+    if (!res.body || !res.body.getReader) return enviarPregunta(pregunta);
+
+    const lector = res.body.getReader();
+    const decodificador = new TextDecoder();
+    let pendiente = "";
+    let final = null;
+
+    while (true) {
+      const { done, value } = await lector.read();
+      if (done) break;
+      pendiente += decodificador.decode(value, { stream: true });
+
+      // Cada evento termina con una línea en blanco
+      const eventos = pendiente.split("\n\n");
+      pendiente = eventos.pop();
+      for (const bloque of eventos) {
+        const evento = /^event: (.+)$/m.exec(bloque)?.[1];
+        const datos = JSON.parse(/^data: (.*)$/m.exec(bloque)?.[1] || "{}");
+        if (evento === "token") alFragmento(datos.texto);
+        if (evento === "error") return datos.error || "Error al conectar con el servidor.";
+        if (evento === "fin") {
+          aplicarAccionesChat(datos.acciones || []);
+          final = datos.respuesta;
+        }
+      }
+    }
+    return final || "No se obtuvo respuesta.";
+  } catch (error) {
+    return "Error al conectar con el servidor.";
+  }
 }
 
 async function enviarPregunta(pregunta) {
@@ -358,6 +820,7 @@ async function enviarPregunta(pregunta) {
     if (!res.ok) throw new Error("Error en la respuesta del servidor");
 
     const data = await res.json();
+    aplicarAccionesChat(data.acciones || []);
     return data.respuesta || "No se obtuvo respuesta.";
   } catch (error) {
     return "Error al conectar con el servidor.";
@@ -381,22 +844,13 @@ document.getElementById("input-controlados").addEventListener("input", async fun
 
   try {
     if (!advertenciaMostrada) {
-      alert("ATENCIÓN: Los medicamentos controlados requieren atención personal con la farmacéutica y receta médica. Esta función es solo para consulta informativa.");
+      alert("ATENCIÓN: Los medicamentos controlados requieren receta médica. Envía una foto de tu receta y la farmacéutica la revisará antes de que puedas agregarlos a tu pedido.");
       advertenciaMostrada = true;
     }
 
-    const response = await fetch(`/api/medicamentos?query=${encodeURIComponent(input)}&controlado=true`);
-    
-    if (!response.ok) {
-      throw new Error(`Error: ${response.status}`);
-    }
+    const { resultados: controlados } = await buscarEnCatalogo(input, { controlado: true });
 
-    const controlados = await response.json();
-
-    const verdaderosControlados = controlados.filter(med => 
-      med.controlado === true && 
-      med.nombre.toLowerCase().includes(input.toLowerCase())
-    );
+    const verdaderosControlados = controlados.filter(med => med.controlado === true);
 
     if (verdaderosControlados.length === 0) {
       resultadoDiv.innerHTML = "<p>No se encontraron medicamentos controlados con ese nombre.</p>";
@@ -409,8 +863,11 @@ document.getElementById("input-controlados").addEventListener("input", async fun
       div.innerHTML = `
         <strong>${med.nombre}</strong>
         <p>Precio: Bs ${med.precio.toFixed(2)}</p>
-        <p class="advertencia">⚠️ Medicamento controlado - Requiere receta</p>
+        ${avisoCategoria(med) || '<p class="advertencia">⚠️ Medicamento controlado - Requiere receta</p>'}
+        <button>Enviar receta</button>
+        <div class="form-receta"></div>
       `;
+      div.querySelector("button").addEventListener("click", () => mostrarFormularioReceta(div.querySelector(".form-receta"), med));
       resultadoDiv.appendChild(div);
     });
 
@@ -421,4 +878,359 @@ document.getElementById("input-controlados").addEventListener("input", async fun
       <p>${error.message}</p>
     `;
   }
-});
\ No newline at end of file
+});
+
+// ==============================================
+// RECETAS DE MEDICAMENTOS CONTROLADOS
+// ==============================================
+
+function mostrarFormularioReceta(contenedor, med) {
+  contenedor.innerHTML = `
+    <form>
+      <input type="text" name="paciente" placeholder="Nombre del paciente" required />
+      <input type="text" name="medico" placeholder="Médico que receta" required />
+      <input type="text" name="matricula" placeholder="Matrícula del médico" required />
+      <label>Fecha de la receta <input type="date" name="fechaEmision" required /></label>
+      <input type="number" name="cantidad" min="1" value="1" required />
+      <label>Foto de la receta <input type="file" name="imagen" accept="image/*,application/pdf" required /></label>
+      <button type="submit">Enviar a revisión</button>
+    </form>
+  `;
+  contenedor.querySelector("form").addEventListener("submit", event => enviarReceta(event, med));
+}
+
+function leerArchivoComoDataUrl(archivo) {
+  return new Promise((resolve, reject) => {
+    const lector = new FileReader();
+    lector.onload = () => resolve(lector.result);
+    lector.onerror = () => reject(new Error("No se pudo leer el archivo"));
+    lector.readAsDataURL(archivo);
+  });
+}
+
+async function enviarReceta(event, med) {
+  event.preventDefault();
+  const form = event.target;
+  const archivo = form.imagen.files[0];
+  if (!archivo) {
+    alert("Adjunta la foto de la receta.");
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/recetas", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        sessionId,
+        medicamentoId: med._id,
+        cantidad: Number(form.cantidad.value),
+        paciente: form.paciente.value.trim(),
+        medico: form.medico.value.trim(),
+        matricula: form.matricula.value.trim(),
+        fechaEmision: form.fechaEmision.value,
+        imagen: await leerArchivoComoDataUrl(archivo)
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const detalle = data.errores?.map(e => e.mensaje).join(", ");
+      throw new Error(detalle || data.error || "No se pudo enviar la receta");
+    }
+
+    form.parentElement.innerHTML = `<p>Receta ${data.receta.numero} enviada. La farmacéutica la revisará en breve.</p>`;
+    cargarMisRecetas();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+async function cargarMisRecetas() {
+  const contenedor = document.getElementById("mis-recetas");
+  try {
+    const response = await fetch(`/api/recetas/sesion/${encodeURIComponent(sessionId)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Error consultando recetas");
+
+    contenedor.innerHTML = data.recetas.length > 0 ? "<h3>Mis recetas</h3>" : "";
+    data.recetas.forEach(receta => {
+      const div = document.createElement("div");
+      div.className = "receta";
+      div.innerHTML = `
+        <strong>${receta.medicamentoNombre}</strong> x ${receta.cantidad}
+        <span class="estado-receta">${receta.estado}</span>
+        ${receta.motivoRechazo ? `<p class="error">Motivo: ${receta.motivoRechazo}</p>` : ""}
+      `;
+      if (receta.estado === "aprobada" && !carrito.some(item => item.receta === receta.numero)) {
+        const boton = document.createElement("button");
+        boton.textContent = "Agregar a la preorden";
+        boton.addEventListener("click", () => agregarControladoAlCarrito(receta));
+        div.appendChild(boton);
+      }
+      contenedor.appendChild(div);
+    });
+  } catch (error) {
+    console.error("Error cargando recetas:", error);
+  }
+}
+
+// Un controlado entra al carrito con su receta aprobada y la cantidad recetada
+async function agregarControladoAlCarrito(receta) {
+  const carritoNuevo = [
+    ...carrito,
+    { id: receta.medicamentoId, nombre: receta.medicamentoNombre, cantidad: receta.cantidad, receta: receta.numero }
+  ];
+
+  try {
+    const data = await sincronizarReserva(carritoNuevo);
+    if (!data.success) {
+      alert(data.errors?.[0]?.error || data.error || "No se pudo agregar el medicamento.");
+      return;
+    }
+
+    carrito = carritoNuevo.map(item => {
+      const verificado = data.items.find(v => v.id === item.id);
+      return verificado ? { ...item, precio: verificado.precio, stockMaximo: verificado.stockDisponible } : item;
+    });
+    actualizarCarrito();
+    cargarMisRecetas();
+  } catch (error) {
+    console.error("Error agregando controlado:", error);
+    alert("Error al verificar el stock. Intenta nuevamente.");
+  }
+}
+
+// ==============================================
+// CUENTA DEL CLIENTE
+// ==============================================
+
+function cabecerasCliente(cabeceras = {}) {
+  return tokenCliente ? { ...cabeceras, Authorization: `Bearer ${tokenCliente}` } : cabeceras;
+}
+
+async function fetchCliente(url, opciones = {}) {
+  const response = await fetch(url, {
+    ...opciones,
+    headers: cabecerasCliente(opciones.body ? { 'Content-Type': 'application/json' } : {})
+  });
+  const data = await response.json();
+  if (response.status === 401) cerrarSesionCliente();
+  if (!response.ok) throw new Error(data.errores?.[0]?.mensaje || data.error || "Error en el servidor");
+  return data;
+}
+
+async function solicitarCodigo() {
+  const estado = document.getElementById("estado-ingreso");
+  try {
+    const data = await fetchCliente('/api/clientes/codigo', {
+      method: 'POST',
+      body: JSON.stringify({ telefono: document.getElementById("telefono-cuenta").value.trim() })
+    });
+    estado.textContent = `Te enviamos un código por WhatsApp al ${data.telefono}.`;
+  } catch (error) {
+    estado.textContent = error.message;
+  }
+}
+
+// Al ingresar, el carrito y las recetas de esta sesión pasan a la cuenta, con los pedidos hechos con ese teléfono
+async function ingresarCliente() {
+  const estado = document.getElementById("estado-ingreso");
+  try {
+    const data = await fetchCliente('/api/clientes/ingresar', {
+      method: 'POST',
+      body: JSON.stringify({
+        telefono: document.getElementById("telefono-cuenta").value.trim(),
+        codigo: document.getElementById("codigo-cuenta").value.trim(),
+        sessionId
+      })
+    });
+    tokenCliente = data.token;
+    sessionId = data.sessionId;
+    localStorage.setItem("tokenCliente", tokenCliente);
+    localStorage.setItem("sessionId", sessionId);
+    estado.textContent = "";
+    document.getElementById("codigo-cuenta").value = "";
+    cargarCuenta();
+    cargarMisRecetas();
+    cargarHistorialChat();
+  } catch (error) {
+    estado.textContent = error.message;
+  }
+}
+
+// Al salir el navegador vuelve a una sesión anónima nueva
+async function cerrarSesionCliente() {
+  if (!tokenCliente) return;
+  await sincronizarReserva([]).catch(error => console.error("Error liberando reserva:", error));
+  tokenCliente = "";
+  localStorage.removeItem("tokenCliente");
+  await nuevaSesion().catch(error => console.error("Error iniciando la sesión:", error));
+  carrito = [];
+  actualizarCarrito();
+  cargarCuenta();
+  cargarMisRecetas();
+  cargarHistorialChat();
+}
+
+async function cargarCuenta() {
+  const ingreso = document.getElementById("ingreso-cliente");
+  const datos = document.getElementById("datos-cuenta");
+  datos.innerHTML = "";
+  document.getElementById("mis-pedidos").innerHTML = "";
+  ingreso.style.display = tokenCliente ? "none" : "";
+  if (!tokenCliente) return;
+
+  try {
+    const { cliente } = await fetchCliente('/api/clientes/yo');
+    datos.innerHTML = `
+      <p>Hola${cliente.nombre ? ` ${escaparTexto(cliente.nombre)}` : ""} (${cliente.telefono})</p>
+      <input type="text" id="nombre-cuenta" maxlength="100" placeholder="Tu nombre" value="${escaparTexto(cliente.nombre || "")}" />
+      <input type="text" id="nit-cuenta" maxlength="20" placeholder="NIT/CI para tus comprobantes" value="${escaparTexto(cliente.nit || "")}" />
+      <button id="guardar-cuenta">Guardar</button>
+      <button id="salir-cuenta">Salir</button>
+      <div id="mis-recordatorios"></div>
+    `;
+    datos.querySelector("#guardar-cuenta").addEventListener("click", guardarCuenta);
+    datos.querySelector("#salir-cuenta").addEventListener("click", cerrarSesionCliente);
+    mostrarRecordatorios(cliente.recordatorios);
+    cargarMisPedidos();
+  } catch (error) {
+    console.error("Error cargando la cuenta:", error);
+  }
+}
+
+async function guardarCuenta() {
+  try {
+    await fetchCliente('/api/clientes/yo', {
+      method: 'PATCH',
+      body: JSON.stringify({
+        nombre: document.getElementById("nombre-cuenta").value.trim(),
+        nit: document.getElementById("nit-cuenta").value.trim()
+      })
+    });
+    cargarCuenta();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+function escaparTexto(texto) {
+  const div = document.createElement("div");
+  div.textContent = texto;
+  return div.innerHTML.replace(/"/g, "&quot;");
+}
+
+function mostrarRecordatorios(recordatorios) {
+  const contenedor = document.getElementById("mis-recordatorios");
+  contenedor.innerHTML = recordatorios.length > 0 ? "<h3>Recordatorios de recompra</h3>" : "";
+  recordatorios.forEach(recordatorio => {
+    const div = document.createElement("div");
+    div.className = "recordatorio";
+    const cada = recordatorio.horasEntreDosis % 24 === 0
+      ? `cada ${recordatorio.horasEntreDosis / 24} día(s)`
+      : `cada ${recordatorio.horasEntreDosis} h`;
+    div.textContent = `⏰ ${recordatorio.nombre}: ${recordatorio.unidadesPorDosis} ${cada}. ` + (recordatorio.ultimaCompra
+      ? `Se termina alrededor del ${new Date(recordatorio.seAcabaEn).toLocaleDateString("es-BO")}.`
+      : "Todavía no lo compraste con tu cuenta.");
+    const boton = document.createElement("button");
+    boton.textContent = "Quitar";
+    boton.addEventListener("click", () => eliminarRecordatorio(recordatorio.medicamentoId));
+    div.appendChild(boton);
+    contenedor.appendChild(div);
+  });
+}
+
+async function cargarMisPedidos() {
+  const contenedor = document.getElementById("mis-pedidos");
+  try {
+    const { pedidos } = await fetchCliente('/api/clientes/yo/pedidos?limit=10');
+    contenedor.innerHTML = pedidos.length > 0 ? "<h3>Mis pedidos</h3>" : "";
+    pedidos.forEach(pedido => {
+      const div = document.createElement("div");
+      div.className = "pedido-cuenta";
+      div.innerHTML = `
+        <strong>#${pedido.numero}</strong> · ${new Date(pedido.creadoEn).toLocaleDateString("es-BO")}
+        · Bs ${Number(pedido.total).toFixed(2)} <span class="estado-receta">${pedido.estado}</span>
+        <ul></ul>
+      `;
+      pedido.items.forEach(item => {
+        const li = document.createElement("li");
+        li.textContent = `${item.nombre} x ${item.cantidad} `;
+        const boton = document.createElement("button");
+        boton.textContent = "⏰ Recordarme";
+        boton.title = "Avisarme antes de que se termine";
+        boton.addEventListener("click", () => crearRecordatorio(item));
+        li.appendChild(boton);
+        div.querySelector("ul").appendChild(li);
+      });
+      const repetir = document.createElement("button");
+      repetir.textContent = "Repetir pedido";
+      repetir.addEventListener("click", () => repetirPedido(pedido.numero));
+      div.appendChild(repetir);
+      contenedor.appendChild(div);
+    });
+  } catch (error) {
+    console.error("Error cargando pedidos:", error);
+  }
+}
+
+// Los productos del pedido anterior se suman al carrito (con precio y stock de hoy) y se reservan
+async function repetirPedido(numero) {
+  try {
+    const data = await fetchCliente(`/api/clientes/yo/pedidos/${encodeURIComponent(numero)}/repetir`, { method: 'POST' });
+    let carritoNuevo = [...carrito];
+    data.items.forEach(({ id, nombre, precio, cantidad, stockDisponible }) => {
+      const existente = carritoNuevo.find(item => item.id === id);
+      carritoNuevo = existente
+        ? carritoNuevo.map(item => item.id === id ? { ...item, cantidad: Math.min(item.cantidad + cantidad, stockDisponible) } : item)
+        : [...carritoNuevo, { id, nombre, precio, cantidad, stockMaximo: stockDisponible }];
+    });
+
+    if (data.items.length > 0) {
+      const reserva = await sincronizarReserva(carritoNuevo);
+      if (!reserva.success) {
+        alert(reserva.errors?.[0]?.error || reserva.error || "No se pudo reservar el pedido.");
+        return;
+      }
+      carrito = carritoNuevo.map(item => {
+        const verificado = reserva.items.find(v => v.id === item.id);
+        return verificado ? { ...item, precio: verificado.precio, stockMaximo: verificado.stockDisponible } : item;
+      });
+      actualizarCarrito();
+    }
+
+    const avisos = [
+      ...data.items.filter(item => item.ajustado).map(item => `- ${item.nombre}: solo hay ${item.cantidad} disponible(s)`),
+      ...data.omitidos.map(item => `- ${item.nombre}: ${item.motivo}`)
+    ];
+    if (avisos.length > 0) alert(`Algunos productos no se agregaron completos:\n${avisos.join("\n")}`);
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+async function crearRecordatorio(item) {
+  const horas = prompt(`¿Cada cuántas horas tomas ${item.nombre}?`, "24");
+  if (horas === null) return;
+  const unidades = prompt("¿Cuántas unidades (tabletas, dosis) por toma?", "1");
+  if (unidades === null) return;
+
+  try {
+    await fetchCliente(`/api/clientes/yo/recordatorios/${encodeURIComponent(item.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ horasEntreDosis: Number(horas), unidadesPorDosis: Number(unidades) })
+    });
+    cargarCuenta();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
+
+async function eliminarRecordatorio(medicamentoId) {
+  try {
+    await fetchCliente(`/api/clientes/yo/recordatorios/${encodeURIComponent(medicamentoId)}`, { method: 'DELETE' });
+    cargarCuenta();
+  } catch (error) {
+    alert(`Error: ${error.message}`);
+  }
+}
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Lee un archivo JSON; si no existe devuelve el valor por defecto
+function leerJson(ruta, porDefecto) {
+  if (!fs.existsSync(ruta)) return porDefecto;
+  const rawData = fs.readFileSync(ruta, 'utf-8');
+  return JSON.parse(rawData);
+}
+
+// Escritura atómica: se escribe a un temporal y luego se renombra,
+// así nunca queda un archivo a medio escribir si el proceso se cae
+async function escribirJsonAtomico(ruta, datos) {
+  const temporal = path.join(
+    path.dirname(ruta),
+    `.${path.basename(ruta)}.${process.pid}.${Date.now()}.tmp`
+  );
+  await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+  const handle = await fs.promises.open(temporal, 'w');
+  try {
+    await handle.writeFile(JSON.stringify(datos, null, 2));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(temporal, ruta);
+}
+
+// Serializa las escrituras sobre un mismo archivo para que no se pisen
+function crearEscritor(ruta) {
+  let cola = Promise.resolve();
+  return function guardar(datos) {
+    const copia = JSON.parse(JSON.stringify(datos));
+    cola = cola
+      .catch(() => {})
+      .then(() => escribirJsonAtomico(ruta, copia));
+    return cola;
+  };
+}
+
+module.exports = { leerJson, escribirJsonAtomico, crearEscritor };
@@ -0,0 +1,103 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+const crearMedicamentosJson = require('./json/medicamentosJson');
+const crearMedicamentosMongo = require('./mongo/medicamentosMongo');
+const crearPedidosJson = require('./json/pedidosJson');
+const crearPedidosMongo = require('./mongo/pedidosMongo');
+const crearReservasJson = require('./json/reservasJson');
+const crearReservasMongo = require('./mongo/reservasMongo');
+const crearUsuariosJson = require('./json/usuariosJson');
+const crearUsuariosMongo = require('./mongo/usuariosMongo');
+const crearRecetasJson = require('./json/recetasJson');
+const crearRecetasMongo = require('./mongo/recetasMongo');
+const crearMovimientosJson = require('./json/movimientosJson');
+const crearMovimientosMongo = require('./mongo/movimientosMongo');
+const crearConversacionesJson = require('./json/conversacionesJson');
+const crearConversacionesMongo = require('./mongo/conversacionesMongo');
+const crearAlertasChatJson = require('./json/alertasChatJson');
+const crearAlertasChatMongo = require('./mongo/alertasChatMongo');
+const crearComprobantesJson = require('./json/comprobantesJson');
+const crearComprobantesMongo = require('./mongo/comprobantesMongo');
+const crearPromocionesJson = require('./json/promocionesJson');
+const crearPromocionesMongo = require('./mongo/promocionesMongo');
+const crearClientesJson = require('./json/clientesJson');
+const crearClientesMongo = require('./mongo/clientesMongo');
+const crearTurnosJson = require('./json/turnosJson');
+const crearTurnosMongo = require('./mongo/turnosMongo');
+const crearPagosJson = require('./json/pagosJson');
+const crearPagosMongo = require('./mongo/pagosMongo');
+const { conLibroControl } = require('./libroControl');
+
+// ==============================================
+// SELECCIÓN DEL BACKEND DE ALMACENAMIENTO
+// ==============================================
+// ALMACENAMIENTO=json  (por defecto) usa medicamentos.json y los archivos de DATOS_DIR
+// ALMACENAMIENTO=mongo usa MongoDB (MONGODB_URI) con models/Medicamento.js
+
+const RAIZ = path.join(__dirname, '..');
+
+function leerConfiguracion(env = process.env) {
+  return {
+    tipo: (env.ALMACENAMIENTO || 'json').toLowerCase(),
+    rutaCatalogo: env.CATALOGO_JSON || path.join(RAIZ, 'medicamentos.json'),
+    directorioDatos: env.DATOS_DIR || path.join(RAIZ, 'datos'),
+    mongoUri: env.MONGODB_URI
+  };
+}
+
+async function crearRepositorios(config = leerConfiguracion()) {
+  let repositorios;
+
+  if (config.tipo === 'mongo') {
+    if (!config.mongoUri) {
+      throw new Error('ALMACENAMIENTO=mongo requiere MONGODB_URI');
+    }
+    await mongoose.connect(config.mongoUri);
+    repositorios = {
+      medicamentos: crearMedicamentosMongo(),
+      pedidos: crearPedidosMongo(),
+      reservas: crearReservasMongo(),
+      usuarios: crearUsuariosMongo(),
+      recetas: crearRecetasMongo(),
+      movimientos: crearMovimientosMongo(),
+      conversaciones: crearConversacionesMongo(),
+      alertasChat: crearAlertasChatMongo(),
+      comprobantes: crearComprobantesMongo(),
+      promociones: crearPromocionesMongo(),
+      clientes: crearClientesMongo(),
+      turnos: crearTurnosMongo(),
+      pagos: crearPagosMongo()
+    };
+  } else if (config.tipo === 'json') {
+    repositorios = {
+      medicamentos: crearMedicamentosJson({ ruta: config.rutaCatalogo }),
+      pedidos: crearPedidosJson({ ruta: path.join(config.directorioDatos, 'pedidos.json') }),
+      reservas: crearReservasJson({ ruta: path.join(config.directorioDatos, 'reservas.json') }),
+      usuarios: crearUsuariosJson({ ruta: path.join(config.directorioDatos, 'usuarios.json') }),
+      recetas: crearRecetasJson({ ruta: path.join(config.directorioDatos, 'recetas.json') }),
+      movimientos: crearMovimientosJson({ ruta: path.join(config.directorioDatos, 'libro-control.json') }),
+      conversaciones: crearConversacionesJson({ ruta: path.join(config.directorioDatos, 'conversaciones.json') }),
+      alertasChat: crearAlertasChatJson({ ruta: path.join(config.directorioDatos, 'alertas-chat.json') }),
+      comprobantes: crearComprobantesJson({ ruta: path.join(config.directorioDatos, 'comprobantes.json') }),
+      promociones: crearPromocionesJson({ ruta: path.join(config.directorioDatos, 'promociones.json') }),
+      clientes: crearClientesJson({ ruta: path.join(config.directorioDatos, 'clientes.json') }),
+      turnos: crearTurnosJson({ ruta: path.join(config.directorioDatos, 'turnos.json') }),
+      pagos: crearPagosJson({ ruta: path.join(config.directorioDatos, 'pagos.json') })
+    };
+  } else {
+    throw new Error(`Tipo de almacenamiento desconocido: ${config.tipo}`);
+  }
+
+  for (const repo of Object.values(repositorios)) {
+    await repo.iniciar();
+  }
+
+  // Todo cambio de stock de un controlado queda en el libro de control
+  repositorios.medicamentos = conLibroControl(repositorios);
+
+  repositorios.tipo = config.tipo;
+  return repositorios;
+}
+
+module.exports = { crearRepositorios, leerConfiguracion };
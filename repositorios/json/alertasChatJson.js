@@ -0,0 +1,51 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function copia(alerta) {
+  return alerta ? JSON.parse(JSON.stringify(alerta)) : null;
+}
+
+// Repositorio de conversaciones marcadas de SANABOT respaldado en un archivo JSON
+function crearAlertasChatJson({ ruta }) {
+  let alertas = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      alertas = leerJson(ruta, []);
+    },
+
+    async crear(alerta) {
+      if (alertas.some(a => a.numero === alerta.numero)) {
+        throw new ErrorHttp(409, `Ya existe una alerta con el número ${alerta.numero}`);
+      }
+      alertas.push(copia(alerta));
+      await guardar(alertas);
+      return copia(alerta);
+    },
+
+    async obtener(numero) {
+      return copia(alertas.find(a => a.numero === numero));
+    },
+
+    // Filtros: estado, categoria. Ordenadas de la más antigua a la más reciente (cola de revisión)
+    async listar(filtro = {}) {
+      return alertas
+        .filter(a => (!filtro.estado || a.estado === filtro.estado) &&
+          (!filtro.categoria || a.categoria === filtro.categoria))
+        .sort((a, b) => new Date(a.creadaEn) - new Date(b.creadaEn))
+        .map(copia);
+    },
+
+    // Aplica los cambios solo si la alerta sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      const alerta = alertas.find(a => a.numero === numero);
+      if (!alerta || alerta.estado !== desde) return null;
+      Object.assign(alerta, copia(cambios));
+      await guardar(alertas);
+      return copia(alerta);
+    }
+  };
+}
+
+module.exports = crearAlertasChatJson;
@@ -0,0 +1,59 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function copia(cliente) {
+  return cliente ? JSON.parse(JSON.stringify(cliente)) : null;
+}
+
+// Repositorio de cuentas de clientes respaldado en un archivo JSON
+function crearClientesJson({ ruta }) {
+  let clientes = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      clientes = leerJson(ruta, []);
+    },
+
+    async crear(cliente) {
+      if (clientes.some(c => c.numero === cliente.numero)) {
+        throw new ErrorHttp(409, `Ya existe una cuenta con el número ${cliente.numero}`);
+      }
+      if (clientes.some(c => c.telefono === cliente.telefono)) {
+        throw new ErrorHttp(409, `Ya existe una cuenta con el teléfono ${cliente.telefono}`);
+      }
+      clientes.push(copia(cliente));
+      await guardar(clientes);
+      return copia(cliente);
+    },
+
+    async obtener(numero) {
+      return copia(clientes.find(c => c.numero === numero));
+    },
+
+    async buscarTelefono(telefono) {
+      return copia(clientes.find(c => c.telefono === telefono));
+    },
+
+    // Los campos en null se quitan
+    async actualizar(numero, cambios) {
+      const cliente = clientes.find(c => c.numero === numero);
+      if (!cliente) return null;
+      Object.entries(copia(cambios)).forEach(([campo, valor]) => {
+        if (valor === null) delete cliente[campo];
+        else cliente[campo] = valor;
+      });
+      await guardar(clientes);
+      return copia(cliente);
+    },
+
+    // Cuentas verificadas con al menos un recordatorio de recompra
+    async listarConRecordatorios() {
+      return clientes
+        .filter(c => c.verificadoEn && (c.recordatorios || []).length > 0)
+        .map(copia);
+    }
+  };
+}
+
+module.exports = crearClientesJson;
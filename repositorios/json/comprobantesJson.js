@@ -0,0 +1,52 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+function copia(comprobante) {
+  return comprobante ? JSON.parse(JSON.stringify(comprobante)) : null;
+}
+
+// Repositorio de comprobantes de venta respaldado en un archivo JSON
+function crearComprobantesJson({ ruta }) {
+  let comprobantes = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      comprobantes = leerJson(ruta, []);
+    },
+
+    // Asigna el siguiente número correlativo (sin await de por medio, así dos emisiones no lo repiten)
+    async crear(datos) {
+      const numero = comprobantes.reduce((maximo, c) => Math.max(maximo, c.numero), 0) + 1;
+      const comprobante = copia({ ...datos, numero });
+      comprobantes.push(comprobante);
+      await guardar(comprobantes);
+      return copia(comprobante);
+    },
+
+    async obtener(numero) {
+      return copia(comprobantes.find(c => c.numero === numero));
+    },
+
+    // Filtros: pedido, estado, desde, hasta (fecha de emisión). Ordenados por número
+    async listar(filtro = {}) {
+      return comprobantes
+        .filter(c => (!filtro.pedido || c.pedido === filtro.pedido) &&
+          (!filtro.estado || c.estado === filtro.estado) &&
+          (!filtro.desde || new Date(c.emitidoEn) >= filtro.desde) &&
+          (!filtro.hasta || new Date(c.emitidoEn) <= filtro.hasta))
+        .sort((a, b) => a.numero - b.numero)
+        .map(copia);
+    },
+
+    // Aplica los cambios solo si el comprobante sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      const comprobante = comprobantes.find(c => c.numero === numero);
+      if (!comprobante || comprobante.estado !== desde) return null;
+      Object.assign(comprobante, copia(cambios));
+      await guardar(comprobantes);
+      return copia(comprobante);
+    }
+  };
+}
+
+module.exports = crearComprobantesJson;
@@ -0,0 +1,42 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+// Repositorio de conversaciones de SANABOT respaldado en un archivo JSON
+function crearConversacionesJson({ ruta }) {
+  let conversaciones = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      conversaciones = leerJson(ruta, []);
+    },
+
+    async obtener(sessionId) {
+      const conversacion = conversaciones.find(c => c.sessionId === sessionId);
+      return conversacion ? JSON.parse(JSON.stringify(conversacion)) : null;
+    },
+
+    // Crea o reemplaza la conversación de la sesión
+    async guardar(conversacion) {
+      conversaciones = conversaciones.filter(c => c.sessionId !== conversacion.sessionId);
+      conversaciones.push(JSON.parse(JSON.stringify(conversacion)));
+      await guardar(conversaciones);
+      return conversacion;
+    },
+
+    async eliminar(sessionId) {
+      const antes = conversaciones.length;
+      conversaciones = conversaciones.filter(c => c.sessionId !== sessionId);
+      if (conversaciones.length !== antes) await guardar(conversaciones);
+      return antes !== conversaciones.length;
+    },
+
+    async eliminarVencidas(ahora = new Date()) {
+      const antes = conversaciones.length;
+      conversaciones = conversaciones.filter(c => new Date(c.expiraEn) > ahora);
+      if (conversaciones.length !== antes) await guardar(conversaciones);
+      return antes - conversaciones.length;
+    }
+  };
+}
+
+module.exports = crearConversacionesJson;
@@ -0,0 +1,227 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+const lotes = require('../../utils/lotes');
+
+// Repositorio de medicamentos respaldado en un archivo JSON.
+// Los datos viven en memoria y cada cambio se persiste con escritura atómica.
+function crearMedicamentosJson({ ruta }) {
+  let medicamentos = [];
+  const guardar = crearEscritor(ruta);
+
+  function generarId() {
+    return Math.random().toString(36).substring(2, 15);
+  }
+
+  function cargarArchivo() {
+    medicamentos = leerJson(ruta, []).map(med => ({
+      ...med,
+      _id: med._id || generarId() // Generar ID si no existe
+    }));
+    return medicamentos.length;
+  }
+
+  // Copia para devolver: nadie de afuera modifica el arreglo en memoria
+  function vista(medicamento) {
+    return lotes.conStockVigente(JSON.parse(JSON.stringify(medicamento)));
+  }
+
+  function encontrar(id, nombre) {
+    return medicamentos.find(m => (id && m._id === id) || (nombre && m.nombre === nombre));
+  }
+
+  return {
+    async iniciar() {
+      cargarArchivo();
+    },
+
+    async contar() {
+      return medicamentos.length;
+    },
+
+    async listar(filtro = {}) {
+      return medicamentos
+        .filter(med => filtro.controlado === undefined || Boolean(med.controlado) === filtro.controlado)
+        .filter(med => filtro.activo === undefined || (med.activo !== false) === filtro.activo)
+        .map(vista);
+    },
+
+    async obtener(id, nombre) {
+      const medicamento = encontrar(id, nombre);
+      return medicamento ? vista(medicamento) : null;
+    },
+
+    // Descuenta stock de varios items de forma todo-o-nada, consumiendo lotes por FEFO.
+    // "retenido" indica por id las unidades reservadas por otras sesiones.
+    async descontarStock(items, { retenido = {} } = {}) {
+      const errores = [];
+      // Copia de trabajo por medicamento: las líneas repetidas de un producto descuentan una tras otra
+      const copias = new Map();
+      const operaciones = items.map(item => {
+        const medicamento = encontrar(item.id, item.nombre);
+        if (!medicamento || medicamento.activo === false) {
+          errores.push({ error: `Medicamento no encontrado: ${item.id || item.nombre}` });
+          return null;
+        }
+
+        const copia = copias.get(medicamento) || { ...medicamento };
+        const disponible = lotes.stockVendible(copia) - (retenido[medicamento._id] || 0);
+        const asignacion = disponible >= item.cantidad ? lotes.asignarFefo(copia, item.cantidad) : null;
+        if (!asignacion) {
+          errores.push({
+            error: `Stock insuficiente para ${medicamento.nombre}. Disponible: ${Math.max(disponible, 0)}`,
+            stockDisponible: Math.max(disponible, 0)
+          });
+          return null;
+        }
+        if (asignacion.lotes) {
+          copia.lotes = asignacion.lotes;
+          copia.stock = lotes.stockTotal(copia);
+        } else {
+          copia.stock -= item.cantidad;
+        }
+        copias.set(medicamento, copia);
+        return { medicamento, asignacion };
+      });
+
+      if (errores.length > 0) {
+        throw new ErrorHttp(400, 'No se puede procesar el pedido', { errors: errores });
+      }
+
+      copias.forEach((copia, medicamento) => {
+        medicamento.stock = copia.stock;
+        if (copia.lotes) medicamento.lotes = copia.lotes;
+      });
+      await guardar(medicamentos);
+
+      return operaciones.map(op => ({ ...vista(op.medicamento), lotesConsumidos: op.asignacion.consumidos }));
+    },
+
+    async crear(datos) {
+      const medicamento = { ...datos, _id: generarId() };
+      medicamentos.push(medicamento);
+      await guardar(medicamentos);
+      return vista(medicamento);
+    },
+
+    async actualizar(id, cambios) {
+      const medicamento = medicamentos.find(m => m._id === id);
+      if (!medicamento) return null;
+      Object.assign(medicamento, cambios);
+      await guardar(medicamentos);
+      return vista(medicamento);
+    },
+
+    // Altas y cambios de una importación, en una sola escritura: se aplican todos o ninguno
+    async importar({ altas = [], cambios = [] }) {
+      const faltantes = cambios.filter(cambio => !medicamentos.some(m => m._id === cambio.id));
+      if (faltantes.length > 0) {
+        throw new ErrorHttp(409, `Medicamentos no encontrados: ${faltantes.map(c => c.id).join(', ')}`);
+      }
+
+      const creados = altas.map(datos => ({ ...datos, _id: generarId() }));
+      cambios.forEach(cambio => Object.assign(medicamentos.find(m => m._id === cambio.id), cambio.campos));
+      medicamentos.push(...creados);
+      await guardar(medicamentos);
+
+      return {
+        creados: creados.map(vista),
+        actualizados: cambios.map(cambio => vista(medicamentos.find(m => m._id === cambio.id)))
+      };
+    },
+
+    // Suma (o resta) unidades; nunca deja el stock en negativo.
+    // Con lotes, las salidas se descuentan por FEFO y los ingresos deben registrarse como lote.
+    async ajustarStock(id, delta) {
+      const medicamento = medicamentos.find(m => m._id === id);
+      if (!medicamento) return null;
+
+      if (lotes.tieneLotes(medicamento)) {
+        if (delta > 0) {
+          throw new ErrorHttp(400, 'Este producto maneja lotes: registra el ingreso como un lote nuevo');
+        }
+        const asignacion = lotes.asignarFefo(medicamento, -delta);
+        if (!asignacion) {
+          throw new ErrorHttp(400, `El ajuste dejaría stock negativo. Stock vendible: ${lotes.stockVendible(medicamento)}`);
+        }
+        medicamento.lotes = asignacion.lotes;
+        medicamento.stock = lotes.stockTotal(medicamento);
+        await guardar(medicamentos);
+        return { ...vista(medicamento), lotesConsumidos: asignacion.consumidos };
+      } else {
+        const nuevoStock = (Number(medicamento.stock) || 0) + delta;
+        if (nuevoStock < 0) {
+          throw new ErrorHttp(400, `El ajuste dejaría stock negativo. Stock actual: ${medicamento.stock}`);
+        }
+        medicamento.stock = nuevoStock;
+      }
+      await guardar(medicamentos);
+      return vista(medicamento);
+    },
+
+    // Registra el ingreso de un lote con su fecha de vencimiento
+    async agregarLote(id, lote) {
+      const medicamento = medicamentos.find(m => m._id === id);
+      if (!medicamento) return null;
+      medicamento.lotes = lotes.agregarLote(medicamento, lote);
+      medicamento.stock = lotes.stockTotal(medicamento);
+      await guardar(medicamentos);
+      return vista(medicamento);
+    },
+
+    // Devuelve cantidades al stock (p. ej. al cancelar un pedido), a los mismos lotes si se conocen.
+    // El resultado tiene una posición por item (null si el medicamento ya no existe).
+    async reponerStock(items) {
+      const repuestos = [];
+      items.forEach(item => {
+        const medicamento = encontrar(item.id, item.nombre);
+        if (!medicamento) {
+          repuestos.push(null);
+          return;
+        }
+        if (lotes.tieneLotes(medicamento) || (item.lotes && item.lotes.length > 0)) {
+          medicamento.lotes = lotes.reponerLotes(medicamento, lotes.lotesDeDevolucion(item));
+          medicamento.stock = lotes.stockTotal(medicamento);
+        } else {
+          medicamento.stock = (Number(medicamento.stock) || 0) + item.cantidad;
+        }
+        repuestos.push(vista(medicamento));
+      });
+      await guardar(medicamentos);
+      return repuestos;
+    },
+
+    // Quita exactamente lo que devolvió reponerStock (mismas cantidades y lotes), todo o nada.
+    // Solo para deshacer una operación: no pasa por el libro de control (ver repositorios/libroControl.js).
+    async retirarStock(items) {
+      const cambios = items.map(item => {
+        const medicamento = encontrar(item.id, item.nombre);
+        if (!medicamento) return null;
+        if (lotes.tieneLotes(medicamento) || (item.lotes && item.lotes.length > 0)) {
+          const nuevosLotes = lotes.retirarLotes(medicamento, lotes.lotesDeDevolucion(item));
+          return nuevosLotes && { medicamento, lotes: nuevosLotes, stock: lotes.stockTotal({ lotes: nuevosLotes }) };
+        }
+        const stock = (Number(medicamento.stock) || 0) - item.cantidad;
+        return stock >= 0 ? { medicamento, stock } : null;
+      });
+      if (cambios.includes(null)) {
+        throw new ErrorHttp(409, 'No se pudo retirar el stock: cambió mientras se procesaba');
+      }
+      cambios.forEach(({ medicamento, lotes: nuevosLotes, stock }) => {
+        medicamento.stock = stock;
+        if (nuevosLotes) medicamento.lotes = nuevosLotes;
+      });
+      await guardar(medicamentos);
+    },
+
+    // Solo para deshacer el alta de una importación que no se pudo registrar en el libro de control
+    async eliminar(id) {
+      const indice = medicamentos.findIndex(m => m._id === id);
+      if (indice === -1) return false;
+      medicamentos.splice(indice, 1);
+      await guardar(medicamentos);
+      return true;
+    }
+  };
+}
+
+module.exports = crearMedicamentosJson;
@@ -0,0 +1,52 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+function coincideFiltro(movimiento, filtro) {
+  if (filtro.medicamentoId && movimiento.medicamentoId !== filtro.medicamentoId) return false;
+  if (filtro.desde && new Date(movimiento.fecha) < filtro.desde) return false;
+  if (filtro.hasta && new Date(movimiento.fecha) > filtro.hasta) return false;
+  return true;
+}
+
+// Libro de control respaldado en un archivo JSON: solo admite agregar movimientos
+function crearMovimientosJson({ ruta }) {
+  let movimientos = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      movimientos = leerJson(ruta, []);
+    },
+
+    // Agrega los movimientos de una operación en una sola escritura: todos o ninguno
+    async registrar(lista) {
+      const nuevos = lista.map(movimiento => ({ ...movimiento }));
+      movimientos.push(...nuevos);
+      try {
+        await guardar(movimientos);
+      } catch (error) {
+        movimientos = movimientos.filter(movimiento => !nuevos.includes(movimiento));
+        throw error;
+      }
+      return JSON.parse(JSON.stringify(lista));
+    },
+
+    // Filtros: medicamentoId, desde, hasta. En orden cronológico
+    async listar(filtro = {}) {
+      return movimientos
+        .filter(m => coincideFiltro(m, filtro))
+        .sort((a, b) => new Date(a.fecha) - new Date(b.fecha))
+        .map(m => JSON.parse(JSON.stringify(m)));
+    },
+
+    // Último movimiento de un medicamento anterior a una fecha (para el saldo inicial)
+    async ultimoAntes(medicamentoId, fecha) {
+      const anteriores = movimientos
+        .filter(m => m.medicamentoId === medicamentoId && new Date(m.fecha) < fecha)
+        .sort((a, b) => new Date(a.fecha) - new Date(b.fecha));
+      const ultimo = anteriores[anteriores.length - 1];
+      return ultimo ? JSON.parse(JSON.stringify(ultimo)) : null;
+    }
+  };
+}
+
+module.exports = crearMovimientosJson;
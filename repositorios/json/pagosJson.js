@@ -0,0 +1,62 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function copia(pago) {
+  return pago ? JSON.parse(JSON.stringify(pago)) : null;
+}
+
+// Repositorio de cobros por QR respaldado en un archivo JSON
+function crearPagosJson({ ruta }) {
+  let pagos = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      pagos = leerJson(ruta, []);
+    },
+
+    async crear(pago) {
+      if (pagos.some(p => p.numero === pago.numero)) {
+        throw new ErrorHttp(409, `Ya existe un pago con el número ${pago.numero}`);
+      }
+      pagos.push(copia(pago));
+      await guardar(pagos);
+      return copia(pago);
+    },
+
+    async obtener(numero) {
+      return copia(pagos.find(p => p.numero === numero));
+    },
+
+    async buscarExterno(pasarela, idExterno) {
+      return copia(pagos.find(p => p.pasarela === pasarela && p.idExterno === idExterno));
+    },
+
+    // Filtros: pedido, estado. Los más recientes primero
+    async listar(filtro = {}) {
+      return pagos
+        .filter(p => (!filtro.pedido || p.pedido === filtro.pedido) &&
+          (!filtro.estado || p.estado === filtro.estado))
+        .sort((a, b) => new Date(b.creadoEn) - new Date(a.creadoEn))
+        .map(copia);
+    },
+
+    // Pendientes cuyo plazo ya pasó
+    async listarVencidos(ahora = new Date()) {
+      return pagos
+        .filter(p => p.estado === 'pendiente' && new Date(p.expiraEn) <= ahora)
+        .map(copia);
+    },
+
+    // Aplica los cambios solo si el pago sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      const pago = pagos.find(p => p.numero === numero);
+      if (!pago || pago.estado !== desde) return null;
+      Object.assign(pago, copia(cambios));
+      await guardar(pagos);
+      return copia(pago);
+    }
+  };
+}
+
+module.exports = crearPagosJson;
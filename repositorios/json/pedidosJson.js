@@ -0,0 +1,121 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function coincideFiltro(pedido, filtro) {
+  if (filtro.estado && pedido.estado !== filtro.estado) return false;
+  if (filtro.sessionId && pedido.sessionId !== filtro.sessionId) return false;
+  if (filtro.telefono && pedido.telefono !== filtro.telefono) return false;
+  if (filtro.cuenta && pedido.cuenta !== filtro.cuenta) return false;
+  if (filtro.desde && new Date(pedido.creadoEn) < filtro.desde) return false;
+  if (filtro.hasta && new Date(pedido.creadoEn) > filtro.hasta) return false;
+  return true;
+}
+
+// Repositorio de pedidos respaldado en un archivo JSON
+function crearPedidosJson({ ruta }) {
+  let pedidos = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      pedidos = leerJson(ruta, []);
+    },
+
+    async crear(pedido) {
+      if (pedidos.some(p => p.numero === pedido.numero)) {
+        throw new ErrorHttp(409, `Ya existe un pedido con el número ${pedido.numero}`);
+      }
+      pedidos.push({ ...pedido });
+      await guardar(pedidos);
+      return { ...pedido };
+    },
+
+    async obtener(numero) {
+      const pedido = pedidos.find(p => p.numero === numero);
+      return pedido ? JSON.parse(JSON.stringify(pedido)) : null;
+    },
+
+    // Devuelve { total, pedidos } ordenados del más reciente al más antiguo
+    async listar(filtro = {}, { limit = 50, offset = 0 } = {}) {
+      const filtrados = pedidos
+        .filter(p => coincideFiltro(p, filtro))
+        .sort((a, b) => new Date(b.creadoEn) - new Date(a.creadoEn));
+      return {
+        total: filtrados.length,
+        pedidos: filtrados.slice(offset, offset + limit).map(p => JSON.parse(JSON.stringify(p)))
+      };
+    },
+
+    // Unidades vendidas por id de medicamento desde una fecha (sin pedidos cancelados)
+    async unidadesVendidas({ desde } = {}) {
+      const unidades = {};
+      pedidos
+        .filter(p => p.estado !== 'cancelado' && (!desde || new Date(p.creadoEn) >= desde))
+        .forEach(p => p.items.forEach(item => {
+          unidades[item.id] = (unidades[item.id] || 0) + item.cantidad;
+        }));
+      return unidades;
+    },
+
+    // Pedidos no cancelados del período, del más antiguo al más reciente (para reportes)
+    async listarVentas({ desde, hasta } = {}) {
+      return pedidos
+        .filter(p => p.estado !== 'cancelado' && coincideFiltro(p, { desde, hasta }))
+        .sort((a, b) => new Date(a.creadoEn) - new Date(b.creadoEn))
+        .map(p => JSON.parse(JSON.stringify(p)));
+    },
+
+    // Fecha de la última venta por id de medicamento (sin pedidos cancelados)
+    async ultimasVentas() {
+      const fechas = {};
+      pedidos
+        .filter(p => p.estado !== 'cancelado')
+        .forEach(p => p.items.forEach(item => {
+          const fecha = new Date(p.creadoEn);
+          if (!fechas[item.id] || fechas[item.id] < fecha) fechas[item.id] = fecha;
+        }));
+      return fechas;
+    },
+
+    // Pedidos para pagar por QR, sin QR solicitado, hechos hasta "hasta" y no finalizados
+    async listarQrSinPago(hasta) {
+      return pedidos
+        .filter(p => p.metodoPago === 'qr' && !p.pago && !['entregado', 'cancelado'].includes(p.estado) &&
+          new Date(p.creadoEn) <= hasta)
+        .map(p => JSON.parse(JSON.stringify(p)));
+    },
+
+    // Cambia el estado solo si el pedido sigue en el estado esperado
+    async cambiarEstado(numero, { desde, hacia, entrada }) {
+      const pedido = pedidos.find(p => p.numero === numero);
+      if (!pedido || pedido.estado !== desde) return null;
+
+      pedido.estado = hacia;
+      pedido.actualizadoEn = entrada.fecha;
+      pedido.historial = [...(pedido.historial || []), entrada];
+      await guardar(pedidos);
+      return JSON.parse(JSON.stringify(pedido));
+    },
+
+    // Estado del pago por QR del pedido (el detalle está en el repositorio de pagos)
+    async actualizarPago(numero, pago) {
+      const pedido = pedidos.find(p => p.numero === numero);
+      if (!pedido) return null;
+      pedido.pago = JSON.parse(JSON.stringify(pago));
+      await guardar(pedidos);
+      return JSON.parse(JSON.stringify(pedido));
+    },
+
+    // Asigna a la cuenta los pedidos sin cuenta hechos con ese teléfono; devuelve cuántos
+    async vincularCuenta(telefono, cuenta) {
+      if (!telefono) return 0;
+      const vinculados = pedidos.filter(p => !p.cuenta && p.telefono === telefono);
+      if (vinculados.length === 0) return 0;
+      vinculados.forEach(p => { p.cuenta = cuenta; });
+      await guardar(pedidos);
+      return vinculados.length;
+    }
+  };
+}
+
+module.exports = crearPedidosJson;
@@ -0,0 +1,75 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function copia(promocion) {
+  return promocion ? JSON.parse(JSON.stringify(promocion)) : null;
+}
+
+// Repositorio de promociones y cupones respaldado en un archivo JSON
+function crearPromocionesJson({ ruta }) {
+  let promociones = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      promociones = leerJson(ruta, []);
+    },
+
+    async crear(promocion) {
+      if (promociones.some(p => p.numero === promocion.numero)) {
+        throw new ErrorHttp(409, `Ya existe una promoción con el número ${promocion.numero}`);
+      }
+      promociones.push(copia(promocion));
+      await guardar(promociones);
+      return copia(promocion);
+    },
+
+    async obtener(numero) {
+      return copia(promociones.find(p => p.numero === numero));
+    },
+
+    async buscarCupon(codigo) {
+      return copia(promociones.find(p => p.cupon === codigo));
+    },
+
+    // Filtro: activa. Las más recientes primero
+    async listar(filtro = {}) {
+      return promociones
+        .filter(p => filtro.activa === undefined || p.activa === filtro.activa)
+        .sort((a, b) => new Date(b.creadaEn) - new Date(a.creadaEn))
+        .map(copia);
+    },
+
+    // Los campos en null se quitan
+    async actualizar(numero, cambios) {
+      const promocion = promociones.find(p => p.numero === numero);
+      if (!promocion) return null;
+      Object.entries(copia(cambios)).forEach(([campo, valor]) => {
+        if (valor === null) delete promocion[campo];
+        else promocion[campo] = valor;
+      });
+      await guardar(promociones);
+      return copia(promocion);
+    },
+
+    // Suma un uso si no alcanzó su límite; null si ya no quedan usos
+    async registrarUso(numero) {
+      const promocion = promociones.find(p => p.numero === numero);
+      if (!promocion || (promocion.limiteUsos && (promocion.usos || 0) >= promocion.limiteUsos)) return null;
+      promocion.usos = (promocion.usos || 0) + 1;
+      await guardar(promociones);
+      return copia(promocion);
+    },
+
+    // Devuelve un uso (pedido no registrado o cancelado)
+    async liberarUso(numero) {
+      const promocion = promociones.find(p => p.numero === numero);
+      if (!promocion || !(promocion.usos > 0)) return null;
+      promocion.usos -= 1;
+      await guardar(promociones);
+      return copia(promocion);
+    }
+  };
+}
+
+module.exports = crearPromocionesJson;
@@ -0,0 +1,60 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+const { ErrorHttp } = require('../../utils/errores');
+
+function copia(receta) {
+  return receta ? JSON.parse(JSON.stringify(receta)) : null;
+}
+
+// Repositorio de recetas médicas respaldado en un archivo JSON
+function crearRecetasJson({ ruta }) {
+  let recetas = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      recetas = leerJson(ruta, []);
+    },
+
+    async crear(receta) {
+      if (recetas.some(r => r.numero === receta.numero)) {
+        throw new ErrorHttp(409, `Ya existe una receta con el número ${receta.numero}`);
+      }
+      recetas.push({ ...receta });
+      await guardar(recetas);
+      return copia(receta);
+    },
+
+    async obtener(numero) {
+      return copia(recetas.find(r => r.numero === numero));
+    },
+
+    // Filtros: estado, sessionId. Ordenadas de la más antigua a la más reciente (cola de revisión)
+    async listar(filtro = {}) {
+      return recetas
+        .filter(r => (!filtro.estado || r.estado === filtro.estado) &&
+          (!filtro.sessionId || r.sessionId === filtro.sessionId))
+        .sort((a, b) => new Date(a.creadaEn) - new Date(b.creadaEn))
+        .map(copia);
+    },
+
+    // Aplica los cambios solo si la receta sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      const receta = recetas.find(r => r.numero === numero);
+      if (!receta || receta.estado !== desde) return null;
+      Object.assign(receta, cambios);
+      await guardar(recetas);
+      return copia(receta);
+    },
+
+    // Pasa las recetas de una sesión a otra (al unir una sesión anónima a una cuenta); devuelve cuántas
+    async cambiarSesion(desde, hacia) {
+      const movidas = recetas.filter(r => r.sessionId === desde);
+      if (movidas.length === 0) return 0;
+      movidas.forEach(r => { r.sessionId = hacia; });
+      await guardar(recetas);
+      return movidas.length;
+    }
+  };
+}
+
+module.exports = crearRecetasJson;
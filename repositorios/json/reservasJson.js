@@ -0,0 +1,48 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+// Repositorio de reservas de stock respaldado en un archivo JSON
+function crearReservasJson({ ruta }) {
+  let reservas = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      reservas = leerJson(ruta, []);
+    },
+
+    async listarVigentes(ahora = new Date()) {
+      return reservas
+        .filter(r => new Date(r.expiraEn) > ahora)
+        .map(r => JSON.parse(JSON.stringify(r)));
+    },
+
+    async obtener(sessionId) {
+      const reserva = reservas.find(r => r.sessionId === sessionId);
+      return reserva ? JSON.parse(JSON.stringify(reserva)) : null;
+    },
+
+    // Crea o reemplaza la reserva de la sesión
+    async guardar(reserva) {
+      reservas = reservas.filter(r => r.sessionId !== reserva.sessionId);
+      reservas.push(JSON.parse(JSON.stringify(reserva)));
+      await guardar(reservas);
+      return reserva;
+    },
+
+    async eliminar(sessionId) {
+      const antes = reservas.length;
+      reservas = reservas.filter(r => r.sessionId !== sessionId);
+      if (reservas.length !== antes) await guardar(reservas);
+      return antes !== reservas.length;
+    },
+
+    async eliminarVencidas(ahora = new Date()) {
+      const antes = reservas.length;
+      reservas = reservas.filter(r => new Date(r.expiraEn) > ahora);
+      if (reservas.length !== antes) await guardar(reservas);
+      return antes - reservas.length;
+    }
+  };
+}
+
+module.exports = crearReservasJson;
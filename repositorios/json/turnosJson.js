@@ -0,0 +1,44 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+// Repositorio de cupos de los turnos de retiro respaldado en un archivo JSON
+function crearTurnosJson({ ruta }) {
+  let turnos = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      turnos = leerJson(ruta, []);
+    },
+
+    // Cupos ocupados por clave de turno (los que no figuran no tienen ninguno)
+    async ocupacion(claves) {
+      return Object.fromEntries(turnos
+        .filter(t => claves.includes(t.clave))
+        .map(t => [t.clave, t.ocupados]));
+    },
+
+    // Ocupa un cupo si el turno no llegó a su capacidad; null si ya está lleno
+    async ocupar(clave, capacidad) {
+      let turno = turnos.find(t => t.clave === clave);
+      if (turno && turno.ocupados >= capacidad) return null;
+      if (!turno) {
+        turno = { clave, ocupados: 0 };
+        turnos.push(turno);
+      }
+      turno.ocupados += 1;
+      await guardar(turnos);
+      return { ...turno };
+    },
+
+    // Devuelve un cupo (pedido no registrado o cancelado)
+    async liberar(clave) {
+      const turno = turnos.find(t => t.clave === clave);
+      if (!turno || !(turno.ocupados > 0)) return null;
+      turno.ocupados -= 1;
+      await guardar(turnos);
+      return { ...turno };
+    }
+  };
+}
+
+module.exports = crearTurnosJson;
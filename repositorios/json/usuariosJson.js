@@ -0,0 +1,42 @@
+const { leerJson, crearEscritor } = require('../archivoJson');
+
+// Repositorio de usuarios del personal respaldado en un archivo JSON
+function crearUsuariosJson({ ruta }) {
+  let usuarios = [];
+  const guardar = crearEscritor(ruta);
+
+  return {
+    async iniciar() {
+      usuarios = leerJson(ruta, []);
+    },
+
+    async contar() {
+      return usuarios.length;
+    },
+
+    async listar() {
+      return usuarios.map(u => ({ ...u }));
+    },
+
+    async obtener(usuario) {
+      const encontrado = usuarios.find(u => u.usuario === usuario);
+      return encontrado ? { ...encontrado } : null;
+    },
+
+    async crear(datos) {
+      usuarios.push({ ...datos });
+      await guardar(usuarios);
+      return { ...datos };
+    },
+
+    async actualizar(usuario, cambios) {
+      const encontrado = usuarios.find(u => u.usuario === usuario);
+      if (!encontrado) return null;
+      Object.assign(encontrado, cambios);
+      await guardar(usuarios);
+      return { ...encontrado };
+    }
+  };
+}
+
+module.exports = crearUsuariosJson;
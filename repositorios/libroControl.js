@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { ErrorHttp } = require('../utils/errores');
+const lotes = require('../utils/lotes');
+
+// ==============================================
+// LIBRO DE CONTROL DE MEDICAMENTOS CONTROLADOS
+// ==============================================
+// Envuelve el repositorio de medicamentos: toda operación que cambia el stock de un
+// producto controlado deja su movimiento en el libro (repos.movimientos).
+// Como el resto del sistema solo accede al stock a través de este repositorio,
+// no hay forma de mover stock de un controlado sin dejar registro.
+// El movimiento se escribe después del cambio (recién ahí se conocen el saldo y los lotes consumidos);
+// si no se puede escribir, el cambio de stock se deshace y la operación falla.
+
+// Saldo físico: incluye las unidades de lotes vencidos que siguen en la farmacia
+function saldoDe(medicamento) {
+  return (Number(medicamento.stock) || 0) + (Number(medicamento.stockVencido) || 0);
+}
+
+// Valor previo de los campos cambiados, para deshacer. En la vista "stock" es solo lo vendible:
+// con lotes, el stock guardado es el total de los lotes.
+function camposPrevios(previo, campos) {
+  return Object.fromEntries(Object.keys(campos).map(campo => [
+    campo,
+    campo === 'stock' && lotes.tieneLotes(previo) ? lotes.stockTotal(previo) : previo[campo] ?? null
+  ]));
+}
+
+function conLibroControl({ medicamentos, movimientos, recetas }) {
+  // retirarStock y eliminar solo sirven para deshacer: el resto del sistema no los ve
+  const { retirarStock, eliminar, ...resto } = medicamentos;
+
+  function movimiento(medicamento, datos) {
+    const fecha = new Date();
+    return {
+      numero: `MOV-${fecha.getTime()}-${crypto.randomBytes(3).toString('hex')}`,
+      medicamentoId: String(medicamento._id),
+      medicamentoNombre: medicamento.nombre,
+      fecha,
+      saldo: saldoDe(medicamento),
+      ...datos
+    };
+  }
+
+  // Escribe los movimientos de una operación ya aplicada ("armar" los calcula); si no se puede, la deshace
+  async function anotar(armar, deshacer) {
+    try {
+      const filas = await armar();
+      if (filas.length > 0) await movimientos.registrar(filas);
+    } catch (error) {
+      console.error('No se pudo escribir el libro de control, se deshace el cambio de stock:', error);
+      try {
+        await deshacer();
+      } catch (errorDeshacer) {
+        console.error('No se pudo deshacer el cambio de stock sin registrar:', errorDeshacer);
+        throw new ErrorHttp(500, 'El stock cambió pero no quedó en el libro de control: revisa el inventario de controlados');
+      }
+      throw new ErrorHttp(503, 'No se pudo registrar el movimiento en el libro de control; el stock no se modificó');
+    }
+  }
+
+  async function pacienteDe(numeroReceta) {
+    if (!numeroReceta || !recetas) return undefined;
+    const receta = await recetas.obtener(String(numeroReceta));
+    return receta ? receta.paciente : undefined;
+  }
+
+  // Un movimiento por item. Si un producto aparece en varios items,
+  // el saldo de cada uno se reconstruye hacia atrás desde el estado final.
+  async function movimientosDeItems(items, resultados, tipo, signo, contexto) {
+    const saldos = {};
+    const filas = [];
+    for (let i = items.length - 1; i >= 0; i--) {
+      const medicamento = resultados[i];
+      if (!medicamento || !medicamento.controlado) continue;
+
+      const id = String(medicamento._id);
+      if (saldos[id] === undefined) saldos[id] = saldoDe(medicamento);
+      filas.unshift({ item: items[i], medicamento, saldo: saldos[id] });
+      saldos[id] -= signo * items[i].cantidad;
+    }
+
+    const movimientosItems = [];
+    for (const { item, medicamento, saldo } of filas) {
+      movimientosItems.push(movimiento(medicamento, {
+        tipo,
+        saldo,
+        cantidad: signo * item.cantidad,
+        lotes: (signo < 0 ? medicamento.lotesConsumidos : item.lotes) || [],
+        receta: item.receta,
+        paciente: await pacienteDe(item.receta),
+        pedido: contexto.pedido,
+        usuario: contexto.usuario,
+        motivo: contexto.motivo
+      }));
+    }
+    return movimientosItems;
+  }
+
+  // Compara el saldo de los controlados antes y después de una operación masiva
+  async function movimientosDeDiferencias(antes, tipo, contexto) {
+    const despues = await medicamentos.listar({ controlado: true });
+    const filas = [];
+    for (const medicamento of despues) {
+      const previo = antes[String(medicamento._id)];
+      if (!previo) {
+        filas.push(movimiento(medicamento, { tipo: 'alta', cantidad: saldoDe(medicamento), ...contexto }));
+      } else if (!previo.controlado) {
+        filas.push(movimiento(medicamento, { tipo: 'apertura', cantidad: saldoDe(medicamento), ...contexto }));
+      } else if (saldoDe(medicamento) !== previo.saldo) {
+        filas.push(movimiento(medicamento, { tipo, cantidad: saldoDe(medicamento) - previo.saldo, ...contexto }));
+      }
+    }
+    return filas;
+  }
+
+  async function fotoDelCatalogo() {
+    const foto = {};
+    (await medicamentos.listar({})).forEach(med => {
+      foto[String(med._id)] = { saldo: saldoDe(med), controlado: Boolean(med.controlado) };
+    });
+    return foto;
+  }
+
+  return {
+    ...resto,
+
+    // Altas y cambios masivos (planillas, clasificación): altas de controlados y cambios de saldo quedan en el libro.
+    // Para deshacer, las altas se borran y los campos cambiados vuelven a su valor previo.
+    async importar(operaciones, contexto = {}) {
+      const antes = await fotoDelCatalogo();
+      const cambios = operaciones.cambios || [];
+      const previos = await Promise.all(cambios.map(cambio => medicamentos.obtener(cambio.id)));
+      const resultado = await medicamentos.importar(operaciones);
+      await anotar(
+        () => movimientosDeDiferencias(antes, 'correccion', { motivo: 'Importación del catálogo', ...contexto }),
+        async () => {
+          for (const creado of resultado.creados) await eliminar(creado._id);
+          for (const [i, previo] of previos.entries()) {
+            if (previo) await medicamentos.actualizar(previo._id, camposPrevios(previo, cambios[i].campos));
+          }
+        }
+      );
+      return resultado;
+    },
+
+    async descontarStock(items, opciones = {}) {
+      const actualizados = await medicamentos.descontarStock(items, opciones);
+      await anotar(
+        () => movimientosDeItems(items, actualizados, 'venta', -1, opciones.contexto || {}),
+        () => medicamentos.reponerStock(items.map((item, i) => ({
+          id: String(actualizados[i]._id),
+          cantidad: item.cantidad,
+          lotes: actualizados[i].lotesConsumidos || []
+        })))
+      );
+      return actualizados;
+    },
+
+    async reponerStock(items, contexto = {}) {
+      const repuestos = await medicamentos.reponerStock(items);
+      await anotar(
+        () => movimientosDeItems(items, repuestos, 'devolucion', 1, contexto),
+        () => retirarStock(items
+          .map((item, i) => repuestos[i] && { ...item, id: String(repuestos[i]._id) })
+          .filter(Boolean))
+      );
+      return repuestos;
+    },
+
+    async crear(datos, contexto = {}) {
+      const creado = await medicamentos.crear(datos);
+      if (creado.controlado) {
+        await anotar(
+          async () => [movimiento(creado, { tipo: 'alta', cantidad: saldoDe(creado), ...contexto })],
+          () => eliminar(creado._id)
+        );
+      }
+      return creado;
+    },
+
+    // Cambios de stock absolutos o marcar un producto como controlado también quedan registrados
+    async actualizar(id, cambios, contexto = {}) {
+      const vigilar = 'stock' in cambios || 'controlado' in cambios;
+      const antes = vigilar ? await medicamentos.obtener(id) : null;
+      const actualizado = await medicamentos.actualizar(id, cambios);
+
+      if (antes && actualizado && actualizado.controlado) {
+        await anotar(async () => {
+          if (!antes.controlado) {
+            return [movimiento(actualizado, { tipo: 'apertura', cantidad: saldoDe(actualizado), ...contexto })];
+          }
+          if (saldoDe(actualizado) !== saldoDe(antes)) {
+            return [movimiento(actualizado, { tipo: 'correccion', cantidad: saldoDe(actualizado) - saldoDe(antes), ...contexto })];
+          }
+          return [];
+        }, () => medicamentos.actualizar(id, camposPrevios(antes, cambios)));
+      }
+      return actualizado;
+    },
+
+    async ajustarStock(id, delta, contexto = {}) {
+      const resultado = await medicamentos.ajustarStock(id, delta);
+      if (!resultado) return null;
+      const { lotesConsumidos, ...actualizado } = resultado;
+      if (actualizado.controlado) {
+        await anotar(
+          async () => [movimiento(actualizado, { tipo: 'ajuste', cantidad: delta, ...contexto })],
+          () => (delta > 0
+            ? retirarStock([{ id: String(actualizado._id), cantidad: delta }])
+            : medicamentos.reponerStock([{ id: String(actualizado._id), cantidad: -delta, lotes: lotesConsumidos || [] }]))
+        );
+      }
+      return actualizado;
+    },
+
+    async agregarLote(id, lote, contexto = {}) {
+      const actualizado = await medicamentos.agregarLote(id, lote);
+      if (actualizado && actualizado.controlado) {
+        const ingresado = { numero: lote.numero, fechaVencimiento: lote.fechaVencimiento, cantidad: lote.cantidad };
+        await anotar(
+          async () => [movimiento(actualizado, { tipo: 'ingreso', cantidad: lote.cantidad, lotes: [ingresado], ...contexto })],
+          () => retirarStock([{ id: String(actualizado._id), cantidad: lote.cantidad, lotes: [ingresado] }])
+        );
+      }
+      return actualizado;
+    }
+  };
+}
+
+module.exports = { conLibroControl, saldoDe };
@@ -0,0 +1,52 @@
+const AlertaChat = require('../../models/AlertaChat');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...alerta } = doc;
+  return alerta;
+}
+
+// Repositorio de conversaciones marcadas de SANABOT sobre MongoDB (models/AlertaChat.js)
+function crearAlertasChatMongo() {
+  return {
+    async iniciar() {},
+
+    // El índice único de "numero" rechaza un número repetido
+    async crear(alerta) {
+      try {
+        const doc = await AlertaChat.create(alerta);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, `Ya existe una alerta con el número ${alerta.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await AlertaChat.findOne({ numero }).lean());
+    },
+
+    // Filtros: estado, categoria. Ordenadas de la más antigua a la más reciente (cola de revisión)
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.estado) consulta.estado = filtro.estado;
+      if (filtro.categoria) consulta.categoria = filtro.categoria;
+      const docs = await AlertaChat.find(consulta).sort({ creadaEn: 1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Aplica los cambios solo si la alerta sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      return aPlano(await AlertaChat.findOneAndUpdate(
+        { numero, estado: desde },
+        { $set: cambios },
+        { new: true, lean: true }
+      ));
+    }
+  };
+}
+
+module.exports = crearAlertasChatMongo;
@@ -0,0 +1,60 @@
+const Cliente = require('../../models/Cliente');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...cliente } = doc;
+  return cliente;
+}
+
+// Repositorio de cuentas de clientes sobre MongoDB (models/Cliente.js)
+function crearClientesMongo() {
+  return {
+    async iniciar() {},
+
+    // Los índices únicos de "numero" y "telefono" rechazan un valor repetido
+    async crear(cliente) {
+      try {
+        const doc = await Cliente.create(cliente);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, error.keyPattern?.telefono
+            ? `Ya existe una cuenta con el teléfono ${cliente.telefono}`
+            : `Ya existe una cuenta con el número ${cliente.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await Cliente.findOne({ numero }).lean());
+    },
+
+    async buscarTelefono(telefono) {
+      return aPlano(await Cliente.findOne({ telefono }).lean());
+    },
+
+    // Los campos en null se quitan
+    async actualizar(numero, cambios) {
+      const $set = {};
+      const $unset = {};
+      Object.entries(cambios).forEach(([campo, valor]) => {
+        if (valor === null) $unset[campo] = '';
+        else $set[campo] = valor;
+      });
+      const actualizacion = {};
+      if (Object.keys($set).length > 0) actualizacion.$set = $set;
+      if (Object.keys($unset).length > 0) actualizacion.$unset = $unset;
+      return aPlano(await Cliente.findOneAndUpdate({ numero }, actualizacion, { new: true, lean: true }));
+    },
+
+    // Cuentas verificadas con al menos un recordatorio de recompra
+    async listarConRecordatorios() {
+      const docs = await Cliente.find({ verificadoEn: { $ne: null }, 'recordatorios.0': { $exists: true } }).lean();
+      return docs.map(aPlano);
+    }
+  };
+}
+
+module.exports = crearClientesMongo;
@@ -0,0 +1,55 @@
+const Comprobante = require('../../models/Comprobante');
+const Contador = require('../../models/Contador');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...comprobante } = doc;
+  return comprobante;
+}
+
+// Repositorio de comprobantes de venta sobre MongoDB (models/Comprobante.js)
+function crearComprobantesMongo() {
+  return {
+    async iniciar() {},
+
+    // El número sale de un contador atómico: no se repite aunque haya varias instancias
+    async crear(datos) {
+      const contador = await Contador.findOneAndUpdate(
+        { _id: 'comprobantes' },
+        { $inc: { valor: 1 } },
+        { upsert: true, new: true, lean: true }
+      );
+      const doc = await Comprobante.create({ ...datos, numero: contador.valor });
+      return aPlano(doc.toObject());
+    },
+
+    async obtener(numero) {
+      return aPlano(await Comprobante.findOne({ numero }).lean());
+    },
+
+    // Filtros: pedido, estado, desde, hasta (fecha de emisión). Ordenados por número
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.pedido) consulta.pedido = filtro.pedido;
+      if (filtro.estado) consulta.estado = filtro.estado;
+      if (filtro.desde || filtro.hasta) {
+        consulta.emitidoEn = {};
+        if (filtro.desde) consulta.emitidoEn.$gte = filtro.desde;
+        if (filtro.hasta) consulta.emitidoEn.$lte = filtro.hasta;
+      }
+      const docs = await Comprobante.find(consulta).sort({ numero: 1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Aplica los cambios solo si el comprobante sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      return aPlano(await Comprobante.findOneAndUpdate(
+        { numero, estado: desde },
+        { $set: cambios },
+        { new: true, lean: true }
+      ));
+    }
+  };
+}
+
+module.exports = crearComprobantesMongo;
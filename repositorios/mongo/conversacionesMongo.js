@@ -0,0 +1,41 @@
+const Conversacion = require('../../models/Conversacion');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...conversacion } = doc;
+  return conversacion;
+}
+
+// Repositorio de conversaciones de SANABOT sobre MongoDB (models/Conversacion.js)
+function crearConversacionesMongo() {
+  return {
+    async iniciar() {},
+
+    async obtener(sessionId) {
+      return aPlano(await Conversacion.findOne({ sessionId }).lean());
+    },
+
+    // Crea o reemplaza la conversación de la sesión
+    async guardar(conversacion) {
+      const doc = await Conversacion.findOneAndUpdate(
+        { sessionId: conversacion.sessionId },
+        { $set: conversacion },
+        { upsert: true, new: true, lean: true }
+      );
+      return aPlano(doc);
+    },
+
+    async eliminar(sessionId) {
+      const { deletedCount } = await Conversacion.deleteOne({ sessionId });
+      return deletedCount > 0;
+    },
+
+    // El índice TTL ya las borra, pero no es inmediato
+    async eliminarVencidas(ahora = new Date()) {
+      const { deletedCount } = await Conversacion.deleteMany({ expiraEn: { $lte: ahora } });
+      return deletedCount;
+    }
+  };
+}
+
+module.exports = crearConversacionesMongo;
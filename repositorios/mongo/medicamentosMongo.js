@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Medicamento = require('../../models/Medicamento');
+const { ErrorHttp } = require('../../utils/errores');
+const lotes = require('../../utils/lotes');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { __v, ...medicamento } = doc;
+  return lotes.conStockVigente({ ...medicamento, _id: String(doc._id) });
+}
+
+// Lee el documento, calcula los lotes nuevos y los guarda solo si nadie lo modificó
+// entretanto (control por versión). "calcular" devuelve los lotes nuevos o null para abortar.
+async function actualizarLotes(id, calcular, intentos = 5) {
+  for (let i = 0; i < intentos; i++) {
+    const actual = await Medicamento.findById(id).lean();
+    if (!actual) return { actual: null, doc: null };
+
+    const nuevosLotes = calcular(actual);
+    if (!nuevosLotes) return { actual, doc: null };
+
+    const version = actual.__v === undefined ? { $exists: false } : actual.__v;
+    const doc = await Medicamento.findOneAndUpdate(
+      { _id: id, __v: version },
+      {
+        $set: {
+          lotes: nuevosLotes,
+          stock: lotes.stockTotal({ lotes: nuevosLotes }),
+          __v: (actual.__v || 0) + 1
+        }
+      },
+      { new: true, lean: true }
+    );
+    if (doc) return { actual, doc };
+  }
+  throw new ErrorHttp(409, 'El stock cambió mientras se procesaba, intenta nuevamente');
+}
+
+function filtroIdONombre(id, nombre) {
+  const condiciones = [];
+  if (id && mongoose.isValidObjectId(id)) condiciones.push({ _id: id });
+  if (nombre) condiciones.push({ nombre });
+  return condiciones.length > 0 ? { $or: condiciones } : null;
+}
+
+// Repositorio de medicamentos sobre MongoDB usando el esquema de models/Medicamento.js
+function crearMedicamentosMongo() {
+  return {
+    async iniciar() {
+      // La conexión la abre repositorios/index.js
+    },
+
+    async contar() {
+      return Medicamento.countDocuments();
+    },
+
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.controlado !== undefined) {
+        consulta.controlado = filtro.controlado ? true : { $ne: true };
+      }
+      if (filtro.activo !== undefined) {
+        consulta.activo = filtro.activo ? { $ne: false } : false;
+      }
+      const docs = await Medicamento.find(consulta).lean();
+      return docs.map(aPlano);
+    },
+
+    async obtener(id, nombre) {
+      const consulta = filtroIdONombre(id, nombre);
+      if (!consulta) return null;
+      return aPlano(await Medicamento.findOne(consulta).lean());
+    },
+
+    // Descuenta stock de varios items de forma todo-o-nada, consumiendo lotes por FEFO.
+    // Cada descuento es condicional y si alguno falla se revierten los anteriores.
+    // "retenido" indica por id las unidades reservadas por otras sesiones.
+    async descontarStock(items, { retenido = {} } = {}) {
+      const aplicados = [];
+      const errores = [];
+
+      for (const item of items) {
+        const consulta = filtroIdONombre(item.id, item.nombre);
+        const actual = consulta && await Medicamento.findOne(consulta).lean();
+        if (!actual || actual.activo === false) {
+          errores.push({ error: `Medicamento no encontrado: ${item.id || item.nombre}` });
+          continue;
+        }
+
+        const retenidoOtros = retenido[String(actual._id)] || 0;
+        let actualizado = null;
+        let consumidos = [];
+
+        if (lotes.tieneLotes(actual)) {
+          const resultado = await actualizarLotes(actual._id, doc => {
+            if (lotes.stockVendible(doc) - retenidoOtros < item.cantidad) return null;
+            const asignacion = lotes.asignarFefo(doc, item.cantidad);
+            consumidos = asignacion ? asignacion.consumidos : [];
+            return asignacion && asignacion.lotes;
+          });
+          actualizado = resultado.doc;
+        } else {
+          actualizado = await Medicamento.findOneAndUpdate(
+            { _id: actual._id, stock: { $gte: item.cantidad + retenidoOtros } },
+            { $inc: { stock: -item.cantidad } },
+            { new: true, lean: true }
+          );
+        }
+
+        if (!actualizado) {
+          const disponible = Math.max(lotes.stockVendible(actual) - retenidoOtros, 0);
+          errores.push({
+            error: `Stock insuficiente para ${actual.nombre}. Disponible: ${disponible}`,
+            stockDisponible: disponible
+          });
+          continue;
+        }
+        aplicados.push({ doc: actualizado, cantidad: item.cantidad, consumidos });
+      }
+
+      if (errores.length > 0) {
+        await this.reponerStock(aplicados.map(({ doc, cantidad, consumidos }) => ({
+          id: String(doc._id),
+          cantidad,
+          lotes: consumidos
+        })));
+        throw new ErrorHttp(400, 'No se puede procesar el pedido', { errors: errores });
+      }
+
+      return aplicados.map(({ doc, consumidos }) => ({ ...aPlano(doc), lotesConsumidos: consumidos }));
+    },
+
+    async crear(datos) {
+      const doc = await Medicamento.create(datos);
+      return aPlano(doc.toObject());
+    },
+
+    async actualizar(id, cambios) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      return aPlano(await Medicamento.findByIdAndUpdate(id, { $set: cambios }, { new: true, lean: true }));
+    },
+
+    // Altas y cambios de una importación. Si alguna escritura falla se deshacen las anteriores
+    // (se borran las altas y los campos cambiados vuelven a su valor previo).
+    async importar({ altas = [], cambios = [] }) {
+      const ids = cambios.map(cambio => cambio.id).filter(id => mongoose.isValidObjectId(id));
+      const previos = await Medicamento.find({ _id: { $in: ids } }).lean();
+      if (previos.length !== cambios.length) {
+        const encontrados = previos.map(doc => String(doc._id));
+        const faltantes = cambios.map(c => c.id).filter(id => !encontrados.includes(id));
+        throw new ErrorHttp(409, `Medicamentos no encontrados: ${faltantes.join(', ')}`);
+      }
+
+      const creados = altas.map(datos => ({ ...datos, _id: new mongoose.Types.ObjectId() }));
+      try {
+        await Medicamento.bulkWrite([
+          ...creados.map(doc => ({ insertOne: { document: doc } })),
+          ...cambios.map(cambio => ({ updateOne: { filter: { _id: cambio.id }, update: { $set: cambio.campos } } }))
+        ], { ordered: true });
+      } catch (error) {
+        await Medicamento.deleteMany({ _id: { $in: creados.map(doc => doc._id) } });
+        await Medicamento.bulkWrite(cambios.map(cambio => {
+          const previo = previos.find(doc => String(doc._id) === cambio.id);
+          const update = {};
+          Object.keys(cambio.campos).forEach(campo => {
+            const operador = previo[campo] === undefined ? '$unset' : '$set';
+            update[operador] = { ...update[operador], [campo]: previo[campo] ?? '' };
+          });
+          return { updateOne: { filter: { _id: cambio.id }, update } };
+        }));
+        throw error;
+      }
+
+      const docs = await Medicamento.find({ _id: { $in: [...creados.map(doc => doc._id), ...ids] } }).lean();
+      const porId = id => aPlano(docs.find(doc => String(doc._id) === String(id)));
+      return {
+        creados: creados.map(doc => porId(doc._id)),
+        actualizados: cambios.map(cambio => porId(cambio.id))
+      };
+    },
+
+    // Suma (o resta) unidades; nunca deja el stock en negativo.
+    // Con lotes, las salidas se descuentan por FEFO y los ingresos deben registrarse como lote.
+    async ajustarStock(id, delta) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const actual = await Medicamento.findById(id).lean();
+      if (!actual) return null;
+
+      if (lotes.tieneLotes(actual)) {
+        if (delta > 0) {
+          throw new ErrorHttp(400, 'Este producto maneja lotes: registra el ingreso como un lote nuevo');
+        }
+        let consumidos = [];
+        const { doc } = await actualizarLotes(id, med => {
+          const asignacion = lotes.asignarFefo(med, -delta);
+          consumidos = asignacion ? asignacion.consumidos : [];
+          return asignacion && asignacion.lotes;
+        });
+        if (doc) return { ...aPlano(doc), lotesConsumidos: consumidos };
+        throw new ErrorHttp(400, `El ajuste dejaría stock negativo. Stock vendible: ${lotes.stockVendible(actual)}`);
+      }
+
+      const condicion = delta < 0 ? { _id: id, stock: { $gte: -delta } } : { _id: id };
+      const doc = await Medicamento.findOneAndUpdate(condicion, { $inc: { stock: delta } }, { new: true, lean: true });
+      if (doc) return aPlano(doc);
+      throw new ErrorHttp(400, `El ajuste dejaría stock negativo. Stock actual: ${actual.stock}`);
+    },
+
+    // Registra el ingreso de un lote con su fecha de vencimiento
+    async agregarLote(id, lote) {
+      if (!mongoose.isValidObjectId(id)) return null;
+      const { doc } = await actualizarLotes(id, med => lotes.agregarLote(med, lote));
+      return aPlano(doc);
+    },
+
+    // Devuelve cantidades al stock (p. ej. al cancelar un pedido), a los mismos lotes si se conocen.
+    // El resultado tiene una posición por item (null si el medicamento ya no existe).
+    async reponerStock(items) {
+      const repuestos = [];
+      for (const item of items) {
+        const consulta = filtroIdONombre(item.id, item.nombre);
+        const actual = consulta && await Medicamento.findOne(consulta).lean();
+        if (!actual) {
+          repuestos.push(null);
+          continue;
+        }
+
+        let doc;
+        if (lotes.tieneLotes(actual) || (item.lotes && item.lotes.length > 0)) {
+          ({ doc } = await actualizarLotes(actual._id,
+            med => lotes.reponerLotes(med, lotes.lotesDeDevolucion(item))));
+        } else {
+          doc = await Medicamento.findOneAndUpdate(
+            { _id: actual._id },
+            { $inc: { stock: item.cantidad } },
+            { new: true, lean: true }
+          );
+        }
+        repuestos.push(aPlano(doc));
+      }
+      return repuestos;
+    },
+
+    // Quita exactamente lo que devolvió reponerStock (mismas cantidades y lotes).
+    // Solo para deshacer una operación: no pasa por el libro de control (ver repositorios/libroControl.js).
+    async retirarStock(items) {
+      const fallidos = [];
+      for (const item of items) {
+        const consulta = filtroIdONombre(item.id, item.nombre);
+        const actual = consulta && await Medicamento.findOne(consulta).lean();
+        let doc = null;
+        if (actual && (lotes.tieneLotes(actual) || (item.lotes && item.lotes.length > 0))) {
+          ({ doc } = await actualizarLotes(actual._id,
+            med => lotes.retirarLotes(med, lotes.lotesDeDevolucion(item))));
+        } else if (actual) {
+          doc = await Medicamento.findOneAndUpdate(
+            { _id: actual._id, stock: { $gte: item.cantidad } },
+            { $inc: { stock: -item.cantidad } },
+            { new: true, lean: true }
+          );
+        }
+        if (!doc) fallidos.push(item.id || item.nombre);
+      }
+      if (fallidos.length > 0) {
+        throw new ErrorHttp(409, `No se pudo retirar el stock de: ${fallidos.join(', ')}`);
+      }
+    },
+
+    // Solo para deshacer el alta de una importación que no se pudo registrar en el libro de control
+    async eliminar(id) {
+      if (!mongoose.isValidObjectId(id)) return false;
+      const { deletedCount } = await Medicamento.deleteOne({ _id: id });
+      return deletedCount > 0;
+    }
+  };
+}
+
+module.exports = crearMedicamentosMongo;
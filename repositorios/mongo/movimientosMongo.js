@@ -0,0 +1,48 @@
+const MovimientoControlado = require('../../models/MovimientoControlado');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...movimiento } = doc;
+  return movimiento;
+}
+
+function construirConsulta(filtro) {
+  const consulta = {};
+  if (filtro.medicamentoId) consulta.medicamentoId = filtro.medicamentoId;
+  if (filtro.desde || filtro.hasta) {
+    consulta.fecha = {};
+    if (filtro.desde) consulta.fecha.$gte = filtro.desde;
+    if (filtro.hasta) consulta.fecha.$lte = filtro.hasta;
+  }
+  return consulta;
+}
+
+// Libro de control sobre MongoDB (models/MovimientoControlado.js): solo admite agregar movimientos
+function crearMovimientosMongo() {
+  return {
+    async iniciar() {},
+
+    // Agrega los movimientos de una operación. Como el libro no admite borrados, si la escritura
+    // falla a mitad pueden quedar los primeros (nunca queda un cambio de stock sin su movimiento)
+    async registrar(lista) {
+      const docs = await MovimientoControlado.insertMany(lista, { ordered: true });
+      return docs.map(doc => aPlano(doc.toObject()));
+    },
+
+    // Filtros: medicamentoId, desde, hasta. En orden cronológico
+    async listar(filtro = {}) {
+      const docs = await MovimientoControlado.find(construirConsulta(filtro)).sort({ fecha: 1, _id: 1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Último movimiento de un medicamento anterior a una fecha (para el saldo inicial)
+    async ultimoAntes(medicamentoId, fecha) {
+      return aPlano(await MovimientoControlado
+        .findOne({ medicamentoId, fecha: { $lt: fecha } })
+        .sort({ fecha: -1, _id: -1 })
+        .lean());
+    }
+  };
+}
+
+module.exports = crearMovimientosMongo;
@@ -0,0 +1,62 @@
+const Pago = require('../../models/Pago');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...pago } = doc;
+  return pago;
+}
+
+// Repositorio de cobros por QR sobre MongoDB (models/Pago.js)
+function crearPagosMongo() {
+  return {
+    async iniciar() {},
+
+    // El índice único de "numero" rechaza un número repetido
+    async crear(pago) {
+      try {
+        const doc = await Pago.create(pago);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, `Ya existe un pago con el número ${pago.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await Pago.findOne({ numero }).lean());
+    },
+
+    async buscarExterno(pasarela, idExterno) {
+      return aPlano(await Pago.findOne({ pasarela, idExterno }).lean());
+    },
+
+    // Filtros: pedido, estado. Los más recientes primero
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.pedido) consulta.pedido = filtro.pedido;
+      if (filtro.estado) consulta.estado = filtro.estado;
+      const docs = await Pago.find(consulta).sort({ creadoEn: -1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Pendientes cuyo plazo ya pasó
+    async listarVencidos(ahora = new Date()) {
+      const docs = await Pago.find({ estado: 'pendiente', expiraEn: { $lte: ahora } }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Aplica los cambios solo si el pago sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      return aPlano(await Pago.findOneAndUpdate(
+        { numero, estado: desde },
+        { $set: cambios },
+        { new: true, lean: true }
+      ));
+    }
+  };
+}
+
+module.exports = crearPagosMongo;
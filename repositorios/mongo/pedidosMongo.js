@@ -0,0 +1,125 @@
+const Pedido = require('../../models/Pedido');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...pedido } = doc;
+  return pedido;
+}
+
+function construirConsulta(filtro) {
+  const consulta = {};
+  if (filtro.estado) consulta.estado = filtro.estado;
+  if (filtro.sessionId) consulta.sessionId = filtro.sessionId;
+  if (filtro.telefono) consulta.telefono = filtro.telefono;
+  if (filtro.cuenta) consulta.cuenta = filtro.cuenta;
+  if (filtro.desde || filtro.hasta) {
+    consulta.creadoEn = {};
+    if (filtro.desde) consulta.creadoEn.$gte = filtro.desde;
+    if (filtro.hasta) consulta.creadoEn.$lte = filtro.hasta;
+  }
+  return consulta;
+}
+
+// Repositorio de pedidos sobre MongoDB (models/Pedido.js)
+function crearPedidosMongo() {
+  return {
+    async iniciar() {},
+
+    // El índice único de "numero" rechaza un número repetido
+    async crear(pedido) {
+      try {
+        const doc = await Pedido.create(pedido);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, `Ya existe un pedido con el número ${pedido.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await Pedido.findOne({ numero }).lean());
+    },
+
+    // Devuelve { total, pedidos } ordenados del más reciente al más antiguo
+    async listar(filtro = {}, { limit = 50, offset = 0 } = {}) {
+      const consulta = construirConsulta(filtro);
+      const [total, docs] = await Promise.all([
+        Pedido.countDocuments(consulta),
+        Pedido.find(consulta).sort({ creadoEn: -1 }).skip(offset).limit(limit).lean()
+      ]);
+      return { total, pedidos: docs.map(aPlano) };
+    },
+
+    // Unidades vendidas por id de medicamento desde una fecha (sin pedidos cancelados)
+    async unidadesVendidas({ desde } = {}) {
+      const coincidencia = { estado: { $ne: 'cancelado' } };
+      if (desde) coincidencia.creadoEn = { $gte: desde };
+      const grupos = await Pedido.aggregate([
+        { $match: coincidencia },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.id', unidades: { $sum: '$items.cantidad' } } }
+      ]);
+      return Object.fromEntries(grupos.map(g => [g._id, g.unidades]));
+    },
+
+    // Pedidos no cancelados del período, del más antiguo al más reciente (para reportes)
+    async listarVentas({ desde, hasta } = {}) {
+      const docs = await Pedido.find({ ...construirConsulta({ desde, hasta }), estado: { $ne: 'cancelado' } })
+        .select('numero items descuento entrega total creadoEn')
+        .sort({ creadoEn: 1 })
+        .lean();
+      return docs.map(aPlano);
+    },
+
+    // Fecha de la última venta por id de medicamento (sin pedidos cancelados)
+    async ultimasVentas() {
+      const grupos = await Pedido.aggregate([
+        { $match: { estado: { $ne: 'cancelado' } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.id', fecha: { $max: '$creadoEn' } } }
+      ]);
+      return Object.fromEntries(grupos.map(g => [g._id, g.fecha]));
+    },
+
+    // Pedidos para pagar por QR, sin QR solicitado, hechos hasta "hasta" y no finalizados
+    async listarQrSinPago(hasta) {
+      const docs = await Pedido.find({
+        metodoPago: 'qr',
+        pago: { $exists: false },
+        estado: { $nin: ['entregado', 'cancelado'] },
+        creadoEn: { $lte: hasta }
+      }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Cambia el estado solo si el pedido sigue en el estado esperado
+    async cambiarEstado(numero, { desde, hacia, entrada }) {
+      const doc = await Pedido.findOneAndUpdate(
+        { numero, estado: desde },
+        {
+          $set: { estado: hacia, actualizadoEn: entrada.fecha },
+          $push: { historial: entrada }
+        },
+        { new: true, lean: true }
+      );
+      return aPlano(doc);
+    },
+
+    // Estado del pago por QR del pedido (el detalle está en el repositorio de pagos)
+    async actualizarPago(numero, pago) {
+      return aPlano(await Pedido.findOneAndUpdate({ numero }, { $set: { pago } }, { new: true, lean: true }));
+    },
+
+    // Asigna a la cuenta los pedidos sin cuenta hechos con ese teléfono; devuelve cuántos
+    async vincularCuenta(telefono, cuenta) {
+      if (!telefono) return 0;
+      const resultado = await Pedido.updateMany({ cuenta: null, telefono }, { $set: { cuenta } });
+      return resultado.modifiedCount;
+    }
+  };
+}
+
+module.exports = crearPedidosMongo;
@@ -0,0 +1,80 @@
+const Promocion = require('../../models/Promocion');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...promocion } = doc;
+  return promocion;
+}
+
+// Repositorio de promociones y cupones sobre MongoDB (models/Promocion.js)
+function crearPromocionesMongo() {
+  return {
+    async iniciar() {},
+
+    // Los índices únicos de "numero" y "cupon" rechazan un valor repetido
+    async crear(promocion) {
+      try {
+        const doc = await Promocion.create(promocion);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, error.keyPattern?.cupon
+            ? `El cupón ${promocion.cupon} ya está en uso`
+            : `Ya existe una promoción con el número ${promocion.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await Promocion.findOne({ numero }).lean());
+    },
+
+    async buscarCupon(codigo) {
+      return aPlano(await Promocion.findOne({ cupon: codigo }).lean());
+    },
+
+    // Filtro: activa. Las más recientes primero
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.activa !== undefined) consulta.activa = filtro.activa;
+      const docs = await Promocion.find(consulta).sort({ creadaEn: -1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Los campos en null se quitan (el índice de cupón es sparse: no admite varios null)
+    async actualizar(numero, cambios) {
+      const $set = {};
+      const $unset = {};
+      Object.entries(cambios).forEach(([campo, valor]) => {
+        if (valor === null) $unset[campo] = '';
+        else $set[campo] = valor;
+      });
+      const actualizacion = {};
+      if (Object.keys($set).length > 0) actualizacion.$set = $set;
+      if (Object.keys($unset).length > 0) actualizacion.$unset = $unset;
+      return aPlano(await Promocion.findOneAndUpdate({ numero }, actualizacion, { new: true, lean: true }));
+    },
+
+    // Suma un uso si no alcanzó su límite (atómico); null si ya no quedan usos
+    async registrarUso(numero) {
+      return aPlano(await Promocion.findOneAndUpdate(
+        { numero, $or: [{ limiteUsos: null }, { $expr: { $lt: ['$usos', '$limiteUsos'] } }] },
+        { $inc: { usos: 1 } },
+        { new: true, lean: true }
+      ));
+    },
+
+    // Devuelve un uso (pedido no registrado o cancelado)
+    async liberarUso(numero) {
+      return aPlano(await Promocion.findOneAndUpdate(
+        { numero, usos: { $gt: 0 } },
+        { $inc: { usos: -1 } },
+        { new: true, lean: true }
+      ));
+    }
+  };
+}
+
+module.exports = crearPromocionesMongo;
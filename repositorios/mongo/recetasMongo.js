@@ -0,0 +1,58 @@
+const Receta = require('../../models/Receta');
+const { ErrorHttp } = require('../../utils/errores');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...receta } = doc;
+  return receta;
+}
+
+// Repositorio de recetas médicas sobre MongoDB (models/Receta.js)
+function crearRecetasMongo() {
+  return {
+    async iniciar() {},
+
+    // El índice único de "numero" rechaza un número repetido
+    async crear(receta) {
+      try {
+        const doc = await Receta.create(receta);
+        return aPlano(doc.toObject());
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ErrorHttp(409, `Ya existe una receta con el número ${receta.numero}`);
+        }
+        throw error;
+      }
+    },
+
+    async obtener(numero) {
+      return aPlano(await Receta.findOne({ numero }).lean());
+    },
+
+    // Filtros: estado, sessionId. Ordenadas de la más antigua a la más reciente (cola de revisión)
+    async listar(filtro = {}) {
+      const consulta = {};
+      if (filtro.estado) consulta.estado = filtro.estado;
+      if (filtro.sessionId) consulta.sessionId = filtro.sessionId;
+      const docs = await Receta.find(consulta).sort({ creadaEn: 1 }).lean();
+      return docs.map(aPlano);
+    },
+
+    // Aplica los cambios solo si la receta sigue en el estado esperado
+    async cambiarEstado(numero, { desde, cambios }) {
+      return aPlano(await Receta.findOneAndUpdate(
+        { numero, estado: desde },
+        { $set: cambios },
+        { new: true, lean: true }
+      ));
+    },
+
+    // Pasa las recetas de una sesión a otra (al unir una sesión anónima a una cuenta); devuelve cuántas
+    async cambiarSesion(desde, hacia) {
+      const resultado = await Receta.updateMany({ sessionId: desde }, { $set: { sessionId: hacia } });
+      return resultado.modifiedCount;
+    }
+  };
+}
+
+module.exports = crearRecetasMongo;
@@ -0,0 +1,46 @@
+const Reserva = require('../../models/Reserva');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...reserva } = doc;
+  return reserva;
+}
+
+// Repositorio de reservas de stock sobre MongoDB (models/Reserva.js)
+function crearReservasMongo() {
+  return {
+    async iniciar() {},
+
+    async listarVigentes(ahora = new Date()) {
+      const docs = await Reserva.find({ expiraEn: { $gt: ahora } }).lean();
+      return docs.map(aPlano);
+    },
+
+    async obtener(sessionId) {
+      return aPlano(await Reserva.findOne({ sessionId }).lean());
+    },
+
+    // Crea o reemplaza la reserva de la sesión
+    async guardar(reserva) {
+      const doc = await Reserva.findOneAndUpdate(
+        { sessionId: reserva.sessionId },
+        { $set: reserva },
+        { upsert: true, new: true, lean: true }
+      );
+      return aPlano(doc);
+    },
+
+    async eliminar(sessionId) {
+      const { deletedCount } = await Reserva.deleteOne({ sessionId });
+      return deletedCount > 0;
+    },
+
+    // El índice TTL ya las borra, pero no es inmediato
+    async eliminarVencidas(ahora = new Date()) {
+      const { deletedCount } = await Reserva.deleteMany({ expiraEn: { $lte: ahora } });
+      return deletedCount;
+    }
+  };
+}
+
+module.exports = crearReservasMongo;
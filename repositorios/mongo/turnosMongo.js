@@ -0,0 +1,46 @@
+const Turno = require('../../models/Turno');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...turno } = doc;
+  return turno;
+}
+
+// Repositorio de cupos de los turnos de retiro sobre MongoDB (models/Turno.js)
+function crearTurnosMongo() {
+  return {
+    async iniciar() {},
+
+    // Cupos ocupados por clave de turno (los que no figuran no tienen ninguno)
+    async ocupacion(claves) {
+      const docs = await Turno.find({ clave: { $in: claves } }).lean();
+      return Object.fromEntries(docs.map(t => [t.clave, t.ocupados]));
+    },
+
+    // Ocupa un cupo si el turno no llegó a su capacidad (atómico); null si ya está lleno.
+    // Con el turno lleno el filtro no coincide y el upsert choca con el índice único de clave.
+    async ocupar(clave, capacidad) {
+      try {
+        return aPlano(await Turno.findOneAndUpdate(
+          { clave, ocupados: { $lt: capacidad } },
+          { $inc: { ocupados: 1 } },
+          { upsert: true, new: true, lean: true }
+        ));
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+    },
+
+    // Devuelve un cupo (pedido no registrado o cancelado)
+    async liberar(clave) {
+      return aPlano(await Turno.findOneAndUpdate(
+        { clave, ocupados: { $gt: 0 } },
+        { $inc: { ocupados: -1 } },
+        { new: true, lean: true }
+      ));
+    }
+  };
+}
+
+module.exports = crearTurnosMongo;
@@ -0,0 +1,38 @@
+const Usuario = require('../../models/Usuario');
+
+function aPlano(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...usuario } = doc;
+  return usuario;
+}
+
+// Repositorio de usuarios del personal sobre MongoDB (models/Usuario.js)
+function crearUsuariosMongo() {
+  return {
+    async iniciar() {},
+
+    async contar() {
+      return Usuario.countDocuments();
+    },
+
+    async listar() {
+      const docs = await Usuario.find().lean();
+      return docs.map(aPlano);
+    },
+
+    async obtener(usuario) {
+      return aPlano(await Usuario.findOne({ usuario }).lean());
+    },
+
+    async crear(datos) {
+      const doc = await Usuario.create(datos);
+      return aPlano(doc.toObject());
+    },
+
+    async actualizar(usuario, cambios) {
+      return aPlano(await Usuario.findOneAndUpdate({ usuario }, { $set: cambios }, { new: true, lean: true }));
+    }
+  };
+}
+
+module.exports = crearUsuariosMongo;
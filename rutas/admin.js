@@ -0,0 +1,274 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+const { CAMPOS_FARMACEUTICO } = require('../servicios/medicamentos');
+
+// Rutas protegidas para administrar el catálogo de medicamentos
+function crearRutasAdmin({ auth, medicamentos, alertas, seguridadClinica, importacion, clasificacion, promociones }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+  const soloAdmin = auth.requiereRol('admin');
+
+  // Listar el catálogo completo (opcional: query, inactivos=true)
+  router.get('/medicamentos', personal, async (req, res) => {
+    try {
+      const lista = await medicamentos.listar({
+        query: req.query.query,
+        incluirInactivos: req.query.inactivos === 'true'
+      });
+      res.json({ success: true, total: lista.length, medicamentos: lista });
+    } catch (error) {
+      console.error('Error listando catálogo:', error);
+      responderError(res, error, 'Error al listar el catálogo');
+    }
+  });
+
+  router.get('/medicamentos/:id', personal, async (req, res) => {
+    try {
+      res.json({ success: true, medicamento: await medicamentos.obtener(req.params.id) });
+    } catch (error) {
+      console.error('Error consultando medicamento:', error);
+      responderError(res, error, 'Error al consultar el medicamento');
+    }
+  });
+
+  // Alta de un medicamento
+  router.post('/medicamentos', soloAdmin, async (req, res) => {
+    try {
+      const medicamento = await medicamentos.crear(req.body, { usuario: req.usuario.usuario });
+      res.status(201).json({ success: true, medicamento });
+    } catch (error) {
+      console.error('Error creando medicamento:', error);
+      responderError(res, error, 'Error al crear el medicamento');
+    }
+  });
+
+  // Editar campos; el farmacéutico solo puede tocar precio, stock y stock mínimo
+  router.patch('/medicamentos/:id', personal, async (req, res) => {
+    try {
+      if (req.usuario.rol !== 'admin') {
+        const noPermitidos = Object.keys(req.body || {}).filter(campo => !CAMPOS_FARMACEUTICO.includes(campo));
+        if (noPermitidos.length > 0) {
+          return res.status(403).json({
+            error: `Solo un admin puede modificar: ${noPermitidos.join(', ')}`
+          });
+        }
+      }
+
+      const medicamento = await medicamentos.actualizar(req.params.id, req.body, { usuario: req.usuario.usuario });
+      res.json({ success: true, medicamento });
+    } catch (error) {
+      console.error('Error actualizando medicamento:', error);
+      responderError(res, error, 'Error al actualizar el medicamento');
+    }
+  });
+
+  // Ajuste relativo de stock: { cantidad: +10 | -2, motivo }
+  router.post('/medicamentos/:id/ajuste-stock', personal, async (req, res) => {
+    try {
+      const medicamento = await medicamentos.ajustarStock(req.params.id, req.body.cantidad, {
+        usuario: req.usuario.usuario,
+        motivo: req.body.motivo
+      });
+      console.log(`Ajuste de stock por ${req.usuario.usuario}: ${medicamento.nombre} ${req.body.cantidad} (${req.body.motivo || 'sin motivo'})`);
+      res.json({ success: true, medicamento });
+    } catch (error) {
+      console.error('Error ajustando stock:', error);
+      responderError(res, error, 'Error al ajustar el stock');
+    }
+  });
+
+  // Ingreso de un lote: { numero, fechaVencimiento, cantidad }
+  router.post('/medicamentos/:id/lotes', personal, async (req, res) => {
+    try {
+      const medicamento = await medicamentos.agregarLote(req.params.id, req.body, { usuario: req.usuario.usuario });
+      console.log(`Ingreso de lote por ${req.usuario.usuario}: ${medicamento.nombre} lote ${req.body.numero} (${req.body.cantidad})`);
+      res.status(201).json({ success: true, medicamento });
+    } catch (error) {
+      console.error('Error registrando lote:', error);
+      responderError(res, error, 'Error al registrar el lote');
+    }
+  });
+
+  // Lotes que vencen dentro de N días (por defecto 30) y los ya vencidos
+  router.get('/lotes/por-vencer', personal, async (req, res) => {
+    try {
+      const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 0), 3650);
+      const lotes = await medicamentos.lotesPorVencer(dias);
+      res.json({ success: true, dias, total: lotes.length, lotes });
+    } catch (error) {
+      console.error('Error listando lotes por vencer:', error);
+      responderError(res, error, 'Error al listar lotes por vencer');
+    }
+  });
+
+  // Productos en su stock mínimo o debajo
+  router.get('/stock-bajo', personal, async (req, res) => {
+    try {
+      const lista = await alertas.listarStockBajo();
+      res.json({ success: true, total: lista.length, medicamentos: lista });
+    } catch (error) {
+      console.error('Error listando stock bajo:', error);
+      responderError(res, error, 'Error al listar el stock bajo');
+    }
+  });
+
+  // Lista de reposición sugerida: ?dias=30 (ventas a considerar) &cobertura=14 (días a cubrir)
+  router.get('/reposicion', personal, async (req, res) => {
+    try {
+      const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 1), 365);
+      const cobertura = Math.min(Math.max(parseInt(req.query.cobertura) || 14, 1), 180);
+      const sugerencias = await alertas.sugerirReposicion({ dias, cobertura });
+      res.json({ success: true, dias, cobertura, total: sugerencias.length, sugerencias });
+    } catch (error) {
+      console.error('Error calculando reposición:', error);
+      responderError(res, error, 'Error al calcular la reposición sugerida');
+    }
+  });
+
+  // Revisar todo el catálogo y enviar las alertas pendientes ahora
+  router.post('/alertas/revisar', soloAdmin, async (req, res) => {
+    try {
+      res.json({ success: true, ...await alertas.revisar() });
+    } catch (error) {
+      console.error('Error revisando alertas de stock:', error);
+      responderError(res, error, 'Error al revisar las alertas de stock');
+    }
+  });
+
+  // Conversaciones de SANABOT marcadas por las reglas de seguridad clínica (?estado=pendiente|revisada|todas)
+  router.get('/chat/alertas', personal, async (req, res) => {
+    try {
+      const estado = req.query.estado || 'pendiente';
+      if (!['pendiente', 'revisada', 'todas'].includes(estado)) {
+        return res.status(400).json({ error: `Estado inválido: ${estado}` });
+      }
+      const lista = await seguridadClinica.listar({
+        estado: estado === 'todas' ? undefined : estado,
+        categoria: req.query.categoria
+      });
+      res.json({ success: true, total: lista.length, alertas: lista });
+    } catch (error) {
+      console.error('Error listando conversaciones marcadas:', error);
+      responderError(res, error, 'Error al listar las conversaciones marcadas');
+    }
+  });
+
+  // Marcar una conversación como revisada: { nota }
+  router.patch('/chat/alertas/:numero/revision', personal, async (req, res) => {
+    try {
+      const alerta = await seguridadClinica.revisar(req.params.numero, {
+        nota: req.body.nota,
+        usuario: req.usuario.usuario
+      });
+      res.json({ success: true, alerta });
+    } catch (error) {
+      console.error('Error revisando conversación marcada:', error);
+      responderError(res, error, 'Error al revisar la conversación');
+    }
+  });
+
+  // Catálogo completo en planilla: ?formato=csv|xlsx
+  router.get('/catalogo/exportar', personal, async (req, res) => {
+    try {
+      const formato = req.query.formato || 'csv';
+      const contenido = await importacion.exportar(formato);
+      res.attachment(`catalogo.${formato}`);
+      res.type(formato === 'csv' ? 'text/csv; charset=utf-8' : 'xlsx').send(contenido);
+    } catch (error) {
+      console.error('Error exportando catálogo:', error);
+      responderError(res, error, 'Error al exportar el catálogo');
+    }
+  });
+
+  // Importar precios, stock y productos desde CSV/XLSX: { archivo (data URL), aplicar, huella }
+  // Sin "aplicar" solo devuelve la vista previa; para aplicar se envía la huella de esa vista previa.
+  router.post('/catalogo/importar', soloAdmin, async (req, res) => {
+    try {
+      const buffer = importacion.decodificarArchivo(req.body.archivo);
+      if (req.body.aplicar !== true) {
+        return res.json({ success: true, aplicado: false, ...await importacion.previsualizar(buffer) });
+      }
+      if (!req.body.huella) {
+        return res.status(400).json({ error: 'Falta la huella de la vista previa que se quiere aplicar' });
+      }
+
+      const resultado = await importacion.aplicar(buffer, { huella: req.body.huella }, { usuario: req.usuario.usuario });
+      const { nuevos, cambiosPrecio, cambiosStock, otrosCambios } = resultado.resumen;
+      console.log(`Importación del catálogo por ${req.usuario.usuario}: ${nuevos} nuevos, ${cambiosPrecio} precios, ${cambiosStock} stock, ${otrosCambios} otros`);
+      res.json({ success: true, ...resultado });
+    } catch (error) {
+      console.error('Error importando catálogo:', error.message);
+      responderError(res, error, 'Error al importar el catálogo');
+    }
+  });
+
+  // Qué cambiaría al aplicar las reglas de config/clasificacion.json (no modifica nada)
+  router.get('/clasificacion', personal, async (req, res) => {
+    try {
+      res.json({ success: true, ...await clasificacion.revisar() });
+    } catch (error) {
+      console.error('Error revisando la clasificación:', error);
+      responderError(res, error, 'Error al revisar la clasificación');
+    }
+  });
+
+  // Aplica la clasificación a todo el catálogo
+  router.post('/clasificacion/aplicar', soloAdmin, async (req, res) => {
+    try {
+      const resultado = await clasificacion.aplicar({ usuario: req.usuario.usuario });
+      console.log(`Clasificación aplicada por ${req.usuario.usuario}: ${resultado.cambios.length} medicamentos actualizados`);
+      res.json({ success: true, ...resultado });
+    } catch (error) {
+      console.error('Error aplicando la clasificación:', error);
+      responderError(res, error, 'Error al aplicar la clasificación');
+    }
+  });
+
+  // Promociones y cupones (?activas=true para ver solo las activas)
+  router.get('/promociones', personal, async (req, res) => {
+    try {
+      const lista = await promociones.listar(req.query.activas === 'true' ? { activa: true } : {});
+      res.json({ success: true, total: lista.length, promociones: lista });
+    } catch (error) {
+      console.error('Error listando promociones:', error);
+      responderError(res, error, 'Error al listar las promociones');
+    }
+  });
+
+  // Alta de una promoción: { nombre, tipo, valor | lleva y paga, productos, categorias, cupon, minimo, limiteUsos, desde, hasta }
+  router.post('/promociones', soloAdmin, async (req, res) => {
+    try {
+      const promocion = await promociones.crear(req.body, { usuario: req.usuario.usuario });
+      res.status(201).json({ success: true, promocion });
+    } catch (error) {
+      console.error('Error creando promoción:', error);
+      responderError(res, error, 'Error al crear la promoción');
+    }
+  });
+
+  // Editar o desactivar ({ activa: false }) una promoción
+  router.patch('/promociones/:numero', soloAdmin, async (req, res) => {
+    try {
+      const promocion = await promociones.actualizar(req.params.numero, req.body);
+      res.json({ success: true, promocion });
+    } catch (error) {
+      console.error('Error actualizando promoción:', error);
+      responderError(res, error, 'Error al actualizar la promoción');
+    }
+  });
+
+  // Baja lógica: el medicamento deja de aparecer en búsquedas y pedidos
+  router.delete('/medicamentos/:id', soloAdmin, async (req, res) => {
+    try {
+      const medicamento = await medicamentos.desactivar(req.params.id);
+      res.json({ success: true, medicamento });
+    } catch (error) {
+      console.error('Error desactivando medicamento:', error);
+      responderError(res, error, 'Error al desactivar el medicamento');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasAdmin;
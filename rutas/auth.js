@@ -0,0 +1,60 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+// Rutas de autenticación y gestión de usuarios del personal
+function crearRutasAuth({ auth }) {
+  const router = express.Router();
+
+  // Iniciar sesión y obtener un token
+  router.post('/login', async (req, res) => {
+    try {
+      const { usuario, password } = req.body;
+      const sesion = await auth.login(usuario, password);
+      res.json({ success: true, ...sesion });
+    } catch (error) {
+      console.error('Error en login:', error.message);
+      responderError(res, error, 'Error al iniciar sesión');
+    }
+  });
+
+  // Datos del usuario autenticado
+  router.get('/yo', auth.requiereRol(), (req, res) => {
+    res.json({ success: true, usuario: req.usuario });
+  });
+
+  // Listar usuarios del personal
+  router.get('/usuarios', auth.requiereRol('admin'), async (req, res) => {
+    try {
+      res.json({ success: true, usuarios: await auth.listarUsuarios() });
+    } catch (error) {
+      console.error('Error listando usuarios:', error);
+      responderError(res, error, 'Error al listar usuarios');
+    }
+  });
+
+  // Crear un usuario del personal
+  router.post('/usuarios', auth.requiereRol('admin'), async (req, res) => {
+    try {
+      const usuario = await auth.crearUsuario(req.body);
+      res.status(201).json({ success: true, usuario });
+    } catch (error) {
+      console.error('Error creando usuario:', error);
+      responderError(res, error, 'Error al crear el usuario');
+    }
+  });
+
+  // Activar o desactivar un usuario
+  router.patch('/usuarios/:usuario', auth.requiereRol('admin'), async (req, res) => {
+    try {
+      const usuario = await auth.cambiarActivo(req.params.usuario, req.body.activo);
+      res.json({ success: true, usuario });
+    } catch (error) {
+      console.error('Error actualizando usuario:', error);
+      responderError(res, error, 'Error al actualizar el usuario');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasAuth;
@@ -0,0 +1,93 @@
+const express = require('express');
+const { ErrorHttp, responderError } = require('../utils/errores');
+
+// Pregunta del cliente ("texto", o "message" de versiones anteriores de la página); null si no es texto
+function leerPregunta(cuerpo) {
+  const pregunta = cuerpo?.texto ?? cuerpo?.message ?? '';
+  return typeof pregunta === 'string' && pregunta.trim() ? pregunta : null;
+}
+
+// Ruta del chatbot web (SANABOT). La conversación es de la sesión firmada del navegador
+// (las de WhatsApp, "whatsapp:+591...", solo se usan desde el webhook): el bot puede tocar su carrito.
+function crearRutasChat({ sanabot, auth }) {
+  const router = express.Router();
+  const sesion = auth.requiereSesion();
+
+  router.post('/chat', sesion, async (req, res) => {
+    try {
+      const pregunta = leerPregunta(req.body);
+      const { sessionId } = req;
+
+      if (!pregunta) {
+        return res.status(400).json({ error: "No se envió ninguna pregunta." });
+      }
+
+      // En la web el bot puede agregar productos al carrito; el cliente aplica las acciones devueltas
+      const { respuesta, acciones } = await sanabot.responder(sessionId, pregunta, { conCarrito: true });
+      res.json({ respuesta, acciones });
+    } catch (error) {
+      console.error("Error en /chat:", error);
+      responderError(res, error, "Error interno del servidor");
+    }
+  });
+
+  // Misma conversación que POST /chat, pero la respuesta llega por Server-Sent Events:
+  //   event: token -> { texto }  fragmento de la respuesta
+  //   event: fin   -> { respuesta, acciones }  respuesta final (la que queda en el historial)
+  //   event: error -> { error }
+  router.post('/chat/stream', sesion, async (req, res) => {
+    const pregunta = leerPregunta(req.body);
+    const { sessionId } = req;
+
+    if (!pregunta) {
+      return res.status(400).json({ error: "No se envió ninguna pregunta." });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const enviar = (evento, datos) => res.write(`event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`);
+
+    try {
+      const { respuesta, acciones } = await sanabot.responder(sessionId, pregunta, {
+        conCarrito: true,
+        alToken: texto => enviar('token', { texto })
+      });
+      enviar('fin', { respuesta, acciones });
+    } catch (error) {
+      console.error("Error en /chat/stream:", error);
+      enviar('error', { error: error instanceof ErrorHttp ? error.message : "Error interno del servidor" });
+    }
+    res.end();
+  });
+
+  // Historial de la conversación, para restaurar el chat al recargar la página
+  router.get('/chat/:sessionId', sesion, async (req, res) => {
+    try {
+      res.json({ success: true, ...await sanabot.historial(req.params.sessionId) });
+    } catch (error) {
+      console.error("Error obteniendo historial del chat:", error);
+      responderError(res, error, "Error al obtener la conversación");
+    }
+  });
+
+  // Nueva conversación
+  router.delete('/chat/:sessionId', sesion, async (req, res) => {
+    try {
+      const eliminada = await sanabot.reiniciar(req.params.sessionId);
+      res.json({ success: true, eliminada });
+    } catch (error) {
+      console.error("Error reiniciando el chat:", error);
+      responderError(res, error, "Error al reiniciar la conversación");
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasChat;
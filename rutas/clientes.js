@@ -0,0 +1,100 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+// Rutas de la cuenta del cliente: ingreso con código, perfil, historial, repetir pedido y recordatorios
+function crearRutasClientes({ clientes, auth }) {
+  const router = express.Router();
+  const cliente = auth.requiereCliente();
+
+  // Enviar un código de ingreso al teléfono: { telefono }
+  router.post('/codigo', async (req, res) => {
+    try {
+      const envio = await clientes.solicitarCodigo(req.body.telefono);
+      res.json({ success: true, ...envio });
+    } catch (error) {
+      console.error('Error enviando código de ingreso:', error.message);
+      responderError(res, error, 'Error al enviar el código');
+    }
+  });
+
+  // Ingresar con el código: { telefono, codigo, sessionId, nombre }. El sessionId (opcional) debe ser
+  // la sesión firmada del navegador: es la que se une a la cuenta
+  router.post('/ingresar', auth.requiereSesion({ opcional: true }), async (req, res) => {
+    try {
+      const { telefono, codigo, nombre } = req.body;
+      const sesion = await clientes.ingresar({ telefono, codigo, sessionId: req.sessionId, nombre });
+      res.json({ success: true, ...sesion });
+    } catch (error) {
+      console.error('Error en ingreso de cliente:', error.message);
+      responderError(res, error, 'Error al ingresar');
+    }
+  });
+
+  // Datos de la cuenta y estado de sus recordatorios
+  router.get('/yo', cliente, async (req, res) => {
+    try {
+      res.json({ success: true, cliente: await clientes.perfil(req.cuenta) });
+    } catch (error) {
+      console.error('Error consultando la cuenta:', error);
+      responderError(res, error, 'Error al consultar la cuenta');
+    }
+  });
+
+  // Cambiar nombre o NIT/CI
+  router.patch('/yo', cliente, async (req, res) => {
+    try {
+      res.json({ success: true, cliente: await clientes.actualizar(req.cuenta, req.body) });
+    } catch (error) {
+      console.error('Error actualizando la cuenta:', error.message);
+      responderError(res, error, 'Error al actualizar la cuenta');
+    }
+  });
+
+  // Historial de pedidos: limit, offset
+  router.get('/yo/pedidos', cliente, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const resultado = await clientes.historial(req.cuenta, { limit, offset });
+      res.json({ success: true, total: resultado.total, limit, offset, pedidos: resultado.pedidos });
+    } catch (error) {
+      console.error('Error listando pedidos de la cuenta:', error);
+      responderError(res, error, 'Error al listar los pedidos');
+    }
+  });
+
+  // Carrito para repetir un pedido anterior
+  router.post('/yo/pedidos/:numero/repetir', cliente, async (req, res) => {
+    try {
+      res.json({ success: true, ...await clientes.repetirPedido(req.cuenta, req.params.numero) });
+    } catch (error) {
+      console.error('Error repitiendo pedido:', error);
+      responderError(res, error, 'Error al repetir el pedido');
+    }
+  });
+
+  // Crear o modificar un recordatorio: { unidadesPorEnvase, unidadesPorDosis, horasEntreDosis, diasAnticipacion }
+  router.put('/yo/recordatorios/:medicamentoId', cliente, async (req, res) => {
+    try {
+      const recordatorio = await clientes.guardarRecordatorio(req.cuenta, req.params.medicamentoId, req.body);
+      res.json({ success: true, recordatorio });
+    } catch (error) {
+      console.error('Error guardando recordatorio:', error.message);
+      responderError(res, error, 'Error al guardar el recordatorio');
+    }
+  });
+
+  router.delete('/yo/recordatorios/:medicamentoId', cliente, async (req, res) => {
+    try {
+      await clientes.eliminarRecordatorio(req.cuenta, req.params.medicamentoId);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error eliminando recordatorio:', error.message);
+      responderError(res, error, 'Error al eliminar el recordatorio');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasClientes;
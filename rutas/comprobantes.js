@@ -0,0 +1,101 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+const { leerFecha } = require('../utils/fechas');
+const { formatearNumero } = require('../servicios/comprobantes');
+
+const FORMATOS = ['json', 'html', 'pdf'];
+const ESTADOS = ['vigente', 'anulado'];
+
+// Rutas de comprobantes de venta: descarga por pedido, reemisión y consulta del personal
+function crearRutasComprobantes({ comprobantes, pedidos, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+
+  function leerFormato(req, res) {
+    const formato = req.query.formato || 'json';
+    if (!FORMATOS.includes(formato)) {
+      res.status(400).json({ error: `Formato inválido: ${formato}`, formatosValidos: FORMATOS });
+      return null;
+    }
+    return formato;
+  }
+
+  // Responde en el formato pedido: json (por defecto), html imprimible o pdf descargable
+  async function responder(res, comprobante, formato) {
+    if (formato === 'pdf') {
+      res.attachment(`comprobante-${formatearNumero(comprobante.numero)}.pdf`);
+      return res.type('application/pdf').send(await comprobantes.aPdf(comprobante));
+    }
+    if (formato === 'html') {
+      return res.type('html').send(comprobantes.aHtml(comprobante));
+    }
+    res.json({ success: true, comprobante });
+  }
+
+  // Comprobante de un pedido (el vigente o, si se canceló, el anulado): ?formato=json|html|pdf.
+  // Lleva el nombre y NIT/CI del cliente: solo para el personal, la cuenta del pedido o su sesión (?sessionId=)
+  router.get('/pedidos/:numero/comprobante', async (req, res) => {
+    try {
+      const formato = leerFormato(req, res);
+      if (!formato) return;
+      const pedido = await pedidos.obtenerPropio(req.params.numero, await auth.solicitante(req, req.query.sessionId));
+      await responder(res, await comprobantes.dePedido(pedido.numero), formato);
+    } catch (error) {
+      console.error('Error consultando comprobante:', error);
+      responderError(res, error, 'Error al consultar el comprobante');
+    }
+  });
+
+  // Reemitir el comprobante de un pedido: { cliente: { nombre, nit }, motivo }. El anterior queda anulado
+  router.post('/pedidos/:numero/comprobante', personal, async (req, res) => {
+    try {
+      const { cliente, motivo } = req.body || {};
+      const pedido = await pedidos.obtener(req.params.numero);
+      const resultado = await comprobantes.reemitir(pedido, {
+        cliente: cliente && typeof cliente === 'object' ? cliente : undefined,
+        motivo,
+        usuario: req.usuario.usuario
+      });
+      res.status(201).json({ success: true, ...resultado });
+    } catch (error) {
+      console.error('Error reemitiendo comprobante:', error);
+      responderError(res, error, 'Error al reemitir el comprobante');
+    }
+  });
+
+  // Listar comprobantes: ?pedido=&estado=vigente|anulado&desde=&hasta=
+  router.get('/comprobantes', personal, async (req, res) => {
+    try {
+      const { pedido, estado, desde, hasta } = req.query;
+      if (estado && !ESTADOS.includes(estado)) {
+        return res.status(400).json({ error: `Estado inválido: ${estado}`, estadosValidos: ESTADOS });
+      }
+      const lista = await comprobantes.listar({
+        pedido,
+        estado,
+        desde: leerFecha(desde),
+        hasta: leerFecha(hasta, { finDelDia: true })
+      });
+      res.json({ success: true, total: lista.length, comprobantes: lista });
+    } catch (error) {
+      console.error('Error listando comprobantes:', error);
+      responderError(res, error, 'Error al listar comprobantes');
+    }
+  });
+
+  // Un comprobante por su número: ?formato=json|html|pdf
+  router.get('/comprobantes/:numero', personal, async (req, res) => {
+    try {
+      const formato = leerFormato(req, res);
+      if (!formato) return;
+      await responder(res, await comprobantes.obtener(req.params.numero), formato);
+    } catch (error) {
+      console.error('Error consultando comprobante:', error);
+      responderError(res, error, 'Error al consultar el comprobante');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasComprobantes;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+// Opciones de entrega del checkout: turnos de retiro en farmacia, zonas de delivery
+// y los métodos de pago que se aceptan ("qr" solo si hay pasarela)
+function crearRutasEntregas({ entregas, metodosPago }) {
+  const router = express.Router();
+
+  router.get('/entregas', async (req, res) => {
+    try {
+      res.json({ success: true, ...await entregas.opciones(), metodosPago });
+    } catch (error) {
+      console.error('Error consultando opciones de entrega:', error);
+      responderError(res, error, 'Error al consultar las opciones de entrega');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasEntregas;
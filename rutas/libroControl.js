@@ -0,0 +1,65 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+const { leerFecha } = require('../utils/fechas');
+
+const FORMATOS = ['json', 'csv', 'html'];
+
+// Rutas del libro de control de controlados (solo lectura: los movimientos los genera el stock)
+function crearRutasLibroControl({ libroControl, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+
+  // Responde en el formato pedido: json (por defecto), csv o html imprimible
+  function responder(req, res, libro, nombreArchivo) {
+    const formato = req.query.formato || 'json';
+    if (formato === 'csv') {
+      res.attachment(`${nombreArchivo}.csv`);
+      return res.type('text/csv; charset=utf-8').send(libroControl.aCsv(libro));
+    }
+    if (formato === 'html') {
+      return res.type('html').send(libroControl.aHtml(libro));
+    }
+    res.json({ success: true, ...libro });
+  }
+
+  function leerPeriodo(req, res) {
+    const formato = req.query.formato || 'json';
+    if (!FORMATOS.includes(formato)) {
+      res.status(400).json({ error: `Formato inválido: ${formato}`, formatosValidos: FORMATOS });
+      return null;
+    }
+    return {
+      desde: leerFecha(req.query.desde),
+      hasta: leerFecha(req.query.hasta, { finDelDia: true })
+    };
+  }
+
+  // Movimientos de todos los controlados: ?desde=&hasta=&formato=json|csv|html
+  router.get('/', personal, async (req, res) => {
+    try {
+      const periodo = leerPeriodo(req, res);
+      if (!periodo) return;
+      responder(req, res, await libroControl.consultarTodo(periodo), 'libro-control');
+    } catch (error) {
+      console.error('Error consultando libro de control:', error);
+      responderError(res, error, 'Error al consultar el libro de control');
+    }
+  });
+
+  // Libro de un producto con saldo inicial y final del período
+  router.get('/:id', personal, async (req, res) => {
+    try {
+      const periodo = leerPeriodo(req, res);
+      if (!periodo) return;
+      const libro = await libroControl.consultarProducto(req.params.id, periodo);
+      responder(req, res, libro, `libro-control-${libro.medicamento._id}`);
+    } catch (error) {
+      console.error('Error consultando libro de control:', error);
+      responderError(res, error, 'Error al consultar el libro de control');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasLibroControl;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+const { buscarMedicamentos, ORDENES } = require('../servicios/busqueda');
+const { buscarEquivalentes } = require('../servicios/estructuraProducto');
+
+// ==============================================
+// MIDDLEWARES
+// ==============================================
+
+const validarBusqueda = (req, res, next) => {
+  const { query } = req.query;
+  if (!query || query.trim().length < 3) {
+    return res.status(400).json({ 
+      error: 'La búsqueda debe tener al menos 3 caracteres' 
+    });
+  }
+  next();
+};
+
+// El costo de compra es interno: no se muestra a los clientes
+function sinCosto({ costo, ...medicamento }) {
+  return medicamento;
+}
+
+// Rutas del catálogo de medicamentos
+function crearRutasMedicamentos({ repos, catalogo, reservas, clasificador }) {
+  const router = express.Router();
+
+  // Buscar medicamentos: sin tildes, tolerante a errores, con ranking y paginación.
+  // Parámetros: query, controlado, orden (relevancia|precio|nombre|stock), dir (asc|desc), limit, offset.
+  // El stock mostrado ya descuenta lo reservado por otras sesiones.
+  router.get('/api/medicamentos', validarBusqueda, async (req, res) => {
+    try {
+      const { query, controlado, sessionId, orden, dir } = req.query;
+      const esControlado = controlado === 'true';
+
+      if (orden && !ORDENES.includes(orden)) {
+        return res.status(400).json({ error: `Orden inválido: ${orden}`, ordenesValidos: ORDENES });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const medicamentos = (await catalogo.obtenerCatalogo())
+        .filter(med => esControlado ? med.controlado : !med.controlado);
+      const disponibles = await reservas.conStockDisponible(medicamentos, sessionId);
+
+      const { total, resultados } = buscarMedicamentos(disponibles, {
+        query,
+        orden,
+        dir: dir === 'desc' || dir === 'asc' ? dir : undefined,
+        limit,
+        offset
+      });
+
+      res.json({ total, limit, offset, resultados: resultados.map(sinCosto) });
+    } catch (error) {
+      console.error('Error en búsqueda:', error);
+      res.status(500).json({ 
+        error: 'Error en la búsqueda',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Categorías regulatorias con lo que exige cada una, para mostrarlo junto a los productos
+  router.get('/api/categorias', (req, res) => {
+    res.json({ success: true, categorias: clasificador.categorias });
+  });
+
+  // Alternativas con el mismo principio activo y concentración, de la más barata a la más cara
+  router.get('/api/medicamentos/:id/equivalentes', async (req, res) => {
+    try {
+      const medicamento = await repos.medicamentos.obtener(req.params.id);
+      if (!medicamento || medicamento.activo === false) {
+        return res.status(404).json({ error: 'Medicamento no encontrado' });
+      }
+
+      const candidatos = await reservas.conStockDisponible(await catalogo.obtenerCatalogo(), req.query.sessionId);
+      const equivalentes = buscarEquivalentes(candidatos, medicamento);
+
+      res.json({ success: true, medicamento: sinCosto(medicamento), equivalentes: equivalentes.map(sinCosto) });
+    } catch (error) {
+      console.error('Error buscando equivalentes:', error);
+      responderError(res, error, 'Error al buscar equivalentes');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasMedicamentos;
@@ -0,0 +1,71 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+const ESTADOS = ['pendiente', 'pagado', 'expirado'];
+
+// Rutas de pagos por QR: el cliente pide el QR de su pedido y consulta si ya se pagó;
+// el personal ve los cobros. Con la pasarela de prueba y PAGOS_SIMULACION=true se puede simular el pago.
+function crearRutasPagos({ pagos, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+
+  // QR del pedido (con el sessionId con que se hizo o el token de la cuenta)
+  router.post('/pedidos/:numero/pago', async (req, res) => {
+    try {
+      const pago = await pagos.solicitar(req.params.numero, await auth.solicitante(req, req.body?.sessionId));
+      res.json({ success: true, pasarela: pagos.tipoPasarela, simulacion: pagos.simulacion, pago });
+    } catch (error) {
+      console.error('Error generando el QR de pago:', error);
+      responderError(res, error, 'Error al generar el QR de pago');
+    }
+  });
+
+  // Estado del último QR del pedido (?sessionId= de su sesión o el token de la cuenta)
+  router.get('/pedidos/:numero/pago', async (req, res) => {
+    try {
+      const pago = await pagos.dePedido(req.params.numero, await auth.solicitante(req, req.query.sessionId));
+      res.json({ success: true, pasarela: pagos.tipoPasarela, simulacion: pagos.simulacion, pago });
+    } catch (error) {
+      console.error('Error consultando el pago del pedido:', error);
+      responderError(res, error, 'Error al consultar el pago');
+    }
+  });
+
+  // Cobros por QR: ?estado=pendiente|pagado|expirado&pedido=...
+  router.get('/pagos', personal, async (req, res) => {
+    try {
+      const { estado, pedido } = req.query;
+      if (estado && !ESTADOS.includes(estado)) {
+        return res.status(400).json({ error: `Estado inválido: ${estado}`, estadosValidos: ESTADOS });
+      }
+      const lista = await pagos.listar({ estado, pedido });
+      res.json({ success: true, total: lista.length, pagos: lista });
+    } catch (error) {
+      console.error('Error listando pagos:', error);
+      responderError(res, error, 'Error al listar los pagos');
+    }
+  });
+
+  router.get('/pagos/:numero', personal, async (req, res) => {
+    try {
+      res.json({ success: true, pago: await pagos.obtener(req.params.numero) });
+    } catch (error) {
+      console.error('Error consultando pago:', error);
+      responderError(res, error, 'Error al consultar el pago');
+    }
+  });
+
+  // Solo con PAGOS_PASARELA=falso y PAGOS_SIMULACION=true (desarrollo): el "banco" confirma el pago
+  router.post('/pagos/:numero/simular', async (req, res) => {
+    try {
+      res.json({ success: true, pago: await pagos.simular(req.params.numero) });
+    } catch (error) {
+      console.error('Error simulando el pago:', error);
+      responderError(res, error, 'Error al simular el pago');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasPagos;
@@ -0,0 +1,150 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+const { ESTADOS } = require('../servicios/pedidos');
+const { leerFecha } = require('../utils/fechas');
+
+// Cantidad de unidades de una línea: solo enteros mayores a cero
+function cantidadValida(cantidad) {
+  return Number.isInteger(cantidad) && cantidad > 0;
+}
+
+// El sessionId es un dato interno: sirve para demostrar de quién es el pedido y no se devuelve
+function aPublico(pedido) {
+  const { sessionId, ...datos } = pedido;
+  return datos;
+}
+
+// Rutas de pedidos: creación, consulta, listado y cambios de estado
+function crearRutasPedidos({ pedidos, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+
+  // Procesar pedido con validación mejorada (con el token de un cliente, queda en su cuenta)
+  router.post('/', auth.requiereSesion({ opcional: true }), async (req, res) => {
+    try {
+      const { items, telefono, cliente, cupon, entrega, metodoPago } = req.body;
+      const { sessionId } = req;
+
+      if (!items || !Array.isArray(items)) {
+        return res.status(400).json({ error: 'Formato de datos inválido' });
+      }
+
+      // Validación inicial
+      const itemsValidados = items.map(item => ({
+        id: item?.id,
+        nombre: item?.nombre,
+        cantidad: Number(item?.cantidad),
+        receta: item?.receta
+      }));
+
+      if (itemsValidados.length === 0) {
+        return res.status(400).json({
+          error: 'No hay items válidos para procesar'
+        });
+      }
+
+      const invalidos = itemsValidados.filter(item => !cantidadValida(item.cantidad));
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          error: 'La cantidad de cada item debe ser un entero mayor a cero',
+          errors: invalidos.map(item => ({ id: item.id, nombre: item.nombre, error: 'Cantidad inválida', valido: false }))
+        });
+      }
+
+      // Verificar y descontar stock en una sola operación (todo o nada)
+      const { personal: esPersonal, cuenta } = await auth.solicitante(req);
+      const { pedido, medicamentos, comprobante } = await pedidos.crear({
+        items: itemsValidados,
+        sessionId,
+        telefono,
+        cliente: cliente && typeof cliente === 'object' ? cliente : undefined,
+        cupon,
+        entrega: entrega && typeof entrega === 'object' ? entrega : undefined,
+        metodoPago,
+        cuenta,
+        personal: esPersonal,
+        confirmaInteracciones: req.body.confirmaInteracciones === true
+      });
+
+      res.json({
+        success: true,
+        numeroPedido: pedido.numero,
+        cuenta: pedido.cuenta || null,
+        estado: pedido.estado,
+        telefono: pedido.telefono,
+        subtotal: pedido.subtotal ?? pedido.total - (pedido.entrega?.costo || 0),
+        descuento: pedido.descuento || 0,
+        promociones: pedido.promociones || [],
+        entrega: pedido.entrega,
+        metodoPago: pedido.metodoPago,
+        total: pedido.total,
+        comprobante: comprobante ? comprobante.numero : null,
+        items: pedido.items.map((linea, i) => ({
+          id: linea.id,
+          nombre: linea.nombre,
+          cantidad: linea.cantidad,
+          precio: linea.precio,
+          descuento: linea.descuento || 0,
+          subtotal: linea.subtotal,
+          nuevoStock: medicamentos[i].stock
+        })),
+        message: 'Pedido procesado correctamente'
+      });
+    } catch (error) {
+      console.error('Error en /api/pedidos:', error);
+      responderError(res, error, 'Error al procesar el pedido');
+    }
+  });
+
+  // Listar pedidos con filtros: estado, sessionId, desde, hasta, limit, offset
+  router.get('/', personal, async (req, res) => {
+    try {
+      const { estado, sessionId, desde, hasta } = req.query;
+
+      if (estado && !ESTADOS.includes(estado)) {
+        return res.status(400).json({ error: `Estado inválido: ${estado}`, estadosValidos: ESTADOS });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const resultado = await pedidos.listar(
+        { estado, sessionId, desde: leerFecha(desde), hasta: leerFecha(hasta) },
+        { limit, offset }
+      );
+
+      res.json({ success: true, total: resultado.total, limit, offset, pedidos: resultado.pedidos });
+    } catch (error) {
+      console.error('Error listando pedidos:', error);
+      responderError(res, error, 'Error al listar pedidos');
+    }
+  });
+
+  // Consultar un pedido por su número: el personal, la cuenta del pedido (token de cliente)
+  // o la sesión desde la que se hizo (?sessionId=)
+  router.get('/:numero', async (req, res) => {
+    try {
+      const pedido = await pedidos.obtenerPropio(req.params.numero, await auth.solicitante(req, req.query.sessionId));
+      res.json({ success: true, pedido: aPublico(pedido) });
+    } catch (error) {
+      console.error('Error consultando pedido:', error);
+      responderError(res, error, 'Error al consultar el pedido');
+    }
+  });
+
+  // Cambiar el estado de un pedido
+  router.patch('/:numero/estado', personal, async (req, res) => {
+    try {
+      const { estado, nota } = req.body;
+      const pedido = await pedidos.cambiarEstado(req.params.numero, estado, { nota, usuario: req.usuario.usuario });
+      res.json({ success: true, pedido });
+    } catch (error) {
+      console.error('Error cambiando estado del pedido:', error);
+      responderError(res, error, 'Error al cambiar el estado del pedido');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasPedidos;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+const ESTADOS_RECETA = ['pendiente', 'aprobada', 'rechazada', 'utilizada'];
+
+// Rutas de recetas médicas: envío por el cliente y cola de revisión del farmacéutico
+function crearRutasRecetas({ recetas, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+  const sesion = auth.requiereSesion();
+
+  // Enviar una receta: { sessionId, medicamentoId, cantidad, medico, matricula, fechaEmision, paciente, imagen }
+  router.post('/', sesion, async (req, res) => {
+    try {
+      const receta = await recetas.crear({ ...req.body, sessionId: req.sessionId });
+      res.status(201).json({ success: true, receta });
+    } catch (error) {
+      console.error('Error registrando receta:', error.message);
+      responderError(res, error, 'Error al registrar la receta');
+    }
+  });
+
+  // Recetas enviadas desde una sesión (para que el cliente vea su estado); solo con la sesión firmada
+  router.get('/sesion/:sessionId', sesion, async (req, res) => {
+    try {
+      const lista = await recetas.listar({ sessionId: req.sessionId });
+      res.json({ success: true, recetas: lista });
+    } catch (error) {
+      console.error('Error listando recetas de la sesión:', error);
+      responderError(res, error, 'Error al listar las recetas');
+    }
+  });
+
+  // Cola de revisión: por defecto las pendientes, de la más antigua a la más reciente
+  router.get('/', personal, async (req, res) => {
+    try {
+      const estado = req.query.estado || 'pendiente';
+      if (estado !== 'todas' && !ESTADOS_RECETA.includes(estado)) {
+        return res.status(400).json({ error: `Estado inválido: ${estado}`, estadosValidos: ESTADOS_RECETA });
+      }
+      const lista = await recetas.listar(estado === 'todas' ? {} : { estado });
+      res.json({ success: true, total: lista.length, recetas: lista });
+    } catch (error) {
+      console.error('Error listando recetas:', error);
+      responderError(res, error, 'Error al listar las recetas');
+    }
+  });
+
+  // Receta completa, con la imagen escaneada
+  router.get('/:numero', personal, async (req, res) => {
+    try {
+      res.json({ success: true, receta: await recetas.obtener(req.params.numero) });
+    } catch (error) {
+      console.error('Error consultando receta:', error);
+      responderError(res, error, 'Error al consultar la receta');
+    }
+  });
+
+  // Aprobar o rechazar: { aprobar: true } | { aprobar: false, motivo }
+  router.patch('/:numero/revision', personal, async (req, res) => {
+    try {
+      const receta = await recetas.revisar(req.params.numero, {
+        aprobar: req.body.aprobar === true,
+        motivo: req.body.motivo,
+        usuario: req.usuario.usuario
+      });
+      console.log(`Receta ${receta.numero} ${receta.estado} por ${req.usuario.usuario}`);
+      res.json({ success: true, receta });
+    } catch (error) {
+      console.error('Error revisando receta:', error);
+      responderError(res, error, 'Error al revisar la receta');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasRecetas;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+const FORMATOS = ['json', 'csv'];
+
+// Reportes de ventas e inventario para el personal: ?formato=json|csv
+// Las fechas (desde, hasta) aceptan "2025-06-30" (día completo, hora local) o una fecha con hora.
+function crearRutasReportes({ reportes, auth }) {
+  const router = express.Router();
+  const personal = auth.requiereRol('farmaceutico', 'admin');
+
+  // Responde el reporte en JSON o sus filas en CSV
+  function responder(req, res, tipo, reporte) {
+    if (req.query.formato === 'csv') {
+      res.attachment(`reporte-${tipo}.csv`);
+      return res.type('text/csv; charset=utf-8').send(reportes.aCsv(tipo, reporte));
+    }
+    res.json({ success: true, ...reporte });
+  }
+
+  function validarFormato(req, res, next) {
+    const formato = req.query.formato || 'json';
+    if (!FORMATOS.includes(formato)) {
+      return res.status(400).json({ error: `Formato inválido: ${formato}`, formatosValidos: FORMATOS });
+    }
+    next();
+  }
+
+  // Ventas por período: ?periodo=dia|semana|mes&desde=&hasta=
+  router.get('/ventas', personal, validarFormato, async (req, res) => {
+    try {
+      const { periodo, desde, hasta } = req.query;
+      responder(req, res, 'ventas', await reportes.ventas({ periodo, desde, hasta }));
+    } catch (error) {
+      console.error('Error en el reporte de ventas:', error);
+      responderError(res, error, 'Error al generar el reporte de ventas');
+    }
+  });
+
+  // Productos más vendidos: ?orden=unidades|ventas&limite=10&desde=&hasta=
+  router.get('/productos', personal, validarFormato, async (req, res) => {
+    try {
+      const { orden, desde, hasta } = req.query;
+      const limite = Math.min(Math.max(parseInt(req.query.limite) || 10, 1), 500);
+      responder(req, res, 'productos', await reportes.productos({ orden, limite, desde, hasta }));
+    } catch (error) {
+      console.error('Error en el reporte de productos:', error);
+      responderError(res, error, 'Error al generar el reporte de productos');
+    }
+  });
+
+  // Controlados y no controlados, por categoría regulatoria: ?desde=&hasta=
+  router.get('/controlados', personal, validarFormato, async (req, res) => {
+    try {
+      const { desde, hasta } = req.query;
+      responder(req, res, 'controlados', await reportes.controlados({ desde, hasta }));
+    } catch (error) {
+      console.error('Error en el reporte de controlados:', error);
+      responderError(res, error, 'Error al generar el reporte de controlados');
+    }
+  });
+
+  // Valorización del stock al costo y al precio de venta
+  router.get('/inventario', personal, validarFormato, async (req, res) => {
+    try {
+      responder(req, res, 'inventario', await reportes.inventario());
+    } catch (error) {
+      console.error('Error en el reporte de inventario:', error);
+      responderError(res, error, 'Error al generar el reporte de inventario');
+    }
+  });
+
+  // Productos con stock y sin ventas en los últimos N días: ?dias=30
+  router.get('/sin-movimiento', personal, validarFormato, async (req, res) => {
+    try {
+      const dias = Math.min(Math.max(parseInt(req.query.dias) || 30, 1), 3650);
+      responder(req, res, 'sinMovimiento', await reportes.sinMovimiento({ dias }));
+    } catch (error) {
+      console.error('Error en el reporte de productos sin movimiento:', error);
+      responderError(res, error, 'Error al generar el reporte de productos sin movimiento');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasReportes;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+// Cada item del carrito es un objeto ({ id o nombre, cantidad })
+const sonItems = items => Array.isArray(items) &&
+  items.every(item => item && typeof item === 'object' && !Array.isArray(item));
+
+// Rutas de verificación de stock, precios del carrito y reservas temporales por sesión.
+// Las reservas solo las toca la sesión dueña: el sessionId lo emite y firma el servidor.
+function crearRutasStock({ reservas, interacciones, promociones, entregas, auth }) {
+  const router = express.Router();
+  const sesion = auth.requiereSesion();
+
+  // Nueva sesión anónima del navegador
+  router.post('/sesiones', (req, res) => {
+    res.status(201).json({ success: true, sessionId: auth.emitirSesion() });
+  });
+
+  // Verificar stock y, si hay sessionId, reservar los items por un tiempo limitado
+  router.post('/verificar-stock', auth.requiereSesion({ opcional: true }), async (req, res) => {
+    try {
+      const { items } = req.body;
+      const { sessionId } = req;
+
+      if (!items || !Array.isArray(items)) {
+        return res.status(400).json({ error: 'Formato de datos inválido' });
+      }
+
+      const { resultados, errores, reserva } = await reservas.verificarYReservar(items, sessionId);
+
+      if (errores.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: errores,
+          message: 'Problemas con el stock'
+        });
+      }
+
+      res.json({
+        success: true,
+        items: resultados,
+        reserva,
+        interacciones: await interacciones.evaluar(items)
+      });
+    } catch (error) {
+      console.error('Error en /api/verificar-stock:', error);
+      responderError(res, error, 'Error al verificar stock');
+    }
+  });
+
+  // Interacciones y duplicidad terapéutica entre los items del carrito
+  router.post('/interacciones', async (req, res) => {
+    try {
+      const { items } = req.body || {};
+
+      if (!sonItems(items)) {
+        return res.status(400).json({ error: 'Formato de datos inválido' });
+      }
+
+      res.json({ success: true, ...await interacciones.evaluar(items) });
+    } catch (error) {
+      console.error('Error en /api/interacciones:', error);
+      responderError(res, error, 'Error al revisar interacciones');
+    }
+  });
+
+  // Vista previa de precios: las mismas líneas, descuentos y total que cobrará POST /api/pedidos.
+  // Con "entrega" ({ tipo, zona }) el total incluye el costo de envío, detallado en "envio".
+  router.post('/precios', async (req, res) => {
+    try {
+      const { items, cupon, entrega } = req.body || {};
+
+      if (!sonItems(items)) {
+        return res.status(400).json({ error: 'Formato de datos inválido' });
+      }
+
+      const itemsValidados = items
+        .map(item => ({ id: item.id, nombre: item.nombre, cantidad: Number(item.cantidad) || 0 }))
+        .filter(item => item.cantidad > 0);
+
+      const precios = await promociones.cotizar(itemsValidados, { cupon });
+      const envio = entregas.cotizar(entrega, precios.total);
+      res.json({
+        success: true,
+        ...precios,
+        envio,
+        total: Math.round((precios.total + envio.costo) * 100) / 100
+      });
+    } catch (error) {
+      console.error('Error en /api/precios:', error);
+      responderError(res, error, 'Error al calcular los precios');
+    }
+  });
+
+  // Consultar la reserva vigente de la sesión
+  router.get('/reservas/:sessionId', sesion, async (req, res) => {
+    try {
+      const reserva = await reservas.obtener(req.params.sessionId);
+      res.json({ success: true, reserva });
+    } catch (error) {
+      console.error('Error consultando reserva:', error);
+      responderError(res, error, 'Error al consultar la reserva');
+    }
+  });
+
+  // Reemplazar los items reservados (el carrito cambió) y extender el vencimiento
+  router.put('/reservas/:sessionId', sesion, async (req, res) => {
+    try {
+      const { items } = req.body;
+
+      if (!items || !Array.isArray(items)) {
+        return res.status(400).json({ error: 'Formato de datos inválido' });
+      }
+
+      const reserva = await reservas.reservar(req.params.sessionId, items);
+      res.json({ success: true, reserva });
+    } catch (error) {
+      console.error('Error actualizando reserva:', error);
+      responderError(res, error, 'Error al actualizar la reserva');
+    }
+  });
+
+  // Liberar la reserva de la sesión
+  router.delete('/reservas/:sessionId', sesion, async (req, res) => {
+    try {
+      const liberada = await reservas.liberar(req.params.sessionId);
+      res.json({ success: true, liberada });
+    } catch (error) {
+      console.error('Error liberando reserva:', error);
+      responderError(res, error, 'Error al liberar la reserva');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasStock;
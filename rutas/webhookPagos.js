@@ -0,0 +1,24 @@
+const express = require('express');
+const { responderError } = require('../utils/errores');
+
+// Webhook de la pasarela de pagos QR. El cuerpo llega sin parsear (server.js usa express.raw
+// para esta ruta) porque la firma se calcula sobre los bytes exactos que envió la pasarela.
+function crearRutasWebhookPagos({ pagos }) {
+  const router = express.Router();
+
+  router.post('/pagos', async (req, res) => {
+    try {
+      const cuerpo = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const { pago, cambiado } = await pagos.procesarNotificacion(cuerpo, req.headers);
+      if (cambiado) console.log(`Pago ${pago.numero} del pedido ${pago.pedido}: ${pago.estado}`);
+      res.json({ success: true, recibido: true });
+    } catch (error) {
+      console.error('Error en webhook de pagos:', error);
+      responderError(res, error, 'Error al procesar la notificación de pago');
+    }
+  });
+
+  return router;
+}
+
+module.exports = crearRutasWebhookPagos;
@@ -0,0 +1,62 @@
+const express = require('express');
+const twilio = require('twilio');
+
+// WhatsApp admite hasta 1600 caracteres por mensaje
+const LARGO_MAXIMO = 1500;
+
+function recortar(texto) {
+  return texto.length > LARGO_MAXIMO ? `${texto.slice(0, LARGO_MAXIMO - 3)}...` : texto;
+}
+
+// Webhook de mensajes entrantes de WhatsApp (Twilio). Responde en TwiML.
+// La URL firmada por Twilio es la pública: se toma de urlPublica si el servidor está detrás de un proxy.
+function crearRutasWhatsApp({ sanabot, comandos, authToken, urlPublica, verificarFirma = true }) {
+  const router = express.Router();
+
+  function validarFirma(req, res, next) {
+    if (!verificarFirma) return next();
+    if (!authToken) {
+      console.error('Webhook de WhatsApp sin TWILIO_AUTH_TOKEN: no se puede verificar la firma');
+      return res.status(500).json({ error: 'Configuración del servidor incompleta' });
+    }
+
+    const firma = req.get('X-Twilio-Signature');
+    const url = urlPublica
+      ? `${urlPublica.replace(/\/$/, '')}${req.originalUrl}`
+      : `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+    if (!firma || !twilio.validateRequest(authToken, firma, url, req.body || {})) {
+      console.warn(`Firma de Twilio inválida en ${url}`);
+      return res.status(403).json({ error: 'Firma inválida' });
+    }
+    next();
+  }
+
+  router.post('/whatsapp', express.urlencoded({ extended: false }), validarFirma, async (req, res) => {
+    const telefono = String(req.body.From || '').replace(/^whatsapp:/, '');
+    const mensaje = String(req.body.Body || '').trim();
+    // Cada número de WhatsApp es una sesión de chat propia
+    const sessionId = `whatsapp:${telefono}`;
+
+    let respuesta;
+    try {
+      if (!mensaje) {
+        respuesta = 'Por ahora solo puedo leer mensajes de texto.';
+      } else {
+        respuesta = await comandos.responder(mensaje, { telefono, sessionId }) ??
+          (await sanabot.responder(sessionId, mensaje)).respuesta;
+      }
+    } catch (error) {
+      console.error('Error en webhook de WhatsApp:', error);
+      respuesta = 'Lo siento, no pude procesar tu mensaje. Intenta nuevamente en unos minutos.';
+    }
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    twiml.message(recortar(respuesta));
+    res.type('text/xml').send(twiml.toString());
+  });
+
+  return router;
+}
+
+module.exports = crearRutasWhatsApp;
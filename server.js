@@ -2,419 +2,299 @@ const express = require("express");
 const cors = require("cors");
 const dotenv = require("dotenv");
 const path = require("path");
-const fs = require('fs');
 
 dotenv.config();
 
+const { crearRepositorios } = require('./repositorios');
+const { crearServicioCatalogo } = require('./servicios/catalogo');
+const { crearServicioReservas } = require('./servicios/reservas');
+const { crearServicioPedidos } = require('./servicios/pedidos');
+const { crearServicioAuth } = require('./servicios/auth');
+const { crearServicioMedicamentos } = require('./servicios/medicamentos');
+const { crearServicioRecetas } = require('./servicios/recetas');
+const { crearServicioLibroControl } = require('./servicios/libroControl');
+const { crearNotificador, crearTransporte, leerDestinos } = require('./servicios/notificaciones');
+const { crearServicioAlertasStock } = require('./servicios/alertasStock');
+const { crearServicioAvisosPedido } = require('./servicios/avisosPedido');
+const { crearServicioSanabot } = require('./servicios/sanabot');
+const { crearHerramientasSanabot } = require('./servicios/herramientasSanabot');
+const { crearProveedorLLM } = require('./servicios/proveedoresLLM');
+const { crearServicioSeguridadClinica } = require('./servicios/seguridadClinica');
+const { crearServicioInteracciones } = require('./servicios/interacciones');
+const { crearServicioImportacionCatalogo } = require('./servicios/importacionCatalogo');
+const { crearClasificador, crearServicioClasificacion } = require('./servicios/clasificacion');
+const { crearServicioComandos } = require('./servicios/comandosWhatsapp');
+const { crearServicioComprobantes } = require('./servicios/comprobantes');
+const { crearServicioPromociones } = require('./servicios/promociones');
+const { crearServicioClientes } = require('./servicios/clientes');
+const { crearServicioEntregas, cargarConfig: cargarConfigEntregas } = require('./servicios/entregas');
+const { crearServicioPagos } = require('./servicios/pagos');
+const { crearServicioReportes } = require('./servicios/reportes');
+const { crearPasarela } = require('./servicios/pasarelasPago');
+const crearRutasMedicamentos = require('./rutas/medicamentos');
+const crearRutasStock = require('./rutas/stock');
+const crearRutasPedidos = require('./rutas/pedidos');
+const crearRutasComprobantes = require('./rutas/comprobantes');
+const crearRutasEntregas = require('./rutas/entregas');
+const crearRutasPagos = require('./rutas/pagos');
+const crearRutasWebhookPagos = require('./rutas/webhookPagos');
+const crearRutasReportes = require('./rutas/reportes');
+const crearRutasAuth = require('./rutas/auth');
+const crearRutasClientes = require('./rutas/clientes');
+const crearRutasAdmin = require('./rutas/admin');
+const crearRutasRecetas = require('./rutas/recetas');
+const crearRutasLibroControl = require('./rutas/libroControl');
+const crearRutasChat = require('./rutas/chat');
+const crearRutasWhatsApp = require('./rutas/whatsapp');
+
 const app = express();
 app.use(cors());
+// Las recetas incluyen la imagen escaneada, por eso admiten cuerpos más grandes
+app.use('/api/recetas', express.json({ limit: '3mb' }));
+// Y las planillas del catálogo (hasta 5 MB, en base64)
+app.use('/api/admin/catalogo/importar', express.json({ limit: '7mb' }));
+// El webhook de pagos verifica la firma sobre el cuerpo tal como llegó
+app.use('/webhooks/pagos', express.raw({ type: '*/*', limit: '100kb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
-// Cargar datos desde JSON
-let medicamentos = [];
-function cargarDatos() {
-  try {
-    const rawData = fs.readFileSync(path.join(__dirname, 'medicamentos.json'), 'utf-8');
-    medicamentos = JSON.parse(rawData).map(med => ({
-      ...med,
-      _id: med._id || Math.random().toString(36).substring(2, 15) // Generar ID si no existe
-    }));
-    console.log(`Datos cargados: ${medicamentos.length} medicamentos`);
-  } catch (error) {
-    console.error('Error cargando datos:', error);
-    process.exit(1);
-  }
-}
-cargarDatos();
-
-// Cache local para mejor rendimiento
-let cacheMedicamentos = {
-  timestamp: Date.now(),
-  data: [...medicamentos],
-  ttl: 60000 // 1 minuto
-};
-
-// ==============================================
-// MIDDLEWARES
-// ==============================================
-
-const validarBusqueda = (req, res, next) => {
-  const { query } = req.query;
-  if (!query || query.trim().length < 3) {
-    return res.status(400).json({ 
-      error: 'La búsqueda debe tener al menos 3 caracteres' 
-    });
-  }
-  next();
-};
+// Repositorios de datos (JSON o MongoDB según ALMACENAMIENTO)
+let repos;
+let catalogo;
 
 // ==============================================
-// RUTAS PARA MEDICAMENTOS
+// ENDPOINTS ADICIONALES
 // ==============================================
 
-// Cargar/actualizar datos desde JSON
-app.get('/cargar-datos', (req, res) => {
-  cargarDatos();
-  cacheMedicamentos = {
-    timestamp: Date.now(),
-    data: [...medicamentos],
-    ttl: 60000
-  };
-  
+// Endpoint keepalive modificado
+app.get('/keepalive', async (req, res) => {
   res.json({ 
-    success: true,
-    message: `Datos recargados. ${medicamentos.length} medicamentos cargados.`,
-    medicamentos: medicamentos.length
+    status: 'active',
+    uptime: process.uptime(),
+    almacenamiento: repos.tipo,
+    medicamentosCargados: await repos.medicamentos.contar(),
+    cacheTimestamp: catalogo.cacheTimestamp
   });
 });
 
-// Buscar medicamentos
-app.get('/api/medicamentos', validarBusqueda, (req, res) => {
-  try {
-    const { query, controlado } = req.query;
-    const esControlado = controlado === 'true';
-
-    // Intentar usar cache si está actualizado
-    if (cacheMedicamentos.data && 
-        (Date.now() - cacheMedicamentos.timestamp) < cacheMedicamentos.ttl) {
-      console.log('Sirviendo desde cache');
-      const resultados = cacheMedicamentos.data.filter(med => {
-        const coincideNombre = med.nombre.toLowerCase().includes(query.toLowerCase());
-        return coincideNombre && (esControlado ? med.controlado : !med.controlado);
-      });
-      return res.json(resultados.slice(0, 20));
-    }
-
-    // Búsqueda en los datos
-    const resultados = medicamentos.filter(med => {
-      const coincideNombre = med.nombre.toLowerCase().includes(query.toLowerCase());
-      return coincideNombre && (esControlado ? med.controlado : !med.controlado);
-    });
-
-    // Actualizar cache
-    cacheMedicamentos = {
-      timestamp: Date.now(),
-      data: [...medicamentos],
-      ttl: 60000
-    };
-
-    res.json(resultados.slice(0, 20));
-  } catch (error) {
-    console.error('Error en búsqueda:', error);
-    res.status(500).json({ 
-      error: 'Error en la búsqueda',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
-
 // ==============================================
-// RUTAS PARA STOCK
-// ==============================================
-
-// Verificar stock con manejo de errores robusto
-app.post('/api/verificar-stock', (req, res) => {
-  try {
-    const { items } = req.body;
-    
-    if (!items || !Array.isArray(items)) {
-      return res.status(400).json({ error: 'Formato de datos inválido' });
-    }
-
-    const resultados = items.map(item => {
-      try {
-        const medicamento = medicamentos.find(m => m._id === item.id || m.nombre === item.nombre);
-        
-        if (!medicamento) {
-          return { 
-            id: item.id,
-            error: 'Medicamento no encontrado',
-            valido: false
-          };
-        }
-
-        const cantidad = Number(item.cantidad) || 0;
-        const stockDisponible = Number(medicamento.stock) || 0;
-
-        if (cantidad <= 0) {
-          return {
-            id: item.id,
-            nombre: medicamento.nombre,
-            error: 'Cantidad inválida',
-            valido: false
-          };
-        }
-
-        if (stockDisponible < cantidad) {
-          return {
-            id: item.id,
-            nombre: medicamento.nombre,
-            error: `Stock insuficiente. Disponible: ${stockDisponible}`,
-            valido: false,
-            stockDisponible
-          };
-        }
-
-        return {
-          id: item.id || medicamento._id,
-          nombre: medicamento.nombre,
-          precio: medicamento.precio,
-          stockDisponible,
-          valido: true
-        };
-      } catch (error) {
-        console.error(`Error verificando item ${item.id}:`, error);
-        return {
-          id: item.id,
-          error: 'Error al verificar stock',
-          valido: false
-        };
-      }
-    });
-
-    const errores = resultados.filter(r => !r.valido);
-    if (errores.length > 0) {
-      return res.status(400).json({ 
-        success: false,
-        errors: errores,
-        message: 'Problemas con el stock'
-      });
-    }
-
-    res.json({ 
-      success: true, 
-      items: resultados
-    });
-  } catch (error) {
-    console.error('Error en /api/verificar-stock:', error);
-    res.status(500).json({ 
-      error: 'Error al verificar stock',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
-
-// Procesar pedido con validación mejorada
-app.post('/api/pedidos', (req, res) => {
-  try {
-    const { items, sessionId } = req.body;
-    
-    if (!items || !Array.isArray(items)) {
-      return res.status(400).json({ error: 'Formato de datos inválido' });
-    }
-
-    // Validación inicial
-    const itemsValidados = items.map(item => ({
-      ...item,
-      cantidad: Number(item.cantidad) || 0,
-      valido: false
-    })).filter(item => item.cantidad > 0);
-
-    if (itemsValidados.length === 0) {
-      return res.status(400).json({ 
-        error: 'No hay items válidos para procesar' 
-      });
-    }
-
-    // Verificar stock y preparar actualización
-    const operaciones = itemsValidados.map(item => {
-      const medicamento = medicamentos.find(m => m._id === item.id || m.nombre === item.nombre);
-      
-      if (!medicamento) {
-        return { error: `Medicamento no encontrado: ${item.id || item.nombre}` };
-      }
-
-      if (medicamento.stock < item.cantidad) {
-        return { 
-          error: `Stock insuficiente para ${medicamento.nombre}. Disponible: ${medicamento.stock}`,
-          stockDisponible: medicamento.stock
-        };
-      }
-
-      return {
-        id: item.id || medicamento._id,
-        medicamento,
-        cantidad: item.cantidad,
-        valido: true
-      };
-    });
-
-    // Manejar errores
-    const errores = operaciones.filter(op => op && op.error);
-    if (errores.length > 0) {
-      return res.status(400).json({
-        success: false,
-        errors: errores,
-        message: 'No se puede procesar el pedido'
-      });
-    }
-
-    // Actualizar stock
-    operaciones.forEach(op => {
-      if (op.valido) {
-        const medIndex = medicamentos.findIndex(m => m._id === op.id || m.nombre === op.medicamento.nombre);
-        if (medIndex !== -1) {
-          medicamentos[medIndex].stock -= op.cantidad;
-        }
-      }
-    });
-
-    // Actualizar cache
-    cacheMedicamentos = {
-      timestamp: Date.now(),
-      data: [...medicamentos],
-      ttl: 60000
-    };
-
-    // Opcional: Guardar cambios en el archivo JSON
-    fs.writeFileSync(path.join(__dirname, 'medicamentos.json'), JSON.stringify(medicamentos, null, 2));
-
-    res.json({ 
-      success: true,
-      numeroPedido: `PED-${Date.now()}`,
-      items: operaciones.filter(op => op.valido).map(op => ({
-        id: op.id,
-        nombre: op.medicamento.nombre,
-        cantidad: op.cantidad,
-        precio: op.medicamento.precio,
-        nuevoStock: op.medicamento.stock - op.cantidad
-      })),
-      message: 'Pedido procesado correctamente'
-    });
-  } catch (error) {
-    console.error('Error en /api/pedidos:', error);
-    res.status(500).json({ 
-      error: 'Error al procesar el pedido',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
-
-// ==============================================
-// RUTA DEL CHATBOT (SANABOT)
-// ==============================================
-
-// ... (código anterior se mantiene igual hasta la ruta del chatbot)
-
-// ==============================================
-// RUTA DEL CHATBOT (SANABOT) - CORREGIDA
+// INICIAR SERVIDOR
 // ==============================================
 
-// Objeto para almacenar las sesiones del chatbot
-const sesionesChatbot = {};
+const PORT = process.env.PORT || 3000;
 
-app.post("/chat", async (req, res) => {
+async function iniciar() {
   try {
-    const pregunta = req.body.texto || req.body.message || "";
-    const sessionId = req.body.sessionId || "anon";
-
-    if (!pregunta.trim()) {
-      return res.status(400).json({ error: "No se envió ninguna pregunta." });
-    }
-
-    // Inicializar sesión si no existe
-    if (!sesionesChatbot[sessionId]) {
-      sesionesChatbot[sessionId] = [
-        {
-          role: "system",
-          content: `Eres SANABOT, un asistente farmacéutico experto, amable y claro. 
-Responde preguntas sobre medicamentos, enfermedades comunes y formas de administración de manera concisa y comprensible.
-Evita respuestas largas, necesito respuestas puntuales de maximo 5 lineas. Si la pregunta no tiene sentido, responde con amabilidad.
-Si es sobre síntomas, puedes dar sugerencias generales, pero siempre recalca que se debe consultar con un profesional de salud. 
-En el primer mensaje, saluda con: "Hola, soy SANABOT! Tu asistente virtual."`,
-        },
-      ];
-    }
-
-    const yaRespondioAntes = sesionesChatbot[sessionId].some(msg => msg.role === "assistant");
-
-    if (!yaRespondioAntes) {
-      sesionesChatbot[sessionId].push({ role: "user", content: pregunta });
-    } else {
-      sesionesChatbot[sessionId].push({
-        role: "user",
-        content: `Responde sin repetir el saludo "Hola, soy SANABOT" y mantén el tono conversacional. Usuario: ${pregunta}`,
-      });
-    }
-
-    // Verificar que la API key esté configurada
-    if (!process.env.GROQ_API_KEY) {
-      console.error("Error: GROQ_API_KEY no está configurada");
-      return res.status(500).json({ error: "Configuración del servidor incompleta" });
-    }
-
-    const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${process.env.GROQ_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "llama3-70b-8192",
-        messages: sesionesChatbot[sessionId],
-        temperature: 0.4,
-      }),
-    });
-
-    if (!response.ok) {
-      const errText = await response.text();
-      console.error("Error en API de Groq:", errText);
-      return res.status(response.status).json({ 
-        error: "Error al conectar con el servicio de chatbot",
-        details: process.env.NODE_ENV === 'development' ? errText : undefined
-      });
-    }
-
-    const data = await response.json();
-    let respuesta = data.choices?.[0]?.message?.content || "No pude obtener una respuesta";
-
-    // Limpiar respuesta si ya se ha saludado antes
-    if (yaRespondioAntes) {
-      respuesta = respuesta.replace(/^hola[^.!\n]*[.!:\n-]+\s*/i, "").trimStart();
-    }
-
-    // Guardar la respuesta en el historial
-    sesionesChatbot[sessionId].push({ role: "assistant", content: respuesta });
-
-    res.json({ respuesta });
+    repos = await crearRepositorios();
+    console.log(`Almacenamiento: ${repos.tipo}. Datos cargados: ${await repos.medicamentos.contar()} medicamentos`);
   } catch (error) {
-    console.error("Error en /chat:", error);
-    res.status(500).json({ 
-      error: "Error interno del servidor",
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error cargando datos:', error);
+    process.exit(1);
   }
-});
 
-// ... (el resto del código se mantiene igual)
-
-// ==============================================
-// ENDPOINTS ADICIONALES
-// ==============================================
+  catalogo = crearServicioCatalogo({ repos });
+  const recetas = crearServicioRecetas({
+    repos,
+    vigenciaDias: Number(process.env.RECETA_VIGENCIA_DIAS) || 30
+  });
+  const reservas = crearServicioReservas({
+    repos,
+    recetas,
+    minutos: Number(process.env.RESERVA_MINUTOS) || 15,
+    maximoUnidades: Number(process.env.RESERVA_MAXIMO_UNIDADES) || 100
+  });
+  reservas.iniciarLimpieza();
+
+  // Alertas de stock bajo por SMS/WhatsApp (ver servicios/notificaciones.js)
+  const notificador = crearNotificador({ transporte: crearTransporte() });
+  const alertas = crearServicioAlertasStock({
+    repos,
+    notificador,
+    destinos: leerDestinos(process.env.ALERTAS_DESTINOS),
+    stockMinimoDefecto: Number(process.env.STOCK_MINIMO_DEFECTO ?? 5),
+    horasEntreAvisos: Number(process.env.ALERTAS_HORAS) || 12
+  });
+  alertas.iniciarRevisionPeriodica((Number(process.env.ALERTAS_INTERVALO_MINUTOS) || 60) * 60000);
 
-// Endpoint keepalive modificado
-app.get('/keepalive', (req, res) => {
-  res.json({ 
-    status: 'active',
-    uptime: process.uptime(),
-    medicamentosCargados: medicamentos.length,
-    cacheTimestamp: cacheMedicamentos.timestamp
+  // Avisos de pedidos por WhatsApp a la farmacia (FARMACIA_WHATSAPP) y al cliente
+  const avisos = crearServicioAvisosPedido({
+    notificador,
+    farmacia: leerDestinos(process.env.FARMACIA_WHATSAPP),
+    prefijoPais: process.env.PREFIJO_PAIS || '591'
   });
-});
 
-// ==============================================
-// INICIAR SERVIDOR
-// ==============================================
+  // Interacciones y duplicidad terapéutica del carrito (config/interacciones.json)
+  const interacciones = crearServicioInteracciones({ repos });
+
+  // Comprobantes de venta con los datos de config/comprobantes.json
+  const comprobantes = crearServicioComprobantes({ repos });
+  // Precios del carrito con promociones y cupones
+  const promociones = crearServicioPromociones({ repos });
+  // Retiro en farmacia por turnos y delivery por zonas (config/entregas.json)
+  const configEntregas = cargarConfigEntregas();
+  const entregas = crearServicioEntregas({ repos, config: configEntregas });
+
+  // Pasarela de pagos por QR (PAGOS_PASARELA, sin valor por defecto; "falso" para probar sin banco y
+  // PAGOS_SIMULACION=true para simular el pago en desarrollo). Sin ella no se ofrece pagar por QR
+  const pasarela = crearPasarela();
+
+  const pedidos = crearServicioPedidos({
+    repos,
+    reservas,
+    recetas,
+    promociones,
+    entregas,
+    avisos,
+    interacciones,
+    comprobantes,
+    pagoQr: pasarela.tipo !== 'ninguna',
+    alCambiarStock: catalogo.invalidarCache,
+    alDescontarStock: actualizados => alertas.revisar(actualizados)
+      .catch(error => console.error('Error en alerta de stock bajo:', error))
+  });
+  const auth = crearServicioAuth({
+    repos,
+    secreto: process.env.AUTH_SECRET,
+    horas: Number(process.env.AUTH_HORAS) || 12,
+    horasCliente: Number(process.env.CLIENTE_HORAS) || 720
+  });
+  await auth.asegurarAdminInicial({
+    usuario: process.env.ADMIN_USUARIO,
+    password: process.env.ADMIN_PASSWORD
+  });
+  // Categorías regulatorias según config/clasificacion.json
+  const clasificador = crearClasificador();
+  const medicamentos = crearServicioMedicamentos({ repos, clasificador, alCambiarStock: catalogo.invalidarCache });
+  const importacion = crearServicioImportacionCatalogo({ repos, clasificador, alCambiarStock: catalogo.invalidarCache });
+  const clasificacion = crearServicioClasificacion({ repos, clasificador, alCambiarStock: catalogo.invalidarCache });
+
+  // Cuentas de clientes: ingreso con código por WhatsApp (o SMS con CLIENTES_CANAL=sms) y recordatorios de recompra
+  const clientes = crearServicioClientes({
+    repos,
+    auth,
+    reservas,
+    notificador,
+    normalizarTelefono: avisos.normalizarTelefono,
+    canal: (process.env.CLIENTES_CANAL || 'whatsapp').toLowerCase()
+  });
+  clientes.iniciarRevisionRecordatorios((Number(process.env.RECORDATORIOS_INTERVALO_MINUTOS) || 60) * 60000);
+
+  // Pagos por QR con la pasarela configurada arriba. El webhook debe ser alcanzable
+  // por la pasarela: detrás de un proxy se usa URL_PUBLICA
+  const pagos = crearServicioPagos({
+    repos,
+    pedidos,
+    pasarela,
+    avisos,
+    urlNotificacion: `${(process.env.URL_PUBLICA || `http://localhost:${PORT}`).replace(/\/$/, '')}/webhooks/pagos`,
+    minutos: Number(process.env.PAGO_MINUTOS) || 30,
+    simulacion: process.env.PAGOS_SIMULACION === 'true'
+  });
+  pagos.iniciarExpiracion((Number(process.env.PAGOS_INTERVALO_SEGUNDOS) || 60) * 1000);
+
+  // SANABOT: chat web y WhatsApp comparten la misma conversación
+  // El modelo debe admitir tool calling para usar las herramientas del catálogo
+  const proveedorLLM = crearProveedorLLM();
+  // Reglas de seguridad clínica en config/seguridadClinica.json
+  const seguridadClinica = crearServicioSeguridadClinica({ repos, catalogo });
+  const sanabot = crearServicioSanabot({
+    repos,
+    proveedor: proveedorLLM,
+    herramientas: crearHerramientasSanabot({ catalogo, reservas }),
+    seguridad: seguridadClinica,
+    horasSesion: Number(process.env.CHAT_HORAS) || 24,
+    maximoMensajes: Number(process.env.CHAT_MAXIMO_MENSAJES) || 20
+  });
+  sanabot.iniciarLimpieza();
+  const comandos = crearServicioComandos({ catalogo, reservas, pedidos });
+
+  app.use(crearRutasChat({ sanabot, auth }));
+  app.use('/webhooks', crearRutasWebhookPagos({ pagos }));
+  app.use('/webhooks', crearRutasWhatsApp({
+    sanabot,
+    comandos,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    urlPublica: process.env.URL_PUBLICA,
+    verificarFirma: process.env.WHATSAPP_VERIFICAR_FIRMA !== 'false'
+  }));
+  app.use(crearRutasMedicamentos({ repos, catalogo, reservas, clasificador }));
+  app.use('/api', crearRutasStock({ reservas, interacciones, promociones, entregas, auth }));
+  app.use('/api', crearRutasEntregas({ entregas, metodosPago: pedidos.metodosPago }));
+  app.use('/api/pedidos', crearRutasPedidos({ pedidos, auth }));
+  app.use('/api', crearRutasComprobantes({ comprobantes, pedidos, auth }));
+  app.use('/api', crearRutasPagos({ pagos, auth }));
+  app.use('/api/auth', crearRutasAuth({ auth }));
+  app.use('/api/clientes', crearRutasClientes({ clientes, auth }));
+  app.use('/api/admin/libro-control', crearRutasLibroControl({
+    libroControl: crearServicioLibroControl({ repos }),
+    auth
+  }));
+  // Reportes de ventas e inventario, por día en la hora local de la farmacia (la de config/entregas.json)
+  app.use('/api/admin/reportes', crearRutasReportes({
+    reportes: crearServicioReportes({ repos, clasificador, zonaHoraria: configEntregas.zonaHoraria }),
+    auth
+  }));
+  app.use('/api/admin', crearRutasAdmin({ auth, medicamentos, alertas, seguridadClinica, importacion, clasificacion, promociones }));
+  app.use('/api/recetas', crearRutasRecetas({ recetas, auth }));
+
+  app.listen(PORT, () => {
+    console.log(`Servidor corriendo en http://localhost:${PORT}`);
+    console.log(`Notificaciones: ${notificador.tipo}`);
+    console.log(`Pagos QR: pasarela ${pasarela.tipo}, vencen a los ${Number(process.env.PAGO_MINUTOS) || 30} minutos${pagos.simulacion ? ', simulación habilitada' : ''}`);
+    console.log(`SANABOT: ${proveedorLLM ? `${proveedorLLM.tipo} (${proveedorLLM.modelo})` : 'sin proveedor de LLM configurado'}`);
+    console.log('Endpoints disponibles:');
+    console.log('- GET  /keepalive           Verifica estado del servidor');
+    console.log('- GET  /api/medicamentos    Buscar medicamentos');
+    console.log('- GET  /api/medicamentos/:id/equivalentes Genéricos equivalentes');
+    console.log('- GET  /api/categorias      Categorías regulatorias y sus requisitos');
+    console.log('- POST /api/interacciones   Interacciones y duplicidades del carrito');
+    console.log('- POST /api/sesiones        Nueva sesión del navegador (carrito, recetas y chat)');
+    console.log('- POST /api/verificar-stock Validar stock y reservar');
+    console.log('- POST /api/precios         Precios del carrito con promociones, cupón y envío');
+    console.log('- GET  /api/entregas        Turnos de retiro y zonas de delivery');
+    console.log('- PUT  /api/reservas/:sessionId Actualizar/extender reserva');
+    console.log('- DELETE /api/reservas/:sessionId Liberar reserva');
+    console.log('- POST /api/pedidos         Procesar pedido');
+    console.log('- GET  /api/pedidos         Listar pedidos (personal)');
+    console.log('- GET  /api/pedidos/:numero Consultar pedido (personal, su cuenta o ?sessionId= de su sesión)');
+    console.log('- PATCH /api/pedidos/:numero/estado Cambiar estado (personal)');
+    console.log('- GET  /api/pedidos/:numero/comprobante?formato=json|html|pdf Comprobante de venta (personal, su cuenta o su sesión)');
+    console.log('- POST /api/pedidos/:numero/comprobante Reemitir comprobante (personal)');
+    console.log('- GET  /api/comprobantes[/:numero] Comprobantes emitidos (personal)');
+    console.log('- POST|GET /api/pedidos/:numero/pago QR de pago del pedido y su estado');
+    console.log('- GET  /api/pagos[/:numero] Cobros por QR (personal)');
+    console.log('- POST /api/pagos/:numero/simular Simular el pago (solo PAGOS_PASARELA=falso y PAGOS_SIMULACION=true)');
+    console.log('- POST /api/recetas         Enviar receta de un controlado');
+    console.log('- GET  /api/recetas/sesion/:sessionId Estado de las recetas enviadas');
+    console.log('- GET  /api/recetas         Cola de revisión de recetas (personal)');
+    console.log('- PATCH /api/recetas/:numero/revision Aprobar/rechazar receta (personal)');
+    console.log('- POST /api/auth/login      Iniciar sesión del personal');
+    console.log('- POST /api/clientes/codigo|ingresar Ingreso del cliente con código por teléfono');
+    console.log('- GET|PATCH /api/clientes/yo  Cuenta del cliente y sus recordatorios');
+    console.log('- GET  /api/clientes/yo/pedidos Historial de pedidos de la cuenta');
+    console.log('- POST /api/clientes/yo/pedidos/:numero/repetir Repetir un pedido anterior');
+    console.log('- PUT|DELETE /api/clientes/yo/recordatorios/:medicamentoId Recordatorio de recompra');
+    console.log('- *    /api/admin/medicamentos Administrar catálogo (personal)');
+    console.log('- POST /api/admin/medicamentos/:id/lotes Ingresar lote (personal)');
+    console.log('- GET  /api/admin/lotes/por-vencer?dias=N Lotes por vencer (personal)');
+    console.log('- GET  /api/admin/stock-bajo  Productos bajo su stock mínimo (personal)');
+    console.log('- GET  /api/admin/reposicion  Reposición sugerida por ventas (personal)');
+    console.log('- GET  /api/admin/catalogo/exportar?formato=csv|xlsx Exportar catálogo (personal)');
+    console.log('- POST /api/admin/catalogo/importar Vista previa / aplicar planilla CSV o XLSX (admin)');
+    console.log('- GET  /api/admin/clasificacion Revisión de la clasificación regulatoria (personal)');
+    console.log('- POST /api/admin/clasificacion/aplicar Aplicar la clasificación (admin)');
+    console.log('- *    /api/admin/promociones Promociones y cupones (personal; alta y edición admin)');
+    console.log('- GET  /api/admin/reportes/ventas|productos|controlados|inventario|sin-movimiento Reportes, formato=json|csv (personal)');
+    console.log('- GET  /reportes.html       Tablero de reportes');
+    console.log('- GET  /api/admin/chat/alertas Conversaciones de SANABOT marcadas (personal)');
+    console.log('- GET  /api/admin/libro-control[/:id] Libro de controlados, formato=json|csv|html (personal)');
+    console.log('- GET  /admin.html          Panel de administración');
+    console.log('- POST /chat                Chatbot SANABOT');
+    console.log('- POST /chat/stream         Chatbot SANABOT con respuesta en streaming (SSE)');
+    console.log('- GET|DELETE /chat/:sessionId  Historial / nueva conversación');
+    console.log('- POST /webhooks/whatsapp   SANABOT por WhatsApp (webhook de Twilio)');
+    console.log('- POST /webhooks/pagos      Confirmaciones firmadas de la pasarela de pagos');
+  });
+}
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Servidor corriendo en http://localhost:${PORT}`);
-  console.log('Endpoints disponibles:');
-  console.log('- GET  /keepalive           Verifica estado del servidor');
-  console.log('- GET  /cargar-datos        Recarga datos desde JSON');
-  console.log('- GET  /api/medicamentos    Buscar medicamentos');
-  console.log('- POST /api/verificar-stock Validar stock');
-  console.log('- POST /api/pedidos         Procesar pedido');
-  console.log('- POST /chat                Chatbot SANABOT');
-});
+iniciar();
@@ -0,0 +1,107 @@
+// Alertas de stock bajo y sugerencias de reposición.
+// El umbral de cada producto es su stockMinimo; si no tiene, se usa el umbral por defecto.
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function crearServicioAlertasStock({ repos, notificador, destinos = [], stockMinimoDefecto = 5, horasEntreAvisos = 12 }) {
+  // Último aviso por producto, para no repetir la alerta en cada venta
+  const avisados = new Map();
+
+  function umbralDe(medicamento) {
+    return Number.isInteger(medicamento.stockMinimo) ? medicamento.stockMinimo : stockMinimoDefecto;
+  }
+
+  function stockBajo(medicamento) {
+    return medicamento.activo !== false && (Number(medicamento.stock) || 0) <= umbralDe(medicamento);
+  }
+
+  // Se vuelve a avisar si pasaron horasEntreAvisos o si el producto se quedó sin stock desde el último aviso
+  function debeAvisar(medicamento, ahora) {
+    const anterior = avisados.get(String(medicamento._id));
+    if (!anterior) return true;
+    if (ahora - anterior.fecha >= horasEntreAvisos * 60 * 60 * 1000) return true;
+    return medicamento.stock === 0 && anterior.stock > 0;
+  }
+
+  function mensajeAlerta(medicamentos) {
+    const lineas = medicamentos.map(med => `- ${med.nombre}: ${med.stock} (mínimo ${umbralDe(med)})`);
+    return `FarmaUPSA - Stock bajo en ${medicamentos.length} producto(s):\n${lineas.join('\n')}`;
+  }
+
+  // Revisa los medicamentos indicados (o todo el catálogo) y avisa los que están en el umbral o debajo
+  async function revisar(medicamentos) {
+    const lista = medicamentos || await repos.medicamentos.listar({ activo: true });
+    const ahora = Date.now();
+
+    // Los que se recuperaron vuelven a poder generar alerta
+    lista.filter(med => !stockBajo(med)).forEach(med => avisados.delete(String(med._id)));
+
+    const nuevos = lista.filter(med => stockBajo(med) && debeAvisar(med, ahora));
+    if (nuevos.length === 0 || destinos.length === 0) return { avisados: [] };
+
+    // Solo cuentan como avisados si el mensaje llegó a algún destino; si no, se reintenta en la próxima revisión
+    const envios = await notificador.enviar(destinos, mensajeAlerta(nuevos));
+    if (!envios.some(envio => envio.ok)) return { avisados: [], envios };
+    nuevos.forEach(med => avisados.set(String(med._id), { fecha: ahora, stock: med.stock }));
+    return { avisados: nuevos.map(med => med.nombre), envios };
+  }
+
+  return {
+    umbralDe,
+    revisar,
+
+    // Productos activos en el umbral o debajo, del más crítico al menos crítico
+    async listarStockBajo() {
+      const medicamentos = await repos.medicamentos.listar({ activo: true });
+      return medicamentos
+        .filter(stockBajo)
+        .map(med => ({ _id: med._id, nombre: med.nombre, stock: med.stock, stockMinimo: umbralDe(med) }))
+        .sort((a, b) => a.stock - a.stockMinimo - (b.stock - b.stockMinimo) || a.nombre.localeCompare(b.nombre));
+    },
+
+    // Sugerencia de compra según la velocidad de venta de los últimos "dias"
+    // para cubrir "cobertura" días más el stock mínimo
+    async sugerirReposicion({ dias = 30, cobertura = 14 } = {}) {
+      const desde = new Date(Date.now() - dias * DIA_MS);
+      const [medicamentos, vendidas] = await Promise.all([
+        repos.medicamentos.listar({ activo: true }),
+        repos.pedidos.unidadesVendidas({ desde })
+      ]);
+
+      return medicamentos
+        .map(med => {
+          const ventaDiaria = (vendidas[String(med._id)] || 0) / dias;
+          const stockMinimo = umbralDe(med);
+          const objetivo = Math.ceil(ventaDiaria * cobertura) + stockMinimo;
+          return {
+            _id: med._id,
+            nombre: med.nombre,
+            stock: med.stock,
+            stockMinimo,
+            vendidas: vendidas[String(med._id)] || 0,
+            ventaDiaria: Math.round(ventaDiaria * 100) / 100,
+            diasRestantes: ventaDiaria > 0 ? Math.floor(med.stock / ventaDiaria) : null,
+            cantidadSugerida: Math.max(objetivo - med.stock, 0)
+          };
+        })
+        .filter(s => s.cantidadSugerida > 0 && (s.stock <= s.stockMinimo || (s.diasRestantes !== null && s.diasRestantes < cobertura)))
+        .sort((a, b) => (a.diasRestantes ?? Infinity) - (b.diasRestantes ?? Infinity) || a.stock - b.stock);
+    },
+
+    // Revisión completa del catálogo cada cierto tiempo
+    iniciarRevisionPeriodica(intervaloMs = 60 * 60 * 1000) {
+      const timer = setInterval(async () => {
+        try {
+          const { avisados: nombres } = await revisar();
+          if (nombres.length > 0) console.log(`Alerta de stock bajo enviada: ${nombres.join(', ')}`);
+        } catch (error) {
+          console.error('Error revisando stock bajo:', error);
+        }
+      }, intervaloMs);
+      timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { crearServicioAlertasStock };
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { ErrorHttp } = require('../utils/errores');
+
+// Roles del personal: el farmacéutico opera precios y stock, el admin todo lo demás
+const ROLES = ['farmaceutico', 'admin'];
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verificarPassword(password, guardado) {
+  const [salt, hash] = String(guardado || '').split(':');
+  if (!salt || !hash) return false;
+  const calculado = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+  const esperado = Buffer.from(hash, 'hex');
+  return esperado.length === calculado.length && crypto.timingSafeEqual(calculado, esperado);
+}
+
+function aPublico(usuario) {
+  const { passwordHash, ...datos } = usuario;
+  return datos;
+}
+
+// Autenticación del personal con tokens firmados (HMAC) y control de acceso por rol.
+// Los clientes con cuenta (servicios/clientes.js) reciben tokens del mismo tipo con rol "cliente",
+// que duran horasCliente y nunca sirven para las rutas del personal.
+// Las sesiones anónimas del navegador (carrito, reserva, recetas, chat) también las emite el servidor
+// firmadas: conocer un sessionId válido es la prueba de que la sesión es propia.
+function crearServicioAuth({ repos, secreto, horas = 12, horasCliente = 720 }) {
+  if (!secreto) {
+    secreto = crypto.randomBytes(32).toString('hex');
+    console.warn('AUTH_SECRET no está configurado: los tokens no sobrevivirán a un reinicio');
+  }
+
+  function firmar(datos) {
+    return crypto.createHmac('sha256', secreto).update(datos).digest('base64url');
+  }
+
+  function firmarToken(payload) {
+    const datos = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${datos}.${firmar(datos)}`;
+  }
+
+  function verificarToken(token) {
+    const [datos, firma] = String(token || '').split('.');
+    if (!datos || !firma) return null;
+
+    const esperada = Buffer.from(firmar(datos));
+    const recibida = Buffer.from(firma);
+    if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(datos, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  }
+
+  // "ses-<aleatorio>.<firma>"; la firma lleva otro prefijo para que no sirva como token
+  function emitirSesion() {
+    const id = `ses-${crypto.randomBytes(16).toString('base64url')}`;
+    return `${id}.${firmar(`sesion:${id}`)}`;
+  }
+
+  function sesionValida(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId.startsWith('ses-')) return false;
+    const [id, firma] = sessionId.split('.');
+    const esperada = Buffer.from(firmar(`sesion:${id}`));
+    const recibida = Buffer.from(String(firma || ''));
+    return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+  }
+
+  // Sesión del token "Bearer" de la petición (null si no hay o no es válido)
+  function leerSesion(req) {
+    const [tipo, token] = (req.headers.authorization || '').split(' ');
+    return tipo === 'Bearer' ? verificarToken(token) : null;
+  }
+
+  // Sesión del personal de la petición, con el rol actual del usuario; null si el token no es válido
+  // o el usuario ya no existe o fue desactivado
+  async function sesionPersonal(req) {
+    const sesion = leerSesion(req);
+    if (!sesion || !ROLES.includes(sesion.rol)) return null;
+    const usuario = await repos.usuarios.obtener(sesion.usuario);
+    if (!usuario || usuario.activo === false) return null;
+    return { ...sesion, rol: usuario.rol };
+  }
+
+  async function crearUsuario({ usuario, password, nombre, rol = 'farmaceutico' }) {
+    if (!usuario || typeof usuario !== 'string' || !usuario.trim()) {
+      throw new ErrorHttp(400, 'El usuario es obligatorio');
+    }
+    if (!password || String(password).length < 8) {
+      throw new ErrorHttp(400, 'La contraseña debe tener al menos 8 caracteres');
+    }
+    if (!ROLES.includes(rol)) {
+      throw new ErrorHttp(400, `Rol inválido: ${rol}`, { rolesValidos: ROLES });
+    }
+    if (await repos.usuarios.obtener(usuario.trim())) {
+      throw new ErrorHttp(409, `El usuario ya existe: ${usuario}`);
+    }
+
+    const creado = await repos.usuarios.crear({
+      usuario: usuario.trim(),
+      nombre: nombre || usuario.trim(),
+      rol,
+      passwordHash: hashPassword(String(password)),
+      activo: true,
+      creadoEn: new Date()
+    });
+    return aPublico(creado);
+  }
+
+  // Número de cuenta del token de cliente de la petición (null si no hay sesión de cliente)
+  function cuentaDe(req) {
+    const sesion = leerSesion(req);
+    return sesion && sesion.rol === 'cliente' ? sesion.cliente : null;
+  }
+
+  return {
+    ROLES,
+    verificarToken,
+    crearUsuario,
+    emitirSesion,
+    sesionValida,
+
+    async login(usuario, password) {
+      const encontrado = usuario && await repos.usuarios.obtener(usuario);
+      if (!encontrado || encontrado.activo === false ||
+          !verificarPassword(String(password || ''), encontrado.passwordHash)) {
+        throw new ErrorHttp(401, 'Usuario o contraseña incorrectos');
+      }
+
+      const exp = Date.now() + horas * 3600000;
+      const token = firmarToken({ usuario: encontrado.usuario, rol: encontrado.rol, exp });
+      return { token, expiraEn: new Date(exp), usuario: aPublico(encontrado) };
+    },
+
+    async listarUsuarios() {
+      const usuarios = await repos.usuarios.listar();
+      return usuarios.map(aPublico);
+    },
+
+    async cambiarActivo(usuario, activo) {
+      const actualizado = await repos.usuarios.actualizar(usuario, { activo: Boolean(activo) });
+      if (!actualizado) throw new ErrorHttp(404, `Usuario no encontrado: ${usuario}`);
+      return aPublico(actualizado);
+    },
+
+    // Crea el primer admin desde ADMIN_USUARIO / ADMIN_PASSWORD si no hay usuarios
+    async asegurarAdminInicial({ usuario, password }) {
+      if (await repos.usuarios.contar() > 0) return null;
+      if (!usuario || !password) {
+        console.warn('No hay usuarios del personal. Configura ADMIN_USUARIO y ADMIN_PASSWORD para crear el admin inicial');
+        return null;
+      }
+      const admin = await crearUsuario({ usuario, password, rol: 'admin', nombre: 'Administrador' });
+      console.log(`Admin inicial creado: ${admin.usuario}`);
+      return admin;
+    },
+
+    // Middleware: exige un token válido con alguno de los roles indicados (sin roles, cualquiera del personal).
+    // El usuario se vuelve a leer en cada petición: desactivarlo o cambiar su rol corta sus tokens.
+    requiereRol(...roles) {
+      const permitidos = roles.length > 0 ? roles : ROLES;
+      return async (req, res, next) => {
+        let sesion;
+        try {
+          sesion = await sesionPersonal(req);
+        } catch (error) {
+          console.error('Error verificando la sesión del personal:', error);
+          return res.status(500).json({ error: 'Error al verificar la sesión' });
+        }
+
+        if (!sesion) {
+          return res.status(401).json({ error: 'Autenticación requerida' });
+        }
+        if (!permitidos.includes(sesion.rol)) {
+          return res.status(403).json({ error: 'No tienes permiso para esta operación' });
+        }
+
+        req.usuario = sesion;
+        next();
+      };
+    },
+
+    // Middleware: exige el sessionId firmado de la ruta, el cuerpo o la consulta y lo deja en req.sessionId.
+    // Con "opcional" se acepta que no venga, pero si viene debe ser válido.
+    requiereSesion({ opcional = false } = {}) {
+      return (req, res, next) => {
+        const sessionId = req.params.sessionId ?? req.body?.sessionId ?? req.query.sessionId;
+        if (sessionId === undefined && opcional) return next();
+        if (!sesionValida(sessionId)) {
+          return res.status(401).json({ error: 'Sesión inválida, recarga la página' });
+        }
+        req.sessionId = sessionId;
+        next();
+      };
+    },
+
+    // Token de la cuenta de un cliente ya verificado por código
+    sesionCliente(cliente) {
+      const exp = Date.now() + horasCliente * 3600000;
+      return { token: firmarToken({ cliente: cliente.numero, rol: 'cliente', exp }), expiraEn: new Date(exp) };
+    },
+
+    cuentaDe,
+
+    // Quién pide un recurso de un cliente (pedido, comprobante, pago): si es del personal,
+    // la cuenta de su token y la sesión indicada, solo si es una sesión firmada por el servidor
+    async solicitante(req, sessionId) {
+      return {
+        personal: Boolean(await sesionPersonal(req)),
+        cuenta: cuentaDe(req),
+        sessionId: sesionValida(sessionId) ? sessionId : undefined
+      };
+    },
+
+    // Middleware: exige la sesión de un cliente; deja el número de cuenta en req.cuenta
+    requiereCliente() {
+      return (req, res, next) => {
+        const sesion = leerSesion(req);
+        if (!sesion || sesion.rol !== 'cliente') {
+          return res.status(401).json({ error: 'Inicia sesión con tu teléfono' });
+        }
+        req.cuenta = sesion.cliente;
+        next();
+      };
+    }
+  };
+}
+
+module.exports = { crearServicioAuth, hashPassword, verificarPassword, ROLES };
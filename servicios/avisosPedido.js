@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { renderizar } = require('../utils/plantillas');
+const { describirEntrega } = require('./entregas');
+
+// Avisos de pedidos por WhatsApp enviados desde el servidor:
+// el resumen a la farmacia al crearse y, si el cliente dejó su teléfono,
+// la confirmación, el pago por QR recibido y cada cambio de estado. Los textos salen de config/mensajes.json;
+// los pedidos con delivery usan "estadosDelivery" para los estados que tengan un texto propio.
+
+const RUTA_PLANTILLAS = path.join(__dirname, '..', 'config', 'mensajes.json');
+
+function cargarPlantillas(ruta = RUTA_PLANTILLAS) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+// Deja el número como "+<código de país><número>"; null si no parece un teléfono.
+// Los números locales (sin código de país) se completan con prefijoPais.
+function normalizarTelefono(valor, prefijoPais = '591') {
+  const texto = String(valor || '').trim();
+  const digitos = texto.replace(/\D/g, '');
+  if (digitos.length < 7 || digitos.length > 15) return null;
+  if (texto.startsWith('+') || texto.startsWith('00')) return `+${digitos.replace(/^00/, '')}`;
+  return digitos.length <= 8 ? `+${prefijoPais}${digitos}` : `+${digitos}`;
+}
+
+function aWhatsApp(telefono) {
+  return telefono.startsWith('whatsapp:') ? telefono : `whatsapp:${telefono}`;
+}
+
+function crearServicioAvisosPedido({ notificador, farmacia = [], prefijoPais = '591', plantillas = cargarPlantillas() }) {
+  const destinosFarmacia = farmacia.map(aWhatsApp);
+
+  function datosDe(pedido, extra = {}) {
+    const lineas = pedido.items.map(item => `- ${item.nombre} x${item.cantidad} = Bs ${Number(item.subtotal).toFixed(2)}` +
+      (item.descuento > 0 ? ` (desc. Bs ${Number(item.descuento).toFixed(2)})` : ''));
+    (pedido.promociones || []).forEach(promocion => {
+      lineas.push(`🏷️ ${promocion.nombre}${promocion.cupon ? ` (cupón ${promocion.cupon})` : ''}: -Bs ${Number(promocion.monto).toFixed(2)}`);
+    });
+    return {
+      numero: pedido.numero,
+      total: Number(pedido.total).toFixed(2),
+      telefono: pedido.telefono || 'sin teléfono',
+      detalle: lineas.join('\n'),
+      entrega: pedido.entrega ? describirEntrega(pedido.entrega) : '',
+      direccion: pedido.entrega?.direccion || '',
+      ...extra
+    };
+  }
+
+  return {
+    normalizarTelefono: valor => normalizarTelefono(valor, prefijoPais),
+
+    // Resumen del pedido a la farmacia y confirmación al cliente
+    async pedidoCreado(pedido) {
+      const envios = [];
+      if (destinosFarmacia.length > 0) {
+        envios.push(...await notificador.enviar(destinosFarmacia, renderizar(plantillas.pedidoFarmacia, datosDe(pedido))));
+      } else {
+        console.warn(`Pedido ${pedido.numero} sin aviso a la farmacia: falta FARMACIA_WHATSAPP`);
+      }
+      if (pedido.telefono) {
+        envios.push(...await notificador.enviar([aWhatsApp(pedido.telefono)],
+          renderizar(plantillas.pedidoCliente, datosDe(pedido))));
+      }
+      return envios;
+    },
+
+    // Pago por QR confirmado por la pasarela: a la farmacia y al cliente
+    async pagoRecibido(pedido) {
+      const datos = datosDe(pedido, { monto: Number(pedido.pago.monto).toFixed(2) });
+      const envios = [];
+      if (destinosFarmacia.length > 0) {
+        envios.push(...await notificador.enviar(destinosFarmacia, renderizar(plantillas.pagoFarmacia, datos)));
+      }
+      if (pedido.telefono) {
+        envios.push(...await notificador.enviar([aWhatsApp(pedido.telefono)], renderizar(plantillas.pagoCliente, datos)));
+      }
+      return envios;
+    },
+
+    // Aviso al cliente cuando su pedido cambia de estado (si hay plantilla para ese estado)
+    async estadoCambiado(pedido, { nota } = {}) {
+      const plantilla = (pedido.entrega?.tipo === 'delivery' && plantillas.estadosDelivery?.[pedido.estado]) ||
+        (plantillas.estados && plantillas.estados[pedido.estado]);
+      if (!pedido.telefono || !plantilla) return [];
+      return notificador.enviar([aWhatsApp(pedido.telefono)], renderizar(plantilla, datosDe(pedido, { nota })));
+    }
+  };
+}
+
+module.exports = { crearServicioAvisosPedido, normalizarTelefono, cargarPlantillas };
@@ -0,0 +1,85 @@
+const { normalizar, distancia } = require('../utils/texto');
+
+// Búsqueda de medicamentos insensible a tildes, tolerante a errores de tipeo y con ranking
+const ORDENES = ['relevancia', 'precio', 'nombre', 'stock'];
+
+// Errores de tipeo tolerados según el largo de la palabra buscada
+function toleranciaPara(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// Puntaje de una palabra buscada contra el nombre (0 = no coincide)
+function puntuarToken(token, palabrasNombre, nombre) {
+  let mejor = 0;
+  for (const palabra of palabrasNombre) {
+    if (palabra === token) return 60;
+    if (palabra.startsWith(token)) mejor = Math.max(mejor, 45);
+  }
+  if (mejor > 0) return mejor;
+  if (nombre.includes(token)) return 30;
+
+  const tolerancia = toleranciaPara(token);
+  if (tolerancia === 0) return 0;
+
+  for (const palabra of palabrasNombre) {
+    // Se compara con la palabra completa y con su prefijo del mismo largo ("losartn" ~ "losartan")
+    const d = Math.min(
+      distancia(token, palabra, tolerancia),
+      distancia(token, palabra.slice(0, token.length), tolerancia)
+    );
+    if (d <= tolerancia) mejor = Math.max(mejor, 20 - d * 5);
+  }
+  return mejor;
+}
+
+function puntuar(medicamento, consulta) {
+  const nombre = normalizar(medicamento.nombre);
+  const palabrasNombre = nombre.split(' ');
+
+  let total = 0;
+  for (const token of consulta.tokens) {
+    const puntos = puntuarToken(token, palabrasNombre, nombre);
+    if (puntos === 0) return 0;
+    total += puntos;
+  }
+
+  if (nombre === consulta.texto) total += 100;
+  else if (nombre.startsWith(consulta.texto)) total += 50;
+  return total;
+}
+
+function comparador(orden, dir) {
+  const signo = dir === 'desc' ? -1 : 1;
+  switch (orden) {
+    case 'precio':
+      return (a, b) => signo * (a.med.precio - b.med.precio) || a.med.nombre.localeCompare(b.med.nombre);
+    case 'stock':
+      return (a, b) => signo * (a.med.stock - b.med.stock) || a.med.nombre.localeCompare(b.med.nombre);
+    case 'nombre':
+      return (a, b) => signo * a.med.nombre.localeCompare(b.med.nombre);
+    default:
+      // Relevancia: mayor puntaje primero y, a igual puntaje, el nombre más corto
+      return (a, b) => b.puntaje - a.puntaje || a.med.nombre.length - b.med.nombre.length ||
+        a.med.nombre.localeCompare(b.med.nombre);
+  }
+}
+
+// Devuelve { total, resultados } ya filtrados, ordenados y paginados
+function buscarMedicamentos(medicamentos, { query, orden = 'relevancia', dir, limit = 20, offset = 0 }) {
+  const texto = normalizar(query);
+  const consulta = { texto, tokens: texto.split(' ').filter(Boolean) };
+
+  const coincidencias = medicamentos
+    .map(med => ({ med, puntaje: puntuar(med, consulta) }))
+    .filter(r => r.puntaje > 0)
+    .sort(comparador(ORDENES.includes(orden) ? orden : 'relevancia', dir || (orden === 'stock' ? 'desc' : 'asc')));
+
+  return {
+    total: coincidencias.length,
+    resultados: coincidencias.slice(offset, offset + limit).map(r => r.med)
+  };
+}
+
+module.exports = { buscarMedicamentos, ORDENES };
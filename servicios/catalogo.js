@@ -0,0 +1,33 @@
+// Catálogo de medicamentos con cache local para mejor rendimiento
+function crearServicioCatalogo({ repos, ttl = 60000 }) {
+  let cacheMedicamentos = {
+    timestamp: 0,
+    data: [],
+    ttl // 1 minuto por defecto
+  };
+
+  return {
+    async obtenerCatalogo() {
+      if (cacheMedicamentos.data.length > 0 &&
+          (Date.now() - cacheMedicamentos.timestamp) < cacheMedicamentos.ttl) {
+        return cacheMedicamentos.data;
+      }
+      cacheMedicamentos = {
+        timestamp: Date.now(),
+        data: await repos.medicamentos.listar({ activo: true }),
+        ttl
+      };
+      return cacheMedicamentos.data;
+    },
+
+    invalidarCache() {
+      cacheMedicamentos.timestamp = 0;
+    },
+
+    get cacheTimestamp() {
+      return cacheMedicamentos.timestamp;
+    }
+  };
+}
+
+module.exports = { crearServicioCatalogo };
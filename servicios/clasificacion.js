@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizar } = require('../utils/texto');
+const { principiosDe, cargarBase } = require('./interacciones');
+
+// ==============================================
+// CLASIFICACIÓN REGULATORIA
+// ==============================================
+// Asigna a cada medicamento una categoría (estupefaciente, psicotrópico, antibiótico con receta,
+// venta libre) según sus principios activos. Las reglas están en config/clasificacion.json;
+// las categorías van de la más estricta a la menos estricta y un producto combinado toma la
+// más estricta de sus componentes. "controlado" (receta aprobada y libro de control) se deduce
+// de la categoría. Una regla puede nombrar un grupo de config/interacciones.json ("grupo:opioides")
+// para no repetir sus principios.
+
+const RUTA_REGLAS = path.join(__dirname, '..', 'config', 'clasificacion.json');
+
+function cargarReglas(ruta = RUTA_REGLAS) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+function crearClasificador(reglas = cargarReglas(), grupos = cargarBase().grupos) {
+  const claves = reglas.categorias.map(c => c.clave);
+  if (!claves.includes(reglas.categoriaPorDefecto)) {
+    throw new Error(`Clasificación: la categoría por defecto "${reglas.categoriaPorDefecto}" no existe`);
+  }
+
+  // principio normalizado -> categoría (si figura en varias, gana la más estricta)
+  const porPrincipio = new Map();
+  Object.entries(reglas.principios || {}).forEach(([clave, principios]) => {
+    if (!claves.includes(clave)) {
+      throw new Error(`Clasificación: categoría desconocida "${clave}" en config/clasificacion.json`);
+    }
+    const expandidos = principios.flatMap(principio => {
+      if (!principio.startsWith('grupo:')) return [principio];
+      const grupo = grupos[principio.slice(6)];
+      if (!grupo) throw new Error(`Clasificación: grupo desconocido "${principio}" en config/clasificacion.json`);
+      return grupo.principios;
+    });
+    expandidos.map(normalizar).forEach(principio => {
+      const previa = porPrincipio.get(principio);
+      if (!previa || claves.indexOf(clave) < claves.indexOf(previa)) porPrincipio.set(principio, clave);
+    });
+  });
+
+  const categoria = clave => reglas.categorias.find(c => c.clave === clave) || null;
+
+  // { categoria, principio }: principio es el que decidió la categoría (null si es la de por defecto)
+  function clasificar(medicamento) {
+    let resultado = { categoria: reglas.categoriaPorDefecto, principio: null };
+    principiosDe(medicamento).forEach(principio => {
+      const clave = porPrincipio.get(principio);
+      if (clave && claves.indexOf(clave) < claves.indexOf(resultado.categoria)) {
+        resultado = { categoria: clave, principio };
+      }
+    });
+    return resultado;
+  }
+
+  return {
+    categorias: reglas.categorias,
+    categoria,
+    clasificar,
+
+    // Datos de un producto nuevo con su categoría. Si no la trae se clasifica; un producto
+    // marcado a mano como controlado sigue siéndolo aunque las reglas no lo conozcan.
+    completar(datos) {
+      const clave = datos.categoria || clasificar(datos).categoria;
+      return { ...datos, categoria: clave, controlado: Boolean(datos.controlado) || Boolean(categoria(clave)?.controlado) };
+    },
+
+    // Lo que cambiaría al aplicar las reglas a todo el catálogo (no modifica nada).
+    // Un controlado que ninguna regla reconoce no se cambia: queda en "revisionManual".
+    revisar(medicamentos) {
+      const cambios = [];
+      const revisionManual = [];
+      const porCategoria = Object.fromEntries(claves.map(clave => [clave, 0]));
+
+      medicamentos.forEach(med => {
+        const { categoria: clave, principio } = clasificar(med);
+        if (med.controlado && principio === null) {
+          revisionManual.push({ id: String(med._id), nombre: med.nombre, categoria: med.categoria });
+          return;
+        }
+        porCategoria[clave]++;
+
+        const campos = {};
+        if (med.categoria !== clave) campos.categoria = { antes: med.categoria, despues: clave };
+        if (Boolean(med.controlado) !== categoria(clave).controlado) {
+          campos.controlado = { antes: Boolean(med.controlado), despues: categoria(clave).controlado };
+        }
+        if (Object.keys(campos).length > 0) {
+          cambios.push({ id: String(med._id), nombre: med.nombre, principio, campos });
+        }
+      });
+
+      return { total: medicamentos.length, porCategoria, cambios, revisionManual };
+    }
+  };
+}
+
+// Revisión y aplicación de las reglas sobre el catálogo guardado (JSON o MongoDB)
+function crearServicioClasificacion({ repos, clasificador, alCambiarStock = () => {} }) {
+  async function revisar() {
+    return clasificador.revisar(await repos.medicamentos.listar({}));
+  }
+
+  return {
+    categorias: clasificador.categorias,
+    revisar,
+
+    // Todos los cambios se guardan de una vez; los nuevos controlados abren su libro de control
+    async aplicar(contexto = {}) {
+      const revision = await revisar();
+      if (revision.cambios.length > 0) {
+        await repos.medicamentos.importar({
+          cambios: revision.cambios.map(cambio => ({
+            id: cambio.id,
+            campos: Object.fromEntries(Object.entries(cambio.campos).map(([campo, { despues }]) => [campo, despues]))
+          }))
+        }, { motivo: 'Clasificación regulatoria', ...contexto });
+        alCambiarStock();
+      }
+      return { ...revision, aplicado: true };
+    }
+  };
+}
+
+module.exports = { crearClasificador, crearServicioClasificacion, cargarReglas };
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const Cliente = require('../models/Cliente');
+const { ErrorHttp } = require('../utils/errores');
+const { renderizar } = require('../utils/plantillas');
+const { generarNumero } = require('../utils/numeros');
+const { cargarPlantillas } = require('./avisosPedido');
+
+// ==============================================
+// CUENTAS DE CLIENTES
+// ==============================================
+// El cliente se registra e ingresa con su teléfono y un código de un solo uso que se le envía
+// por WhatsApp (o SMS). Al ingresar, las recetas y la reserva de la sesión anónima del navegador
+// (firmada por el servidor, ver servicios/auth.js) pasan a la sesión de la cuenta, que siempre emite
+// el servidor; a la cuenta solo se vinculan los pedidos hechos con el teléfono verificado.
+// Los recordatorios de recompra estiman cuándo se termina un medicamento crónico a partir de
+// la última compra (cantidad x unidades por envase) y la dosis que indicó el cliente.
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const CODIGO_MINUTOS = 10;
+const CODIGO_INTENTOS = 5;
+const REENVIO_SEGUNDOS = 60;
+const CAMPOS_PERFIL = ['nombre', 'nit'];
+const CAMPOS_RECORDATORIO = ['unidadesPorEnvase', 'unidadesPorDosis', 'horasEntreDosis', 'diasAnticipacion'];
+
+function hashCodigo(telefono, codigo) {
+  return crypto.createHash('sha256').update(`${telefono}:${codigo}`).digest('hex');
+}
+
+function codigoCorrecto(guardado, telefono, codigo) {
+  const esperado = Buffer.from(guardado, 'hex');
+  const recibido = Buffer.from(hashCodigo(telefono, String(codigo || '').trim()), 'hex');
+  return esperado.length === recibido.length && crypto.timingSafeEqual(esperado, recibido);
+}
+
+function aPublico(cliente) {
+  const { codigo, ...datos } = cliente;
+  return datos;
+}
+
+function elegirCampos(datos, campos) {
+  return Object.fromEntries(
+    Object.entries(datos || {}).filter(([campo]) => campos.includes(campo))
+  );
+}
+
+// Valida contra el esquema de models/Cliente.js (sirve también con el backend JSON)
+function validarCliente(datos, mensaje) {
+  const doc = new Cliente(datos);
+  const error = doc.validateSync();
+  if (error) {
+    throw new ErrorHttp(400, mensaje, {
+      errores: Object.values(error.errors).map(e => ({ campo: e.path.replace(/^recordatorios\.\d+\./, ''), mensaje: e.message }))
+    });
+  }
+  const { _id, __v, ...limpio } = doc.toObject();
+  return limpio;
+}
+
+// Unidades por envase a partir de la presentación ("caja de 30" = 30); 1 si no se puede deducir
+function unidadesDeEnvase(medicamento) {
+  const cantidad = /(\d+)/.exec(medicamento.presentacion || '');
+  return cantidad ? Number(cantidad[1]) : 1;
+}
+
+// Días que dura una compra de "cantidad" envases con la dosis del recordatorio
+function diasDeCobertura(recordatorio, cantidad) {
+  const dosis = cantidad * recordatorio.unidadesPorEnvase / recordatorio.unidadesPorDosis;
+  return dosis * recordatorio.horasEntreDosis / 24;
+}
+
+// Estado de un recordatorio según la última compra no cancelada (pedidos del más reciente al más antiguo)
+function estadoRecordatorio(recordatorio, pedidos) {
+  const pedido = pedidos.find(p => p.estado !== 'cancelado' &&
+    p.items.some(item => String(item.id) === recordatorio.medicamentoId));
+  if (!pedido) return { ...recordatorio, ultimaCompra: null };
+
+  const cantidad = pedido.items
+    .filter(item => String(item.id) === recordatorio.medicamentoId)
+    .reduce((suma, item) => suma + item.cantidad, 0);
+  const dias = diasDeCobertura(recordatorio, cantidad);
+  const seAcabaEn = new Date(new Date(pedido.creadoEn).getTime() + dias * DIA_MS);
+  return {
+    ...recordatorio,
+    ultimaCompra: { pedido: pedido.numero, fecha: pedido.creadoEn, cantidad },
+    diasCobertura: Math.round(dias * 10) / 10,
+    seAcabaEn,
+    avisarEn: new Date(seAcabaEn.getTime() - recordatorio.diasAnticipacion * DIA_MS),
+    avisado: recordatorio.avisadoPorPedido === pedido.numero
+  };
+}
+
+// "canal": whatsapp (por defecto) o sms para el código de ingreso y los recordatorios
+function crearServicioClientes({
+  repos, auth, reservas, notificador, normalizarTelefono, canal = 'whatsapp', plantillas = cargarPlantillas()
+}) {
+  function destinoDe(telefono) {
+    return canal === 'sms' ? telefono : `whatsapp:${telefono}`;
+  }
+
+  function leerTelefono(valor) {
+    const telefono = normalizarTelefono(valor);
+    if (!telefono) throw new ErrorHttp(400, `Teléfono inválido: ${valor || ''}`);
+    return telefono;
+  }
+
+  async function obtener(cuenta) {
+    const cliente = await repos.clientes.obtener(cuenta);
+    if (!cliente || !cliente.verificadoEn) {
+      throw new ErrorHttp(404, `Cuenta no encontrada: ${cuenta}`);
+    }
+    return cliente;
+  }
+
+  async function pedidosDe(cuenta, paginacion = { limit: 200, offset: 0 }) {
+    return repos.pedidos.listar({ cuenta }, paginacion);
+  }
+
+  async function conEstadoRecordatorios(cliente) {
+    const recordatorios = cliente.recordatorios || [];
+    if (recordatorios.length === 0) return { ...aPublico(cliente), recordatorios };
+    const { pedidos } = await pedidosDe(cliente.numero);
+    return { ...aPublico(cliente), recordatorios: recordatorios.map(r => estadoRecordatorio(r, pedidos)) };
+  }
+
+  // Pasa las recetas y la reserva de una sesión a la de la cuenta
+  async function moverSesion(desde, hacia) {
+    return {
+      recetas: await repos.recetas.cambiarSesion(desde, hacia),
+      reserva: Boolean(await reservas.cambiarSesion(desde, hacia))
+    };
+  }
+
+  // Une a la cuenta la sesión anónima del navegador, solo si es una sesión firmada por el servidor
+  // (quien la presenta demuestra que es suya), y los pedidos hechos con el teléfono de la cuenta
+  async function unirSesion(cliente, sessionId) {
+    const unidos = { pedidos: 0, recetas: 0, reserva: false };
+    if (auth.sesionValida(sessionId) && sessionId !== cliente.sessionId) {
+      Object.assign(unidos, await moverSesion(sessionId, cliente.sessionId));
+    }
+    unidos.pedidos = await repos.pedidos.vincularCuenta(cliente.telefono, cliente.numero);
+    return unidos;
+  }
+
+  // Avisa los recordatorios vencidos de un cliente; se avisa una sola vez por compra
+  async function revisarCliente(cliente, ahora) {
+    const { pedidos } = await pedidosDe(cliente.numero);
+    const avisados = [];
+    const recordatorios = [];
+
+    for (const recordatorio of cliente.recordatorios) {
+      const estado = estadoRecordatorio(recordatorio, pedidos);
+      if (!estado.ultimaCompra || estado.avisado || estado.avisarEn > ahora) {
+        recordatorios.push(recordatorio);
+        continue;
+      }
+
+      const [envio] = await notificador.enviar([destinoDe(cliente.telefono)], renderizar(plantillas.recordatorioRecarga, {
+        nombre: cliente.nombre ? ` ${cliente.nombre}` : '',
+        medicamento: recordatorio.nombre,
+        fecha: new Date(estado.ultimaCompra.fecha).toLocaleDateString('es-BO'),
+        seAcaba: estado.seAcabaEn.toLocaleDateString('es-BO'),
+        pedido: estado.ultimaCompra.pedido
+      }));
+      if (envio && envio.ok) {
+        recordatorios.push({ ...recordatorio, avisadoPorPedido: estado.ultimaCompra.pedido, avisadoEn: ahora });
+        avisados.push(recordatorio.nombre);
+      } else {
+        recordatorios.push(recordatorio);
+      }
+    }
+
+    if (avisados.length > 0) await repos.clientes.actualizar(cliente.numero, { recordatorios });
+    return avisados;
+  }
+
+  async function revisarRecordatorios(ahora = new Date()) {
+    const avisados = [];
+    for (const cliente of await repos.clientes.listarConRecordatorios()) {
+      try {
+        (await revisarCliente(cliente, ahora)).forEach(nombre => avisados.push(`${cliente.numero}: ${nombre}`));
+      } catch (error) {
+        console.error(`Error revisando los recordatorios de ${cliente.numero}:`, error);
+      }
+    }
+    return { avisados };
+  }
+
+  return {
+    // Envía un código de ingreso; si el teléfono no tiene cuenta, queda creada sin verificar
+    async solicitarCodigo(valorTelefono) {
+      const telefono = leerTelefono(valorTelefono);
+      const ahora = new Date();
+      let cliente = await repos.clientes.buscarTelefono(telefono);
+
+      const enviadoEn = cliente?.codigo?.enviadoEn && new Date(cliente.codigo.enviadoEn);
+      if (enviadoEn && ahora - enviadoEn < REENVIO_SEGUNDOS * 1000) {
+        throw new ErrorHttp(429, `Espera ${REENVIO_SEGUNDOS} segundos antes de pedir otro código`);
+      }
+
+      const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const datosCodigo = {
+        hash: hashCodigo(telefono, codigo),
+        expiraEn: new Date(ahora.getTime() + CODIGO_MINUTOS * 60000),
+        intentos: 0,
+        enviadoEn: ahora
+      };
+      if (cliente) {
+        cliente = await repos.clientes.actualizar(cliente.numero, { codigo: datosCodigo });
+      } else {
+        cliente = await repos.clientes.crear({
+          numero: generarNumero('CLI'),
+          telefono,
+          codigo: datosCodigo,
+          recordatorios: [],
+          creadoEn: ahora
+        });
+      }
+
+      const [envio] = await notificador.enviar([destinoDe(telefono)],
+        renderizar(plantillas.codigoAcceso, { codigo, minutos: CODIGO_MINUTOS }));
+      if (!envio || !envio.ok) {
+        await repos.clientes.actualizar(cliente.numero, { codigo: null });
+        throw new ErrorHttp(502, 'No se pudo enviar el código, intenta nuevamente');
+      }
+      return { telefono, expiraEn: datosCodigo.expiraEn };
+    },
+
+    // Verifica el código, une la sesión del navegador y devuelve el token de la cuenta.
+    // "sessionId" de la respuesta es la sesión de la cuenta, que el navegador debe usar desde ahora;
+    // nunca es la que envió el navegador. Las cuentas con una sesión anterior sin firma reciben una nueva.
+    async ingresar({ telefono: valorTelefono, codigo, sessionId, nombre }) {
+      const telefono = leerTelefono(valorTelefono);
+      const cliente = await repos.clientes.buscarTelefono(telefono);
+      if (!cliente || !cliente.codigo?.hash) {
+        throw new ErrorHttp(400, 'Solicita un código de ingreso primero');
+      }
+      if (new Date(cliente.codigo.expiraEn) <= new Date()) {
+        throw new ErrorHttp(400, 'El código venció, solicita uno nuevo');
+      }
+      if (cliente.codigo.intentos >= CODIGO_INTENTOS) {
+        throw new ErrorHttp(429, 'Demasiados intentos, solicita un código nuevo');
+      }
+      if (!codigoCorrecto(cliente.codigo.hash, telefono, codigo)) {
+        await repos.clientes.actualizar(cliente.numero, {
+          codigo: { ...cliente.codigo, intentos: cliente.codigo.intentos + 1 }
+        });
+        throw new ErrorHttp(401, 'Código incorrecto');
+      }
+
+      const ahora = new Date();
+      const cambios = { codigo: null, ultimoIngreso: ahora };
+      if (!cliente.verificadoEn) cambios.verificadoEn = ahora;
+      if (!auth.sesionValida(cliente.sessionId)) cambios.sessionId = auth.emitirSesion();
+      if (!cliente.nombre && String(nombre || '').trim()) {
+        cambios.nombre = validarCliente({ ...cliente, nombre }, 'Datos de la cuenta inválidos').nombre;
+      }
+      const actualizado = await repos.clientes.actualizar(cliente.numero, cambios);
+      if (cliente.sessionId && cambios.sessionId) await moverSesion(cliente.sessionId, cambios.sessionId);
+
+      const unidos = await unirSesion(actualizado, sessionId);
+      return {
+        ...auth.sesionCliente(actualizado),
+        cliente: aPublico(actualizado),
+        sessionId: actualizado.sessionId,
+        unidos
+      };
+    },
+
+    // Perfil con el estado de sus recordatorios
+    async perfil(cuenta) {
+      return conEstadoRecordatorios(await obtener(cuenta));
+    },
+
+    // Nombre y NIT/CI (los usa el comprobante de los pedidos de la cuenta); null borra el dato
+    async actualizar(cuenta, datos) {
+      const cliente = await obtener(cuenta);
+      const cambios = elegirCampos(datos, CAMPOS_PERFIL);
+      const noEditables = Object.keys(datos || {}).filter(campo => !CAMPOS_PERFIL.includes(campo));
+      if (noEditables.length > 0) {
+        throw new ErrorHttp(400, `Campos no editables: ${noEditables.join(', ')}`, { camposEditables: CAMPOS_PERFIL });
+      }
+      if (typeof cambios.nit === 'string') cambios.nit = cambios.nit.trim().toUpperCase();
+      Object.keys(cambios).forEach(campo => {
+        if (cambios[campo] === '') cambios[campo] = null;
+      });
+
+      const validado = validarCliente({ ...cliente, ...cambios }, 'Datos de la cuenta inválidos');
+      const finales = Object.fromEntries(Object.keys(cambios).map(campo => [campo, validado[campo] ?? null]));
+      return conEstadoRecordatorios(await repos.clientes.actualizar(cuenta, finales));
+    },
+
+    // Pedidos de la cuenta, del más reciente al más antiguo
+    async historial(cuenta, paginacion) {
+      await obtener(cuenta);
+      return pedidosDe(cuenta, paginacion);
+    },
+
+    // Arma un carrito con lo que se pidió en un pedido anterior, a precio y stock de hoy.
+    // Los productos que ya no están, los controlados (necesitan una receta nueva) y los que no tienen
+    // stock quedan en "omitidos"; si no alcanza el stock se ajusta la cantidad. El navegador lo reserva.
+    async repetirPedido(cuenta, numero) {
+      const cliente = await obtener(cuenta);
+      const pedido = await repos.pedidos.obtener(numero);
+      if (!pedido || pedido.cuenta !== cuenta) {
+        throw new ErrorHttp(404, `Pedido no encontrado: ${numero}`);
+      }
+
+      const omitidos = [];
+      const pedibles = [];
+      for (const item of pedido.items) {
+        const medicamento = await repos.medicamentos.obtener(item.id, item.nombre);
+        if (!medicamento || medicamento.activo === false) {
+          omitidos.push({ nombre: item.nombre, motivo: 'Ya no está disponible' });
+        } else if (medicamento.controlado) {
+          omitidos.push({ id: String(medicamento._id), nombre: medicamento.nombre, motivo: 'Medicamento controlado: envía una receta nueva' });
+        } else {
+          pedibles.push({ id: String(medicamento._id), nombre: medicamento.nombre, precio: medicamento.precio, cantidad: item.cantidad });
+        }
+      }
+
+      const resultados = await reservas.verificarItems(pedibles, cliente.sessionId);
+      const items = [];
+      resultados.forEach((resultado, i) => {
+        const item = pedibles[i];
+        if (resultado.valido) {
+          items.push({ ...item, stockDisponible: resultado.stockDisponible });
+        } else if (resultado.stockDisponible > 0) {
+          items.push({ ...item, cantidad: resultado.stockDisponible, stockDisponible: resultado.stockDisponible, ajustado: true });
+        } else {
+          omitidos.push({ id: item.id, nombre: item.nombre, motivo: resultado.error || 'Sin stock' });
+        }
+      });
+      return { pedido: pedido.numero, items, omitidos };
+    },
+
+    // Crea o modifica el recordatorio de recompra de un medicamento
+    async guardarRecordatorio(cuenta, medicamentoId, datos) {
+      const cliente = await obtener(cuenta);
+      const medicamento = await repos.medicamentos.obtener(medicamentoId);
+      if (!medicamento) {
+        throw new ErrorHttp(404, `Medicamento no encontrado: ${medicamentoId}`);
+      }
+
+      const id = String(medicamento._id);
+      const recordatorios = cliente.recordatorios || [];
+      const anterior = recordatorios.find(r => r.medicamentoId === id);
+      const recordatorio = {
+        medicamentoId: id,
+        nombre: medicamento.nombre,
+        unidadesPorEnvase: unidadesDeEnvase(medicamento),
+        ...anterior,
+        ...elegirCampos(datos, CAMPOS_RECORDATORIO)
+      };
+      // Con otra dosis cambia la fecha estimada: se puede volver a avisar por la misma compra
+      delete recordatorio.avisadoPorPedido;
+      delete recordatorio.avisadoEn;
+
+      const otros = recordatorios.filter(r => r.medicamentoId !== id);
+      const validado = validarCliente({ ...cliente, recordatorios: [recordatorio] }, 'Datos del recordatorio inválidos');
+      const actualizado = await repos.clientes.actualizar(cuenta, { recordatorios: [...otros, validado.recordatorios[0]] });
+      return (await conEstadoRecordatorios(actualizado)).recordatorios.find(r => r.medicamentoId === id);
+    },
+
+    async eliminarRecordatorio(cuenta, medicamentoId) {
+      const cliente = await obtener(cuenta);
+      const recordatorios = cliente.recordatorios || [];
+      const restantes = recordatorios.filter(r => r.medicamentoId !== medicamentoId);
+      if (restantes.length === recordatorios.length) {
+        throw new ErrorHttp(404, `No hay recordatorio para el medicamento ${medicamentoId}`);
+      }
+      await repos.clientes.actualizar(cuenta, { recordatorios: restantes });
+    },
+
+    revisarRecordatorios,
+
+    // Revisión de los recordatorios de recompra cada cierto tiempo
+    iniciarRevisionRecordatorios(intervaloMs = 60 * 60 * 1000) {
+      const timer = setInterval(async () => {
+        try {
+          const { avisados } = await revisarRecordatorios();
+          if (avisados.length > 0) console.log(`Recordatorios de recompra enviados: ${avisados.join(', ')}`);
+        } catch (error) {
+          console.error('Error revisando recordatorios de recompra:', error);
+        }
+      }, intervaloMs);
+      timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { crearServicioClientes };
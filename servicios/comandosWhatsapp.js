@@ -0,0 +1,75 @@
+const { buscarMedicamentos } = require('./busqueda');
+
+// Comandos de WhatsApp que se responden con datos del catálogo y los pedidos, sin pasar por el LLM:
+//   ayuda | pedido | stock <nombre> | estado PED-...
+
+const AYUDA = `Puedes escribirme:
+- *stock <nombre>*: precio y disponibilidad (ej: stock paracetamol)
+- *pedido*: tus últimos pedidos
+- *estado PED-...*: estado de un pedido
+O hazme cualquier consulta sobre medicamentos.`;
+
+const NOMBRES_ESTADO = {
+  pendiente: 'pendiente de confirmación',
+  confirmado: 'confirmado',
+  preparado: 'listo para recoger',
+  entregado: 'entregado',
+  cancelado: 'cancelado'
+};
+
+function describirPedido(pedido) {
+  const fecha = new Date(pedido.creadoEn).toLocaleDateString('es-BO');
+  return `#${pedido.numero} (${fecha}) - Bs ${Number(pedido.total).toFixed(2)} - ${NOMBRES_ESTADO[pedido.estado] || pedido.estado}`;
+}
+
+function crearServicioComandos({ catalogo, reservas, pedidos }) {
+  async function consultarStock(texto, sessionId) {
+    if (texto.trim().length < 3) return 'Escribe al menos 3 letras del medicamento, por ejemplo: stock paracetamol';
+
+    const disponibles = await reservas.conStockDisponible(await catalogo.obtenerCatalogo(), sessionId);
+    const { total, resultados } = buscarMedicamentos(disponibles, { query: texto, limit: 3 });
+    if (total === 0) return `No encontré "${texto}" en el catálogo.`;
+
+    const lineas = resultados.map(med => {
+      const disponibilidad = med.stock > 0 ? `${med.stock} disponibles` : 'sin stock';
+      const receta = med.controlado ? ' (requiere receta)' : '';
+      return `- ${med.nombre}: Bs ${Number(med.precio).toFixed(2)}, ${disponibilidad}${receta}`;
+    });
+    return lineas.join('\n') + (total > 3 ? `\n...y ${total - 3} más. Sé más específico para afinar la búsqueda.` : '');
+  }
+
+  async function ultimosPedidos(telefono) {
+    const { pedidos: lista } = await pedidos.listar({ telefono }, { limit: 3, offset: 0 });
+    if (lista.length === 0) {
+      return 'No tengo pedidos registrados con este número. Puedes hacer tu pedido en nuestra web y dejar tu WhatsApp para recibir avisos.';
+    }
+    return `Tus últimos pedidos:\n${lista.map(describirPedido).join('\n')}`;
+  }
+
+  // Solo se informa el pedido si no tiene teléfono o si es el del remitente
+  async function estadoPedido(numero, telefono) {
+    try {
+      const pedido = await pedidos.obtener(numero);
+      if (pedido.telefono && pedido.telefono !== telefono) throw new Error('otro cliente');
+      return `Pedido ${describirPedido(pedido)}`;
+    } catch (error) {
+      return `No encontré el pedido ${numero} asociado a este número.`;
+    }
+  }
+
+  return {
+    // Devuelve la respuesta del comando o null si el mensaje no es un comando
+    async responder(mensaje, { telefono, sessionId }) {
+      const texto = String(mensaje || '').trim();
+      let partes;
+
+      if (/^(ayuda|menu|menú)$/i.test(texto)) return AYUDA;
+      if (/^(mis\s+)?pedidos?$/i.test(texto)) return ultimosPedidos(telefono);
+      if ((partes = /^stock\s+(.+)$/i.exec(texto))) return consultarStock(partes[1], sessionId);
+      if ((partes = /^estado\s+(PED-[A-Z0-9]+)$/i.exec(texto))) return estadoPedido(partes[1].toUpperCase(), telefono);
+      return null;
+    }
+  };
+}
+
+module.exports = { crearServicioComandos };
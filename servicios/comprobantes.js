@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { ErrorHttp } = require('../utils/errores');
+const { escaparHtml } = require('../utils/html');
+
+// ==============================================
+// COMPROBANTES DE VENTA
+// ==============================================
+// Cada pedido recibe un comprobante con numeración correlativa propia (independiente del
+// número PED-... del pedido). Los precios del catálogo ya incluyen impuestos: el comprobante
+// informa cuánto del total corresponde a cada uno (config/comprobantes.json), sin sumarlo.
+// Un comprobante emitido no se modifica: se anula al cancelar el pedido o se reemite con otro número.
+
+const RUTA_CONFIG = path.join(__dirname, '..', 'config', 'comprobantes.json');
+
+// NIT o CI (con complemento, p. ej. 1234567-1B)
+const NIT_VALIDO = /^[0-9A-Z-]{1,20}$/;
+
+function cargarConfig(ruta = RUTA_CONFIG) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+function formatearNumero(numero) {
+  return String(numero).padStart(8, '0');
+}
+
+function formatearMonto(monto) {
+  return Number(monto).toFixed(2);
+}
+
+function formatearFecha(fecha) {
+  return new Date(fecha).toLocaleString('es-BO');
+}
+
+function formatearTasa(tasa) {
+  return `${redondear(tasa * 100)} %`;
+}
+
+// Líneas de texto comunes al HTML y al PDF
+function notasDe(comprobante) {
+  const notas = [];
+  if (comprobante.reemplazaA) notas.push(`Reemplaza al comprobante Nº ${formatearNumero(comprobante.reemplazaA)}`);
+  if (comprobante.estado === 'anulado') {
+    notas.push(`ANULADO el ${formatearFecha(comprobante.anuladoEn)}${comprobante.motivoAnulacion ? `: ${comprobante.motivoAnulacion}` : ''}`);
+    if (comprobante.reemplazadoPor) notas.push(`Reemplazado por el comprobante Nº ${formatearNumero(comprobante.reemplazadoPor)}`);
+  }
+  return notas;
+}
+
+function crearServicioComprobantes({ repos, config = cargarConfig() }) {
+  // Nombre y NIT/CI del cliente; sin datos se emite a nombre de config.clienteSinDatos
+  function datosCliente(cliente = {}) {
+    const nombre = String(cliente.nombre ?? '').trim().replace(/\s+/g, ' ');
+    const nit = String(cliente.nit ?? '').trim().toUpperCase();
+    if (nombre.length > 100) {
+      throw new ErrorHttp(400, 'El nombre del cliente no puede superar los 100 caracteres');
+    }
+    if (nit && !NIT_VALIDO.test(nit)) {
+      throw new ErrorHttp(400, `NIT/CI inválido: ${cliente.nit}`);
+    }
+    return { nombre: nombre || config.clienteSinDatos.nombre, nit: nit || config.clienteSinDatos.nit };
+  }
+
+  async function obtener(numero) {
+    const comprobante = Number.isInteger(Number(numero)) ? await repos.comprobantes.obtener(Number(numero)) : null;
+    if (!comprobante) {
+      throw new ErrorHttp(404, `Comprobante no encontrado: ${numero}`);
+    }
+    return comprobante;
+  }
+
+  async function vigenteDe(numeroPedido) {
+    const [vigente] = await repos.comprobantes.listar({ pedido: numeroPedido, estado: 'vigente' });
+    return vigente || null;
+  }
+
+  async function emitir(pedido, { cliente, usuario, reemplazaA } = {}) {
+    const total = redondear(pedido.total);
+    return repos.comprobantes.crear({
+      pedido: pedido.numero,
+      farmacia: config.farmacia,
+      cliente: datosCliente(cliente || pedido.cliente),
+      items: pedido.items.map(({ nombre, cantidad, precio, descuento, subtotal }) =>
+        ({ nombre, cantidad, precio, ...(descuento > 0 && { descuento }), subtotal })),
+      ...(pedido.descuento > 0 && {
+        subtotal: pedido.subtotal,
+        descuento: pedido.descuento,
+        promociones: pedido.promociones.map(({ nombre, monto }) => ({ nombre, monto }))
+      }),
+      ...(pedido.entrega?.costo > 0 && { envio: pedido.entrega.costo }),
+      total,
+      moneda: config.moneda,
+      impuestos: (config.impuestos || []).map(({ nombre, tasa }) => ({ nombre, tasa, monto: redondear(total * tasa) })),
+      leyenda: config.leyenda,
+      estado: 'vigente',
+      emitidoEn: new Date(),
+      ...(usuario && { emitidoPor: usuario }),
+      ...(reemplazaA && { reemplazaA })
+    });
+  }
+
+  async function anular(comprobante, { motivo, usuario, reemplazadoPor } = {}) {
+    const anulado = await repos.comprobantes.cambiarEstado(comprobante.numero, {
+      desde: 'vigente',
+      cambios: {
+        estado: 'anulado',
+        anuladoEn: new Date(),
+        ...(usuario && { anuladoPor: usuario }),
+        ...(motivo && { motivoAnulacion: motivo }),
+        ...(reemplazadoPor && { reemplazadoPor })
+      }
+    });
+    if (!anulado) {
+      throw new ErrorHttp(409, `El comprobante Nº ${formatearNumero(comprobante.numero)} ya fue anulado`);
+    }
+    return anulado;
+  }
+
+  return {
+    datosCliente,
+    emitir,
+    obtener,
+
+    // Filtros: pedido, estado, desde, hasta
+    async listar(filtro = {}) {
+      return repos.comprobantes.listar(filtro);
+    },
+
+    // El comprobante vigente del pedido o, si se anuló (pedido cancelado), el último emitido
+    async dePedido(numeroPedido) {
+      const comprobantes = await repos.comprobantes.listar({ pedido: numeroPedido });
+      const comprobante = comprobantes.find(c => c.estado === 'vigente') || comprobantes[comprobantes.length - 1];
+      if (!comprobante) {
+        throw new ErrorHttp(404, `El pedido ${numeroPedido} no tiene comprobante`);
+      }
+      return comprobante;
+    },
+
+    // Al cancelar un pedido; devuelve null si no tenía comprobante vigente
+    async anularDePedido(numeroPedido, { motivo, usuario } = {}) {
+      const vigente = await vigenteDe(numeroPedido);
+      return vigente ? anular(vigente, { motivo, usuario }) : null;
+    },
+
+    // Emite un comprobante nuevo (p. ej. para corregir nombre o NIT) y anula el anterior.
+    // Sin cliente se conservan los datos del comprobante anterior.
+    async reemitir(pedido, { cliente, motivo, usuario } = {}) {
+      if (pedido.estado === 'cancelado') {
+        throw new ErrorHttp(409, `El pedido ${pedido.numero} está cancelado: su comprobante quedó anulado`);
+      }
+
+      const anterior = await vigenteDe(pedido.numero);
+      const nuevo = await emitir(pedido, {
+        cliente: cliente || anterior?.cliente,
+        usuario,
+        reemplazaA: anterior?.numero
+      });
+      if (!anterior) return { comprobante: nuevo, anulado: null };
+
+      try {
+        const anulado = await anular(anterior, {
+          motivo: motivo || 'Reemisión',
+          usuario,
+          reemplazadoPor: nuevo.numero
+        });
+        return { comprobante: nuevo, anulado };
+      } catch (error) {
+        // Otra operación anuló el anterior mientras tanto: el nuevo no debe quedar vigente
+        await anular(nuevo, { motivo: 'Reemisión no completada', usuario });
+        throw error;
+      }
+    },
+
+    aHtml(comprobante) {
+      const { farmacia, cliente, moneda } = comprobante;
+      const titulo = `Comprobante de venta Nº ${formatearNumero(comprobante.numero)}`;
+      const conDescuento = comprobante.descuento > 0;
+      const filas = comprobante.items.map(item => `<tr>
+        <td class="numero">${item.cantidad}</td>
+        <td>${escaparHtml(item.nombre)}</td>
+        <td class="numero">${formatearMonto(item.precio)}</td>
+        ${conDescuento ? `<td class="numero">${formatearMonto(item.descuento || 0)}</td>` : ''}
+        <td class="numero">${formatearMonto(item.subtotal)}</td>
+      </tr>`).join('\n');
+      const descuentos = conDescuento
+        ? `<p class="numero">Subtotal: ${escaparHtml(moneda)} ${formatearMonto(comprobante.subtotal)}</p>
+  ${comprobante.promociones.map(promocion =>
+    `<p class="numero">${escaparHtml(promocion.nombre)}: -${escaparHtml(moneda)} ${formatearMonto(promocion.monto)}</p>`).join('\n')}`
+        : '';
+      const envio = comprobante.envio > 0
+        ? `<p class="numero">Envío (delivery): ${escaparHtml(moneda)} ${formatearMonto(comprobante.envio)}</p>`
+        : '';
+      const impuestos = comprobante.impuestos.map(impuesto =>
+        `<p class="numero">${escaparHtml(impuesto.nombre)} incluido (${formatearTasa(impuesto.tasa)}): ${escaparHtml(moneda)} ${formatearMonto(impuesto.monto)}</p>`
+      ).join('\n');
+      const notas = notasDe(comprobante).map(nota => `<p class="nota">${escaparHtml(nota)}</p>`).join('\n');
+
+      return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escaparHtml(titulo)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 20px auto; max-width: 700px; position: relative; }
+    h1 { font-size: 16px; margin: 0; }
+    h2 { font-size: 14px; text-align: center; }
+    table { width: 100%; border-collapse: collapse; margin: 10px 0; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #eee; }
+    .numero { text-align: right; }
+    .total { font-size: 14px; font-weight: bold; }
+    .nota { font-weight: bold; color: #b00; }
+    .anulado { position: fixed; top: 40%; left: 0; right: 0; text-align: center; font-size: 90px;
+      color: rgba(200, 0, 0, 0.2); transform: rotate(-30deg); pointer-events: none; }
+  </style>
+</head>
+<body>
+  ${comprobante.estado === 'anulado' ? '<div class="anulado">ANULADO</div>' : ''}
+  <h1>${escaparHtml(farmacia.razonSocial)}</h1>
+  <p>NIT: ${escaparHtml(farmacia.nit)}<br />${escaparHtml(farmacia.direccion)}<br />${escaparHtml(farmacia.ciudad)}${farmacia.telefono ? ` &middot; Tel.: ${escaparHtml(farmacia.telefono)}` : ''}</p>
+  <h2>${escaparHtml(titulo)}</h2>
+  <p>Fecha: ${escaparHtml(formatearFecha(comprobante.emitidoEn))} &middot; Pedido: ${escaparHtml(comprobante.pedido)}<br />
+    Cliente: ${escaparHtml(cliente.nombre)} &middot; NIT/CI: ${escaparHtml(cliente.nit)}</p>
+  ${notas}
+  <table>
+    <thead><tr><th class="numero">Cant.</th><th>Descripción</th><th class="numero">P. unitario</th>${conDescuento ? '<th class="numero">Descuento</th>' : ''}<th class="numero">Subtotal</th></tr></thead>
+    <tbody>
+${filas}
+    </tbody>
+  </table>
+  ${descuentos}
+  ${envio}
+  <p class="numero total">TOTAL: ${escaparHtml(moneda)} ${formatearMonto(comprobante.total)}</p>
+  ${impuestos}
+  <p>${escaparHtml(comprobante.leyenda)}</p>
+</body>
+</html>
+`;
+    },
+
+    // PDF del comprobante como Buffer
+    aPdf(comprobante) {
+      const { farmacia, cliente, moneda } = comprobante;
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const partes = [];
+      const terminado = new Promise((resolve, reject) => {
+        doc.on('data', parte => partes.push(parte));
+        doc.on('end', () => resolve(Buffer.concat(partes)));
+        doc.on('error', reject);
+      });
+
+      const izquierda = doc.page.margins.left;
+      const ancho = doc.page.width - izquierda - doc.page.margins.right;
+      // Columnas: cantidad, descripción, precio unitario, [descuento], subtotal
+      const conDescuento = comprobante.descuento > 0;
+      const columnas = [
+        { x: izquierda, ancho: 45, alineacion: 'right' },
+        { x: izquierda + 55, ancho: ancho - (conDescuento ? 285 : 215), alineacion: 'left' },
+        { x: izquierda + ancho - (conDescuento ? 220 : 150), ancho: 70, alineacion: 'right' },
+        ...(conDescuento ? [{ x: izquierda + ancho - 150, ancho: 70, alineacion: 'right' }] : []),
+        { x: izquierda + ancho - 70, ancho: 70, alineacion: 'right' }
+      ];
+      const fila = (valores, fuente = 'Helvetica') => {
+        const y = doc.y;
+        doc.font(fuente);
+        const altos = valores.map((valor, i) =>
+          doc.heightOfString(String(valor), { width: columnas[i].ancho }));
+        valores.forEach((valor, i) => {
+          doc.text(String(valor), columnas[i].x, y, { width: columnas[i].ancho, align: columnas[i].alineacion });
+        });
+        doc.x = izquierda;
+        doc.y = y + Math.max(...altos) + 4;
+      };
+
+      if (comprobante.estado === 'anulado') {
+        doc.save()
+          .rotate(-30, { origin: [doc.page.width / 2, doc.page.height / 2] })
+          .font('Helvetica-Bold').fontSize(100).fillColor('#f2c0c0')
+          .text('ANULADO', 0, doc.page.height / 2 - 50, { width: doc.page.width, align: 'center' })
+          .restore();
+        doc.fillColor('black').x = izquierda;
+        doc.y = doc.page.margins.top;
+      }
+
+      doc.font('Helvetica-Bold').fontSize(14).text(farmacia.razonSocial);
+      doc.font('Helvetica').fontSize(10)
+        .text(`NIT: ${farmacia.nit}`)
+        .text(farmacia.direccion)
+        .text(`${farmacia.ciudad}${farmacia.telefono ? ` · Tel.: ${farmacia.telefono}` : ''}`);
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(13)
+        .text(`COMPROBANTE DE VENTA Nº ${formatearNumero(comprobante.numero)}`, { align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10)
+        .text(`Fecha: ${formatearFecha(comprobante.emitidoEn)}    Pedido: ${comprobante.pedido}`)
+        .text(`Cliente: ${cliente.nombre}    NIT/CI: ${cliente.nit}`);
+      notasDe(comprobante).forEach(nota => doc.font('Helvetica-Bold').fillColor('#b00000').text(nota));
+      doc.fillColor('black').moveDown();
+
+      fila(['Cant.', 'Descripción', 'P. unitario', ...(conDescuento ? ['Descuento'] : []), 'Subtotal'], 'Helvetica-Bold');
+      doc.moveTo(izquierda, doc.y - 2).lineTo(izquierda + ancho, doc.y - 2).stroke();
+      comprobante.items.forEach(item => {
+        fila([
+          item.cantidad, item.nombre, formatearMonto(item.precio),
+          ...(conDescuento ? [formatearMonto(item.descuento || 0)] : []),
+          formatearMonto(item.subtotal)
+        ]);
+      });
+      doc.moveTo(izquierda, doc.y).lineTo(izquierda + ancho, doc.y).stroke();
+      doc.moveDown(0.5);
+
+      if (conDescuento) {
+        doc.text(`Subtotal: ${moneda} ${formatearMonto(comprobante.subtotal)}`, { align: 'right' });
+        comprobante.promociones.forEach(promocion => {
+          doc.text(`${promocion.nombre}: -${moneda} ${formatearMonto(promocion.monto)}`, { align: 'right' });
+        });
+      }
+      if (comprobante.envio > 0) {
+        doc.text(`Envío (delivery): ${moneda} ${formatearMonto(comprobante.envio)}`, { align: 'right' });
+      }
+      doc.font('Helvetica-Bold').fontSize(12)
+        .text(`TOTAL: ${moneda} ${formatearMonto(comprobante.total)}`, { align: 'right' });
+      doc.font('Helvetica').fontSize(10);
+      comprobante.impuestos.forEach(impuesto => {
+        doc.text(`${impuesto.nombre} incluido (${formatearTasa(impuesto.tasa)}): ${moneda} ${formatearMonto(impuesto.monto)}`, { align: 'right' });
+      });
+      doc.moveDown();
+      if (comprobante.leyenda) doc.fontSize(9).text(comprobante.leyenda, { align: 'center' });
+
+      doc.end();
+      return terminado;
+    }
+  };
+}
+
+module.exports = { crearServicioComprobantes, formatearNumero };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { ErrorHttp } = require('../utils/errores');
+const { desfaseDe } = require('../utils/fechas');
+
+// ==============================================
+// RETIRO EN FARMACIA Y DELIVERY
+// ==============================================
+// Cada pedido elige cómo se entrega, según config/entregas.json:
+// - retiro: en un turno de la farmacia; cada turno admite capacidadPorTurno pedidos y solo se
+//   ofrecen los que empiezan después del tiempo de preparación, dentro de los próximos diasVisibles.
+// - delivery: a una dirección dentro de una zona, con su costo de envío y su pedido mínimo
+//   (sobre el total con descuentos, sin el envío).
+// Los controlados solo se retiran en farmacia: la receta original se presenta al retirar.
+// Los horarios están en la hora local de la farmacia (zonaHoraria, p. ej. "-04:00").
+
+const RUTA_CONFIG = path.join(__dirname, '..', 'config', 'entregas.json');
+const TIPOS = ['retiro', 'delivery'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function cargarConfig(ruta = RUTA_CONFIG) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+// "08:30" -> 510
+function aMinutos(hora) {
+  const [horas, minutos] = String(hora).split(':').map(Number);
+  return horas * 60 + minutos;
+}
+
+// 510 -> "08:30"
+function aHora(minutos) {
+  return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+// Texto de la forma de entrega para avisos y comprobantes
+function describirEntrega(entrega) {
+  if (entrega.tipo === 'retiro') {
+    return `🏪 Retiro en farmacia${entrega.horario ? `: ${entrega.horario}` : ''}`;
+  }
+  const referencia = entrega.referencia ? ` (${entrega.referencia})` : '';
+  return `🛵 Delivery a ${entrega.zonaNombre}: ${entrega.direccion}${referencia} · envío Bs ${Number(entrega.costo).toFixed(2)}`;
+}
+
+function crearServicioEntregas({ repos, config = cargarConfig() }) {
+  const desfase = desfaseDe(config.zonaHoraria);
+  const { retiro } = config;
+  const zonas = config.delivery.zonas;
+
+  // Turnos de retiro que todavía se pueden elegir (sin mirar los cupos)
+  function turnosPosibles(ahora) {
+    const primero = ahora.getTime() + retiro.minutosPreparacion * 60000;
+    const turnos = [];
+
+    for (let dia = 0; dia < retiro.diasVisibles; dia++) {
+      // Fecha y día de la semana en la hora local de la farmacia
+      const local = new Date(ahora.getTime() + desfase * 60000 + dia * DIA_MS);
+      const fecha = local.toISOString().slice(0, 10);
+      const medianoche = Date.parse(`${fecha}T00:00:00Z`) - desfase * 60000;
+      const fechaTexto = fecha.split('-').reverse().join('/');
+
+      retiro.horarios.filter(horario => horario.dias.includes(local.getUTCDay())).forEach(horario => {
+        const fin = aMinutos(horario.hasta);
+        for (let minuto = aMinutos(horario.desde); minuto + retiro.minutosPorTurno <= fin; minuto += retiro.minutosPorTurno) {
+          const inicio = new Date(medianoche + minuto * 60000);
+          if (inicio.getTime() < primero) continue;
+          turnos.push({
+            clave: `${fecha}T${aHora(minuto)}`,
+            horario: `${fechaTexto} ${aHora(minuto)}-${aHora(minuto + retiro.minutosPorTurno)}`,
+            inicio,
+            fin: new Date(inicio.getTime() + retiro.minutosPorTurno * 60000)
+          });
+        }
+      });
+    }
+    return turnos;
+  }
+
+  // Productos controlados del pedido (no se envían por delivery)
+  async function controladosDe(items) {
+    const nombres = [];
+    for (const item of items) {
+      const medicamento = await repos.medicamentos.obtener(item.id, item.nombre);
+      if (medicamento && medicamento.controlado) nombres.push(medicamento.nombre);
+    }
+    return nombres;
+  }
+
+  function zonaDe(clave) {
+    const zona = zonas.find(z => z.clave === clave);
+    if (!zona) {
+      throw new ErrorHttp(400, `Zona de delivery inválida: ${clave || ''}`, { zonasValidas: zonas.map(z => z.clave) });
+    }
+    return zona;
+  }
+
+  return {
+    // Opciones para el checkout: turnos de retiro con sus cupos libres y zonas de delivery
+    async opciones(ahora = new Date()) {
+      const turnos = turnosPosibles(ahora);
+      const ocupacion = await repos.turnos.ocupacion(turnos.map(turno => turno.clave));
+      return {
+        retiro: {
+          direccion: retiro.direccion,
+          turnos: turnos.map(turno => ({
+            ...turno,
+            disponibles: Math.max(retiro.capacidadPorTurno - (ocupacion[turno.clave] || 0), 0)
+          }))
+        },
+        delivery: {
+          zonas: zonas.map(({ clave, nombre, costo, minimo }) => ({ clave, nombre, costo, minimo: minimo || 0 }))
+        }
+      };
+    },
+
+    // Costo de envío para la vista previa de precios (no valida la dirección ni el turno)
+    cotizar(entrega, monto) {
+      if (!entrega || entrega.tipo !== 'delivery') return { tipo: 'retiro', costo: 0 };
+      const zona = zonas.find(z => z.clave === entrega.zona);
+      if (!zona) return { tipo: 'delivery', costo: 0, error: 'Elige una zona de delivery' };
+      const minimo = zona.minimo || 0;
+      return {
+        tipo: 'delivery',
+        zona: zona.clave,
+        costo: zona.costo,
+        minimo,
+        ...(monto < minimo && { error: `El pedido mínimo para delivery a ${zona.nombre} es Bs ${minimo.toFixed(2)}` })
+      };
+    },
+
+    // Valida la forma de entrega elegida y devuelve lo que se guarda en el pedido.
+    // "monto" es el total con descuentos; el turno no queda ocupado hasta ocuparTurno.
+    async preparar(entrega, { items, monto, ahora = new Date() }) {
+      const tipo = entrega && entrega.tipo;
+      if (!TIPOS.includes(tipo)) {
+        throw new ErrorHttp(400, 'Elige retiro en farmacia o delivery', { tiposValidos: TIPOS });
+      }
+
+      if (tipo === 'retiro') {
+        const turno = turnosPosibles(ahora).find(t => t.clave === entrega.turno);
+        if (!turno) {
+          throw new ErrorHttp(400, `Turno de retiro no disponible: ${entrega.turno || ''}`);
+        }
+        return { tipo, turno: turno.clave, horario: turno.horario, inicio: turno.inicio, fin: turno.fin, direccion: retiro.direccion, costo: 0 };
+      }
+
+      const controlados = await controladosDe(items);
+      if (controlados.length > 0) {
+        throw new ErrorHttp(400, `Los medicamentos controlados solo se entregan en farmacia: ${controlados.join(', ')}`);
+      }
+      const zona = zonaDe(entrega.zona);
+      const direccion = String(entrega.direccion || '').trim();
+      const referencia = String(entrega.referencia || '').trim();
+      if (!direccion) {
+        throw new ErrorHttp(400, 'La dirección de entrega es obligatoria');
+      }
+      if (direccion.length > 200 || referencia.length > 200) {
+        throw new ErrorHttp(400, 'La dirección y la referencia no pueden superar 200 caracteres');
+      }
+      if (monto < (zona.minimo || 0)) {
+        throw new ErrorHttp(400, `El pedido mínimo para delivery a ${zona.nombre} es Bs ${zona.minimo.toFixed(2)}`);
+      }
+      return {
+        tipo,
+        zona: zona.clave,
+        zonaNombre: zona.nombre,
+        direccion,
+        ...(referencia && { referencia }),
+        costo: redondear(zona.costo)
+      };
+    },
+
+    // Toma un cupo del turno de retiro (todo o nada, como los usos de un cupón)
+    async ocuparTurno(entrega) {
+      if (entrega.tipo !== 'retiro') return;
+      if (!await repos.turnos.ocupar(entrega.turno, retiro.capacidadPorTurno)) {
+        throw new ErrorHttp(409, `El turno ${entrega.horario} ya no tiene cupo, elige otro`);
+      }
+    },
+
+    // Devuelve el cupo (pedido no registrado o cancelado)
+    async liberarTurno(entrega) {
+      if (entrega && entrega.tipo === 'retiro' && entrega.turno) {
+        await repos.turnos.liberar(entrega.turno);
+      }
+    }
+  };
+}
+
+module.exports = { crearServicioEntregas, describirEntrega, cargarConfig };
@@ -0,0 +1,110 @@
+const { normalizar } = require('../utils/texto');
+
+// Extrae principio activo, concentración, forma farmacéutica y presentación
+// a partir de nombres como "Losartán 50 mg tabletas (caja de 30)".
+
+const FORMAS = [
+  'tabletas', 'tableta', 'comprimidos', 'comprimido', 'capsulas', 'capsula', 'grageas',
+  'jarabe', 'suspension', 'solucion', 'gotas', 'inyectable', 'ampolla', 'ampollas',
+  'crema', 'gel', 'pomada', 'unguento', 'locion', 'spray', 'inhalador', 'parche',
+  'ovulos', 'supositorios', 'sobres', 'polvo'
+];
+
+// Formas que también aparecen en productos que no son medicamentos
+const FORMAS_AMBIGUAS = ['crema', 'gel', 'spray', 'polvo', 'locion', 'solucion'];
+
+// Unidades que indican concentración de un principio activo
+const CONCENTRACION = /(\d+(?:[.,]\d+)?)\s*(mg\s*\/\s*\d*\s*ml|mcg\s*\/\s*h|mg|mcg|µg|ui|g|%)(?![a-z])/i;
+const VOLUMEN = /(\d+(?:[.,]\d+)?)\s*(ml|l|g)(?![a-z])/i;
+const CONECTORES = /\s+(de|en|para|con|y)$/i;
+
+function normalizarNumero(valor) {
+  // "10,000" es separador de miles; "0,5" es decimal
+  if (/^\d{1,3}(,\d{3})+$/.test(valor)) return valor.replace(/,/g, '');
+  return valor.replace(',', '.');
+}
+
+function normalizarUnidad(unidad) {
+  const u = unidad.toLowerCase().replace(/\s+/g, '').replace('µg', 'mcg');
+  if (u === 'ui') return 'UI';
+  return u.replace(/\/(\d*)ml/, (_, n) => n ? `/${n} ml` : '/ml');
+}
+
+function formatearConcentracion(numero, unidad) {
+  const u = normalizarUnidad(unidad);
+  return u === '%' ? `${normalizarNumero(numero)}%` : `${normalizarNumero(numero)} ${u}`;
+}
+
+// Devuelve solo los campos que se pudieron reconocer
+function parsearNombre(nombre) {
+  const original = String(nombre || '').trim();
+  const resultado = {};
+
+  // Lo que va entre paréntesis al final es la presentación: "(caja de 30)"
+  let base = original;
+  const parentesis = base.match(/\(([^)]+)\)\s*$/);
+  if (parentesis) {
+    resultado.presentacion = parentesis[1].trim();
+    base = base.slice(0, parentesis.index).trim();
+  }
+
+  const palabrasBase = base.split(/\s+/);
+  const concentracion = base.match(CONCENTRACION);
+  const posicionDe = indice => palabrasBase.slice(0, indice).join(' ').length;
+
+  let indiceForma = palabrasBase.findIndex(p => FORMAS.includes(normalizar(p)));
+
+  // Los gramos solo son concentración si les sigue una forma ("Vitamina C 1g tabletas");
+  // si no, es el peso del envase ("Queso 250g", "Pomada 30g")
+  const concentracionValida = Boolean(concentracion) &&
+    (normalizarUnidad(concentracion[2]) !== 'g' ||
+      (indiceForma !== -1 && posicionDe(indiceForma) > concentracion.index));
+
+  // "crema", "gel", "spray"... en medio del nombre sin concentración no indican un medicamento
+  // ("Queso Crema", "Desodorante Axe spray")
+  if (indiceForma > 0 && !concentracionValida && FORMAS_AMBIGUAS.includes(normalizar(palabrasBase[indiceForma]))) {
+    indiceForma = -1;
+  }
+
+  if (indiceForma === -1 && !concentracionValida) return resultado;
+
+  if (indiceForma !== -1) {
+    resultado.formaFarmaceutica = palabrasBase[indiceForma].toLowerCase();
+  }
+  if (concentracionValida) {
+    resultado.concentracion = formatearConcentracion(concentracion[1], concentracion[2]);
+  }
+
+  // El principio activo es lo que está antes de la concentración o de la forma
+  const posForma = indiceForma === -1 ? Infinity : posicionDe(indiceForma);
+  const posConcentracion = concentracionValida ? concentracion.index : Infinity;
+  const principio = base.slice(0, Math.min(posForma, posConcentracion)).trim().replace(CONECTORES, '');
+  if (principio) {
+    resultado.principioActivo = principio;
+  }
+
+  if (!resultado.presentacion) {
+    const resto = concentracionValida ? base.replace(concentracion[0], '') : base;
+    const volumen = resto.match(VOLUMEN);
+    if (volumen) resultado.presentacion = `${normalizarNumero(volumen[1])} ${volumen[2].toLowerCase()}`;
+  }
+
+  return resultado;
+}
+
+function claveEquivalencia(medicamento) {
+  if (!medicamento.principioActivo || !medicamento.concentracion) return null;
+  const concentracion = medicamento.concentracion.toLowerCase().replace(/\s+/g, '');
+  return `${normalizar(medicamento.principioActivo)}|${concentracion}`;
+}
+
+// Alternativas con el mismo principio activo y la misma concentración, de menor a mayor precio
+function buscarEquivalentes(medicamentos, base) {
+  const clave = claveEquivalencia(base);
+  if (!clave) return [];
+  return medicamentos
+    .filter(med => med._id !== base._id && claveEquivalencia(med) === clave)
+    .sort((a, b) => a.precio - b.precio || a.nombre.localeCompare(b.nombre));
+}
+
+module.exports = { parsearNombre, buscarEquivalentes, claveEquivalencia, FORMAS };
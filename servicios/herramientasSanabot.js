@@ -0,0 +1,166 @@
+const { buscarMedicamentos } = require('./busqueda');
+const { buscarEquivalentes } = require('./estructuraProducto');
+
+// Herramientas que SANABOT puede invocar (tool calling de la API compatible con OpenAI).
+// Todas responden con datos del catálogo y del stock disponible para la sesión.
+// Los medicamentos controlados nunca se ofrecen por este canal: requieren receta y atención de la farmacéutica.
+
+const MAXIMO_RESULTADOS = 5;
+const NO_DISPONIBLE = 'Producto no disponible por este canal';
+
+const DEFINICIONES = [
+  {
+    type: 'function',
+    function: {
+      name: 'buscar_medicamentos',
+      description: 'Busca medicamentos en el catálogo de FarmaUPSA por nombre. Devuelve id, nombre, precio (Bs) y unidades disponibles.',
+      parameters: {
+        type: 'object',
+        properties: {
+          consulta: { type: 'string', description: 'Nombre o parte del nombre, por ejemplo "paracetamol 500"' }
+        },
+        required: ['consulta']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'consultar_stock',
+      description: 'Precio y unidades disponibles de un medicamento del catálogo, por su id.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'id devuelto por buscar_medicamentos' }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'listar_equivalentes',
+      description: 'Genéricos y alternativas con el mismo principio activo y concentración, de menor a mayor precio.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'id del medicamento de referencia' }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'agregar_al_carrito',
+      description: 'Agrega unidades de un medicamento al carrito del cliente y las reserva. Úsala solo si el cliente lo pide.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'id del medicamento' },
+          cantidad: { type: 'integer', minimum: 1, description: 'Unidades a agregar' }
+        },
+        required: ['id', 'cantidad']
+      }
+    }
+  }
+];
+
+function resumen(medicamento) {
+  return {
+    id: String(medicamento._id),
+    nombre: medicamento.nombre,
+    precio: medicamento.precio,
+    disponibles: medicamento.stock
+  };
+}
+
+function crearHerramientasSanabot({ catalogo, reservas }) {
+  // Catálogo vendible por chat con el stock disponible para la sesión
+  async function ofrecibles(sessionId) {
+    const catalogoActual = await catalogo.obtenerCatalogo();
+    return reservas.conStockDisponible(catalogoActual.filter(med => !med.controlado), sessionId);
+  }
+
+  async function buscarPorId(id, sessionId) {
+    const medicamentos = await ofrecibles(sessionId);
+    return { medicamentos, medicamento: medicamentos.find(med => String(med._id) === String(id)) };
+  }
+
+  const acciones = {
+    async buscar_medicamentos({ consulta }, { sessionId }) {
+      const texto = String(consulta || '').trim();
+      if (texto.length < 3) return { error: 'La consulta debe tener al menos 3 letras' };
+
+      const { total, resultados } = buscarMedicamentos(await ofrecibles(sessionId), { query: texto, limit: MAXIMO_RESULTADOS });
+      return { total, resultados: resultados.map(resumen) };
+    },
+
+    async consultar_stock({ id }, { sessionId }) {
+      const { medicamento } = await buscarPorId(id, sessionId);
+      if (!medicamento) return { error: NO_DISPONIBLE };
+      return resumen(medicamento);
+    },
+
+    async listar_equivalentes({ id }, { sessionId }) {
+      const { medicamentos, medicamento } = await buscarPorId(id, sessionId);
+      if (!medicamento) return { error: NO_DISPONIBLE };
+      const equivalentes = buscarEquivalentes(medicamentos, medicamento).slice(0, MAXIMO_RESULTADOS);
+      return { medicamento: resumen(medicamento), equivalentes: equivalentes.map(resumen) };
+    },
+
+    // Suma el item a la reserva de la sesión; el cliente web refleja la acción en su carrito
+    async agregar_al_carrito({ id, cantidad }, { sessionId }) {
+      const unidades = Number(cantidad);
+      if (!Number.isInteger(unidades) || unidades < 1) return { error: 'Cantidad inválida' };
+
+      const { medicamento } = await buscarPorId(id, sessionId);
+      if (!medicamento) return { error: NO_DISPONIBLE };
+
+      const reserva = await reservas.obtener(sessionId);
+      const items = reserva ? reserva.items.map(item => ({ ...item })) : [];
+      const existente = items.find(item => String(item.id) === String(medicamento._id));
+      if (existente) existente.cantidad += unidades;
+      else items.push({ id: String(medicamento._id), nombre: medicamento.nombre, cantidad: unidades });
+
+      const { resultados, errores } = await reservas.verificarYReservar(items, sessionId);
+      if (errores.length > 0) {
+        return { error: errores[0].error || 'No se pudo reservar', disponibles: medicamento.stock };
+      }
+
+      const verificado = resultados.find(r => String(r.medicamentoId) === String(medicamento._id));
+      return {
+        resultado: { agregado: medicamento.nombre, cantidad: unidades, precio: verificado.precio },
+        accion: {
+          tipo: 'agregarAlCarrito',
+          id: String(medicamento._id),
+          nombre: medicamento.nombre,
+          precio: verificado.precio,
+          cantidad: unidades,
+          stockMaximo: verificado.stockDisponible
+        }
+      };
+    }
+  };
+
+  return {
+    // El carrito solo existe en el chat web; en WhatsApp no se ofrece esa herramienta
+    definiciones({ conCarrito = false } = {}) {
+      return DEFINICIONES.filter(def => conCarrito || def.function.name !== 'agregar_al_carrito');
+    },
+
+    // Ejecuta la herramienta y devuelve { resultado, accion }; los errores se informan al modelo como resultado
+    async ejecutar(nombre, argumentos, { sessionId, conCarrito = false }) {
+      const accion = acciones[nombre];
+      if (!accion || (nombre === 'agregar_al_carrito' && !conCarrito)) {
+        return { resultado: { error: `Herramienta desconocida: ${nombre}` } };
+      }
+      const salida = await accion(argumentos || {}, { sessionId });
+      return salida.resultado ? salida : { resultado: salida };
+    }
+  };
+}
+
+module.exports = { crearHerramientasSanabot };
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { ErrorHttp } = require('../utils/errores');
+const { normalizar } = require('../utils/texto');
+const { aCsv, leerCsv } = require('../utils/csv');
+const { aXlsx, leerXlsx } = require('../utils/xlsx');
+const { validarMedicamento } = require('./medicamentos');
+const { parsearNombre } = require('./estructuraProducto');
+const lotes = require('../utils/lotes');
+
+// ==============================================
+// IMPORTACIÓN Y EXPORTACIÓN DEL CATÁLOGO (CSV / XLSX)
+// ==============================================
+// Cada fila se asocia a un producto por id o, si no trae id, por nombre normalizado
+// (sin tildes ni mayúsculas). Las filas sin producto son altas. Solo se cambian las
+// columnas presentes en la planilla y las celdas vacías no modifican nada.
+// La vista previa devuelve una "huella" de los cambios; al aplicar con esa huella
+// se verifica que el catálogo no haya cambiado entretanto y todo se guarda de una vez.
+
+const FORMATOS = ['csv', 'xlsx'];
+const ARCHIVO_MAX_BYTES = 5 * 1024 * 1024;
+
+// El título exportado es el nombre del campo; al importar se aceptan también los alias
+const COLUMNAS = [
+  { campo: '_id', titulo: 'id', tipo: 'texto', alias: ['codigo'] },
+  { campo: 'nombre', tipo: 'texto', alias: ['producto', 'descripcion'] },
+  { campo: 'precio', tipo: 'numero', alias: ['pvp', 'precio venta', 'precio unitario'] },
+  { campo: 'costo', tipo: 'numero', alias: ['costo unitario', 'precio compra', 'precio costo'] },
+  { campo: 'stock', tipo: 'entero', alias: ['existencias'] },
+  { campo: 'stockMinimo', tipo: 'entero', alias: ['minimo'] },
+  { campo: 'controlado', tipo: 'booleano' },
+  { campo: 'categoria', tipo: 'texto' },
+  { campo: 'activo', tipo: 'booleano' },
+  { campo: 'principioActivo', tipo: 'texto' },
+  { campo: 'concentracion', tipo: 'texto' },
+  { campo: 'formaFarmaceutica', tipo: 'texto', alias: ['forma'] },
+  { campo: 'laboratorio', tipo: 'texto' },
+  { campo: 'presentacion', tipo: 'texto' }
+];
+
+const claveColumna = texto => normalizar(texto).replace(/[^a-z0-9]/g, '');
+
+// Valor guardado, con los valores por defecto del esquema para los booleanos
+function valorActual(medicamento, campo) {
+  if (campo === 'activo') return medicamento.activo !== false;
+  if (campo === 'controlado') return Boolean(medicamento.controlado);
+  return medicamento[campo];
+}
+
+const BOOLEANOS = {
+  si: true, s: true, true: true, verdadero: true, x: true, 1: true,
+  no: false, n: false, false: false, falso: false, 0: false
+};
+
+const limpiarNumero = texto => String(texto).replace(/bs\.?|\s/gi, '');
+
+// "1.234" o "1,234": un único separador seguido de 3 dígitos puede ser de miles o decimal
+const ambiguo = texto => /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(limpiarNumero(texto));
+
+// "12,50", "Bs 1.234,50" o "1,234.50": el último separador es el decimal,
+// salvo que se repita ("1.234.567"), que entonces es de miles
+function leerNumero(texto) {
+  const limpio = limpiarNumero(texto);
+  const decimal = Math.max(limpio.lastIndexOf(','), limpio.lastIndexOf('.'));
+  const miles = decimal !== -1 && limpio.indexOf(limpio[decimal]) !== decimal;
+  const normalizado = decimal === -1 || miles ? limpio.replace(/[.,]/g, '')
+    : limpio.slice(0, decimal).replace(/[.,]/g, '') + '.' + limpio.slice(decimal + 1);
+  return /^-?\d+(\.\d+)?$/.test(normalizado) ? Number(normalizado) : NaN;
+}
+
+// Valor de una celda según el tipo de la columna: { valor } o { error }
+function convertir(columna, celda) {
+  if (celda === '' || celda === null || celda === undefined) return { valor: undefined };
+  const texto = String(celda).trim();
+  if (!texto) return { valor: undefined };
+
+  switch (columna.tipo) {
+    case 'numero':
+    case 'entero': {
+      if (typeof celda !== 'number' && ambiguo(texto)) {
+        return { error: `${columna.campo}: "${texto}" es ambiguo (¿miles o decimales?): escríbelo sin separador de miles o con dos decimales` };
+      }
+      const numero = typeof celda === 'number' ? celda : leerNumero(texto);
+      if (Number.isNaN(numero)) return { error: `${columna.campo}: "${texto}" no es un número` };
+      if (columna.tipo === 'entero' && !Number.isInteger(numero)) {
+        return { error: `${columna.campo}: "${texto}" debe ser un número entero` };
+      }
+      return { valor: numero };
+    }
+    case 'booleano': {
+      const valor = typeof celda === 'boolean' ? celda : BOOLEANOS[normalizar(texto)];
+      return valor === undefined ? { error: `${columna.campo}: "${texto}" debe ser sí o no` } : { valor };
+    }
+    default:
+      return { valor: texto };
+  }
+}
+
+// El archivo llega como data URL ("data:text/csv;base64,...."); los .xlsx son un zip (empiezan con "PK")
+function decodificarArchivo(archivo) {
+  const partes = /^data:([\w/+.-]*)(;[\w=-]+)*;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(archivo || ''));
+  if (!partes) {
+    throw new ErrorHttp(400, 'El archivo es obligatorio (data URL en base64)');
+  }
+  const buffer = Buffer.from(partes[3], 'base64');
+  if (buffer.length > ARCHIVO_MAX_BYTES) {
+    throw new ErrorHttp(400, 'El archivo supera los 5 MB');
+  }
+  return buffer;
+}
+
+// Filas de la planilla como arreglos de celdas, incluida la cabecera
+async function leerFilas(buffer) {
+  if (buffer.subarray(0, 2).toString() === 'PK') {
+    try {
+      return { formato: 'xlsx', filas: await leerXlsx(buffer) };
+    } catch (error) {
+      throw new ErrorHttp(400, `No se pudo leer la planilla Excel: ${error.message}`);
+    }
+  }
+  // Excel guarda los CSV en Windows-1252 salvo que se elija "CSV UTF-8"
+  const texto = buffer.toString('utf8');
+  return { formato: 'csv', filas: leerCsv(texto.includes('\ufffd') ? buffer.toString('latin1') : texto) };
+}
+
+function mapearCabecera(cabecera) {
+  const columnas = [];
+  const ignoradas = [];
+  cabecera.forEach((titulo, indice) => {
+    const clave = claveColumna(titulo);
+    if (!clave) return;
+    const columna = COLUMNAS.find(c =>
+      [c.campo, c.titulo || c.campo, ...(c.alias || [])].some(nombre => claveColumna(nombre) === clave));
+    if (!columna) ignoradas.push(String(titulo));
+    else if (columnas.some(c => c.columna === columna)) {
+      throw new ErrorHttp(400, `La columna "${titulo}" está repetida`);
+    } else columnas.push({ columna, indice });
+  });
+
+  if (!columnas.some(c => c.columna.campo === '_id' || c.columna.campo === 'nombre')) {
+    throw new ErrorHttp(400, 'La planilla debe tener una columna "id" o "nombre" para identificar los productos');
+  }
+  return { columnas, ignoradas };
+}
+
+function erroresDeValidacion(error) {
+  if (!(error instanceof ErrorHttp)) throw error;
+  return error.errores ? error.errores.map(e => `${e.campo}: ${e.mensaje}`) : [error.message];
+}
+
+// Compara la planilla con el catálogo actual sin modificar nada
+function calcularDiferencias(filas, catalogo, clasificador) {
+  const [cabecera = [], ...datos] = filas;
+  const { columnas, ignoradas } = mapearCabecera(cabecera);
+
+  const porId = new Map(catalogo.map(med => [String(med._id), med]));
+  const porNombre = new Map();
+  catalogo.forEach(med => {
+    const clave = normalizar(med.nombre);
+    porNombre.set(clave, [...(porNombre.get(clave) || []), med]);
+  });
+
+  const nuevos = [];
+  const cambios = [];
+  const errores = [];
+  const filaDe = {}; // producto (id o nombre nuevo) -> primera fila que lo usa
+  let sinCambios = 0;
+
+  datos.forEach((celdas, i) => {
+    const fila = i + 2; // numeración de la planilla: la cabecera es la fila 1
+    if (celdas.every(celda => String(celda ?? '').trim() === '')) return;
+
+    const valores = {};
+    const problemas = [];
+    columnas.forEach(({ columna, indice }) => {
+      const { valor, error } = convertir(columna, celdas[indice]);
+      if (error) problemas.push(error);
+      else if (valor !== undefined) valores[columna.campo] = valor;
+    });
+
+    const { _id: id, ...campos } = valores;
+    // La categoría se acepta por clave o por nombre ("Psicotrópico") y define si es controlado
+    if (campos.categoria) {
+      const categoria = clasificador.categorias
+        .find(c => [c.clave, c.nombre].some(nombre => normalizar(nombre) === normalizar(campos.categoria)));
+      if (categoria) {
+        campos.categoria = categoria.clave;
+        if (campos.controlado === undefined) campos.controlado = categoria.controlado;
+      }
+    }
+    let actual = null;
+    if (id) {
+      actual = porId.get(id);
+      if (!actual) problemas.push(`No existe un medicamento con id ${id}`);
+    } else if (campos.nombre) {
+      const candidatos = porNombre.get(normalizar(campos.nombre)) || [];
+      if (candidatos.length > 1) problemas.push(`Hay ${candidatos.length} productos llamados "${campos.nombre}": indica el id`);
+      actual = candidatos[0] || null;
+      // Emparejado por nombre: no se renombra por diferencias de tildes o mayúsculas
+      if (actual) delete campos.nombre;
+    } else {
+      problemas.push('La fila no tiene id ni nombre');
+    }
+
+    const clave = actual ? String(actual._id) : `nuevo:${normalizar(campos.nombre)}`;
+    if (problemas.length === 0 && filaDe[clave]) {
+      problemas.push(`El producto ya aparece en la fila ${filaDe[clave]}`);
+    }
+    if (problemas.length > 0) {
+      errores.push({ fila, nombre: actual ? actual.nombre : campos.nombre, errores: problemas });
+      return;
+    }
+    filaDe[clave] = fila;
+
+    if (!actual) {
+      try {
+        nuevos.push({ fila, datos: validarMedicamento(clasificador.completar({ ...parsearNombre(campos.nombre), ...campos })) });
+      } catch (error) {
+        errores.push({ fila, nombre: campos.nombre, errores: erroresDeValidacion(error) });
+      }
+      return;
+    }
+
+    const modificados = Object.keys(campos).filter(campo => campos[campo] !== valorActual(actual, campo));
+    if (modificados.length === 0) {
+      sinCambios++;
+      return;
+    }
+    if (modificados.includes('stock') && lotes.tieneLotes(actual)) {
+      errores.push({ fila, nombre: actual.nombre, errores: ['Este producto maneja lotes: su stock no se importa, registra un lote'] });
+      return;
+    }
+
+    const { _id, stockVencido, ...resto } = actual;
+    try {
+      validarMedicamento({ ...resto, ...campos });
+    } catch (error) {
+      errores.push({ fila, nombre: actual.nombre, errores: erroresDeValidacion(error) });
+      return;
+    }
+    cambios.push({
+      fila,
+      id: String(actual._id),
+      nombre: actual.nombre,
+      campos: Object.fromEntries(modificados.map(campo => [campo, { antes: valorActual(actual, campo), despues: campos[campo] }]))
+    });
+  });
+
+  const huella = crypto.createHash('sha256')
+    .update(JSON.stringify({ nuevos: nuevos.map(n => n.datos), cambios }))
+    .digest('hex')
+    .slice(0, 16);
+
+  return {
+    columnas: columnas.map(c => c.columna.campo),
+    columnasIgnoradas: ignoradas,
+    resumen: {
+      filas: nuevos.length + cambios.length + sinCambios + errores.length,
+      nuevos: nuevos.length,
+      cambiosPrecio: cambios.filter(c => 'precio' in c.campos).length,
+      cambiosStock: cambios.filter(c => 'stock' in c.campos).length,
+      otrosCambios: cambios.filter(c => Object.keys(c.campos).some(campo => campo !== 'precio' && campo !== 'stock')).length,
+      sinCambios,
+      errores: errores.length
+    },
+    nuevos,
+    cambios,
+    errores,
+    huella
+  };
+}
+
+function crearServicioImportacionCatalogo({ repos, clasificador, alCambiarStock = () => {} }) {
+  async function previsualizar(buffer) {
+    const { formato, filas } = await leerFilas(buffer);
+    if (filas.length < 2) {
+      throw new ErrorHttp(400, 'La planilla no tiene filas de datos');
+    }
+    return { formato, ...calcularDiferencias(filas, await repos.medicamentos.listar({}), clasificador) };
+  }
+
+  return {
+    decodificarArchivo,
+    previsualizar,
+
+    // Aplica la planilla tal como se previsualizó: con errores o con una huella distinta no se cambia nada.
+    // "contexto" ({ usuario }) queda en el libro de control para los controlados.
+    async aplicar(buffer, { huella } = {}, contexto = {}) {
+      const vista = await previsualizar(buffer);
+      if (vista.errores.length > 0) {
+        throw new ErrorHttp(400, 'La planilla tiene filas con errores: corrígelas antes de aplicar', { errores: vista.errores });
+      }
+      if (huella && huella !== vista.huella) {
+        throw new ErrorHttp(409, 'El catálogo cambió desde la vista previa: revisa los cambios nuevamente', { vistaPrevia: vista });
+      }
+
+      if (vista.nuevos.length > 0 || vista.cambios.length > 0) {
+        await repos.medicamentos.importar({
+          altas: vista.nuevos.map(nuevo => nuevo.datos),
+          cambios: vista.cambios.map(cambio => ({
+            id: cambio.id,
+            campos: Object.fromEntries(Object.entries(cambio.campos).map(([campo, { despues }]) => [campo, despues]))
+          }))
+        }, contexto);
+        alCambiarStock();
+      }
+      return { ...vista, aplicado: true };
+    },
+
+    // Catálogo completo (incluye inactivos) en el formato pedido
+    async exportar(formato) {
+      if (!FORMATOS.includes(formato)) {
+        throw new ErrorHttp(400, `Formato inválido: ${formato}`, { formatosValidos: FORMATOS });
+      }
+      const medicamentos = (await repos.medicamentos.listar({}))
+        .sort((a, b) => a.nombre.localeCompare(b.nombre));
+      const columnas = COLUMNAS.map(c => ({
+        titulo: c.titulo || c.campo,
+        valor: med => valorActual(med, c.campo)
+      }));
+      return formato === 'xlsx' ? aXlsx(medicamentos, columnas, 'Catálogo') : aCsv(medicamentos, columnas);
+    }
+  };
+}
+
+module.exports = { crearServicioImportacionCatalogo, calcularDiferencias, FORMATOS };
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizar } = require('../utils/texto');
+const { renderizar } = require('../utils/plantillas');
+const { parsearNombre } = require('./estructuraProducto');
+
+// Interacciones y duplicidad terapéutica entre los productos de un carrito.
+// La base está en config/interacciones.json, indexada por principio activo normalizado;
+// las reglas pueden referirse a un principio ("losartan"), a un grupo ("grupo:aine") o a cualquiera ("*").
+// Los sinónimos (config/sinonimos.json) son los mismos que usa la clasificación regulatoria.
+
+const RUTA_BASE = path.join(__dirname, '..', 'config', 'interacciones.json');
+const SINONIMOS = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'sinonimos.json'), 'utf8'));
+const SEVERIDADES = ['leve', 'moderada', 'grave'];
+
+function cargarBase(ruta = RUTA_BASE) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+// Principios activos de un medicamento; si no lo tiene cargado se intenta leer del nombre
+function principiosDe(medicamento, sinonimos = SINONIMOS) {
+  const principio = medicamento.principioActivo || parsearNombre(medicamento.nombre).principioActivo;
+  return [...new Set(
+    normalizar(principio).split('+').map(p => p.trim()).filter(Boolean).map(p => sinonimos[p] || p)
+  )];
+}
+
+// Evalúa productos ya cargados: [{ id, nombre, principios }]
+function evaluarInteracciones(productos, base) {
+  const grupos = base.grupos || {};
+  const gruposDe = principio => Object.keys(grupos).filter(clave => grupos[clave].principios.includes(principio));
+  const coincide = (producto, referencia) => {
+    if (referencia === '*') return producto.principios.length > 0;
+    if (referencia.startsWith('grupo:')) {
+      return producto.principios.some(p => gruposDe(p).includes(referencia.slice(6)));
+    }
+    return producto.principios.includes(referencia);
+  };
+  const resumen = producto => ({ id: producto.id, nombre: producto.nombre });
+
+  const interacciones = [];
+  for (let i = 0; i < productos.length; i++) {
+    for (let j = i + 1; j < productos.length; j++) {
+      const [uno, otro] = [productos[i], productos[j]];
+      (base.interacciones || [])
+        .filter(regla => (coincide(uno, regla.a) && coincide(otro, regla.b)) || (coincide(uno, regla.b) && coincide(otro, regla.a)))
+        .forEach(regla => interacciones.push({
+          tipo: 'interaccion',
+          severidad: regla.severidad,
+          descripcion: regla.descripcion,
+          productos: [resumen(uno), resumen(otro)]
+        }));
+    }
+  }
+
+  const duplicidades = [];
+  // Mismo principio activo en más de un producto
+  const porPrincipio = {};
+  productos.forEach(producto => producto.principios.forEach(principio => {
+    (porPrincipio[principio] = porPrincipio[principio] || []).push(producto);
+  }));
+  Object.entries(porPrincipio)
+    .filter(([, lista]) => lista.length > 1)
+    .forEach(([principio, lista]) => duplicidades.push({
+      tipo: 'duplicidad',
+      severidad: base.duplicidadMismoPrincipio.severidad,
+      descripcion: renderizar(base.duplicidadMismoPrincipio.descripcion, { principio }),
+      principio,
+      productos: lista.map(resumen)
+    }));
+
+  // Principios distintos del mismo grupo terapéutico
+  Object.entries(grupos)
+    .filter(([, grupo]) => grupo.duplicidad)
+    .forEach(([clave, grupo]) => {
+      const lista = productos.filter(producto => coincide(producto, `grupo:${clave}`));
+      const principios = new Set(lista.flatMap(p => p.principios.filter(pr => grupo.principios.includes(pr))));
+      if (lista.length > 1 && principios.size > 1) {
+        duplicidades.push({
+          tipo: 'duplicidad',
+          severidad: grupo.duplicidad.severidad,
+          descripcion: grupo.duplicidad.descripcion,
+          grupo: grupo.nombre,
+          productos: lista.map(resumen)
+        });
+      }
+    });
+
+  const porSeveridad = (a, b) => SEVERIDADES.indexOf(b.severidad) - SEVERIDADES.indexOf(a.severidad);
+  interacciones.sort(porSeveridad);
+  duplicidades.sort(porSeveridad);
+
+  return {
+    interacciones,
+    duplicidades,
+    // Las advertencias graves deben confirmarse antes de enviar el pedido
+    requiereConfirmacion: [...interacciones, ...duplicidades].some(a => a.severidad === 'grave')
+  };
+}
+
+function crearServicioInteracciones({ repos, base = cargarBase() }) {
+  return {
+    // items: [{ id, nombre?, cantidad? }] como los del carrito
+    async evaluar(items) {
+      const productos = {};
+      for (const item of items) {
+        const medicamento = await repos.medicamentos.obtener(item.id, item.nombre);
+        if (!medicamento) continue;
+        // Un producto repetido en el carrito cuenta una sola vez
+        productos[String(medicamento._id)] = {
+          id: String(medicamento._id),
+          nombre: medicamento.nombre,
+          principios: principiosDe(medicamento)
+        };
+      }
+      return evaluarInteracciones(Object.values(productos), base);
+    }
+  };
+}
+
+module.exports = { crearServicioInteracciones, evaluarInteracciones, principiosDe, cargarBase };
@@ -0,0 +1,112 @@
+const { ErrorHttp } = require('../utils/errores');
+const { aCsv } = require('../utils/csv');
+const { escaparHtml } = require('../utils/html');
+const { saldoDe } = require('../repositorios/libroControl');
+
+// Consulta y exportación del libro de control de medicamentos controlados
+
+const COLUMNAS = [
+  { titulo: 'Fecha', valor: m => m.fecha },
+  { titulo: 'Medicamento', valor: m => m.medicamentoNombre },
+  { titulo: 'Tipo', valor: m => m.tipo },
+  { titulo: 'Cantidad', valor: m => m.cantidad },
+  { titulo: 'Saldo', valor: m => m.saldo },
+  { titulo: 'Lotes', valor: m => (m.lotes || []).map(l => `${l.numero} (${l.cantidad})`).join(' ') },
+  { titulo: 'Paciente', valor: m => m.paciente },
+  { titulo: 'Receta', valor: m => m.receta },
+  { titulo: 'Pedido', valor: m => m.pedido },
+  { titulo: 'Usuario', valor: m => m.usuario },
+  { titulo: 'Motivo', valor: m => m.motivo }
+];
+
+function formatearValor(valor) {
+  return valor instanceof Date || /^\d{4}-\d{2}-\d{2}T/.test(String(valor))
+    ? new Date(valor).toLocaleString('es-BO')
+    : valor;
+}
+
+function crearServicioLibroControl({ repos }) {
+  // Libro de un producto: { medicamento, desde, hasta, saldoInicial, saldoFinal, movimientos }
+  async function consultarProducto(id, { desde, hasta } = {}) {
+    const medicamento = await repos.medicamentos.obtener(id);
+    if (!medicamento) {
+      throw new ErrorHttp(404, `Medicamento no encontrado: ${id}`);
+    }
+
+    const medicamentoId = String(medicamento._id);
+    const movimientos = await repos.movimientos.listar({ medicamentoId, desde, hasta });
+    if (!medicamento.controlado && movimientos.length === 0) {
+      throw new ErrorHttp(400, `${medicamento.nombre} no es un medicamento controlado`);
+    }
+
+    // Saldo al inicio del período: el del último movimiento anterior o, sin historia previa,
+    // el saldo antes del primer movimiento del período
+    const anterior = desde ? await repos.movimientos.ultimoAntes(medicamentoId, desde) : null;
+    let saldoInicial;
+    if (anterior) saldoInicial = anterior.saldo;
+    else if (movimientos.length > 0) saldoInicial = movimientos[0].saldo - movimientos[0].cantidad;
+    else saldoInicial = saldoDe(medicamento);
+
+    return {
+      medicamento: { _id: medicamentoId, nombre: medicamento.nombre, controlado: Boolean(medicamento.controlado) },
+      desde,
+      hasta,
+      saldoInicial,
+      saldoFinal: movimientos.length > 0 ? movimientos[movimientos.length - 1].saldo : saldoInicial,
+      movimientos
+    };
+  }
+
+  return {
+    consultarProducto,
+
+    // Movimientos de todos los controlados en el período
+    async consultarTodo({ desde, hasta } = {}) {
+      return { desde, hasta, movimientos: await repos.movimientos.listar({ desde, hasta }) };
+    },
+
+    aCsv(libro) {
+      return aCsv(libro.movimientos, COLUMNAS);
+    },
+
+    // Página lista para imprimir (o guardar como PDF desde el navegador)
+    aHtml(libro) {
+      const titulo = libro.medicamento ? `Libro de control - ${libro.medicamento.nombre}` : 'Libro de control';
+      const periodo = `${libro.desde ? formatearValor(libro.desde) : 'inicio'} a ${libro.hasta ? formatearValor(libro.hasta) : 'hoy'}`;
+      const filas = libro.movimientos.map(m =>
+        `<tr>${COLUMNAS.map(c => `<td>${escaparHtml(formatearValor(c.valor(m)))}</td>`).join('')}</tr>`
+      ).join('\n');
+      const saldos = libro.medicamento
+        ? `<p>Saldo inicial: ${libro.saldoInicial} &middot; Saldo final: ${libro.saldoFinal}</p>`
+        : '';
+
+      return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escaparHtml(titulo)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 20px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+    th { background: #eee; }
+  </style>
+</head>
+<body>
+  <h1>${escaparHtml(titulo)}</h1>
+  <p>Período: ${escaparHtml(periodo)} &middot; Emitido: ${escaparHtml(new Date().toLocaleString('es-BO'))}</p>
+  ${saldos}
+  <table>
+    <thead><tr>${COLUMNAS.map(c => `<th>${c.titulo}</th>`).join('')}</tr></thead>
+    <tbody>
+${filas}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+  };
+}
+
+module.exports = { crearServicioLibroControl };
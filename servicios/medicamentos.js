@@ -0,0 +1,156 @@
+const Medicamento = require('../models/Medicamento');
+const { ErrorHttp } = require('../utils/errores');
+const { parsearNombre } = require('./estructuraProducto');
+const lotes = require('../utils/lotes');
+
+// Campos que el farmacéutico puede modificar; el resto queda para el admin
+const CAMPOS_FARMACEUTICO = ['precio', 'costo', 'stock', 'stockMinimo'];
+const CAMPOS_EDITABLES = [
+  'nombre', 'precio', 'costo', 'stock', 'stockMinimo', 'controlado', 'categoria', 'activo',
+  'principioActivo', 'concentracion', 'formaFarmaceutica', 'laboratorio', 'presentacion'
+];
+
+// Valida contra el esquema de models/Medicamento.js (sirve también con el backend JSON)
+function validarMedicamento(datos) {
+  const doc = new Medicamento(datos);
+  const error = doc.validateSync();
+  if (error) {
+    throw new ErrorHttp(400, 'Datos de medicamento inválidos', {
+      errores: Object.values(error.errors).map(e => ({ campo: e.path, mensaje: e.message }))
+    });
+  }
+  const { _id, __v, ...limpio } = doc.toObject();
+  return limpio;
+}
+
+function elegirCampos(datos, campos) {
+  return Object.fromEntries(
+    Object.entries(datos || {}).filter(([campo]) => campos.includes(campo))
+  );
+}
+
+// Administración del catálogo: alta, edición, ajustes de stock y baja lógica
+function crearServicioMedicamentos({ repos, clasificador, alCambiarStock = () => {} }) {
+  async function obtener(id) {
+    const medicamento = await repos.medicamentos.obtener(id);
+    if (!medicamento) {
+      throw new ErrorHttp(404, `Medicamento no encontrado: ${id}`);
+    }
+    return medicamento;
+  }
+
+  return {
+    obtener,
+
+    async listar({ query, incluirInactivos = false } = {}) {
+      const medicamentos = await repos.medicamentos.listar(incluirInactivos ? {} : { activo: true });
+      const texto = (query || '').trim().toLowerCase();
+      return medicamentos
+        .filter(med => !texto || med.nombre.toLowerCase().includes(texto))
+        .sort((a, b) => a.nombre.localeCompare(b.nombre));
+    },
+
+    // Los datos estructurados que no se indiquen se deducen del nombre y la categoría, de las reglas
+    // "contexto" ({ usuario, motivo }) queda en el libro de control si el producto es controlado
+    async crear(datos, contexto) {
+      const validado = validarMedicamento(clasificador.completar({
+        ...parsearNombre(datos && datos.nombre),
+        ...elegirCampos(datos, CAMPOS_EDITABLES)
+      }));
+      const creado = await repos.medicamentos.crear(validado, contexto);
+      alCambiarStock();
+      return creado;
+    },
+
+    async actualizar(id, cambios, contexto) {
+      const actual = await obtener(id);
+      const permitidos = elegirCampos(cambios, CAMPOS_EDITABLES);
+      if (Object.keys(permitidos).length === 0) {
+        throw new ErrorHttp(400, 'No se indicó ningún campo para actualizar', { camposEditables: CAMPOS_EDITABLES });
+      }
+      // Cambiar la categoría cambia también si es controlado, salvo que se indique explícitamente
+      if ('categoria' in permitidos && !('controlado' in permitidos) && clasificador.categoria(permitidos.categoria)) {
+        permitidos.controlado = clasificador.categoria(permitidos.categoria).controlado;
+      }
+
+      if ('stock' in permitidos && lotes.tieneLotes(actual)) {
+        throw new ErrorHttp(400, 'Este producto maneja lotes: usa un ajuste de stock o registra un lote nuevo');
+      }
+
+      const { _id, stockVencido, ...resto } = actual;
+      const validado = validarMedicamento({ ...resto, ...permitidos });
+      const actualizado = await repos.medicamentos.actualizar(actual._id,
+        elegirCampos(validado, Object.keys(permitidos)), contexto);
+      alCambiarStock();
+      return actualizado;
+    },
+
+    // Ajuste relativo de stock (recepción de mercadería, mermas, conteos)
+    async ajustarStock(id, cantidad, contexto) {
+      const delta = Number(cantidad);
+      if (!Number.isInteger(delta) || delta === 0) {
+        throw new ErrorHttp(400, 'La cantidad del ajuste debe ser un entero distinto de cero');
+      }
+      const actual = await obtener(id);
+      const actualizado = await repos.medicamentos.ajustarStock(actual._id, delta, contexto);
+      alCambiarStock();
+      return actualizado;
+    },
+
+    // Ingreso de mercadería por lote: { numero, fechaVencimiento, cantidad }
+    async agregarLote(id, { numero, fechaVencimiento, cantidad } = {}, contexto) {
+      const lote = {
+        numero: String(numero || '').trim(),
+        fechaVencimiento: fechaVencimiento ? new Date(fechaVencimiento) : null,
+        cantidad: Number(cantidad)
+      };
+      if (!lote.numero) {
+        throw new ErrorHttp(400, 'El número de lote es obligatorio');
+      }
+      if (!Number.isInteger(lote.cantidad) || lote.cantidad <= 0) {
+        throw new ErrorHttp(400, 'La cantidad del lote debe ser un entero mayor a cero');
+      }
+      if (fechaVencimiento && isNaN(lote.fechaVencimiento.getTime())) {
+        throw new ErrorHttp(400, `Fecha de vencimiento inválida: ${fechaVencimiento}`);
+      }
+      if (lotes.estaVencido(lote)) {
+        throw new ErrorHttp(400, 'No se puede ingresar un lote vencido');
+      }
+
+      const actual = await obtener(id);
+      const actualizado = await repos.medicamentos.agregarLote(actual._id, lote, contexto);
+      alCambiarStock();
+      return actualizado;
+    },
+
+    // Lotes con unidades que vencen dentro de "dias" días (incluye los ya vencidos)
+    async lotesPorVencer(dias) {
+      const ahora = new Date();
+      const limite = new Date(ahora.getTime() + dias * 24 * 60 * 60 * 1000);
+      const medicamentos = await repos.medicamentos.listar({});
+
+      return medicamentos
+        .flatMap(med => (med.lotes || [])
+          .filter(lote => lote.cantidad > 0 && lote.fechaVencimiento && new Date(lote.fechaVencimiento) <= limite)
+          .map(lote => ({
+            medicamentoId: med._id,
+            nombre: med.nombre,
+            lote: lote.numero,
+            fechaVencimiento: lote.fechaVencimiento,
+            cantidad: lote.cantidad,
+            vencido: lotes.estaVencido(lote, ahora),
+            diasRestantes: Math.ceil((new Date(lote.fechaVencimiento) - ahora) / (24 * 60 * 60 * 1000))
+          })))
+        .sort((a, b) => new Date(a.fechaVencimiento) - new Date(b.fechaVencimiento));
+    },
+
+    async desactivar(id) {
+      const actual = await obtener(id);
+      const actualizado = await repos.medicamentos.actualizar(actual._id, { activo: false });
+      alCambiarStock();
+      return actualizado;
+    }
+  };
+}
+
+module.exports = { crearServicioMedicamentos, validarMedicamento, CAMPOS_FARMACEUTICO, CAMPOS_EDITABLES };
@@ -0,0 +1,94 @@
+// ==============================================
+// NOTIFICACIONES POR SMS / WHATSAPP
+// ==============================================
+// NOTIFICACIONES=twilio envía con Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+// TWILIO_SMS_FROM, TWILIO_WHATSAPP_FROM). Con NOTIFICACIONES=falso (o sin credenciales)
+// los mensajes solo se muestran en consola y quedan en memoria, para desarrollo.
+// Los destinos con prefijo "whatsapp:" van por WhatsApp; el resto por SMS.
+
+function esWhatsApp(destino) {
+  return destino.startsWith('whatsapp:');
+}
+
+function crearTransporteTwilio({ accountSid, authToken, smsFrom, whatsappFrom }) {
+  const twilio = require('twilio');
+  const cliente = twilio(accountSid, authToken);
+
+  return {
+    tipo: 'twilio',
+    async enviar(destino, texto) {
+      const from = esWhatsApp(destino) ? `whatsapp:${whatsappFrom.replace(/^whatsapp:/, '')}` : smsFrom;
+      if (!from) {
+        throw new Error(`Falta el remitente de Twilio para ${esWhatsApp(destino) ? 'WhatsApp' : 'SMS'}`);
+      }
+      const mensaje = await cliente.messages.create({ from, to: destino, body: texto });
+      return { id: mensaje.sid };
+    }
+  };
+}
+
+function crearTransporteFalso() {
+  const enviados = [];
+  return {
+    tipo: 'falso',
+    enviados,
+    async enviar(destino, texto) {
+      const mensaje = { id: `FALSO-${enviados.length + 1}`, destino, texto, fecha: new Date() };
+      enviados.push(mensaje);
+      console.log(`[notificación falsa] ${destino}: ${texto}`);
+      return { id: mensaje.id };
+    }
+  };
+}
+
+function crearTransporte(env = process.env) {
+  const tipo = (env.NOTIFICACIONES || 'falso').toLowerCase();
+  if (tipo === 'twilio') {
+    if (!env.TWILIO_ACCOUNT_SID || !env.TWILIO_AUTH_TOKEN) {
+      console.warn('NOTIFICACIONES=twilio sin TWILIO_ACCOUNT_SID/TWILIO_AUTH_TOKEN: se usa el transporte falso');
+      return crearTransporteFalso();
+    }
+    return crearTransporteTwilio({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      smsFrom: env.TWILIO_SMS_FROM,
+      whatsappFrom: env.TWILIO_WHATSAPP_FROM || ''
+    });
+  }
+  if (tipo !== 'falso') {
+    throw new Error(`Tipo de notificaciones desconocido: ${tipo}`);
+  }
+  return crearTransporteFalso();
+}
+
+// Lista separada por comas: "+59170000000, whatsapp:+59171111111"
+function leerDestinos(valor) {
+  return String(valor || '').split(',').map(d => d.trim()).filter(Boolean);
+}
+
+// Envía un texto a varios destinos; un destino que falla no impide los demás
+function crearNotificador({ transporte }) {
+  return {
+    tipo: transporte.tipo,
+
+    async enviar(destinos, texto) {
+      const resultados = await Promise.all(destinos.map(async destino => {
+        try {
+          return { destino, ok: true, ...await transporte.enviar(destino, texto) };
+        } catch (error) {
+          console.error(`Error enviando notificación a ${destino}:`, error.message);
+          return { destino, ok: false, error: error.message };
+        }
+      }));
+      return resultados;
+    }
+  };
+}
+
+module.exports = {
+  crearNotificador,
+  crearTransporte,
+  crearTransporteTwilio,
+  crearTransporteFalso,
+  leerDestinos
+};
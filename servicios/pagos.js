@@ -0,0 +1,240 @@
+const QRCode = require('qrcode');
+const { ErrorHttp } = require('../utils/errores');
+const { generarNumero } = require('../utils/numeros');
+
+// ==============================================
+// PAGOS POR QR
+// ==============================================
+// El cliente pide un QR para su pedido y lo paga desde la app de su banco; la pasarela
+// (servicios/pasarelasPago.js) confirma el pago con un webhook firmado y el pedido queda pagado.
+// Cada QR vence a los "minutos" indicados. Si el pedido se hizo para pagar por QR (metodoPago "qr")
+// y no se pagó, se cancela (el stock, la receta, el cupón y el turno se liberan como en cualquier
+// cancelación); los demás pedidos se siguen pagando al retirar o al recibir aunque su QR venza.
+// Un pedido para pagar por QR que nunca pidió su QR también se cancela pasados los mismos "minutos".
+// "simulacion" (PAGOS_SIMULACION=true, solo para desarrollo) permite simular el pago con la pasarela falsa.
+
+// Estados del pedido en los que todavía se puede pagar
+const ESTADOS_PAGABLES = ['pendiente', 'confirmado', 'preparado'];
+
+function crearServicioPagos({
+  repos, pedidos, pasarela, avisos, urlNotificacion, minutos = 30, moneda = 'BOB', simulacion = false
+}) {
+  const simulable = simulacion && Boolean(pasarela.simularPago);
+
+  // Lo que se guarda en el pedido para mostrar su estado de pago
+  function resumen(pago) {
+    return {
+      numero: pago.numero,
+      estado: pago.estado,
+      monto: pago.monto,
+      expiraEn: pago.expiraEn,
+      cancelaPedido: Boolean(pago.cancelaPedido),
+      ...(pago.pagadoEn && { pagadoEn: pago.pagadoEn, referenciaBanco: pago.referenciaBanco })
+    };
+  }
+
+  // Agrega la imagen PNG del QR (data URL) para mostrarla en la página
+  async function conImagen(pago) {
+    return pago.estado === 'pendiente' ? { ...pago, imagen: await QRCode.toDataURL(pago.qr, { margin: 1, width: 256 }) } : pago;
+  }
+
+  async function obtener(numero) {
+    const pago = await repos.pagos.obtener(numero);
+    if (!pago) {
+      throw new ErrorHttp(404, `Pago no encontrado: ${numero}`);
+    }
+    return pago;
+  }
+
+  // Vence un QR pendiente y, si el pedido se hizo para pagar por QR, lo cancela si sigue sin pagar
+  async function expirar(pago, ahora) {
+    const expirado = await repos.pagos.cambiarEstado(pago.numero, {
+      desde: 'pendiente',
+      cambios: { estado: 'expirado', expiradoEn: ahora }
+    });
+    // Se pagó mientras tanto
+    if (!expirado) return null;
+
+    await Promise.resolve(pasarela.anularCobro && pasarela.anularCobro(pago.idExterno))
+      .catch(error => console.error(`Error anulando el cobro ${pago.idExterno} en la pasarela:`, error));
+
+    const pedido = await repos.pedidos.obtener(pago.pedido);
+    if (!pedido || pedido.pago?.numero !== pago.numero) return expirado;
+    await repos.pedidos.actualizarPago(pedido.numero, resumen(expirado));
+    if (pago.cancelaPedido && ESTADOS_PAGABLES.includes(pedido.estado)) {
+      await pedidos.cambiarEstado(pedido.numero, 'cancelado', {
+        nota: 'No se recibió el pago por QR a tiempo.',
+        usuario: 'sistema'
+      }).catch(error => console.error(`Error cancelando el pedido ${pedido.numero} sin pago:`, error));
+    }
+    return expirado;
+  }
+
+  // Plazo para pagar un pedido hecho para pagar por QR
+  const plazoVencido = (pedido, ahora) => new Date(pedido.creadoEn).getTime() + minutos * 60000 <= ahora.getTime();
+
+  async function expirarVencidos(ahora = new Date()) {
+    const expirados = [];
+    for (const pago of await repos.pagos.listarVencidos(ahora)) {
+      if (await expirar(pago, ahora)) expirados.push(pago.numero);
+    }
+
+    const sinQr = [];
+    for (const pedido of await repos.pedidos.listarQrSinPago(new Date(ahora.getTime() - minutos * 60000))) {
+      try {
+        await pedidos.cambiarEstado(pedido.numero, 'cancelado', {
+          nota: 'No se recibió el pago por QR a tiempo.',
+          usuario: 'sistema'
+        });
+        sinQr.push(pedido.numero);
+      } catch (error) {
+        console.error(`Error cancelando el pedido ${pedido.numero} sin pago:`, error);
+      }
+    }
+    return { expirados, sinQr };
+  }
+
+  return {
+    tipoPasarela: pasarela.tipo,
+    simulacion: simulable,
+
+    // QR para pagar el pedido; si ya tiene uno pendiente y vigente, se devuelve ese.
+    // Solo lo piden el personal, la cuenta del pedido o la sesión firmada desde la que se hizo ("solicitante").
+    async solicitar(numeroPedido, solicitante = {}, ahora = new Date()) {
+      const pedido = await pedidos.obtenerPropio(numeroPedido, solicitante);
+      if (pedido.pago?.estado === 'pagado') {
+        throw new ErrorHttp(409, `El pedido ${pedido.numero} ya está pagado`);
+      }
+      if (!ESTADOS_PAGABLES.includes(pedido.estado)) {
+        throw new ErrorHttp(409, `No se puede pagar un pedido ${pedido.estado}`);
+      }
+
+      const [vigente] = (await repos.pagos.listar({ pedido: pedido.numero, estado: 'pendiente' }))
+        .filter(pago => new Date(pago.expiraEn) > ahora);
+      if (vigente) return conImagen(vigente);
+      if (pedido.metodoPago === 'qr' && !pedido.pago && plazoVencido(pedido, ahora)) {
+        throw new ErrorHttp(409, `Venció el plazo para pagar el pedido ${pedido.numero} por QR`);
+      }
+
+      const numero = generarNumero('PAG');
+      const expiraEn = new Date(ahora.getTime() + minutos * 60000);
+      const cobro = await pasarela.crearCobro({
+        referencia: numero,
+        monto: pedido.total,
+        moneda,
+        glosa: `FarmaUPSA pedido ${pedido.numero}`,
+        expiraEn,
+        urlNotificacion
+      });
+      const pago = await repos.pagos.crear({
+        numero,
+        pedido: pedido.numero,
+        pasarela: pasarela.tipo,
+        idExterno: cobro.id,
+        monto: pedido.total,
+        moneda,
+        qr: cobro.qr,
+        cancelaPedido: pedido.metodoPago === 'qr',
+        estado: 'pendiente',
+        creadoEn: ahora,
+        expiraEn
+      });
+      await repos.pedidos.actualizarPago(pedido.numero, resumen(pago));
+      return conImagen(pago);
+    },
+
+    // Estado de pago de un pedido (último QR solicitado), para los mismos que pueden solicitarlo
+    async dePedido(numeroPedido, solicitante = {}) {
+      const pedido = await pedidos.obtenerPropio(numeroPedido, solicitante);
+      const [pago] = await repos.pagos.listar({ pedido: pedido.numero });
+      if (!pago) {
+        throw new ErrorHttp(404, `El pedido ${pedido.numero} no tiene pagos por QR`);
+      }
+      return conImagen(pago);
+    },
+
+    obtener,
+
+    async listar(filtro) {
+      return repos.pagos.listar(filtro);
+    },
+
+    // Webhook de la pasarela. Es idempotente: una confirmación repetida no cambia nada.
+    // Un pago de un pedido ya cancelado (QR vencido) o pagado con otro QR queda registrado para devolverlo.
+    async procesarNotificacion(cuerpo, cabeceras) {
+      const notificacion = await pasarela.leerNotificacion(cuerpo, cabeceras);
+      if (!notificacion) {
+        throw new ErrorHttp(401, 'Firma de la pasarela inválida');
+      }
+
+      const pago = await repos.pagos.buscarExterno(pasarela.tipo, notificacion.id);
+      if (!pago) {
+        throw new ErrorHttp(404, `Cobro desconocido: ${notificacion.id}`);
+      }
+      if (notificacion.estado !== 'pagado' || pago.estado === 'pagado') {
+        return { pago, cambiado: false };
+      }
+      if (Math.abs(notificacion.monto - pago.monto) > 0.001) {
+        throw new ErrorHttp(400, `El monto pagado (${notificacion.monto}) no coincide con el cobro (${pago.monto})`);
+      }
+
+      const pedido = await repos.pedidos.obtener(pago.pedido);
+      const devolver = !pedido || pedido.estado === 'cancelado' || pedido.pago?.estado === 'pagado';
+      const pagado = await repos.pagos.cambiarEstado(pago.numero, {
+        desde: pago.estado,
+        cambios: {
+          estado: 'pagado',
+          pagadoEn: notificacion.pagadoEn,
+          referenciaBanco: notificacion.referenciaBanco,
+          ...(devolver && { observacion: 'El pedido ya estaba cancelado o pagado: corresponde devolver este pago' })
+        }
+      });
+      // Otra notificación lo procesó al mismo tiempo
+      if (!pagado) return { pago: await repos.pagos.obtener(pago.numero), cambiado: false };
+
+      if (devolver) {
+        console.warn(`Pago ${pago.numero} del pedido ${pago.pedido} recibido con el pedido cancelado o ya pagado: hay que devolverlo`);
+        return { pago: pagado, cambiado: true };
+      }
+      const actualizado = await repos.pedidos.actualizarPago(pago.pedido, resumen(pagado));
+      if (avisos) {
+        avisos.pagoRecibido(actualizado).catch(error => console.error('Error enviando aviso (pagoRecibido):', error));
+      }
+      return { pago: pagado, cambiado: true };
+    },
+
+    // Solo con la pasarela falsa y la simulación habilitada: envía el webhook de pago como lo haría el banco
+    async simular(numero) {
+      if (!simulable) {
+        throw new ErrorHttp(404, 'La simulación de pagos no está habilitada');
+      }
+      const pago = await obtener(numero);
+      if (pago.estado !== 'pendiente') {
+        throw new ErrorHttp(409, `El pago ${numero} está ${pago.estado}`);
+      }
+      const { status } = await pasarela.simularPago({ id: pago.idExterno, monto: pago.monto, moneda: pago.moneda, urlNotificacion });
+      if (status !== 200) {
+        throw new ErrorHttp(502, `El webhook de pago respondió ${status}`);
+      }
+      return repos.pagos.obtener(numero);
+    },
+
+    expirarVencidos,
+
+    iniciarExpiracion(intervaloMs = 60 * 1000) {
+      const timer = setInterval(async () => {
+        try {
+          const { expirados, sinQr } = await expirarVencidos();
+          if (expirados.length > 0) console.log(`Pagos por QR vencidos: ${expirados.join(', ')}`);
+          if (sinQr.length > 0) console.log(`Pedidos por QR cancelados sin pedir el QR: ${sinQr.join(', ')}`);
+        } catch (error) {
+          console.error('Error revisando pagos vencidos:', error);
+        }
+      }, intervaloMs);
+      timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { crearServicioPagos, ESTADOS_PAGABLES };
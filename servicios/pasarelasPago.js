@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { ErrorHttp } = require('../utils/errores');
+
+// ==============================================
+// PASARELAS DE PAGO POR QR
+// ==============================================
+// PAGOS_PASARELA elige la pasarela y no tiene valor por defecto: sin ella los pagos por QR quedan
+// desactivados. Por ahora solo existe "falso": una pasarela local que emite QR de prueba y permite
+// simular el pago (con PAGOS_SIMULACION=true, ver servicios/pagos.js), para probar todo el flujo sin un banco.
+// Una pasarela real (la API QR del banco) debe exponer la misma interfaz:
+//   crearCobro({ referencia, monto, moneda, glosa, expiraEn, urlNotificacion }) -> { id, qr }
+//     registra el cobro y devuelve su identificador y el contenido del QR a mostrar
+//   leerNotificacion(cuerpo, cabeceras) -> { id, estado: 'pagado'|'rechazado', monto, pagadoEn, referenciaBanco }
+//     verifica la firma del webhook (cuerpo sin parsear, Buffer) y lo interpreta; null si la firma no es válida
+//   anularCobro(id) (opcional) deja sin efecto un QR vencido
+
+function firmar(secreto, cuerpo) {
+  return crypto.createHmac('sha256', secreto).update(cuerpo).digest('hex');
+}
+
+function firmaValida(secreto, cuerpo, firma) {
+  const esperada = Buffer.from(firmar(secreto, cuerpo));
+  const recibida = Buffer.from(String(firma || ''));
+  return recibida.length === esperada.length && crypto.timingSafeEqual(recibida, esperada);
+}
+
+// Los webhooks van firmados con HMAC-SHA256 del cuerpo (PAGOS_SECRETO) en la cabecera X-Pasarela-Firma.
+// simularPago envía el webhook de "pagado" como lo haría el banco.
+function crearPasarelaFalsa({ secreto = crypto.randomBytes(32).toString('hex') } = {}) {
+  let ultimo = 0;
+
+  return {
+    tipo: 'falso',
+
+    async crearCobro({ referencia, monto, moneda }) {
+      const id = `QRF-${Math.max(Date.now(), ultimo + 1)}`;
+      ultimo = Number(id.slice(4));
+      return { id, qr: `FARMAUPSA-QR-PRUEBA|${id}|${referencia}|${Number(monto).toFixed(2)} ${moneda}` };
+    },
+
+    async leerNotificacion(cuerpo, cabeceras) {
+      if (!firmaValida(secreto, cuerpo, cabeceras['x-pasarela-firma'])) return null;
+      const datos = JSON.parse(cuerpo.toString('utf8'));
+      return {
+        id: datos.cobro,
+        estado: datos.estado,
+        monto: Number(datos.monto),
+        pagadoEn: datos.pagadoEn ? new Date(datos.pagadoEn) : new Date(),
+        referenciaBanco: datos.referencia
+      };
+    },
+
+    async anularCobro() {},
+
+    // Solo existe en la pasarela falsa
+    async simularPago({ id, monto, moneda, urlNotificacion }) {
+      const cuerpo = JSON.stringify({
+        evento: 'cobro.pagado',
+        cobro: id,
+        estado: 'pagado',
+        monto,
+        moneda,
+        referencia: `BANCO-PRUEBA-${Date.now()}`,
+        pagadoEn: new Date().toISOString()
+      });
+      const respuesta = await fetch(urlNotificacion, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Pasarela-Firma': firmar(secreto, cuerpo) },
+        body: cuerpo
+      });
+      return { status: respuesta.status, respuesta: await respuesta.json().catch(() => null) };
+    }
+  };
+}
+
+// Sin pasarela configurada: no se emiten QR y ningún webhook es válido
+function crearPasarelaDesactivada() {
+  return {
+    tipo: 'ninguna',
+
+    async crearCobro() {
+      throw new ErrorHttp(503, 'Los pagos por QR no están habilitados');
+    },
+
+    async leerNotificacion() {
+      return null;
+    }
+  };
+}
+
+function crearPasarela(env = process.env) {
+  const tipo = (env.PAGOS_PASARELA || '').toLowerCase();
+  if (!tipo) {
+    console.warn('PAGOS_PASARELA no está configurada: los pagos por QR están desactivados');
+    return crearPasarelaDesactivada();
+  }
+  if (tipo !== 'falso') {
+    throw new Error(`Pasarela de pagos desconocida: ${tipo}`);
+  }
+  return crearPasarelaFalsa({ secreto: env.PAGOS_SECRETO || undefined });
+}
+
+module.exports = { crearPasarela, crearPasarelaFalsa };
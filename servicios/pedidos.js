@@ -0,0 +1,265 @@
+const { ErrorHttp } = require('../utils/errores');
+const { generarNumero } = require('../utils/numeros');
+
+// Ciclo de vida del pedido:
+// pendiente → confirmado → preparado → entregado, y cancelado desde cualquiera no final
+const TRANSICIONES = {
+  pendiente: ['confirmado', 'cancelado'],
+  confirmado: ['preparado', 'cancelado'],
+  preparado: ['entregado', 'cancelado'],
+  entregado: [],
+  cancelado: []
+};
+
+const ESTADOS = Object.keys(TRANSICIONES);
+
+// "entrega": se paga al retirar o al recibir; "qr": se paga por QR y, si el QR vence sin pagarse, se cancela
+const METODOS_PAGO = ['entrega', 'qr'];
+
+// "alDescontarStock" recibe los medicamentos actualizados tras cada venta (p. ej. alertas de stock bajo).
+// "avisos" envía por WhatsApp el pedido a la farmacia y los cambios de estado al cliente.
+// "interacciones" revisa el pedido: las advertencias graves deben confirmarse (confirmaInteracciones).
+// "comprobantes" emite el comprobante de venta de cada pedido y lo anula si el pedido se cancela.
+// "promociones" calcula los precios (catálogo, promociones y cupón): lo que envía el navegador no cuenta.
+// "entregas" valida el retiro (turno con cupo) o el delivery (zona, dirección y costo de envío).
+// "pagoQr" indica si hay una pasarela de pagos configurada; sin ella no se aceptan pedidos para pagar por QR.
+function crearServicioPedidos({
+  repos, reservas, recetas, promociones, entregas, avisos, interacciones, comprobantes, pagoQr = false,
+  alCambiarStock = () => {}, alDescontarStock = () => {}
+}) {
+  const metodosPago = pagoQr ? METODOS_PAGO : METODOS_PAGO.filter(metodo => metodo !== 'qr');
+
+  // Los avisos no deben hacer fallar la operación: los errores solo se registran
+  function avisar(accion, ...args) {
+    if (!avisos) return;
+    avisos[accion](...args).catch(error => console.error(`Error enviando aviso (${accion}):`, error));
+  }
+
+  // Un error al emitir no deshace la venta: el personal puede reemitir el comprobante después
+  async function emitirComprobante(pedido) {
+    if (!comprobantes) return null;
+    try {
+      return await comprobantes.emitir(pedido);
+    } catch (error) {
+      console.error(`Error emitiendo el comprobante del pedido ${pedido.numero}:`, error);
+      return null;
+    }
+  }
+
+  async function obtener(numero) {
+    const pedido = await repos.pedidos.obtener(numero);
+    if (!pedido) {
+      throw new ErrorHttp(404, `Pedido no encontrado: ${numero}`);
+    }
+    return pedido;
+  }
+
+  return {
+    metodosPago,
+
+    // Descuenta stock y registra el pedido en estado "pendiente".
+    // La reserva de la sesión se convierte en venta; lo reservado por otros no se toca.
+    // Los controlados exigen receta aprobada, que queda utilizada por este pedido.
+    // "cliente" ({ nombre, nit }) es opcional: sin él, el comprobante se emite sin nombre.
+    // Un cupón que no se puede usar rechaza el pedido (la vista previa ya lo habrá informado).
+    // Con "cuenta" (cliente con sesión iniciada) el pedido queda en su historial y, si no se indican,
+    // el teléfono y los datos del comprobante se toman de la cuenta.
+    // "entrega": { tipo: 'retiro', turno } o { tipo: 'delivery', zona, direccion, referencia }; el envío se suma al total.
+    // Con "personal" (pedido cargado por la farmacia) se aceptan recetas enviadas desde otra sesión.
+    // "metodoPago" es uno de metodosPago ("entrega" por defecto).
+    async crear({
+      items, sessionId, telefono, cliente, cupon, cuenta, entrega, metodoPago = 'entrega',
+      personal = false, confirmaInteracciones = false
+    }) {
+      if (metodoPago === 'qr' && !pagoQr) {
+        throw new ErrorHttp(400, 'El pago por QR no está disponible: elige pagar al retirar o al recibir', { metodosValidos: metodosPago });
+      }
+      if (!metodosPago.includes(metodoPago)) {
+        throw new ErrorHttp(400, `Método de pago inválido: ${metodoPago}`, { metodosValidos: metodosPago });
+      }
+      if (cuenta) {
+        const datosCuenta = await repos.clientes.obtener(cuenta);
+        if (!datosCuenta) {
+          throw new ErrorHttp(401, 'La sesión de la cuenta ya no es válida, vuelve a ingresar');
+        }
+        telefono = telefono || datosCuenta.telefono;
+        if (!cliente?.nombre && !cliente?.nit && (datosCuenta.nombre || datosCuenta.nit)) {
+          cliente = { nombre: datosCuenta.nombre, nit: datosCuenta.nit };
+        }
+      }
+
+      let telefonoCliente;
+      if (telefono) {
+        telefonoCliente = avisos ? avisos.normalizarTelefono(telefono) : String(telefono).trim();
+        if (!telefonoCliente) {
+          throw new ErrorHttp(400, `Teléfono inválido: ${telefono}`);
+        }
+      }
+
+      const datosCliente = comprobantes && (cliente?.nombre || cliente?.nit)
+        ? comprobantes.datosCliente(cliente)
+        : undefined;
+
+      const erroresReceta = await recetas.verificarItems(items, sessionId, { personal });
+      if (erroresReceta.length > 0) {
+        throw new ErrorHttp(400, 'No se puede procesar el pedido', { errors: erroresReceta });
+      }
+
+      const revision = interacciones ? await interacciones.evaluar(items) : { interacciones: [], duplicidades: [] };
+      if (revision.requiereConfirmacion && !confirmaInteracciones) {
+        throw new ErrorHttp(409, 'El pedido tiene interacciones graves que deben confirmarse', { interacciones: revision });
+      }
+      const advertencias = [...revision.interacciones, ...revision.duplicidades]
+        .map(({ severidad, descripcion, productos }) => ({ severidad, descripcion, productos: productos.map(p => p.nombre) }));
+
+      const ahora = new Date();
+      const precios = await promociones.cotizar(items, { cupon, fecha: ahora });
+      if (precios.cupon && !precios.cupon.aplicado) {
+        throw new ErrorHttp(400, precios.cupon.error);
+      }
+      const usos = precios.promociones.map(promocion => promocion.numero);
+      const datosEntrega = await entregas.preparar(entrega, { items, monto: precios.total, ahora });
+
+      const numero = generarNumero('PED');
+      const numerosReceta = [...new Set(items.filter(item => item.receta).map(item => String(item.receta)))];
+      await recetas.utilizar(numerosReceta, numero);
+
+      let actualizados;
+      try {
+        await entregas.ocuparTurno(datosEntrega);
+      } catch (error) {
+        await recetas.liberar(numerosReceta);
+        throw error;
+      }
+      try {
+        await promociones.registrarUsos(precios.promociones);
+      } catch (error) {
+        await recetas.liberar(numerosReceta);
+        await entregas.liberarTurno(datosEntrega);
+        throw error;
+      }
+      try {
+        const retenido = await reservas.retenidoPorOtros(sessionId);
+        actualizados = await repos.medicamentos.descontarStock(items, { retenido, contexto: { pedido: numero } });
+      } catch (error) {
+        await recetas.liberar(numerosReceta);
+        await promociones.liberarUsos(usos);
+        await entregas.liberarTurno(datosEntrega);
+        throw error;
+      }
+      alCambiarStock();
+      alDescontarStock(actualizados);
+      if (sessionId) await reservas.liberar(sessionId);
+
+      // Se cobra lo calculado (y mostrado en la vista previa); subtotal es lo que se cobra de la línea
+      const lineas = precios.items.map((linea, i) => ({
+        id: items[i].id || linea.id,
+        nombre: linea.nombre,
+        cantidad: linea.cantidad,
+        precio: linea.precio,
+        ...(linea.descuento > 0 && { descuento: linea.descuento }),
+        subtotal: linea.subtotal,
+        lotes: actualizados[i].lotesConsumidos || [],
+        ...(items[i].receta && { receta: String(items[i].receta) })
+      }));
+
+      const pedido = {
+        numero,
+        sessionId,
+        ...(cuenta && { cuenta }),
+        ...(telefonoCliente && { telefono: telefonoCliente }),
+        ...(datosCliente && { cliente: datosCliente }),
+        items: lineas,
+        ...(advertencias.length > 0 && { advertencias }),
+        ...(precios.descuento > 0 && {
+          subtotal: precios.subtotal,
+          descuento: precios.descuento,
+          promociones: precios.promociones
+        }),
+        ...(precios.cupon && { cupon: precios.cupon.codigo }),
+        entrega: datosEntrega,
+        metodoPago,
+        total: Math.round((precios.total + datosEntrega.costo) * 100) / 100,
+        estado: 'pendiente',
+        historial: [{ estado: 'pendiente', fecha: ahora }],
+        creadoEn: ahora,
+        actualizadoEn: ahora
+      };
+
+      let creado;
+      try {
+        creado = await repos.pedidos.crear(pedido);
+      } catch (error) {
+        // Si no se pudo registrar el pedido, el stock y las recetas vuelven a su lugar
+        await repos.medicamentos.reponerStock(lineas, { pedido: numero, motivo: 'Pedido no registrado' });
+        await recetas.liberar(numerosReceta);
+        await promociones.liberarUsos(usos);
+        await entregas.liberarTurno(datosEntrega);
+        alCambiarStock();
+        throw error;
+      }
+      avisar('pedidoCreado', creado);
+      const comprobante = await emitirComprobante(creado);
+      return { pedido: creado, medicamentos: actualizados, comprobante };
+    },
+
+    obtener,
+
+    // Un pedido lo ven el personal, su cuenta y la sesión desde la que se hizo; para los demás no existe
+    async obtenerPropio(numero, { personal = false, cuenta, sessionId } = {}) {
+      const pedido = await obtener(numero);
+      const propio = personal || (cuenta && pedido.cuenta === cuenta) || (sessionId && pedido.sessionId === sessionId);
+      if (!propio) {
+        throw new ErrorHttp(404, `Pedido no encontrado: ${numero}`);
+      }
+      return pedido;
+    },
+
+    async listar(filtro, paginacion) {
+      return repos.pedidos.listar(filtro, paginacion);
+    },
+
+    async cambiarEstado(numero, nuevoEstado, { nota, usuario } = {}) {
+      if (!ESTADOS.includes(nuevoEstado)) {
+        throw new ErrorHttp(400, `Estado inválido: ${nuevoEstado}`, { estadosValidos: ESTADOS });
+      }
+
+      const pedido = await obtener(numero);
+      if (!TRANSICIONES[pedido.estado].includes(nuevoEstado)) {
+        throw new ErrorHttp(409, `No se puede pasar de "${pedido.estado}" a "${nuevoEstado}"`);
+      }
+
+      const actualizado = await repos.pedidos.cambiarEstado(numero, {
+        desde: pedido.estado,
+        hacia: nuevoEstado,
+        entrada: { estado: nuevoEstado, fecha: new Date(), nota, usuario }
+      });
+      if (!actualizado) {
+        throw new ErrorHttp(409, 'El pedido fue modificado por otra operación, intenta nuevamente');
+      }
+
+      // Al cancelar, las cantidades vuelven al stock (a los mismos lotes), las recetas, los usos
+      // de promociones o cupones y el cupo del turno de retiro se pueden reutilizar y el comprobante queda anulado
+      if (nuevoEstado === 'cancelado') {
+        await repos.medicamentos.reponerStock(pedido.items, {
+          pedido: numero,
+          usuario,
+          motivo: nota || 'Pedido cancelado'
+        });
+        await recetas.liberar([...new Set(pedido.items.filter(item => item.receta).map(item => item.receta))]);
+        await promociones.liberarUsos((pedido.promociones || []).map(promocion => promocion.numero));
+        await entregas.liberarTurno(pedido.entrega);
+        alCambiarStock();
+        if (comprobantes) {
+          await comprobantes.anularDePedido(numero, { motivo: nota || 'Pedido cancelado', usuario })
+            .catch(error => console.error(`Error anulando el comprobante del pedido ${numero}:`, error));
+        }
+      }
+
+      avisar('estadoCambiado', actualizado, { nota });
+      return actualizado;
+    }
+  };
+}
+
+module.exports = { crearServicioPedidos, ESTADOS, TRANSICIONES, METODOS_PAGO };
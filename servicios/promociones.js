@@ -0,0 +1,296 @@
+const Promocion = require('../models/Promocion');
+const { ErrorHttp } = require('../utils/errores');
+const { leerFecha } = require('../utils/fechas');
+const { generarNumero } = require('../utils/numeros');
+
+// ==============================================
+// PRECIOS Y PROMOCIONES
+// ==============================================
+// El servidor calcula cada línea y el total a partir del precio del catálogo; el navegador solo
+// muestra lo que devuelve la vista previa. Cómo se combinan las promociones:
+// - De las automáticas por línea (porcentaje, volumen) cada línea recibe la mejor.
+// - De las automáticas por monto se aplica la mejor, sobre lo que queda de las líneas alcanzadas.
+// - Un cupón (uno por pedido) se suma a las automáticas y se calcula sobre lo que queda.
+// Una promoción sin productos ni categorías alcanza a todo el catálogo salvo los controlados.
+
+const CAMPOS_EDITABLES = [
+  'nombre', 'tipo', 'valor', 'lleva', 'paga', 'productos', 'categorias',
+  'cupon', 'minimo', 'limiteUsos', 'desde', 'hasta', 'activa'
+];
+
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+function sumar(lineas, campo) {
+  return redondear(lineas.reduce((suma, linea) => suma + linea[campo], 0));
+}
+
+function normalizarCupon(codigo) {
+  return String(codigo || '').trim().toUpperCase();
+}
+
+function elegirCampos(datos, campos) {
+  return Object.fromEntries(
+    Object.entries(datos || {}).filter(([campo]) => campos.includes(campo))
+  );
+}
+
+// Valida contra el esquema de models/Promocion.js (sirve también con el backend JSON)
+function validarPromocion(datos) {
+  const doc = new Promocion(datos);
+  const error = doc.validateSync();
+  if (error) {
+    throw new ErrorHttp(400, 'Datos de promoción inválidos', {
+      errores: Object.values(error.errors).map(e => ({ campo: e.path, mensaje: e.message }))
+    });
+  }
+  const { _id, __v, ...limpio } = doc.toObject();
+  return limpio;
+}
+
+// Por qué una promoción no se puede usar en esa fecha (null si está vigente)
+function motivoNoVigente(promocion, fecha) {
+  if (promocion.activa === false) return 'no está activa';
+  if (promocion.desde && new Date(promocion.desde) > fecha) return 'todavía no está vigente';
+  if (promocion.hasta && new Date(promocion.hasta) < fecha) return 'ya venció';
+  if (promocion.limiteUsos && (promocion.usos || 0) >= promocion.limiteUsos) return 'alcanzó su límite de usos';
+  return null;
+}
+
+function alcanza(promocion, linea) {
+  const productos = promocion.productos || [];
+  const categorias = promocion.categorias || [];
+  if (productos.length === 0 && categorias.length === 0) return !linea.controlado;
+  return productos.includes(linea.id) || categorias.includes(linea.categoria);
+}
+
+// La compra mínima se mide sobre el precio de lista de los productos alcanzados
+function cumpleMinimo(promocion, lineas) {
+  return !promocion.minimo || sumar(lineas.filter(linea => alcanza(promocion, linea)), 'bruto') >= promocion.minimo;
+}
+
+// Descuento de una promoción por línea sobre lo que aún se cobra de esa línea
+function descuentoLinea(promocion, linea) {
+  if (promocion.tipo === 'porcentaje') {
+    return redondear(linea.subtotal * promocion.valor / 100);
+  }
+  // volumen: "lleva 3, paga 2" deja gratis 1 de cada 3 unidades del mismo producto
+  const gratis = Math.floor(linea.cantidad / promocion.lleva) * (promocion.lleva - promocion.paga);
+  return redondear(linea.subtotal * gratis / linea.cantidad);
+}
+
+// Calcula líneas y totales. lineas: [{ id, nombre, cantidad, precio, categoria, controlado }]
+function calcularPrecios(lineas, { automaticas = [], cupon = null } = {}) {
+  const resultado = lineas.map(linea => {
+    const bruto = redondear(linea.precio * linea.cantidad);
+    return { ...linea, bruto, descuento: 0, subtotal: bruto, promociones: [] };
+  });
+  const aplicadas = new Map();
+
+  function aplicar(linea, promocion, monto) {
+    if (monto <= 0) return;
+    linea.descuento = redondear(linea.descuento + monto);
+    linea.subtotal = redondear(linea.subtotal - monto);
+    linea.promociones.push({ numero: promocion.numero, nombre: promocion.nombre, monto });
+    const resumen = aplicadas.get(promocion.numero) ||
+      { numero: promocion.numero, nombre: promocion.nombre, ...(promocion.cupon && { cupon: promocion.cupon }), monto: 0 };
+    resumen.monto = redondear(resumen.monto + monto);
+    aplicadas.set(promocion.numero, resumen);
+  }
+
+  // Un descuento por monto se reparte entre las líneas en proporción a lo que se cobra de cada una
+  function repartir(promocion, monto, alcanzadas) {
+    const base = sumar(alcanzadas, 'subtotal');
+    let pendiente = monto;
+    alcanzadas.forEach((linea, i) => {
+      const parte = i === alcanzadas.length - 1
+        ? Math.min(pendiente, linea.subtotal)
+        : redondear(monto * linea.subtotal / base);
+      aplicar(linea, promocion, parte);
+      pendiente = redondear(pendiente - parte);
+    });
+  }
+
+  function descuentoPorMonto(promocion) {
+    const alcanzadas = resultado.filter(linea => alcanza(promocion, linea) && linea.subtotal > 0);
+    return { alcanzadas, monto: Math.min(promocion.valor, sumar(alcanzadas, 'subtotal')) };
+  }
+
+  // 1. La mejor promoción automática de cada línea
+  const porLinea = automaticas.filter(p => p.tipo !== 'monto' && cumpleMinimo(p, resultado));
+  resultado.forEach(linea => {
+    const mejor = porLinea
+      .filter(promocion => alcanza(promocion, linea))
+      .map(promocion => ({ promocion, monto: descuentoLinea(promocion, linea) }))
+      .reduce((mejor, candidata) => (!mejor || candidata.monto > mejor.monto ? candidata : mejor), null);
+    if (mejor) aplicar(linea, mejor.promocion, mejor.monto);
+  });
+
+  // 2. La mejor promoción automática por monto
+  const mejorMonto = automaticas
+    .filter(p => p.tipo === 'monto' && cumpleMinimo(p, resultado))
+    .map(promocion => ({ promocion, ...descuentoPorMonto(promocion) }))
+    .reduce((mejor, candidata) => (!mejor || candidata.monto > mejor.monto ? candidata : mejor), null);
+  if (mejorMonto && mejorMonto.monto > 0) repartir(mejorMonto.promocion, mejorMonto.monto, mejorMonto.alcanzadas);
+
+  // 3. El cupón, sobre lo que queda
+  let errorCupon = null;
+  if (cupon) {
+    const alcanzadas = resultado.filter(linea => alcanza(cupon, linea));
+    const antes = sumar(resultado, 'descuento');
+    if (alcanzadas.length === 0) {
+      errorCupon = `El cupón ${cupon.cupon} no aplica a los productos del carrito`;
+    } else if (!cumpleMinimo(cupon, resultado)) {
+      errorCupon = `El cupón ${cupon.cupon} requiere una compra mínima de Bs ${Number(cupon.minimo).toFixed(2)} en los productos de la promoción`;
+    } else if (cupon.tipo === 'monto') {
+      const { monto, alcanzadas: conSaldo } = descuentoPorMonto(cupon);
+      if (monto > 0) repartir(cupon, monto, conSaldo);
+    } else {
+      alcanzadas.forEach(linea => aplicar(linea, cupon, descuentoLinea(cupon, linea)));
+    }
+    if (!errorCupon && sumar(resultado, 'descuento') === antes) {
+      errorCupon = cupon.tipo === 'volumen'
+        ? `El cupón ${cupon.cupon} requiere llevar ${cupon.lleva} unidades de un mismo producto`
+        : `El cupón ${cupon.cupon} no genera descuento en este carrito`;
+    }
+  }
+
+  return {
+    items: resultado.map(({ id, nombre, cantidad, precio, descuento, subtotal, promociones }) =>
+      ({ id, nombre, cantidad, precio, descuento, subtotal, promociones })),
+    subtotal: sumar(resultado, 'bruto'),
+    descuento: sumar(resultado, 'descuento'),
+    total: sumar(resultado, 'subtotal'),
+    promociones: [...aplicadas.values()],
+    errorCupon
+  };
+}
+
+function crearServicioPromociones({ repos }) {
+  async function obtener(numero) {
+    const promocion = await repos.promociones.obtener(numero);
+    if (!promocion) {
+      throw new ErrorHttp(404, `Promoción no encontrada: ${numero}`);
+    }
+    return promocion;
+  }
+
+  // Campos recibidos por la API: "hasta" sin hora incluye todo ese día
+  function prepararCampos(datos) {
+    const campos = elegirCampos(datos, CAMPOS_EDITABLES);
+    if (typeof campos.hasta === 'string') campos.hasta = leerFecha(campos.hasta, { finDelDia: true }) || campos.hasta;
+    if ('cupon' in campos) campos.cupon = normalizarCupon(campos.cupon) || undefined;
+    return campos;
+  }
+
+  async function verificarCuponLibre(codigo, numero) {
+    if (!codigo) return;
+    const existente = await repos.promociones.buscarCupon(codigo);
+    if (existente && existente.numero !== numero) {
+      throw new ErrorHttp(409, `El cupón ${codigo} ya está en uso en la promoción "${existente.nombre}"`);
+    }
+  }
+
+  async function liberarUsos(numeros) {
+    for (const numero of numeros) {
+      await repos.promociones.liberarUso(numero);
+    }
+  }
+
+  return {
+    obtener,
+    liberarUsos,
+
+    async listar(filtro = {}) {
+      return repos.promociones.listar(filtro);
+    },
+
+    async crear(datos, { usuario } = {}) {
+      const promocion = validarPromocion({
+        ...prepararCampos(datos),
+        numero: generarNumero('PRO'),
+        usos: 0,
+        creadaEn: new Date(),
+        ...(usuario && { creadaPor: usuario })
+      });
+      await verificarCuponLibre(promocion.cupon);
+      return repos.promociones.crear(promocion);
+    },
+
+    // Los campos enviados como null se quitan (p. ej. "hasta": null deja la promoción sin vencimiento)
+    async actualizar(numero, cambios) {
+      const actual = await obtener(numero);
+      const permitidos = prepararCampos(cambios);
+      if (Object.keys(permitidos).length === 0) {
+        throw new ErrorHttp(400, 'No se indicó ningún campo para actualizar', { camposEditables: CAMPOS_EDITABLES });
+      }
+
+      const validado = validarPromocion({ ...actual, ...permitidos });
+      if ('cupon' in permitidos) await verificarCuponLibre(validado.cupon, numero);
+      return repos.promociones.actualizar(numero, {
+        ...Object.fromEntries(Object.keys(permitidos).map(campo => [campo, validado[campo] ?? null])),
+        actualizadaEn: new Date()
+      });
+    },
+
+    // Precios del carrito con las promociones vigentes y el cupón (si lo hay).
+    // Un cupón que no se puede usar no impide la vista previa: se informa en "cupon.error".
+    async cotizar(items, { cupon, fecha = new Date() } = {}) {
+      const errores = [];
+      const lineas = [];
+      for (const item of items) {
+        const medicamento = await repos.medicamentos.obtener(item.id, item.nombre);
+        if (!medicamento || medicamento.activo === false) {
+          errores.push({ error: `Medicamento no encontrado: ${item.id || item.nombre}` });
+          continue;
+        }
+        lineas.push({
+          id: String(medicamento._id),
+          nombre: medicamento.nombre,
+          cantidad: item.cantidad,
+          precio: medicamento.precio,
+          categoria: medicamento.categoria,
+          controlado: Boolean(medicamento.controlado)
+        });
+      }
+      if (errores.length > 0) {
+        throw new ErrorHttp(400, 'No se pudieron calcular los precios', { errors: errores });
+      }
+
+      const activas = await repos.promociones.listar({ activa: true });
+      const automaticas = activas.filter(promocion => !promocion.cupon && !motivoNoVigente(promocion, fecha));
+
+      const codigo = normalizarCupon(cupon);
+      let promocionCupon = null;
+      let errorCupon = null;
+      if (codigo) {
+        promocionCupon = await repos.promociones.buscarCupon(codigo);
+        const motivo = promocionCupon ? motivoNoVigente(promocionCupon, fecha) : 'no existe';
+        if (motivo) errorCupon = `El cupón ${codigo} ${motivo}`;
+      }
+
+      const calculo = calcularPrecios(lineas, { automaticas, cupon: errorCupon ? null : promocionCupon });
+      const { errorCupon: errorCalculo, ...precios } = calculo;
+      errorCupon = errorCupon || errorCalculo;
+      return {
+        ...precios,
+        cupon: codigo ? { codigo, aplicado: !errorCupon, ...(errorCupon && { error: errorCupon }) } : null
+      };
+    },
+
+    // Cuenta un uso de cada promoción aplicada; si alguna se agotó mientras tanto no se cuenta ninguna
+    async registrarUsos(aplicadas) {
+      const registradas = [];
+      for (const promocion of aplicadas) {
+        if (!await repos.promociones.registrarUso(promocion.numero)) {
+          await liberarUsos(registradas);
+          throw new ErrorHttp(409, `La promoción "${promocion.nombre}" alcanzó su límite de usos. Revisa el total del carrito`);
+        }
+        registradas.push(promocion.numero);
+      }
+    }
+  };
+}
+
+module.exports = { crearServicioPromociones, calcularPrecios };
@@ -0,0 +1,238 @@
+const { ErrorHttp } = require('../utils/errores');
+
+// ==============================================
+// PROVEEDORES DE MODELOS DE LENGUAJE (SANABOT)
+// ==============================================
+// LLM_PROVEEDOR elige el proveedor principal y LLM_RESPALDO (opcional) el que se usa si el principal falla:
+//   groq   - API de Groq (GROQ_API_KEY, GROQ_MODELO)
+//   openai - cualquier endpoint compatible con OpenAI (OPENAI_API_KEY, OPENAI_URL, OPENAI_MODELO)
+//   local  - servidor local compatible con OpenAI, p. ej. Ollama o llama.cpp (LLM_LOCAL_URL, LLM_LOCAL_MODELO)
+//   falso  - respuestas deterministas sin red, para desarrollo y pruebas
+// Todos exponen completar({ mensajes, herramientas, eleccion, alToken }) y devuelven { content, tool_calls }.
+// Si se pasa alToken, la respuesta se pide en streaming y cada fragmento de texto se entrega al llegar.
+
+const ESTADOS_REINTENTABLES = [408, 429, 500, 502, 503, 504];
+
+function esperar(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Lee un cuerpo SSE de la API (líneas "data: {...}") y arma el mensaje completo
+async function leerStream(cuerpo, alToken) {
+  const decodificador = new TextDecoder();
+  const mensaje = { content: '', tool_calls: [] };
+  let pendiente = '';
+
+  for await (const fragmento of cuerpo) {
+    pendiente += decodificador.decode(fragmento, { stream: true });
+    const lineas = pendiente.split('\n');
+    pendiente = lineas.pop();
+
+    for (const linea of lineas) {
+      const datos = linea.trim();
+      if (!datos.startsWith('data:')) continue;
+      const contenido = datos.slice(5).trim();
+      if (contenido === '[DONE]') continue;
+
+      const evento = JSON.parse(contenido);
+      if (evento.error) throw new ErrorHttp(502, 'Error al conectar con el servicio de chatbot', { details: evento.error.message });
+      const delta = evento.choices?.[0]?.delta || {};
+
+      if (delta.content) {
+        mensaje.content += delta.content;
+        alToken(delta.content);
+      }
+      // Las llamadas a herramientas llegan por partes, identificadas por su índice
+      (delta.tool_calls || []).forEach(parte => {
+        const llamada = mensaje.tool_calls[parte.index] ||
+          (mensaje.tool_calls[parte.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (parte.id) llamada.id = parte.id;
+        if (parte.function?.name) llamada.function.name += parte.function.name;
+        if (parte.function?.arguments) llamada.function.arguments += parte.function.arguments;
+      });
+    }
+  }
+
+  if (mensaje.tool_calls.length === 0) delete mensaje.tool_calls;
+  return mensaje;
+}
+
+// Proveedor para cualquier API de chat compatible con OpenAI (Groq, OpenAI, Ollama, llama.cpp...)
+function crearProveedorOpenAI({ tipo = 'openai', urlBase, apiKey, modelo, timeoutMs = 30000, reintentos = 2, temperatura = 0.4 }) {
+  const url = `${urlBase.replace(/\/$/, '')}/chat/completions`;
+
+  async function intentar({ mensajes, herramientas, eleccion, alToken }) {
+    const cuerpo = { model: modelo, messages: mensajes, temperature: temperatura };
+    if (herramientas) {
+      cuerpo.tools = herramientas;
+      cuerpo.tool_choice = eleccion;
+    }
+    if (alToken) cuerpo.stream = true;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(cuerpo),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      const agotado = error.name === 'TimeoutError';
+      throw new ErrorHttp(agotado ? 504 : 502, 'Error al conectar con el servicio de chatbot', {
+        details: agotado ? `Sin respuesta de ${tipo} en ${timeoutMs} ms` : error.message
+      });
+    }
+
+    if (!response.ok) {
+      const errText = await response.text();
+      console.error(`Error en API de ${tipo}:`, errText);
+      throw new ErrorHttp(response.status, 'Error al conectar con el servicio de chatbot', {
+        details: process.env.NODE_ENV === 'development' ? errText : undefined
+      });
+    }
+
+    if (alToken) return leerStream(response.body, alToken);
+    const data = await response.json();
+    return data.choices?.[0]?.message || {};
+  }
+
+  return {
+    tipo,
+    modelo,
+
+    // Reintenta errores transitorios con espera creciente, salvo que ya se haya enviado texto al cliente
+    async completar(opciones) {
+      let emitido = false;
+      const alToken = opciones.alToken && (texto => {
+        emitido = true;
+        opciones.alToken(texto);
+      });
+
+      for (let intento = 0; ; intento++) {
+        try {
+          return await intentar({ eleccion: 'auto', ...opciones, alToken });
+        } catch (error) {
+          const transitorio = !error.status || ESTADOS_REINTENTABLES.includes(error.status);
+          if (emitido || !transitorio || intento >= reintentos) throw error;
+          console.warn(`Reintentando ${tipo} (${intento + 1}/${reintentos}): ${error.details || error.message}`);
+          await esperar(500 * 2 ** intento);
+        }
+      }
+    }
+  };
+}
+
+// Respuestas deterministas: repite la última pregunta. Con "respuestas" se puede fijar un guion de mensajes.
+function crearProveedorFalso({ respuestas = [] } = {}) {
+  const guion = [...respuestas];
+  return {
+    tipo: 'falso',
+    modelo: 'falso',
+
+    async completar({ mensajes, alToken }) {
+      const ultimo = [...mensajes].reverse().find(m => m.role === 'user');
+      const mensaje = guion.length > 0
+        ? guion.shift()
+        : { content: `Respuesta de prueba a: ${ultimo ? ultimo.content : ''}` };
+
+      if (alToken && mensaje.content) {
+        mensaje.content.split(/(?<=\s)/).forEach(parte => alToken(parte));
+      }
+      return { ...mensaje };
+    }
+  };
+}
+
+// Usa el primer proveedor y, si falla antes de enviar texto, el siguiente
+function crearProveedorConRespaldo(proveedores) {
+  if (proveedores.length === 1) return proveedores[0];
+  return {
+    tipo: proveedores.map(p => p.tipo).join('>'),
+    modelo: proveedores[0].modelo,
+
+    async completar(opciones) {
+      let emitido = false;
+      const alToken = opciones.alToken && (texto => {
+        emitido = true;
+        opciones.alToken(texto);
+      });
+
+      for (let i = 0; ; i++) {
+        try {
+          return await proveedores[i].completar({ ...opciones, alToken });
+        } catch (error) {
+          if (emitido || i === proveedores.length - 1) throw error;
+          console.warn(`Proveedor ${proveedores[i].tipo} falló (${error.message}); se usa ${proveedores[i + 1].tipo}`);
+        }
+      }
+    }
+  };
+}
+
+// Proveedor de un tipo según las variables de entorno; null si le falta configuración
+function crearProveedorPorTipo(tipo, env) {
+  const comunes = {
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000,
+    reintentos: env.LLM_REINTENTOS !== undefined ? Number(env.LLM_REINTENTOS) : 2
+  };
+
+  switch (tipo) {
+    case 'groq':
+      if (!env.GROQ_API_KEY) return null;
+      return crearProveedorOpenAI({
+        ...comunes,
+        tipo,
+        urlBase: 'https://api.groq.com/openai/v1',
+        apiKey: env.GROQ_API_KEY,
+        modelo: env.GROQ_MODELO || 'llama3-70b-8192'
+      });
+    case 'openai':
+      if (!env.OPENAI_API_KEY) return null;
+      return crearProveedorOpenAI({
+        ...comunes,
+        tipo,
+        urlBase: env.OPENAI_URL || 'https://api.openai.com/v1',
+        apiKey: env.OPENAI_API_KEY,
+        modelo: env.OPENAI_MODELO || 'gpt-4o-mini'
+      });
+    case 'local':
+      return crearProveedorOpenAI({
+        ...comunes,
+        tipo,
+        urlBase: env.LLM_LOCAL_URL || 'http://localhost:11434/v1',
+        modelo: env.LLM_LOCAL_MODELO || 'llama3.1'
+      });
+    case 'falso':
+      return crearProveedorFalso();
+    default:
+      throw new Error(`Proveedor de LLM desconocido: ${tipo}`);
+  }
+}
+
+// Proveedor configurado (con respaldo si LLM_RESPALDO está definido); null si ninguno está disponible
+function crearProveedorLLM(env = process.env) {
+  const tipos = [env.LLM_PROVEEDOR || 'groq', env.LLM_RESPALDO]
+    .filter(Boolean)
+    .map(tipo => tipo.toLowerCase());
+
+  const proveedores = tipos
+    .map(tipo => {
+      const proveedor = crearProveedorPorTipo(tipo, env);
+      if (!proveedor) console.warn(`Proveedor de LLM "${tipo}" sin credenciales: no se usará`);
+      return proveedor;
+    })
+    .filter(Boolean);
+
+  return proveedores.length > 0 ? crearProveedorConRespaldo(proveedores) : null;
+}
+
+module.exports = {
+  crearProveedorLLM,
+  crearProveedorOpenAI,
+  crearProveedorFalso,
+  crearProveedorConRespaldo
+};
@@ -0,0 +1,198 @@
+const { ErrorHttp } = require('../utils/errores');
+const { generarNumero } = require('../utils/numeros');
+
+// Flujo de recetas para medicamentos controlados:
+// el cliente envía la receta (pendiente), el farmacéutico la aprueba o rechaza,
+// y solo una receta aprobada permite incluir el medicamento en un pedido (queda utilizada).
+
+const TIPOS_IMAGEN = ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'];
+const IMAGEN_MAX_BYTES = 2 * 1024 * 1024;
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// La imagen llega como data URL: "data:image/jpeg;base64,...."
+function validarImagen(imagen) {
+  const partes = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(imagen || ''));
+  if (!partes) return 'La imagen de la receta es obligatoria (data URL en base64)';
+  if (!TIPOS_IMAGEN.includes(partes[1])) return `Tipo de archivo no permitido: ${partes[1]}`;
+  if (Buffer.byteLength(partes[2], 'base64') > IMAGEN_MAX_BYTES) return 'La imagen supera los 2 MB';
+  return null;
+}
+
+// Sin la imagen (para listados y consultas del cliente)
+function resumen(receta) {
+  if (!receta) return null;
+  const { imagen, ...resto } = receta;
+  return resto;
+}
+
+function crearServicioRecetas({ repos, vigenciaDias = 30 }) {
+  async function obtener(numero) {
+    const receta = await repos.recetas.obtener(numero);
+    if (!receta) {
+      throw new ErrorHttp(404, `Receta no encontrada: ${numero}`);
+    }
+    return receta;
+  }
+
+  function vencida(receta, ahora = new Date()) {
+    return new Date(receta.fechaEmision).getTime() + vigenciaDias * DIA_MS < ahora.getTime();
+  }
+
+  // Errores de receta de los items controlados; los demás items no se revisan aquí.
+  // La receta solo sirve a la sesión que la envió, salvo que el pedido lo haga el personal ("personal").
+  // Varias líneas con la misma receta no pueden superar la cantidad recetada.
+  async function verificarItems(items, sessionId, { personal = false } = {}) {
+    const errores = [];
+    const usadoPorReceta = {};
+
+    for (const item of items) {
+      const medicamento = await repos.medicamentos.obtener(item.id, item.nombre);
+      if (!medicamento || !medicamento.controlado) continue;
+
+      const base = { id: item.id, nombre: medicamento.nombre, valido: false };
+      if (!item.receta) {
+        errores.push({ ...base, error: 'Medicamento controlado: requiere una receta aprobada' });
+        continue;
+      }
+
+      const receta = await repos.recetas.obtener(String(item.receta));
+      if (!receta || receta.medicamentoId !== String(medicamento._id) ||
+          (!personal && (!sessionId || receta.sessionId !== sessionId))) {
+        errores.push({ ...base, error: `La receta ${item.receta} no corresponde a este medicamento` });
+        continue;
+      }
+      if (receta.estado !== 'aprobada') {
+        errores.push({ ...base, error: `La receta ${receta.numero} no está aprobada (estado: ${receta.estado})` });
+        continue;
+      }
+      if (vencida(receta)) {
+        errores.push({ ...base, error: `La receta ${receta.numero} está vencida` });
+        continue;
+      }
+
+      usadoPorReceta[receta.numero] = (usadoPorReceta[receta.numero] || 0) + (Number(item.cantidad) || 0);
+      if (usadoPorReceta[receta.numero] > receta.cantidad) {
+        errores.push({ ...base, error: `La receta ${receta.numero} autoriza como máximo ${receta.cantidad} unidades` });
+      }
+    }
+
+    return errores;
+  }
+
+  // Devuelve recetas utilizadas a "aprobada" (pedido fallido o cancelado)
+  async function liberar(numeros) {
+    for (const numero of numeros) {
+      await repos.recetas.cambiarEstado(numero, {
+        desde: 'utilizada',
+        cambios: { estado: 'aprobada', pedidoNumero: undefined }
+      });
+    }
+  }
+
+  return {
+    obtener,
+    resumen,
+    verificarItems,
+
+    // Registra una receta enviada por el cliente para un medicamento controlado; queda ligada a su sesión
+    async crear(datos = {}) {
+      const errores = [];
+      const cantidad = Number(datos.cantidad);
+      const fechaEmision = new Date(datos.fechaEmision);
+      const texto = campo => String(datos[campo] || '').trim();
+
+      if (!Number.isInteger(cantidad) || cantidad <= 0) errores.push('La cantidad debe ser un entero mayor a cero');
+      if (!texto('medico')) errores.push('El nombre del médico es obligatorio');
+      if (!texto('matricula')) errores.push('La matrícula del médico es obligatoria');
+      if (!texto('paciente')) errores.push('El nombre del paciente es obligatorio');
+      if (isNaN(fechaEmision.getTime())) {
+        errores.push('La fecha de emisión es obligatoria');
+      } else if (fechaEmision > new Date()) {
+        errores.push('La fecha de emisión no puede ser futura');
+      } else if (vencida({ fechaEmision })) {
+        errores.push(`La receta tiene más de ${vigenciaDias} días`);
+      }
+      const errorImagen = validarImagen(datos.imagen);
+      if (errorImagen) errores.push(errorImagen);
+
+      if (errores.length > 0) {
+        throw new ErrorHttp(400, 'Datos de receta inválidos', { errores: errores.map(mensaje => ({ mensaje })) });
+      }
+
+      const medicamento = await repos.medicamentos.obtener(datos.medicamentoId);
+      if (!medicamento || medicamento.activo === false) {
+        throw new ErrorHttp(404, `Medicamento no encontrado: ${datos.medicamentoId}`);
+      }
+      if (!medicamento.controlado) {
+        throw new ErrorHttp(400, `${medicamento.nombre} no es un medicamento controlado, no requiere receta`);
+      }
+
+      const ahora = new Date();
+      const receta = await repos.recetas.crear({
+        numero: generarNumero('REC'),
+        sessionId: datos.sessionId,
+        medicamentoId: String(medicamento._id),
+        medicamentoNombre: medicamento.nombre,
+        cantidad,
+        medico: texto('medico'),
+        matricula: texto('matricula'),
+        fechaEmision,
+        paciente: texto('paciente'),
+        imagen: datos.imagen,
+        estado: 'pendiente',
+        creadaEn: ahora
+      });
+      return resumen(receta);
+    },
+
+    async listar(filtro) {
+      return (await repos.recetas.listar(filtro)).map(resumen);
+    },
+
+    // Aprobación o rechazo por el farmacéutico; rechazar exige un motivo
+    async revisar(numero, { aprobar, motivo, usuario }) {
+      const receta = await obtener(numero);
+      if (receta.estado !== 'pendiente') {
+        throw new ErrorHttp(409, `La receta ya fue revisada (estado: ${receta.estado})`);
+      }
+      if (!aprobar && !String(motivo || '').trim()) {
+        throw new ErrorHttp(400, 'Indica el motivo del rechazo');
+      }
+
+      const revisada = await repos.recetas.cambiarEstado(numero, {
+        desde: 'pendiente',
+        cambios: {
+          estado: aprobar ? 'aprobada' : 'rechazada',
+          revisadaPor: usuario,
+          revisadaEn: new Date(),
+          motivoRechazo: aprobar ? undefined : String(motivo).trim()
+        }
+      });
+      if (!revisada) {
+        throw new ErrorHttp(409, 'La receta fue modificada por otra operación, intenta nuevamente');
+      }
+      return resumen(revisada);
+    },
+
+    // Marca como utilizadas las recetas de un pedido (todo o nada)
+    async utilizar(numeros, pedidoNumero) {
+      const marcadas = [];
+      for (const numero of numeros) {
+        const receta = await repos.recetas.cambiarEstado(numero, {
+          desde: 'aprobada',
+          cambios: { estado: 'utilizada', pedidoNumero }
+        });
+        if (!receta) {
+          await liberar(marcadas);
+          throw new ErrorHttp(409, `La receta ${numero} ya fue utilizada en otro pedido`);
+        }
+        marcadas.push(numero);
+      }
+      return marcadas;
+    },
+
+    liberar
+  };
+}
+
+module.exports = { crearServicioRecetas, validarImagen };
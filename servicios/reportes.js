@@ -0,0 +1,333 @@
+const { ErrorHttp } = require('../utils/errores');
+const { aCsv } = require('../utils/csv');
+const { leerFecha, desfaseDe } = require('../utils/fechas');
+
+// ==============================================
+// REPORTES DE VENTAS E INVENTARIO
+// ==============================================
+// Las ventas son los pedidos no cancelados, agrupados por la fecha local (zonaHoraria) en que se hicieron.
+// "ventas" es lo cobrado por los productos (con descuentos, sin el envío) y "bruto" lo mismo a precio de lista.
+// Una línea es de un controlado si se vendió con receta o si el producto es controlado en el catálogo.
+// El inventario valoriza el stock vendible al costo de compra y al precio de venta; los lotes vencidos van aparte
+// y los productos sin costo cargado no suman al valor al costo.
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const PERIODOS = ['dia', 'semana', 'mes'];
+const ORDENES = ['unidades', 'ventas'];
+// Días hacia atrás cuando no se indica "desde"
+const DIAS_POR_DEFECTO = { dia: 30, semana: 12 * 7, mes: 365 };
+
+function redondear(monto) {
+  return Math.round(monto * 100) / 100;
+}
+
+function brutoDe(item) {
+  return item.precio * item.cantidad;
+}
+
+function cobradoDe(item) {
+  return item.subtotal ?? brutoDe(item);
+}
+
+const COLUMNAS = {
+  ventas: [
+    { titulo: 'Período', valor: f => f.periodo },
+    { titulo: 'Pedidos', valor: f => f.pedidos },
+    { titulo: 'Unidades', valor: f => f.unidades },
+    { titulo: 'Bruto', valor: f => f.bruto },
+    { titulo: 'Descuentos', valor: f => f.descuento },
+    { titulo: 'Ventas', valor: f => f.ventas },
+    { titulo: 'Envíos', valor: f => f.envios },
+    { titulo: 'Ticket promedio', valor: f => f.ticketPromedio }
+  ],
+  productos: [
+    { titulo: 'id', valor: f => f.id },
+    { titulo: 'Producto', valor: f => f.nombre },
+    { titulo: 'Categoría', valor: f => f.categoria },
+    { titulo: 'Controlado', valor: f => (f.controlado ? 'sí' : 'no') },
+    { titulo: 'Pedidos', valor: f => f.pedidos },
+    { titulo: 'Unidades', valor: f => f.unidades },
+    { titulo: 'Ventas', valor: f => f.ventas }
+  ],
+  controlados: [
+    { titulo: 'Categoría', valor: f => f.nombre },
+    { titulo: 'Controlado', valor: f => (f.controlado ? 'sí' : 'no') },
+    { titulo: 'Productos', valor: f => f.productos },
+    { titulo: 'Pedidos', valor: f => f.pedidos },
+    { titulo: 'Unidades', valor: f => f.unidades },
+    { titulo: 'Ventas', valor: f => f.ventas },
+    { titulo: '% de las ventas', valor: f => f.porcentaje }
+  ],
+  inventario: [
+    { titulo: 'id', valor: f => f.id },
+    { titulo: 'Producto', valor: f => f.nombre },
+    { titulo: 'Categoría', valor: f => f.categoria },
+    { titulo: 'Stock', valor: f => f.stock },
+    { titulo: 'Vencido', valor: f => f.stockVencido },
+    { titulo: 'Costo', valor: f => f.costo },
+    { titulo: 'Precio', valor: f => f.precio },
+    { titulo: 'Valor al costo', valor: f => f.valorCosto },
+    { titulo: 'Valor de venta', valor: f => f.valorVenta }
+  ],
+  sinMovimiento: [
+    { titulo: 'id', valor: f => f.id },
+    { titulo: 'Producto', valor: f => f.nombre },
+    { titulo: 'Categoría', valor: f => f.categoria },
+    { titulo: 'Stock', valor: f => f.stock },
+    { titulo: 'Última venta', valor: f => f.ultimaVenta },
+    { titulo: 'Días sin venta', valor: f => f.diasSinVenta },
+    { titulo: 'Valor al costo', valor: f => f.valorCosto },
+    { titulo: 'Valor de venta', valor: f => f.valorVenta }
+  ]
+};
+
+function crearServicioReportes({ repos, clasificador, zonaHoraria = '-04:00' }) {
+  const desfase = desfaseDe(zonaHoraria);
+
+  // Fecha en la hora local de la farmacia (se leen sus campos UTC)
+  function local(fecha) {
+    return new Date(new Date(fecha).getTime() + desfase * 60000);
+  }
+
+  // "2025-06-30" es ese día en la hora local; una fecha con hora se toma tal cual
+  function leerLimite(valor, { finDelDia = false } = {}) {
+    const fecha = leerFecha(valor, { finDelDia });
+    if (fecha && /^\d{4}-\d{2}-\d{2}$/.test(valor)) return new Date(fecha.getTime() - desfase * 60000);
+    return fecha;
+  }
+
+  function leerRango({ desde, hasta }, diasPorDefecto, ahora = new Date()) {
+    const fin = leerLimite(hasta, { finDelDia: true }) || ahora;
+    const inicio = leerLimite(desde) || new Date(fin.getTime() - diasPorDefecto * DIA_MS);
+    if (inicio > fin) {
+      throw new ErrorHttp(400, 'La fecha "desde" debe ser anterior a "hasta"');
+    }
+    return { desde: inicio, hasta: fin };
+  }
+
+  // Día (2025-06-30), semana (la fecha de su lunes) o mes (2025-06)
+  function claveDe(fecha, periodo) {
+    const dia = local(fecha);
+    if (periodo === 'mes') return dia.toISOString().slice(0, 7);
+    if (periodo === 'semana') {
+      const lunes = new Date(dia.getTime() - ((dia.getUTCDay() + 6) % 7) * DIA_MS);
+      return lunes.toISOString().slice(0, 10);
+    }
+    return dia.toISOString().slice(0, 10);
+  }
+
+  // Todos los períodos del rango, también los que no tienen ventas
+  function periodosEntre({ desde, hasta }, periodo) {
+    const claves = new Set();
+    for (let t = desde.getTime(); t <= hasta.getTime(); t += DIA_MS) claves.add(claveDe(new Date(t), periodo));
+    claves.add(claveDe(hasta, periodo));
+    return [...claves];
+  }
+
+  function nombreCategoria(clave) {
+    const categoria = clasificador.categorias.find(c => c.clave === clave);
+    return categoria ? categoria.nombre : 'Sin clasificar';
+  }
+
+  // Catálogo completo (incluye inactivos) por id
+  async function catalogoPorId() {
+    const medicamentos = await repos.medicamentos.listar({});
+    return new Map(medicamentos.map(med => [String(med._id), med]));
+  }
+
+  // Stock vendible valorizado; sin costo cargado, valorCosto es null
+  function valorizar(med) {
+    const costo = typeof med.costo === 'number' ? med.costo : null;
+    return {
+      id: String(med._id),
+      nombre: med.nombre,
+      categoria: nombreCategoria(med.categoria),
+      stock: med.stock,
+      stockVencido: med.stockVencido || 0,
+      costo,
+      precio: med.precio,
+      valorCosto: costo === null ? null : redondear(med.stock * costo),
+      valorVenta: redondear(med.stock * med.precio)
+    };
+  }
+
+  function sumarValores(filas) {
+    const conCosto = filas.filter(f => f.valorCosto !== null);
+    return {
+      productos: filas.length,
+      unidades: filas.reduce((suma, f) => suma + f.stock, 0),
+      valorCosto: redondear(conCosto.reduce((suma, f) => suma + f.valorCosto, 0)),
+      valorVenta: redondear(filas.reduce((suma, f) => suma + f.valorVenta, 0)),
+      sinCosto: filas.length - conCosto.length
+    };
+  }
+
+  return {
+    // Ventas por día, semana o mes
+    async ventas({ periodo = 'dia', desde, hasta } = {}) {
+      if (!PERIODOS.includes(periodo)) {
+        throw new ErrorHttp(400, `Período inválido: ${periodo}`, { periodosValidos: PERIODOS });
+      }
+      const rango = leerRango({ desde, hasta }, DIAS_POR_DEFECTO[periodo]);
+      const vacia = () => ({ pedidos: 0, unidades: 0, bruto: 0, ventas: 0, envios: 0 });
+      const grupos = new Map(periodosEntre(rango, periodo).map(clave => [clave, vacia()]));
+      const totales = vacia();
+
+      for (const pedido of await repos.pedidos.listarVentas(rango)) {
+        const clave = claveDe(pedido.creadoEn, periodo);
+        if (!grupos.has(clave)) grupos.set(clave, vacia());
+        [grupos.get(clave), totales].forEach(grupo => {
+          grupo.pedidos++;
+          pedido.items.forEach(item => {
+            grupo.unidades += item.cantidad;
+            grupo.bruto += brutoDe(item);
+            grupo.ventas += cobradoDe(item);
+          });
+          grupo.envios += pedido.entrega?.costo || 0;
+        });
+      }
+
+      const completar = grupo => ({
+        pedidos: grupo.pedidos,
+        unidades: grupo.unidades,
+        bruto: redondear(grupo.bruto),
+        descuento: redondear(grupo.bruto - grupo.ventas),
+        ventas: redondear(grupo.ventas),
+        envios: redondear(grupo.envios),
+        ticketPromedio: grupo.pedidos > 0 ? redondear(grupo.ventas / grupo.pedidos) : 0
+      });
+      return {
+        periodo,
+        zonaHoraria,
+        ...rango,
+        filas: [...grupos.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([clave, grupo]) => ({ periodo: clave, ...completar(grupo) })),
+        totales: completar(totales)
+      };
+    },
+
+    // Productos más vendidos por unidades o por monto vendido
+    async productos({ desde, hasta, orden = 'unidades', limite = 10 } = {}) {
+      if (!ORDENES.includes(orden)) {
+        throw new ErrorHttp(400, `Orden inválido: ${orden}`, { ordenesValidos: ORDENES });
+      }
+      const rango = leerRango({ desde, hasta }, DIAS_POR_DEFECTO.dia);
+      const [catalogo, pedidos] = await Promise.all([catalogoPorId(), repos.pedidos.listarVentas(rango)]);
+
+      const productos = new Map();
+      pedidos.forEach(pedido => pedido.items.forEach(item => {
+        const id = String(item.id);
+        const med = catalogo.get(id);
+        if (!productos.has(id)) {
+          productos.set(id, {
+            id,
+            nombre: med ? med.nombre : item.nombre,
+            categoria: nombreCategoria(med && med.categoria),
+            controlado: Boolean(item.receta || (med && med.controlado)),
+            pedidos: new Set(),
+            unidades: 0,
+            ventas: 0
+          });
+        }
+        const producto = productos.get(id);
+        producto.pedidos.add(pedido.numero);
+        producto.unidades += item.cantidad;
+        producto.ventas += cobradoDe(item);
+      }));
+
+      const otro = orden === 'unidades' ? 'ventas' : 'unidades';
+      const filas = [...productos.values()]
+        .map(producto => ({ ...producto, pedidos: producto.pedidos.size, ventas: redondear(producto.ventas) }))
+        .sort((a, b) => b[orden] - a[orden] || b[otro] - a[otro] || a.nombre.localeCompare(b.nombre));
+      return { ...rango, orden, limite, totalProductos: filas.length, filas: filas.slice(0, limite) };
+    },
+
+    // Ventas de controlados y no controlados, con el detalle por categoría regulatoria
+    async controlados({ desde, hasta } = {}) {
+      const rango = leerRango({ desde, hasta }, DIAS_POR_DEFECTO.dia);
+      const [catalogo, pedidos] = await Promise.all([catalogoPorId(), repos.pedidos.listarVentas(rango)]);
+      const vacio = () => ({ productos: new Set(), pedidos: new Set(), unidades: 0, ventas: 0 });
+      const resumen = { controlados: vacio(), noControlados: vacio() };
+      const categorias = new Map();
+
+      pedidos.forEach(pedido => pedido.items.forEach(item => {
+        const med = catalogo.get(String(item.id));
+        const controlado = Boolean(item.receta || (med && med.controlado));
+        const clave = (med && med.categoria) || '';
+        if (!categorias.has(`${clave}|${controlado}`)) {
+          categorias.set(`${clave}|${controlado}`, { categoria: clave || null, nombre: nombreCategoria(clave), controlado, ...vacio() });
+        }
+        [resumen[controlado ? 'controlados' : 'noControlados'], categorias.get(`${clave}|${controlado}`)].forEach(grupo => {
+          grupo.productos.add(String(item.id));
+          grupo.pedidos.add(pedido.numero);
+          grupo.unidades += item.cantidad;
+          grupo.ventas += cobradoDe(item);
+        });
+      }));
+
+      const total = resumen.controlados.ventas + resumen.noControlados.ventas;
+      const completar = grupo => ({
+        ...grupo,
+        productos: grupo.productos.size,
+        pedidos: grupo.pedidos.size,
+        ventas: redondear(grupo.ventas),
+        porcentaje: total > 0 ? redondear(grupo.ventas * 100 / total) : 0
+      });
+      return {
+        ...rango,
+        resumen: { controlados: completar(resumen.controlados), noControlados: completar(resumen.noControlados) },
+        filas: [...categorias.values()].map(completar).sort((a, b) => b.ventas - a.ventas)
+      };
+    },
+
+    // Valor del stock de los productos activos, del más valioso al menos valioso
+    async inventario() {
+      const medicamentos = await repos.medicamentos.listar({ activo: true });
+      const filas = medicamentos
+        .filter(med => med.stock > 0 || med.stockVencido > 0)
+        .map(valorizar)
+        .sort((a, b) => b.valorVenta - a.valorVenta || a.nombre.localeCompare(b.nombre));
+      const vencidos = filas.filter(f => f.stockVencido > 0);
+      return {
+        fecha: new Date(),
+        filas,
+        totales: {
+          ...sumarValores(filas),
+          unidadesVencidas: vencidos.reduce((suma, f) => suma + f.stockVencido, 0),
+          valorVencidoCosto: redondear(vencidos.reduce((suma, f) => suma + f.stockVencido * (f.costo || 0), 0))
+        }
+      };
+    },
+
+    // Productos activos con stock y sin ventas en los últimos "dias", del de más valor inmovilizado al de menos
+    async sinMovimiento({ dias = 30, ahora = new Date() } = {}) {
+      const desde = new Date(ahora.getTime() - dias * DIA_MS);
+      const [medicamentos, vendidas, ultimas] = await Promise.all([
+        repos.medicamentos.listar({ activo: true }),
+        repos.pedidos.unidadesVendidas({ desde }),
+        repos.pedidos.ultimasVentas()
+      ]);
+
+      const filas = medicamentos
+        .filter(med => med.stock > 0 && !vendidas[String(med._id)])
+        .map(med => {
+          const ultima = ultimas[String(med._id)] ? new Date(ultimas[String(med._id)]) : null;
+          return {
+            ...valorizar(med),
+            ultimaVenta: ultima,
+            diasSinVenta: ultima ? Math.floor((ahora - ultima) / DIA_MS) : null
+          };
+        })
+        .sort((a, b) => b.valorVenta - a.valorVenta || a.nombre.localeCompare(b.nombre));
+      return { dias, desde, filas, totales: sumarValores(filas) };
+    },
+
+    // CSV de las filas de un reporte
+    aCsv(tipo, reporte) {
+      return aCsv(reporte.filas, COLUMNAS[tipo]);
+    }
+  };
+}
+
+module.exports = { crearServicioReportes, PERIODOS, ORDENES };
@@ -0,0 +1,210 @@
+const { ErrorHttp } = require('../utils/errores');
+
+// Reservas temporales de stock por sesión.
+// Mientras una reserva está vigente, esas unidades no están disponibles para otras sesiones.
+// Los medicamentos controlados solo se reservan con una receta aprobada (servicios/recetas.js).
+// Cada sesión puede retener como máximo "maximoUnidades" unidades en total.
+function crearServicioReservas({ repos, recetas, minutos = 15, maximoUnidades = 100 }) {
+  // Unidades retenidas por id de medicamento, sin contar las de la sesión indicada
+  async function retenidoPorOtros(sessionId) {
+    const retenido = {};
+    const vigentes = await repos.reservas.listarVigentes();
+    vigentes
+      .filter(reserva => reserva.sessionId !== sessionId)
+      .forEach(reserva => {
+        reserva.items.forEach(item => {
+          retenido[item.id] = (retenido[item.id] || 0) + item.cantidad;
+        });
+      });
+    return retenido;
+  }
+
+  function disponibleDe(medicamento, retenido) {
+    return Math.max((Number(medicamento.stock) || 0) - (retenido[medicamento._id] || 0), 0);
+  }
+
+  async function buscarMedicamento(item) {
+    try {
+      return { medicamento: await repos.medicamentos.obtener(item.id, item.nombre) };
+    } catch (error) {
+      console.error(`Error verificando item ${item.id}:`, error);
+      return { fallo: true };
+    }
+  }
+
+  // Valida cada item contra el stock disponible para la sesión.
+  // Las líneas que repiten un producto se suman: juntas no pueden superar su stock.
+  async function verificarItems(items, sessionId) {
+    if (!items.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      throw new ErrorHttp(400, 'Cada item debe ser un objeto con id o nombre y cantidad');
+    }
+    const retenido = await retenidoPorOtros(sessionId);
+    const encontrados = await Promise.all(items.map(buscarMedicamento));
+
+    const pedidoPorProducto = {};
+    encontrados.forEach(({ medicamento }, i) => {
+      if (!medicamento) return;
+      pedidoPorProducto[medicamento._id] = (pedidoPorProducto[medicamento._id] || 0) + (Number(items[i].cantidad) || 0);
+    });
+
+    return items.map((item, i) => {
+      const { medicamento, fallo } = encontrados[i];
+      if (fallo) {
+        return {
+          id: item.id,
+          error: 'Error al verificar stock',
+          valido: false
+        };
+      }
+
+      if (!medicamento || medicamento.activo === false) {
+        return {
+          id: item.id,
+          error: 'Medicamento no encontrado',
+          valido: false
+        };
+      }
+
+      const cantidad = Number(item.cantidad) || 0;
+      const stockDisponible = disponibleDe(medicamento, retenido);
+      const cantidadTotal = pedidoPorProducto[medicamento._id];
+
+      if (!Number.isInteger(cantidad) || cantidad <= 0) {
+        return {
+          id: item.id,
+          nombre: medicamento.nombre,
+          error: 'Cantidad inválida',
+          valido: false
+        };
+      }
+
+      if (stockDisponible < cantidadTotal) {
+        return {
+          id: item.id,
+          nombre: medicamento.nombre,
+          error: cantidadTotal > cantidad
+            ? `Stock insuficiente. Disponible: ${stockDisponible} (el carrito suma ${cantidadTotal})`
+            : `Stock insuficiente. Disponible: ${stockDisponible}`,
+          valido: false,
+          stockDisponible
+        };
+      }
+
+      return {
+        id: item.id || medicamento._id,
+        medicamentoId: medicamento._id,
+        nombre: medicamento.nombre,
+        precio: medicamento.precio,
+        cantidad,
+        receta: item.receta,
+        stockDisponible,
+        valido: true
+      };
+    });
+  }
+
+  // Guarda la reserva de la sesión a partir de items ya verificados
+  async function retener(sessionId, resultados) {
+    // Agrupar por medicamento por si el carrito repite un producto
+    const agrupados = {};
+    resultados.forEach(r => {
+      if (!agrupados[r.medicamentoId]) {
+        agrupados[r.medicamentoId] = { id: r.medicamentoId, nombre: r.nombre, cantidad: 0 };
+      }
+      // Se guarda la receta para poder volver a verificar la reserva (p. ej. al sumar items desde el chat)
+      if (r.receta) agrupados[r.medicamentoId].receta = r.receta;
+      agrupados[r.medicamentoId].cantidad += r.cantidad;
+    });
+
+    const ahora = new Date();
+    return repos.reservas.guardar({
+      sessionId,
+      items: Object.values(agrupados),
+      creadaEn: ahora,
+      expiraEn: new Date(ahora.getTime() + minutos * 60000)
+    });
+  }
+
+  // Verifica los items y, si todos son válidos y hay sesión, los reserva
+  async function verificarYReservar(items, sessionId) {
+    const resultados = await verificarItems(items, sessionId);
+    const errores = [
+      ...resultados.filter(r => !r.valido),
+      ...await recetas.verificarItems(items, sessionId)
+    ];
+    const unidades = resultados.filter(r => r.valido).reduce((suma, r) => suma + r.cantidad, 0);
+    if (sessionId && unidades > maximoUnidades) {
+      errores.push({ error: `Se pueden reservar como máximo ${maximoUnidades} unidades por carrito`, valido: false });
+    }
+    if (errores.length > 0 || !sessionId) {
+      return { resultados, errores, reserva: null };
+    }
+    return { resultados, errores, reserva: await retener(sessionId, resultados) };
+  }
+
+  // Crea o reemplaza (y extiende) la reserva de la sesión con los items del carrito
+  async function reservar(sessionId, items) {
+    if (!sessionId) {
+      throw new ErrorHttp(400, 'Se requiere sessionId para reservar');
+    }
+
+    if (items.length === 0) {
+      await repos.reservas.eliminar(sessionId);
+      return null;
+    }
+
+    const { errores, reserva } = await verificarYReservar(items, sessionId);
+    if (errores.length > 0) {
+      throw new ErrorHttp(400, 'Problemas con el stock', { errors: errores });
+    }
+    return reserva;
+  }
+
+  return {
+    retenidoPorOtros,
+    verificarItems,
+    verificarYReservar,
+    reservar,
+
+    async obtener(sessionId) {
+      const reserva = await repos.reservas.obtener(sessionId);
+      if (!reserva || new Date(reserva.expiraEn) <= new Date()) return null;
+      return reserva;
+    },
+
+    async liberar(sessionId) {
+      return repos.reservas.eliminar(sessionId);
+    },
+
+    // Pasa la reserva vigente de una sesión a otra (reemplaza la que tuviera la de destino)
+    async cambiarSesion(desde, hacia) {
+      const reserva = await repos.reservas.obtener(desde);
+      if (!reserva || new Date(reserva.expiraEn) <= new Date()) return null;
+      const movida = await repos.reservas.guardar({ ...reserva, sessionId: hacia });
+      await repos.reservas.eliminar(desde);
+      return movida;
+    },
+
+    // Ajusta el stock mostrado descontando lo reservado por otras sesiones
+    async conStockDisponible(medicamentos, sessionId) {
+      const retenido = await retenidoPorOtros(sessionId);
+      return medicamentos.map(med => ({ ...med, stock: disponibleDe(med, retenido) }));
+    },
+
+    // Borra periódicamente las reservas vencidas
+    iniciarLimpieza(intervaloMs = 60000) {
+      const timer = setInterval(async () => {
+        try {
+          const borradas = await repos.reservas.eliminarVencidas();
+          if (borradas > 0) console.log(`Reservas vencidas liberadas: ${borradas}`);
+        } catch (error) {
+          console.error('Error limpiando reservas:', error);
+        }
+      }, intervaloMs);
+      timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { crearServicioReservas };
@@ -0,0 +1,304 @@
+const { ErrorHttp } = require('../utils/errores');
+
+// ==============================================
+// SANABOT: conversación con el modelo de lenguaje
+// ==============================================
+// La misma lógica atiende el chat web (/chat) y WhatsApp (/webhooks/whatsapp);
+// cada canal identifica la conversación con su propio sessionId.
+// El modelo lo pone el proveedor configurado (servicios/proveedoresLLM.js).
+// Las conversaciones se guardan en el almacenamiento, vencen tras horasSesion sin actividad
+// y solo conservan los últimos maximoMensajes; lo anterior queda resumido.
+
+const PROMPT_SISTEMA = `Eres SANABOT, un asistente farmacéutico experto, amable y claro.
+Responde preguntas sobre medicamentos, enfermedades comunes y formas de administración de manera concisa y comprensible.
+Evita respuestas largas, necesito respuestas puntuales de maximo 5 lineas. Si la pregunta no tiene sentido, responde con amabilidad.
+Si es sobre síntomas, puedes dar sugerencias generales, pero siempre recalca que se debe consultar con un profesional de salud.
+En el primer mensaje, saluda con: "Hola, soy SANABOT! Tu asistente virtual."`;
+
+const PROMPT_HERRAMIENTAS = `Tienes herramientas para consultar el catálogo de FarmaUPSA.
+Antes de mencionar precios, stock o productos de la farmacia, consúltalos con las herramientas y usa solo esos datos; nunca los inventes.
+Si un producto no aparece en las herramientas, di que no está disponible por este medio.
+Nunca ofrezcas ni recomiendes medicamentos controlados: requieren receta y deben gestionarse con la farmacéutica.
+Agrega productos al carrito solo cuando el cliente lo pida.`;
+
+const PROMPT_RESUMEN = `Resume la conversación entre un cliente y SANABOT, el asistente de la farmacia FarmaUPSA.
+Conserva los síntomas, medicamentos y productos mencionados, y lo que quedó pendiente. Máximo 5 líneas, sin saludos.`;
+
+const SALUDO_REPETIDO = /^hola[^.!\n]*[.!:\n-]+\s*/i;
+
+// Vueltas máximas de llamadas a herramientas antes de exigir una respuesta final
+const MAXIMO_VUELTAS = 4;
+
+function sinFecha({ fecha, ...mensaje }) {
+  return mensaje;
+}
+
+// Mensajes que se muestran al cliente (se omiten las llamadas a herramientas)
+function esVisible(mensaje) {
+  return (mensaje.role === 'user' || mensaje.role === 'assistant') && !mensaje.tool_calls && mensaje.content;
+}
+
+// Con streaming, retiene el comienzo de la respuesta hasta saber si repite el saludo, para quitarlo
+function sinSaludoRepetido(alToken) {
+  let inicio = '';
+  let decidido = false;
+
+  function soltar() {
+    decidido = true;
+    const resto = inicio.replace(SALUDO_REPETIDO, '').trimStart();
+    if (resto) alToken(resto);
+  }
+
+  return {
+    token(texto) {
+      if (decidido) return alToken(texto);
+      inicio += texto;
+      const comienzo = inicio.trimStart().toLowerCase();
+      if (!'hola'.startsWith(comienzo.slice(0, 4)) || /[.!:\n-]\s*\S/.test(comienzo) || comienzo.length > 80) soltar();
+    },
+    fin() {
+      if (!decidido) soltar();
+    }
+  };
+}
+
+// Con streaming y seguridad clínica, solo deja salir frases completas cuyo texto acumulado pasó
+// la revisión de la respuesta: lo que daría una dosis de un controlado nunca llega al cliente.
+// "cerrar" espera las revisiones pendientes y, si la respuesta completa se aprobó, suelta el resto.
+function conRevision(alToken, revisar) {
+  let recibido = '';
+  let enviado = 0;
+  let bloqueado = false;
+  let cola = Promise.resolve();
+
+  async function liberar(hasta) {
+    if (bloqueado || hasta <= enviado) return;
+    const { alerta } = await revisar(recibido.slice(0, hasta));
+    if (alerta) {
+      bloqueado = true;
+      return;
+    }
+    alToken(recibido.slice(enviado, hasta));
+    enviado = hasta;
+  }
+
+  return {
+    token(texto) {
+      recibido += texto;
+      const frases = recibido.match(/^[\s\S]*[.!?\n]/);
+      if (frases) {
+        const hasta = frases[0].length;
+        cola = cola.then(() => liberar(hasta));
+      }
+    },
+    async cerrar(aprobada) {
+      await cola;
+      if (aprobada && !bloqueado && enviado < recibido.length) alToken(recibido.slice(enviado));
+      bloqueado = true;
+    }
+  };
+}
+
+function crearServicioSanabot({ repos, proveedor, herramientas, seguridad, horasSesion = 24, maximoMensajes = 20 }) {
+  const promptBase = herramientas ? `${PROMPT_SISTEMA}\n\n${PROMPT_HERRAMIENTAS}` : PROMPT_SISTEMA;
+
+  function promptSistema(resumen) {
+    return resumen ? `${promptBase}\n\nResumen de la conversación anterior con este cliente:\n${resumen}` : promptBase;
+  }
+
+  async function cargar(sessionId) {
+    const conversacion = await repos.conversaciones.obtener(sessionId);
+    if (!conversacion || new Date(conversacion.expiraEn) <= new Date()) {
+      return { sessionId, resumen: '', mensajes: [] };
+    }
+    return conversacion;
+  }
+
+  function llamarModelo(mensajes, herramientasModelo, eleccion = 'auto', alToken) {
+    return proveedor.completar({ mensajes, herramientas: herramientasModelo, eleccion, alToken });
+  }
+
+  // Ejecuta las llamadas a herramientas pedidas por el modelo y agrega sus resultados al historial
+  async function ejecutarHerramientas(historial, llamadas, contexto, acciones) {
+    for (const llamada of llamadas) {
+      let salida;
+      try {
+        const argumentos = JSON.parse(llamada.function?.arguments || '{}');
+        salida = await herramientas.ejecutar(llamada.function?.name, argumentos, contexto);
+      } catch (error) {
+        console.error(`Error en herramienta ${llamada.function?.name}:`, error);
+        salida = { resultado: { error: 'No se pudo completar la consulta' } };
+      }
+
+      if (salida.accion) acciones.push(salida.accion);
+      historial.push({ role: 'tool', tool_call_id: llamada.id, content: JSON.stringify(salida.resultado) });
+    }
+  }
+
+  // Deja solo los últimos maximoMensajes y resume lo anterior junto con el resumen previo.
+  // El corte se hace en un mensaje del cliente para no separar una llamada a herramienta de su resultado.
+  async function acotar(conversacion) {
+    const { mensajes } = conversacion;
+    if (mensajes.length <= maximoMensajes) return;
+
+    let corte = mensajes.findIndex((m, i) => i >= mensajes.length - maximoMensajes && m.role === 'user');
+    if (corte <= 0) corte = mensajes.map(m => m.role).lastIndexOf('user');
+    if (corte <= 0) return;
+
+    const antiguos = mensajes.slice(0, corte).filter(esVisible)
+      .map(m => `${m.role === 'user' ? 'Cliente' : 'SANABOT'}: ${m.content}`);
+    conversacion.mensajes = mensajes.slice(corte);
+
+    try {
+      const texto = [conversacion.resumen && `Resumen previo: ${conversacion.resumen}`, ...antiguos].filter(Boolean).join('\n');
+      const mensaje = await llamarModelo([
+        { role: 'system', content: PROMPT_RESUMEN },
+        { role: 'user', content: texto }
+      ]);
+      if (mensaje.content) conversacion.resumen = mensaje.content.trim();
+    } catch (error) {
+      // Sin resumen nuevo se conserva el anterior; los turnos viejos se descartan igual
+      console.error(`No se pudo resumir la conversación ${conversacion.sessionId}:`, error.message);
+    }
+  }
+
+  // Guarda el turno completo (pregunta, herramientas y respuesta) en el historial
+  async function guardarTurno(conversacion, pregunta, mensajesTurno, respuesta) {
+    const ahora = new Date();
+    conversacion.mensajes.push(
+      { role: 'user', content: pregunta, fecha: ahora },
+      ...mensajesTurno,
+      { role: 'assistant', content: respuesta, fecha: ahora }
+    );
+    await acotar(conversacion);
+    await repos.conversaciones.guardar({
+      ...conversacion,
+      actualizadaEn: ahora,
+      expiraEn: new Date(ahora.getTime() + horasSesion * 60 * 60 * 1000)
+    });
+  }
+
+  // Un fallo al registrar el caso no debe impedir responder al cliente
+  async function marcar(datos) {
+    try {
+      await seguridad.registrar(datos);
+    } catch (error) {
+      console.error('Error registrando conversación marcada:', error);
+    }
+  }
+
+  return {
+    // Devuelve { respuesta, acciones } para la pregunta de la sesión.
+    // "acciones" son los cambios hechos por las herramientas que el cliente debe reflejar (p. ej. el carrito).
+    // Con alToken la respuesta se va entregando por fragmentos mientras el modelo la genera.
+    async responder(sessionId, pregunta, { conCarrito = false, alToken } = {}) {
+      // Señales de alarma y dosis de controlados: mensaje fijo, sin consultar al modelo
+      const alertaPrevia = seguridad && await seguridad.revisarPregunta(pregunta);
+      if (alertaPrevia) {
+        if (alToken) alToken(alertaPrevia.mensaje);
+        await guardarTurno(await cargar(sessionId), pregunta, [], alertaPrevia.mensaje);
+        await marcar({ sessionId, etapa: 'pregunta', alerta: alertaPrevia, pregunta, respuesta: alertaPrevia.mensaje });
+        return { respuesta: alertaPrevia.mensaje, acciones: [] };
+      }
+
+      // Verificar que haya un proveedor configurado
+      if (!proveedor) {
+        console.error('Error: no hay proveedor de LLM configurado (LLM_PROVEEDOR / GROQ_API_KEY)');
+        throw new ErrorHttp(500, 'Configuración del servidor incompleta');
+      }
+
+      const conversacion = await cargar(sessionId);
+      const yaRespondioAntes = Boolean(conversacion.resumen) || conversacion.mensajes.some(msg => msg.role === 'assistant');
+
+      // Lo que se envía al modelo; en el historial la pregunta queda tal como la escribió el cliente
+      const historial = [
+        { role: 'system', content: promptSistema(conversacion.resumen) },
+        ...conversacion.mensajes.map(sinFecha),
+        {
+          role: 'user',
+          content: yaRespondioAntes
+            ? `Responde sin repetir el saludo "Hola, soy SANABOT" y mantén el tono conversacional. Usuario: ${pregunta}`
+            : pregunta
+        }
+      ];
+      const inicioTurno = historial.length;
+
+      const definiciones = herramientas ? herramientas.definiciones({ conCarrito }) : undefined;
+      const acciones = [];
+      const revisor = alToken && seguridad && conRevision(alToken, texto => seguridad.revisarRespuesta(texto));
+      const emitir = revisor ? revisor.token : alToken;
+      const salida = alToken && (yaRespondioAntes ? sinSaludoRepetido(emitir) : { token: emitir, fin() {} });
+      let mensaje = await llamarModelo(historial, definiciones, 'auto', salida?.token);
+
+      for (let vuelta = 1; vuelta <= MAXIMO_VUELTAS && mensaje.tool_calls?.length > 0; vuelta++) {
+        historial.push({ role: 'assistant', content: mensaje.content || '', tool_calls: mensaje.tool_calls });
+        await ejecutarHerramientas(historial, mensaje.tool_calls, { sessionId, conCarrito }, acciones);
+        // En la última vuelta se exige una respuesta sin más herramientas
+        mensaje = await llamarModelo(historial, definiciones, vuelta < MAXIMO_VUELTAS ? 'auto' : 'none', salida?.token);
+      }
+      if (salida) salida.fin();
+
+      let respuesta = mensaje.content || 'No pude obtener una respuesta';
+
+      // Limpiar respuesta si ya se ha saludado antes
+      if (yaRespondioAntes) {
+        respuesta = respuesta.replace(SALUDO_REPETIDO, '').trimStart();
+      }
+
+      // Revisión de la respuesta: si da dosis de un controlado se reemplaza (en streaming el cliente
+      // solo recibió las frases ya revisadas y las reemplaza con el evento final); si no, se agrega el descargo.
+      // En el historial queda lo que dijo el modelo sin el descargo, o el reemplazo.
+      let enviada = respuesta;
+      if (seguridad) {
+        const revision = await seguridad.revisarRespuesta(respuesta);
+        if (revisor) await revisor.cerrar(!revision.alerta);
+        if (revision.alerta) {
+          await marcar({
+            sessionId, etapa: 'respuesta', alerta: revision.alerta, pregunta, respuesta: revision.respuesta, respuestaModelo: respuesta
+          });
+          respuesta = revision.respuesta;
+        } else if (alToken && revision.respuesta.startsWith(respuesta)) {
+          alToken(revision.respuesta.slice(respuesta.length));
+        }
+        enviada = revision.respuesta;
+      }
+
+      await guardarTurno(conversacion, pregunta, historial.slice(inicioTurno), respuesta);
+      return { respuesta: enviada, acciones };
+    },
+
+    // Mensajes de la conversación para mostrarla de nuevo en el chat
+    async historial(sessionId) {
+      const conversacion = await cargar(sessionId);
+      return {
+        sessionId,
+        mensajes: conversacion.mensajes.filter(esVisible).map(m => ({
+          rol: m.role === 'user' ? 'usuario' : 'bot',
+          texto: m.content,
+          fecha: m.fecha
+        }))
+      };
+    },
+
+    // "Nueva conversación": borra historial y resumen de la sesión
+    async reiniciar(sessionId) {
+      return repos.conversaciones.eliminar(sessionId);
+    },
+
+    // Borra periódicamente las conversaciones vencidas
+    iniciarLimpieza(intervaloMs = 10 * 60 * 1000) {
+      const timer = setInterval(async () => {
+        try {
+          const borradas = await repos.conversaciones.eliminarVencidas();
+          if (borradas > 0) console.log(`Conversaciones de SANABOT vencidas: ${borradas}`);
+        } catch (error) {
+          console.error('Error limpiando conversaciones:', error);
+        }
+      }, intervaloMs);
+      timer.unref();
+      return timer;
+    }
+  };
+}
+
+module.exports = { crearServicioSanabot };
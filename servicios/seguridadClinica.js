@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { ErrorHttp } = require('../utils/errores');
+const { normalizar } = require('../utils/texto');
+const { generarNumero } = require('../utils/numeros');
+
+// ==============================================
+// SEGURIDAD CLÍNICA DE SANABOT
+// ==============================================
+// Antes de consultar al modelo se buscan señales de alarma (emergencias, autolesión, embarazo)
+// y preguntas de dosis de controlados: en esos casos se responde con un mensaje fijo.
+// Después, si la respuesta del modelo da dosis de un controlado se reemplaza; si no, se le agrega el descargo.
+// Cada caso detectado queda registrado para que lo revise la farmacéutica.
+// Las reglas están en config/seguridadClinica.json; los patrones se aplican al texto normalizado
+// (minúsculas y sin tildes, ver utils/texto.js).
+
+const RUTA_REGLAS = path.join(__dirname, '..', 'config', 'seguridadClinica.json');
+
+function cargarReglas(ruta = RUTA_REGLAS) {
+  return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+// Compila los patrones una sola vez; un patrón inválido detiene el arranque
+function compilarReglas(reglas) {
+  const compilar = patron => new RegExp(patron);
+
+  const escalamientos = (reglas.escalamientos || []).map(regla => {
+    if (!reglas.mensajes?.[regla.categoria]) {
+      throw new Error(`Seguridad clínica: falta el mensaje de la categoría "${regla.categoria}"`);
+    }
+    return { ...regla, patrones: regla.patrones.map(compilar) };
+  });
+
+  return {
+    descargo: reglas.descargo || '',
+    mensajes: reglas.mensajes || {},
+    escalamientos,
+    terminosControlados: (reglas.dosisControlados?.terminos || []).map(normalizar),
+    patronesDosis: (reglas.dosisControlados?.patronesDosis || []).map(compilar)
+  };
+}
+
+// Principios activos que solo aparecen en productos controlados
+// (en "Tramadol + Paracetamol" cuenta tramadol, pero no paracetamol)
+function terminosDelCatalogo(medicamentos) {
+  const componentes = med => normalizar(med.principioActivo).split('+').map(c => c.trim()).filter(Boolean);
+  const libres = new Set(medicamentos.filter(med => !med.controlado).flatMap(componentes));
+  return medicamentos
+    .filter(med => med.controlado)
+    .flatMap(componentes)
+    .filter(componente => !libres.has(componente));
+}
+
+function contieneTermino(texto, terminos) {
+  const conEspacios = ` ${texto} `;
+  return terminos.find(termino => conEspacios.includes(` ${termino} `)) || null;
+}
+
+function crearServicioSeguridadClinica({ repos, catalogo, reglas = cargarReglas() }) {
+  const config = compilarReglas(reglas);
+
+  async function terminosControlados() {
+    const medicamentos = await catalogo.obtenerCatalogo();
+    return [...new Set([...config.terminosControlados, ...terminosDelCatalogo(medicamentos)])];
+  }
+
+  // Pide o da una dosis de un controlado: { termino } o null
+  async function dosisDeControlado(texto) {
+    if (!config.patronesDosis.some(patron => patron.test(texto))) return null;
+    const termino = contieneTermino(texto, await terminosControlados());
+    return termino ? { termino } : null;
+  }
+
+  async function obtener(numero) {
+    const alerta = await repos.alertasChat.obtener(numero);
+    if (!alerta) {
+      throw new ErrorHttp(404, `Conversación marcada no encontrada: ${numero}`);
+    }
+    return alerta;
+  }
+
+  return {
+    descargo: config.descargo,
+
+    // Revisión previa: { categoria, regla, mensaje } si la pregunta no debe llegar al modelo
+    async revisarPregunta(pregunta) {
+      const texto = normalizar(pregunta);
+
+      for (const regla of config.escalamientos) {
+        if (regla.patrones.some(patron => patron.test(texto))) {
+          return { categoria: regla.categoria, regla: regla.regla, mensaje: config.mensajes[regla.categoria] };
+        }
+      }
+
+      const dosis = await dosisDeControlado(texto);
+      if (dosis) {
+        return { categoria: 'dosisControlado', regla: dosis.termino, mensaje: config.mensajes.dosisControlado };
+      }
+      return null;
+    },
+
+    // Revisión posterior: devuelve la respuesta a enviar y, si se reemplazó, la alerta
+    async revisarRespuesta(respuesta) {
+      const dosis = await dosisDeControlado(normalizar(respuesta));
+      if (dosis) {
+        return {
+          respuesta: config.mensajes.dosisControlado,
+          alerta: { categoria: 'dosisControlado', regla: dosis.termino }
+        };
+      }
+      return { respuesta: config.descargo ? `${respuesta}\n\n${config.descargo}` : respuesta, alerta: null };
+    },
+
+    // Deja el caso en la cola de revisión de la farmacéutica
+    async registrar({ sessionId, etapa, alerta, pregunta, respuesta, respuestaModelo }) {
+      return repos.alertasChat.crear({
+        numero: generarNumero('CHAT'),
+        sessionId,
+        etapa,
+        categoria: alerta.categoria,
+        regla: alerta.regla,
+        pregunta,
+        respuesta,
+        respuestaModelo,
+        estado: 'pendiente',
+        creadaEn: new Date()
+      });
+    },
+
+    async listar(filtro) {
+      return repos.alertasChat.listar(filtro);
+    },
+
+    // La farmacéutica marca el caso como revisado, con una nota opcional
+    async revisar(numero, { nota, usuario }) {
+      const alerta = await obtener(numero);
+      if (alerta.estado !== 'pendiente') {
+        throw new ErrorHttp(409, 'La conversación ya fue revisada');
+      }
+
+      const revisada = await repos.alertasChat.cambiarEstado(numero, {
+        desde: 'pendiente',
+        cambios: {
+          estado: 'revisada',
+          revisadaPor: usuario,
+          revisadaEn: new Date(),
+          nota: String(nota || '').trim() || undefined
+        }
+      });
+      if (!revisada) {
+        throw new ErrorHttp(409, 'La conversación fue modificada por otra operación, intenta nuevamente');
+      }
+      return revisada;
+    }
+  };
+}
+
+module.exports = { crearServicioSeguridadClinica, cargarReglas };
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAlertasStock } = require('../servicios/alertasStock');
+const { crearNotificador, crearTransporteFalso } = require('../servicios/notificaciones');
+
+const HORA_MS = 60 * 60 * 1000;
+
+function preparar(t, opciones = {}) {
+  t.mock.method(console, 'log', () => {});
+  const transporte = crearTransporteFalso();
+  const alertas = crearServicioAlertasStock({
+    repos: {},
+    notificador: crearNotificador({ transporte }),
+    destinos: ['whatsapp:+59170000000'],
+    stockMinimoDefecto: 5,
+    horasEntreAvisos: 12,
+    ...opciones
+  });
+  return { alertas, transporte, enviados: transporte.enviados };
+}
+
+test('avisa solo los productos en el umbral o debajo', async t => {
+  const { alertas, enviados } = preparar(t);
+  const { avisados } = await alertas.revisar([
+    { _id: 'a', nombre: 'Ibuprofeno', stock: 5 },
+    { _id: 'b', nombre: 'Paracetamol', stock: 6 },
+    { _id: 'c', nombre: 'Loratadina', stock: 9, stockMinimo: 10 },
+    { _id: 'd', nombre: 'Omeprazol', stock: 0, activo: false }
+  ]);
+
+  assert.deepEqual(avisados, ['Ibuprofeno', 'Loratadina']);
+  assert.equal(enviados.length, 1);
+  assert.equal(enviados[0].destino, 'whatsapp:+59170000000');
+  assert.match(enviados[0].texto, /Stock bajo en 2 producto\(s\)/);
+  assert.match(enviados[0].texto, /- Ibuprofeno: 5 \(mínimo 5\)/);
+  assert.match(enviados[0].texto, /- Loratadina: 9 \(mínimo 10\)/);
+});
+
+test('no repite la alerta de un producto hasta que pasen horasEntreAvisos', async t => {
+  const { alertas, enviados } = preparar(t);
+  let ahora = Date.parse('2026-10-18T08:00:00Z');
+  t.mock.method(Date, 'now', () => ahora);
+  const ibuprofeno = stock => ({ _id: 'a', nombre: 'Ibuprofeno', stock });
+
+  await alertas.revisar([ibuprofeno(4)]);
+  ahora += HORA_MS;
+  assert.deepEqual((await alertas.revisar([ibuprofeno(3)])).avisados, []);
+  ahora += 11 * HORA_MS;
+  assert.deepEqual((await alertas.revisar([ibuprofeno(3)])).avisados, ['Ibuprofeno']);
+  assert.equal(enviados.length, 2);
+});
+
+test('vuelve a avisar si el producto se queda sin stock o se recuperó y volvió a bajar', async t => {
+  const { alertas, enviados } = preparar(t);
+  const ibuprofeno = stock => ({ _id: 'a', nombre: 'Ibuprofeno', stock });
+
+  await alertas.revisar([ibuprofeno(4)]);
+  assert.deepEqual((await alertas.revisar([ibuprofeno(0)])).avisados, ['Ibuprofeno']);
+  assert.deepEqual((await alertas.revisar([ibuprofeno(0)])).avisados, []);
+
+  await alertas.revisar([ibuprofeno(20)]);
+  assert.deepEqual((await alertas.revisar([ibuprofeno(5)])).avisados, ['Ibuprofeno']);
+  assert.equal(enviados.length, 3);
+});
+
+test('sin destinos no se envía nada', async t => {
+  const { alertas, enviados } = preparar(t, { destinos: [] });
+  assert.deepEqual(await alertas.revisar([{ _id: 'a', nombre: 'Ibuprofeno', stock: 1 }]), { avisados: [] });
+  assert.equal(enviados.length, 0);
+});
+
+test('si ningún envío llega, la alerta se reintenta en la próxima revisión', async t => {
+  const { alertas, enviados, transporte } = preparar(t);
+  t.mock.method(console, 'error', () => {});
+  const ibuprofeno = { _id: 'a', nombre: 'Ibuprofeno', stock: 2 };
+  const enviar = transporte.enviar;
+  t.mock.method(transporte, 'enviar', async () => {
+    throw new Error('Twilio no responde');
+  });
+
+  const { avisados, envios } = await alertas.revisar([ibuprofeno]);
+  assert.deepEqual(avisados, []);
+  assert.equal(envios[0].ok, false);
+
+  transporte.enviar = enviar;
+  assert.deepEqual((await alertas.revisar([ibuprofeno])).avisados, ['Ibuprofeno']);
+  assert.equal(enviados.length, 1);
+});
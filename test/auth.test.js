@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearReposPrueba, borrarRepos, crearRespuesta } = require('./ayuda');
+
+async function pasa(middleware, token) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = crearRespuesta();
+  let siguio = false;
+  await middleware(req, res, () => { siguio = true; });
+  return { siguio, status: res.statusCode, usuario: req.usuario };
+}
+
+test('requiereRol deja de aceptar el token de un usuario desactivado', async t => {
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  await auth.crearUsuario({ usuario: 'ana', password: 'clave-segura', rol: 'farmaceutico' });
+  const { token } = await auth.login('ana', 'clave-segura');
+  const personal = auth.requiereRol();
+
+  assert.equal((await pasa(personal, token)).siguio, true);
+
+  await auth.cambiarActivo('ana', false);
+  const resultado = await pasa(personal, token);
+  assert.equal(resultado.siguio, false);
+  assert.equal(resultado.status, 401);
+});
+
+test('requiereRol usa el rol actual del usuario, no el del token', async t => {
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  await auth.crearUsuario({ usuario: 'luis', password: 'clave-segura', rol: 'admin' });
+  const { token } = await auth.login('luis', 'clave-segura');
+
+  await repos.usuarios.actualizar('luis', { rol: 'farmaceutico' });
+  const resultado = await pasa(auth.requiereRol('admin'), token);
+  assert.equal(resultado.siguio, false);
+  assert.equal(resultado.status, 403);
+});
+
+test('requiereRol no acepta tokens de clientes', async t => {
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const { token } = auth.sesionCliente({ numero: 'CLI-1' });
+  assert.equal((await pasa(auth.requiereRol(), token)).status, 401);
+});
+
+test('solo valen las sesiones emitidas por el servidor', async t => {
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const otroServidor = crearServicioAuth({ repos, secreto: 'otro-secreto' });
+
+  const sessionId = auth.emitirSesion();
+  assert.equal(auth.sesionValida(sessionId), true);
+  assert.equal(auth.sesionValida(otroServidor.emitirSesion()), false);
+  assert.equal(auth.sesionValida('session-abc123'), false);
+  assert.equal(auth.sesionValida(`${sessionId.split('.')[0]}.x`), false);
+  assert.equal(auth.sesionValida(undefined), false);
+});
+
+test('requiereSesion rechaza un sessionId sin firma', async t => {
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const sessionId = auth.emitirSesion();
+
+  const req = { params: { sessionId }, query: {} };
+  let siguio = false;
+  auth.requiereSesion()(req, crearRespuesta(), () => { siguio = true; });
+  assert.equal(siguio, true);
+  assert.equal(req.sessionId, sessionId);
+
+  const res = crearRespuesta();
+  auth.requiereSesion()({ params: { sessionId: 'session-ajena' }, query: {} }, res, () => assert.fail());
+  assert.equal(res.statusCode, 401);
+
+  siguio = false;
+  auth.requiereSesion({ opcional: true })({ params: {}, body: {}, query: {} }, crearRespuesta(), () => { siguio = true; });
+  assert.equal(siguio, true);
+});
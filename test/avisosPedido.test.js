@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAvisosPedido, normalizarTelefono } = require('../servicios/avisosPedido');
+const { crearNotificador, crearTransporteFalso } = require('../servicios/notificaciones');
+const { crearServicioPedidos } = require('../servicios/pedidos');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const PEDIDO = {
+  numero: 'PED-7KQ2M9XW4R',
+  telefono: '+59170000000',
+  items: [{ id: 'ibu', nombre: 'Ibuprofeno', cantidad: 2, precio: 5, subtotal: 10 }],
+  entrega: { tipo: 'retiro', horario: 'lunes 19/10 09:00 - 09:30' },
+  total: 10,
+  estado: 'pendiente',
+  creadoEn: new Date()
+};
+
+function preparar(t) {
+  t.mock.method(console, 'log', () => {});
+  const transporte = crearTransporteFalso();
+  const avisos = crearServicioAvisosPedido({
+    notificador: crearNotificador({ transporte }),
+    farmacia: ['+59171111111']
+  });
+  return { avisos, enviados: transporte.enviados };
+}
+
+// Espera a que terminen los avisos, que se envían sin bloquear la operación
+const pendientes = () => new Promise(resolve => setImmediate(resolve));
+
+test('normaliza teléfonos locales y con código de país', () => {
+  assert.equal(normalizarTelefono('70000000'), '+59170000000');
+  assert.equal(normalizarTelefono('+591 700-00000'), '+59170000000');
+  assert.equal(normalizarTelefono('0054 911 2345 6789'), '+5491123456789');
+  assert.equal(normalizarTelefono('123'), null);
+});
+
+test('el pedido nuevo se avisa a la farmacia y al cliente', async t => {
+  const { avisos, enviados } = preparar(t);
+  await avisos.pedidoCreado(PEDIDO);
+
+  assert.deepEqual(enviados.map(m => m.destino), ['whatsapp:+59171111111', 'whatsapp:+59170000000']);
+  assert.match(enviados[0].texto, /PEDIDO #PED-7KQ2M9XW4R/);
+  assert.match(enviados[0].texto, /- Ibuprofeno x2 = Bs 10\.00/);
+  assert.match(enviados[0].texto, /Retiro en farmacia: lunes 19\/10 09:00 - 09:30/);
+  assert.match(enviados[1].texto, /Recibimos tu pedido #PED-7KQ2M9XW4R por Bs 10\.00/);
+});
+
+test('cada cambio de estado con plantilla se avisa al cliente', async t => {
+  const { avisos, enviados } = preparar(t);
+
+  assert.deepEqual(await avisos.estadoCambiado({ ...PEDIDO, estado: 'pendiente' }), []);
+  await avisos.estadoCambiado({ ...PEDIDO, estado: 'confirmado' });
+  await avisos.estadoCambiado({ ...PEDIDO, estado: 'preparado' });
+  await avisos.estadoCambiado({ ...PEDIDO, estado: 'cancelado' }, { nota: 'Sin stock del lote.' });
+
+  assert.ok(enviados.every(m => m.destino === 'whatsapp:+59170000000'));
+  assert.deepEqual(enviados.map(m => m.texto), [
+    'Tu pedido #PED-7KQ2M9XW4R fue confirmado por la farmacia y lo estamos preparando.',
+    'Tu pedido #PED-7KQ2M9XW4R está listo. Puedes pasar a recogerlo.',
+    'Tu pedido #PED-7KQ2M9XW4R fue cancelado. Sin stock del lote.'
+  ]);
+});
+
+test('los pedidos con delivery usan sus propios textos y sin teléfono no se avisa', async t => {
+  const { avisos, enviados } = preparar(t);
+  const delivery = { ...PEDIDO, estado: 'preparado', entrega: { tipo: 'delivery', zonaNombre: 'Centro', direccion: 'Calle 1 #23', costo: 8 } };
+
+  await avisos.estadoCambiado(delivery);
+  await avisos.estadoCambiado({ ...delivery, estado: 'confirmado' });
+  assert.deepEqual(enviados.map(m => m.texto), [
+    'Tu pedido #PED-7KQ2M9XW4R está listo y sale en camino a Calle 1 #23.',
+    'Tu pedido #PED-7KQ2M9XW4R fue confirmado por la farmacia y lo estamos preparando.'
+  ]);
+
+  const { telefono, ...sinTelefono } = delivery;
+  assert.deepEqual(await avisos.estadoCambiado(sinTelefono), []);
+  assert.equal(enviados.length, 2);
+});
+
+test('cambiar el estado de un pedido envía el aviso al cliente', async t => {
+  const { avisos, enviados } = preparar(t);
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const pedidos = crearServicioPedidos({ repos, avisos });
+  await repos.pedidos.crear({ ...PEDIDO, historial: [{ estado: 'pendiente', fecha: new Date() }] });
+
+  await pedidos.cambiarEstado(PEDIDO.numero, 'confirmado', { usuario: 'ana' });
+  await pendientes();
+  assert.equal(enviados.length, 1);
+  assert.equal(enviados[0].destino, 'whatsapp:+59170000000');
+  assert.match(enviados[0].texto, /fue confirmado/);
+
+  await assert.rejects(pedidos.cambiarEstado(PEDIDO.numero, 'entregado'), error => error.status === 409);
+  await pendientes();
+  assert.equal(enviados.length, 1);
+});
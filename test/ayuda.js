@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { crearRepositorios } = require('../repositorios');
+
+// Repositorios JSON en un directorio temporal, con el catálogo indicado
+async function crearReposPrueba(medicamentos = []) {
+  const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'farmaupsa-'));
+  const rutaCatalogo = path.join(directorio, 'medicamentos.json');
+  fs.writeFileSync(rutaCatalogo, JSON.stringify(medicamentos));
+  const repos = await crearRepositorios({ tipo: 'json', rutaCatalogo, directorioDatos: directorio });
+  repos.directorio = directorio;
+  return repos;
+}
+
+function borrarRepos(repos) {
+  fs.rmSync(repos.directorio, { recursive: true, force: true });
+}
+
+// Respuesta de Express mínima para probar middlewares y rutas sin servidor
+function crearRespuesta() {
+  return {
+    statusCode: 200,
+    cuerpo: undefined,
+    status(codigo) {
+      this.statusCode = codigo;
+      return this;
+    },
+    json(cuerpo) {
+      this.cuerpo = cuerpo;
+      return this;
+    }
+  };
+}
+
+// Levanta un router en un puerto libre; devuelve la URL base y cómo cerrarlo
+async function servir(ruta, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(ruta, router);
+  const servidor = await new Promise(resolve => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  return {
+    url: `http://127.0.0.1:${servidor.address().port}${ruta === '/' ? '' : ruta}`,
+    cerrar: () => new Promise(resolve => servidor.close(resolve))
+  };
+}
+
+module.exports = { crearReposPrueba, borrarRepos, crearRespuesta, servir };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearClasificador, crearServicioClasificacion } = require('../servicios/clasificacion');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const clasificador = crearClasificador();
+
+test('clasifica por principio activo y un combinado toma la categoría más estricta', () => {
+  assert.deepEqual(clasificador.clasificar({ nombre: 'Amoxicilina 500 mg' }), { categoria: 'antibiotico', principio: 'amoxicilina' });
+  assert.deepEqual(clasificador.clasificar({ nombre: 'Paracetamol 500 mg' }), { categoria: 'venta_libre', principio: null });
+  assert.deepEqual(
+    clasificador.clasificar({ nombre: 'Producto X', principioActivo: 'Paracetamol + Codeína' }),
+    { categoria: 'estupefaciente', principio: 'codeina' }
+  );
+  assert.equal(clasificador.clasificar({ nombre: 'Ácido valproico 500 mg' }).categoria, 'psicotropico');
+});
+
+test('completar deduce "controlado" de la categoría y respeta el marcado a mano', () => {
+  assert.equal(clasificador.completar({ nombre: 'Clonazepam 2 mg' }).controlado, true);
+  assert.equal(clasificador.completar({ nombre: 'Amoxicilina 500 mg' }).controlado, false);
+  assert.deepEqual(
+    clasificador.completar({ nombre: 'Producto X 10 mg', controlado: true }),
+    { nombre: 'Producto X 10 mg', categoria: 'venta_libre', controlado: true }
+  );
+});
+
+test('revisar nunca propone quitar "controlado" a un producto que ninguna regla reconoce', () => {
+  const revision = clasificador.revisar([
+    { _id: 'x', nombre: 'Producto X 10 mg', controlado: true, categoria: 'venta_libre' },
+    { _id: 'y', nombre: 'Producto Y', controlado: true, categoria: 'psicotropico' },
+    { _id: 'par', nombre: 'Paracetamol 500 mg', categoria: 'venta_libre' }
+  ]);
+
+  assert.deepEqual(revision.cambios, []);
+  assert.deepEqual(revision.revisionManual, [
+    { id: 'x', nombre: 'Producto X 10 mg', categoria: 'venta_libre' },
+    { id: 'y', nombre: 'Producto Y', categoria: 'psicotropico' }
+  ]);
+  assert.equal(revision.porCategoria.venta_libre, 1);
+  assert.equal(revision.total, 3);
+});
+
+test('revisar propone la categoría de la regla, también para bajar un controlado que la regla reconoce', () => {
+  const revision = clasificador.revisar([
+    { _id: 'tra', nombre: 'Tramadol 50 mg' },
+    { _id: 'amo', nombre: 'Amoxicilina 500 mg', controlado: true, categoria: 'psicotropico' }
+  ]);
+
+  assert.deepEqual(revision.cambios, [
+    {
+      id: 'tra',
+      nombre: 'Tramadol 50 mg',
+      principio: 'tramadol',
+      campos: { categoria: { antes: undefined, despues: 'estupefaciente' }, controlado: { antes: false, despues: true } }
+    },
+    {
+      id: 'amo',
+      nombre: 'Amoxicilina 500 mg',
+      principio: 'amoxicilina',
+      campos: { categoria: { antes: 'psicotropico', despues: 'antibiotico' }, controlado: { antes: true, despues: false } }
+    }
+  ]);
+  assert.deepEqual(revision.revisionManual, []);
+});
+
+test('aplicar guarda los cambios, abre el libro de los nuevos controlados y no toca los de revisión manual', async t => {
+  const repos = await crearReposPrueba([
+    { _id: 'tra', nombre: 'Tramadol 50 mg', precio: 30, stock: 12 },
+    { _id: 'x', nombre: 'Producto X 10 mg', precio: 20, stock: 5, controlado: true, categoria: 'venta_libre' },
+    { _id: 'par', nombre: 'Paracetamol 500 mg', precio: 5, stock: 80, categoria: 'venta_libre' }
+  ]);
+  t.after(() => borrarRepos(repos));
+  let invalidado = 0;
+  const clasificacion = crearServicioClasificacion({ repos, clasificador, alCambiarStock: () => invalidado++ });
+
+  const resultado = await clasificacion.aplicar({ usuario: 'ana' });
+  assert.equal(resultado.aplicado, true);
+  assert.deepEqual(resultado.cambios.map(c => c.id), ['tra']);
+  assert.equal(invalidado, 1);
+
+  const tramadol = await repos.medicamentos.obtener('tra');
+  assert.equal(tramadol.categoria, 'estupefaciente');
+  assert.equal(tramadol.controlado, true);
+  const productoX = await repos.medicamentos.obtener('x');
+  assert.equal(productoX.controlado, true);
+  assert.equal(productoX.categoria, 'venta_libre');
+
+  const [apertura, ...otros] = await repos.movimientos.listar({});
+  assert.equal(otros.length, 0);
+  assert.deepEqual([apertura.tipo, apertura.cantidad, apertura.saldo, apertura.usuario], ['apertura', 12, 12, 'ana']);
+
+  const otraVez = await clasificacion.aplicar({ usuario: 'ana' });
+  assert.deepEqual(otraVez.cambios, []);
+  assert.equal(invalidado, 1);
+  assert.equal((await repos.medicamentos.obtener('x')).controlado, true);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearServicioClientes } = require('../servicios/clientes');
+const { crearServicioReservas } = require('../servicios/reservas');
+const { crearServicioRecetas } = require('../servicios/recetas');
+const { normalizarTelefono } = require('../servicios/avisosPedido');
+const { crearNotificador, crearTransporteFalso } = require('../servicios/notificaciones');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const TELEFONO_A = '+59170000001';
+const TELEFONO_B = '+59170000002';
+
+async function preparar(t) {
+  t.mock.method(console, 'log', () => {});
+  const repos = await crearReposPrueba();
+  t.after(() => borrarRepos(repos));
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const transporte = crearTransporteFalso();
+  const reservas = crearServicioReservas({ repos, recetas: crearServicioRecetas({ repos }) });
+  const clientes = crearServicioClientes({
+    repos, auth, reservas, notificador: crearNotificador({ transporte }), normalizarTelefono
+  });
+
+  // Pide el código y lo lee del mensaje enviado
+  async function ingresar(telefono, sessionId) {
+    await clientes.solicitarCodigo(telefono);
+    const codigo = /(\d{6})/.exec(transporte.enviados.at(-1).texto)[1];
+    return clientes.ingresar({ telefono, codigo, sessionId });
+  }
+  return { repos, auth, clientes, ingresar };
+}
+
+function pedido(numero, datos) {
+  return { numero, items: [], total: 0, estado: 'pendiente', creadoEn: new Date(), ...datos };
+}
+
+test('al ingresar solo se vinculan los pedidos hechos con el teléfono verificado', async t => {
+  const { repos, auth, ingresar } = await preparar(t);
+  const sesionB = auth.emitirSesion();
+  await repos.pedidos.crear(pedido('PED-B', { sessionId: sesionB, telefono: TELEFONO_B }));
+  await repos.pedidos.crear(pedido('PED-B2', { sessionId: sesionB }));
+  await repos.pedidos.crear(pedido('PED-A', { telefono: TELEFONO_A }));
+
+  const sesion = await ingresar(TELEFONO_A, sesionB);
+
+  assert.equal(sesion.unidos.pedidos, 1);
+  const { pedidos } = await repos.pedidos.listar({ cuenta: sesion.cliente.numero });
+  assert.deepEqual(pedidos.map(p => p.numero), ['PED-A']);
+});
+
+test('la sesión de la cuenta la emite el servidor, nunca la que envía el navegador', async t => {
+  const { auth, ingresar } = await preparar(t);
+  const sesionNavegador = auth.emitirSesion();
+
+  const sesion = await ingresar(TELEFONO_A, sesionNavegador);
+  assert.notEqual(sesion.sessionId, sesionNavegador);
+  assert.equal(auth.sesionValida(sesion.sessionId), true);
+});
+
+test('las recetas de la sesión pasan a la cuenta solo si la sesión está firmada', async t => {
+  const { repos, auth, ingresar } = await preparar(t);
+  const firmada = auth.emitirSesion();
+  await repos.recetas.crear({ numero: 'REC-1', sessionId: firmada, estado: 'pendiente', creadaEn: new Date() });
+  await repos.recetas.crear({ numero: 'REC-2', sessionId: 'session-ajena', estado: 'pendiente', creadaEn: new Date() });
+
+  const primera = await ingresar(TELEFONO_A, firmada);
+  assert.equal(primera.unidos.recetas, 1);
+  assert.equal((await repos.recetas.obtener('REC-1')).sessionId, primera.sessionId);
+
+  const segunda = await ingresar(TELEFONO_A, 'session-ajena');
+  assert.equal(segunda.unidos.recetas, 0);
+  assert.equal((await repos.recetas.obtener('REC-2')).sessionId, 'session-ajena');
+});
+
+test('una cuenta con una sesión anterior sin firma recibe una nueva y conserva sus recetas', async t => {
+  const { repos, auth, ingresar } = await preparar(t);
+  const primera = await ingresar(TELEFONO_A);
+  await repos.clientes.actualizar(primera.cliente.numero, { sessionId: 'cuenta-antigua' });
+  await repos.recetas.crear({ numero: 'REC-1', sessionId: 'cuenta-antigua', estado: 'aprobada', creadaEn: new Date() });
+
+  const segunda = await ingresar(TELEFONO_A);
+  assert.equal(auth.sesionValida(segunda.sessionId), true);
+  assert.equal((await repos.recetas.obtener('REC-1')).sessionId, segunda.sessionId);
+});
+
+test('cada cuenta nueva recibe un número propio, aunque se creen en el mismo instante', async t => {
+  const { repos, clientes } = await preparar(t);
+
+  await Promise.all([clientes.solicitarCodigo(TELEFONO_A), clientes.solicitarCodigo(TELEFONO_B)]);
+  const a = await repos.clientes.buscarTelefono(TELEFONO_A);
+  const b = await repos.clientes.buscarTelefono(TELEFONO_B);
+  assert.match(a.numero, /^CLI-[2-9A-Z]{10}$/);
+  assert.notEqual(a.numero, b.numero);
+  await assert.rejects(repos.clientes.crear({ numero: a.numero, telefono: '+59170000003' }), error => error.status === 409);
+  await assert.rejects(repos.clientes.crear({ numero: 'CLI-OTRO', telefono: TELEFONO_A }), error => error.status === 409);
+});
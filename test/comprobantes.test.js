@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearServicioPedidos } = require('../servicios/pedidos');
+const crearRutasComprobantes = require('../rutas/comprobantes');
+const { crearReposPrueba, borrarRepos, servir } = require('./ayuda');
+
+test('el comprobante de un pedido solo lo descargan el personal, su cuenta o su sesión', async t => {
+  const repos = await crearReposPrueba();
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const sessionId = auth.emitirSesion();
+  await repos.pedidos.crear({ numero: 'PED-7KQ2M9XW4R', sessionId, cuenta: 'CLI-1', items: [], estado: 'pendiente', creadoEn: new Date() });
+  const comprobantes = {
+    dePedido: async numero => ({ numero: 1, pedido: numero, cliente: { nombre: 'Ana Pérez', nit: '1234567' } })
+  };
+  const servidor = await servir('/api', crearRutasComprobantes({ comprobantes, pedidos: crearServicioPedidos({ repos }), auth }));
+  t.after(async () => {
+    await servidor.cerrar();
+    borrarRepos(repos);
+  });
+  const descargar = (consulta = '', headers = {}) =>
+    fetch(`${servidor.url}/pedidos/PED-7KQ2M9XW4R/comprobante${consulta}`, { headers });
+
+  assert.equal((await descargar()).status, 404);
+  assert.equal((await descargar(`?sessionId=${encodeURIComponent(auth.emitirSesion())}`)).status, 404);
+  assert.equal((await descargar('', { authorization: `Bearer ${auth.sesionCliente({ numero: 'CLI-2' }).token}` })).status, 404);
+
+  const propio = await descargar(`?sessionId=${encodeURIComponent(sessionId)}`);
+  assert.equal(propio.status, 200);
+  assert.equal((await propio.json()).comprobante.cliente.nit, '1234567');
+  assert.equal((await descargar('', { authorization: `Bearer ${auth.sesionCliente({ numero: 'CLI-1' }).token}` })).status, 200);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioEntregas } = require('../servicios/entregas');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const CONFIG = {
+  zonaHoraria: '-04:00',
+  retiro: {
+    direccion: 'Campus UPSA',
+    horarios: [
+      { dias: [1, 2, 3, 4, 5], desde: '08:00', hasta: '10:00' },
+      { dias: [6], desde: '09:00', hasta: '10:00' }
+    ],
+    minutosPorTurno: 60,
+    capacidadPorTurno: 2,
+    minutosPreparacion: 30,
+    diasVisibles: 2
+  },
+  delivery: {
+    zonas: [
+      { clave: 'centro', nombre: 'Centro', costo: 10, minimo: 30 },
+      { clave: 'periferia', nombre: 'Periferia', costo: 25.5 }
+    ]
+  }
+};
+
+// Lunes 19/10/2026 a las 07:45 en la hora de la farmacia
+const AHORA = new Date('2026-10-19T11:45:00Z');
+
+async function preparar(t) {
+  const repos = await crearReposPrueba([
+    { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 50 },
+    { _id: 'tra', nombre: 'Tramadol 50 mg', precio: 30, stock: 10, controlado: true }
+  ]);
+  t.after(() => borrarRepos(repos));
+  return { repos, entregas: crearServicioEntregas({ repos, config: CONFIG }) };
+}
+
+const delivery = (zona, extra = {}) => ({ tipo: 'delivery', zona, direccion: 'Calle 1 #23', ...extra });
+const IBUPROFENO = [{ id: 'ibu', cantidad: 3 }];
+
+test('los turnos empiezan después del tiempo de preparación, en la hora local y solo los días de atención', async t => {
+  const { entregas } = await preparar(t);
+  const { retiro } = await entregas.opciones(AHORA);
+
+  assert.deepEqual(retiro.turnos.map(turno => [turno.clave, turno.horario, turno.disponibles]), [
+    ['2026-10-19T09:00', '19/10/2026 09:00-10:00', 2],
+    ['2026-10-20T08:00', '20/10/2026 08:00-09:00', 2],
+    ['2026-10-20T09:00', '20/10/2026 09:00-10:00', 2]
+  ]);
+  assert.equal(retiro.turnos[0].inicio.toISOString(), '2026-10-19T13:00:00.000Z');
+
+  // Viernes por la noche: el sábado solo atiende de 9 a 10 y el domingo no abre
+  const viernes = await entregas.opciones(new Date('2026-10-24T01:00:00Z'));
+  assert.deepEqual(viernes.retiro.turnos.map(turno => turno.clave), ['2026-10-24T09:00']);
+});
+
+test('la vista previa cobra el envío de la zona y avisa si no llega al mínimo', async t => {
+  const { entregas } = await preparar(t);
+
+  assert.deepEqual(entregas.cotizar(undefined, 10), { tipo: 'retiro', costo: 0 });
+  assert.deepEqual(entregas.cotizar({ tipo: 'delivery', zona: 'luna' }, 10), { tipo: 'delivery', costo: 0, error: 'Elige una zona de delivery' });
+  assert.deepEqual(entregas.cotizar(delivery('centro'), 30), { tipo: 'delivery', zona: 'centro', costo: 10, minimo: 30 });
+  assert.equal(entregas.cotizar(delivery('centro'), 29.99).error, 'El pedido mínimo para delivery a Centro es Bs 30.00');
+  assert.deepEqual(entregas.cotizar(delivery('periferia'), 1), { tipo: 'delivery', zona: 'periferia', costo: 25.5, minimo: 0 });
+});
+
+test('el delivery exige zona, dirección y el pedido mínimo de la zona', async t => {
+  const { entregas } = await preparar(t);
+  const preparar400 = (entrega, monto) => assert.rejects(
+    entregas.preparar(entrega, { items: IBUPROFENO, monto, ahora: AHORA }),
+    error => error.status === 400
+  );
+
+  await preparar400(delivery('luna'), 50);
+  await preparar400(delivery('centro', { direccion: '  ' }), 50);
+  await preparar400(delivery('centro'), 29.99);
+  await preparar400({ tipo: 'correo' }, 50);
+
+  assert.deepEqual(await entregas.preparar(delivery('centro', { referencia: 'Portón verde' }), { items: IBUPROFENO, monto: 30, ahora: AHORA }), {
+    tipo: 'delivery',
+    zona: 'centro',
+    zonaNombre: 'Centro',
+    direccion: 'Calle 1 #23',
+    referencia: 'Portón verde',
+    costo: 10
+  });
+});
+
+test('los controlados solo se retiran en farmacia', async t => {
+  const { entregas } = await preparar(t);
+  const items = [...IBUPROFENO, { nombre: 'Tramadol 50 mg', cantidad: 1 }];
+
+  await assert.rejects(
+    entregas.preparar(delivery('centro'), { items, monto: 60, ahora: AHORA }),
+    error => error.status === 400 && error.message === 'Los medicamentos controlados solo se entregan en farmacia: Tramadol 50 mg'
+  );
+  const retiro = await entregas.preparar({ tipo: 'retiro', turno: '2026-10-19T09:00' }, { items, monto: 60, ahora: AHORA });
+  assert.equal(retiro.costo, 0);
+  assert.equal(retiro.horario, '19/10/2026 09:00-10:00');
+});
+
+test('no se puede elegir un turno que ya pasó o que no existe', async t => {
+  const { entregas } = await preparar(t);
+  for (const turno of ['2026-10-19T08:00', '2026-10-21T08:00', '2026-10-19T09:30', undefined]) {
+    await assert.rejects(
+      entregas.preparar({ tipo: 'retiro', turno }, { items: IBUPROFENO, monto: 30, ahora: AHORA }),
+      error => error.status === 400,
+      String(turno)
+    );
+  }
+});
+
+test('ocuparTurno admite exactamente capacidadPorTurno pedidos y liberarTurno devuelve el cupo', async t => {
+  const { entregas } = await preparar(t);
+  const entrega = await entregas.preparar({ tipo: 'retiro', turno: '2026-10-19T09:00' }, { items: IBUPROFENO, monto: 30, ahora: AHORA });
+  const disponibles = async () => (await entregas.opciones(AHORA)).retiro.turnos[0].disponibles;
+
+  await entregas.ocuparTurno(entrega);
+  await entregas.ocuparTurno(entrega);
+  assert.equal(await disponibles(), 0);
+  await assert.rejects(entregas.ocuparTurno(entrega), error => error.status === 409 && /ya no tiene cupo/.test(error.message));
+
+  await entregas.liberarTurno(entrega);
+  assert.equal(await disponibles(), 1);
+  await entregas.ocuparTurno(entrega);
+  assert.equal(await disponibles(), 0);
+
+  // El delivery no ocupa turnos
+  await entregas.ocuparTurno({ tipo: 'delivery', zona: 'centro' });
+  assert.equal((await entregas.opciones(AHORA)).retiro.turnos[1].disponibles, 2);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioImportacionCatalogo, calcularDiferencias } = require('../servicios/importacionCatalogo');
+const { crearClasificador } = require('../servicios/clasificacion');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const clasificador = crearClasificador();
+
+const CATALOGO = [
+  { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 50 },
+  { _id: 'par', nombre: 'Paracetamol 500 mg', precio: 5, stock: 80 }
+];
+
+// Planilla como la exporta Excel en español: separada por ";"
+const csv = lineas => Buffer.from(lineas.join('\r\n'));
+
+test('los precios con separadores se leen según el último, y el repetido es de miles', () => {
+  const { cambios, errores } = calcularDiferencias([
+    ['nombre', 'precio', 'stock'],
+    ['Ibuprofeno 400 mg', 'Bs 1.234,50', '1.200.000'],
+    ['Paracetamol 500 mg', '1,234.50', '80']
+  ], CATALOGO, clasificador);
+
+  assert.deepEqual(errores, []);
+  assert.deepEqual(cambios.map(c => [c.id, c.campos.precio.despues]), [['ibu', 1234.5], ['par', 1234.5]]);
+  assert.equal(cambios[0].campos.stock.despues, 1200000);
+});
+
+test('un único separador seguido de 3 dígitos es ambiguo y queda como error de la fila', () => {
+  const { cambios, errores, resumen } = calcularDiferencias([
+    ['nombre', 'precio'],
+    ['Ibuprofeno 400 mg', '1.234'],
+    ['Paracetamol 500 mg', '1,234'],
+    ['Aspirina 100 mg', '0,500']
+  ], CATALOGO, clasificador);
+
+  assert.deepEqual(cambios, []);
+  assert.deepEqual(errores.map(e => e.fila), [2, 3]);
+  assert.match(errores[0].errores[0], /precio: "1\.234" es ambiguo/);
+  assert.equal(resumen.nuevos, 1);
+});
+
+test('calcularDiferencias separa altas, cambios, filas sin cambios y errores', () => {
+  const resultado = calcularDiferencias([
+    ['ID', 'Producto', 'PVP', 'Existencias', 'Proveedor'],
+    ['ibu', '', '12,5', '', 'Droguería Sur'],
+    ['', 'PARACETAMOL 500 MG', '5', '80', ''],
+    ['', 'Tramadol 50 mg', '30', '10', ''],
+    ['', '', '', '', ''],
+    ['zzz', '', '1', '', ''],
+    ['', 'Ibuprofeno 400 mg', '11', '', '']
+  ], CATALOGO, clasificador);
+
+  assert.deepEqual(resultado.columnas, ['_id', 'nombre', 'precio', 'stock']);
+  assert.deepEqual(resultado.columnasIgnoradas, ['Proveedor']);
+  assert.deepEqual(resultado.cambios, [
+    { fila: 2, id: 'ibu', nombre: 'Ibuprofeno 400 mg', campos: { precio: { antes: 10, despues: 12.5 } } }
+  ]);
+  assert.equal(resultado.nuevos[0].fila, 4);
+  assert.equal(resultado.nuevos[0].datos.categoria, 'estupefaciente');
+  assert.equal(resultado.nuevos[0].datos.controlado, true);
+  assert.deepEqual(resultado.errores.map(e => [e.fila, e.errores[0]]), [
+    [6, 'No existe un medicamento con id zzz'],
+    [7, 'El producto ya aparece en la fila 2']
+  ]);
+  assert.deepEqual(resultado.resumen, {
+    filas: 5, nuevos: 1, cambiosPrecio: 1, cambiosStock: 0, otrosCambios: 0, sinCambios: 1, errores: 2
+  });
+});
+
+test('la huella de la vista previa cambia si cambian los datos a aplicar', () => {
+  const filas = precio => [['nombre', 'precio'], ['Ibuprofeno 400 mg', precio]];
+  const huella = (lista, catalogo = CATALOGO) => calcularDiferencias(lista, catalogo, clasificador).huella;
+
+  assert.match(huella(filas('12')), /^[0-9a-f]{16}$/);
+  assert.equal(huella(filas('12')), huella(filas('12,00')));
+  assert.notEqual(huella(filas('12')), huella(filas('13')));
+  assert.notEqual(huella(filas('12')), huella(filas('12'), [{ ...CATALOGO[0], precio: 11 }, CATALOGO[1]]));
+});
+
+test('aplicar con la huella de la vista previa guarda los cambios; si el catálogo cambió, no guarda nada', async t => {
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  const importacion = crearServicioImportacionCatalogo({ repos, clasificador });
+  const planilla = csv(['nombre;precio', 'Ibuprofeno 400 mg;12,50', 'Loratadina 10 mg;8']);
+
+  const { huella } = await importacion.previsualizar(planilla);
+  await repos.medicamentos.actualizar('ibu', { precio: 11 });
+  await assert.rejects(importacion.aplicar(planilla, { huella }), error => error.status === 409 && Boolean(error.vistaPrevia));
+  assert.equal((await repos.medicamentos.listar({})).length, 2);
+
+  const vista = await importacion.previsualizar(planilla);
+  const resultado = await importacion.aplicar(planilla, { huella: vista.huella });
+  assert.equal(resultado.aplicado, true);
+  assert.equal((await repos.medicamentos.obtener('ibu')).precio, 12.5);
+  assert.deepEqual((await repos.medicamentos.listar({})).map(m => m.nombre).sort(),
+    ['Ibuprofeno 400 mg', 'Loratadina 10 mg', 'Paracetamol 500 mg']);
+});
+
+test('una planilla con errores no se aplica', async t => {
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  const importacion = crearServicioImportacionCatalogo({ repos, clasificador });
+
+  await assert.rejects(
+    importacion.aplicar(csv(['nombre;precio', 'Ibuprofeno 400 mg;1.234', 'Loratadina 10 mg;8'])),
+    error => error.status === 400 && error.errores.length === 1
+  );
+  assert.equal((await repos.medicamentos.obtener('ibu')).precio, 10);
+  assert.equal((await repos.medicamentos.listar({})).length, 2);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioInteracciones, evaluarInteracciones, principiosDe, cargarBase } = require('../servicios/interacciones');
+const { crearClasificador } = require('../servicios/clasificacion');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const base = cargarBase();
+
+// Producto ya cargado, con sus principios leídos del nombre
+const producto = (id, nombre) => ({ id, nombre, principios: principiosDe({ nombre }) });
+const nombres = advertencia => advertencia.productos.map(p => p.nombre);
+
+test('benzodiacepina y opioide juntos es una interacción grave que pide confirmación', () => {
+  const resultado = evaluarInteracciones([
+    producto('clo', 'Clonazepam 2 mg'),
+    producto('tra', 'Tramadol 50 mg'),
+    producto('par', 'Paracetamol 500 mg')
+  ], base);
+
+  assert.equal(resultado.interacciones.length, 1);
+  assert.equal(resultado.interacciones[0].severidad, 'grave');
+  assert.deepEqual(nombres(resultado.interacciones[0]), ['Clonazepam 2 mg', 'Tramadol 50 mg']);
+  assert.deepEqual(resultado.duplicidades, []);
+  assert.equal(resultado.requiereConfirmacion, true);
+});
+
+test('una interacción moderada se informa sin pedir confirmación', () => {
+  const resultado = evaluarInteracciones([producto('los', 'Losartán 50 mg'), producto('ibu', 'Ibuprofeno 400 mg')], base);
+
+  assert.deepEqual(resultado.interacciones.map(i => i.severidad), ['moderada']);
+  assert.equal(resultado.requiereConfirmacion, false);
+});
+
+test('dos AINE distintos son duplicidad terapéutica grave', () => {
+  const resultado = evaluarInteracciones([
+    producto('los', 'Losartán 50 mg'),
+    producto('ibu', 'Ibuprofeno 400 mg'),
+    producto('dic', 'Diclofenaco 50 mg')
+  ], base);
+
+  assert.equal(resultado.duplicidades.length, 1);
+  assert.equal(resultado.duplicidades[0].grupo, 'antiinflamatorios no esteroideos (AINE)');
+  assert.deepEqual(nombres(resultado.duplicidades[0]), ['Ibuprofeno 400 mg', 'Diclofenaco 50 mg']);
+  assert.equal(resultado.interacciones.length, 2);
+  assert.equal(resultado.requiereConfirmacion, true);
+});
+
+test('el mismo principio en dos productos es duplicidad, aunque uno sea combinado', () => {
+  const resultado = evaluarInteracciones([
+    producto('par', 'Paracetamol 500 mg'),
+    producto('gri', 'Paracetamol + Clorfenamina 500/4 mg')
+  ], base);
+
+  const [duplicidad] = resultado.duplicidades;
+  assert.equal(duplicidad.principio, 'paracetamol');
+  assert.match(duplicidad.descripcion, /Varios productos contienen paracetamol/);
+  assert.equal(duplicidad.severidad, 'grave');
+});
+
+test('IBP con anti-H2 es duplicidad leve y el carbón activado interactúa con todo', () => {
+  const resultado = evaluarInteracciones([
+    producto('ome', 'Omeprazol 20 mg'),
+    producto('ran', 'Ranitidina 150 mg'),
+    producto('car', 'Carbón activado 250 mg')
+  ], base);
+
+  assert.deepEqual(resultado.duplicidades.map(d => d.severidad), ['leve']);
+  assert.equal(resultado.interacciones.length, 2);
+  assert.ok(resultado.interacciones.every(i => nombres(i).includes('Carbón activado 250 mg')));
+  assert.equal(resultado.requiereConfirmacion, false);
+});
+
+test('interacciones y clasificación reconocen los mismos sinónimos', () => {
+  assert.deepEqual(principiosDe({ nombre: 'Aspirina 100 mg' }), ['acido acetilsalicilico']);
+  assert.deepEqual(principiosDe({ nombre: 'Oxcodona 10 mg' }), ['oxicodona']);
+
+  const resultado = evaluarInteracciones([producto('oxc', 'Oxcodona 10 mg'), producto('alp', 'Alprazolam 0.5 mg')], base);
+  assert.equal(resultado.requiereConfirmacion, true);
+  assert.deepEqual(crearClasificador().clasificar({ nombre: 'Oxcodona 10 mg' }), { categoria: 'estupefaciente', principio: 'oxicodona' });
+});
+
+test('un producto repetido en el carrito no es duplicidad consigo mismo', async t => {
+  const repos = await crearReposPrueba([
+    { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 20 },
+    { _id: 'nap', nombre: 'Naproxeno 550 mg', precio: 12, stock: 20 }
+  ]);
+  t.after(() => borrarRepos(repos));
+  const interacciones = crearServicioInteracciones({ repos, base });
+
+  const solo = await interacciones.evaluar([{ id: 'ibu', cantidad: 1 }, { id: 'ibu', cantidad: 2 }, { id: 'no-existe' }]);
+  assert.deepEqual(solo, { interacciones: [], duplicidades: [], requiereConfirmacion: false });
+
+  const dos = await interacciones.evaluar([{ id: 'ibu' }, { nombre: 'Naproxeno 550 mg' }]);
+  assert.deepEqual(dos.duplicidades.map(nombres), [['Ibuprofeno 400 mg', 'Naproxeno 550 mg']]);
+});
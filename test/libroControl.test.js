@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioLibroControl } = require('../servicios/libroControl');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const CATALOGO = [
+  {
+    _id: 'tra',
+    nombre: 'Tramadol 50 mg',
+    precio: 30,
+    controlado: true,
+    stock: 10,
+    lotes: [
+      { numero: 'L1', fechaVencimiento: '2030-01-01T00:00:00.000Z', cantidad: 4 },
+      { numero: 'L2', fechaVencimiento: '2031-01-01T00:00:00.000Z', cantidad: 6 }
+    ]
+  },
+  { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 50 }
+];
+
+async function preparar(t) {
+  t.mock.method(console, 'error', () => {});
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  return repos;
+}
+
+// El libro deja de aceptar escrituras
+function romperLibro(t, repos) {
+  t.mock.method(repos.movimientos, 'registrar', async () => {
+    throw new Error('disco lleno');
+  });
+}
+
+const resumen = movimientos => movimientos.map(m => [m.tipo, m.cantidad, m.saldo]);
+
+test('la venta de un controlado queda en el libro con sus lotes y el paciente de la receta', async t => {
+  const repos = await preparar(t);
+  await repos.recetas.crear({ numero: 'REC-1', medicamentoId: 'tra', paciente: 'Ana Pérez', estado: 'aprobada' });
+
+  await repos.medicamentos.descontarStock([
+    { id: 'tra', cantidad: 5, receta: 'REC-1' },
+    { id: 'ibu', cantidad: 2 }
+  ], { contexto: { pedido: 'PED-1' } });
+
+  const [venta, ...otros] = await repos.movimientos.listar({});
+  assert.equal(otros.length, 0);
+  assert.deepEqual(resumen([venta]), [['venta', -5, 5]]);
+  assert.equal(venta.paciente, 'Ana Pérez');
+  assert.equal(venta.pedido, 'PED-1');
+  assert.deepEqual(venta.lotes.map(l => [l.numero, l.cantidad]), [['L1', 4], ['L2', 1]]);
+});
+
+test('líneas repetidas de un controlado reconstruyen el saldo de cada movimiento', async t => {
+  const repos = await preparar(t);
+  await repos.medicamentos.descontarStock([{ id: 'tra', cantidad: 3 }, { id: 'tra', cantidad: 2 }]);
+  assert.deepEqual(resumen(await repos.movimientos.listar({})), [['venta', -3, 7], ['venta', -2, 5]]);
+});
+
+test('devoluciones, ajustes, ingresos e importaciones llevan el saldo corrido', async t => {
+  const repos = await preparar(t);
+  const [vendido] = await repos.medicamentos.descontarStock([{ id: 'tra', cantidad: 4 }]);
+  await repos.medicamentos.reponerStock([{ id: 'tra', cantidad: 4, lotes: vendido.lotesConsumidos }], { motivo: 'Pedido cancelado' });
+  await repos.medicamentos.ajustarStock('tra', -1, { usuario: 'ana', motivo: 'Rotura' });
+  await repos.medicamentos.agregarLote('tra', { numero: 'L3', fechaVencimiento: new Date('2032-01-01'), cantidad: 5 });
+  await repos.medicamentos.importar({
+    altas: [{ nombre: 'Clonazepam 2 mg', controlado: true, stock: 8 }],
+    cambios: [{ id: 'ibu', campos: { controlado: true } }]
+  });
+
+  assert.deepEqual(resumen(await repos.movimientos.listar({})), [
+    ['venta', -4, 6],
+    ['devolucion', 4, 10],
+    ['ajuste', -1, 9],
+    ['ingreso', 5, 14],
+    ['apertura', 50, 50],
+    ['alta', 8, 8]
+  ]);
+
+  const libro = await crearServicioLibroControl({ repos }).consultarProducto('tra');
+  assert.equal(libro.saldoInicial, 10);
+  assert.equal(libro.saldoFinal, 14);
+  assert.equal((await repos.medicamentos.obtener('tra')).stock, 14);
+});
+
+test('si el libro no se puede escribir, la venta se deshace', async t => {
+  const repos = await preparar(t);
+  romperLibro(t, repos);
+
+  await assert.rejects(
+    repos.medicamentos.descontarStock([{ id: 'tra', cantidad: 5 }, { id: 'ibu', cantidad: 2 }]),
+    error => error.status === 503
+  );
+  const tramadol = await repos.medicamentos.obtener('tra');
+  assert.equal(tramadol.stock, 10);
+  assert.deepEqual(tramadol.lotes.map(l => [l.numero, l.cantidad]), [['L1', 4], ['L2', 6]]);
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 50);
+});
+
+test('si el libro no se puede escribir, devoluciones, ajustes, ingresos e importaciones se deshacen', async t => {
+  const repos = await preparar(t);
+  romperLibro(t, repos);
+  const lotesDe = async id => (await repos.medicamentos.obtener(id)).lotes.map(l => [l.numero, l.cantidad]);
+
+  await assert.rejects(repos.medicamentos.reponerStock([{ id: 'tra', cantidad: 2, lotes: [{ numero: 'L1', cantidad: 2 }] }]),
+    error => error.status === 503);
+  await assert.rejects(repos.medicamentos.ajustarStock('tra', -3), error => error.status === 503);
+  await assert.rejects(repos.medicamentos.agregarLote('tra', { numero: 'L3', fechaVencimiento: null, cantidad: 5 }),
+    error => error.status === 503);
+  assert.deepEqual(await lotesDe('tra'), [['L1', 4], ['L2', 6], ['L3', 0]]);
+  assert.equal((await repos.medicamentos.obtener('tra')).stock, 10);
+
+  await assert.rejects(repos.medicamentos.importar({
+    altas: [{ nombre: 'Clonazepam 2 mg', controlado: true, stock: 8 }],
+    cambios: [{ id: 'ibu', campos: { controlado: true, stock: 60 } }]
+  }), error => error.status === 503);
+  const catalogo = await repos.medicamentos.listar({});
+  assert.deepEqual(catalogo.map(m => m.nombre), ['Tramadol 50 mg', 'Ibuprofeno 400 mg']);
+  const ibuprofeno = await repos.medicamentos.obtener('ibu');
+  assert.equal(ibuprofeno.stock, 50);
+  assert.ok(!ibuprofeno.controlado);
+
+  assert.equal(repos.medicamentos.eliminar, undefined);
+  assert.equal(repos.medicamentos.retirarStock, undefined);
+});
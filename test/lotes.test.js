@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const lotes = require('../utils/lotes');
+
+const medicamento = {
+  stock: 15,
+  lotes: [
+    { numero: 'A1', fechaVencimiento: '2030-06-30T00:00:00.000Z', cantidad: 10 },
+    { numero: 'B2', fechaVencimiento: '2030-01-31T00:00:00.000Z', cantidad: 5 }
+  ]
+};
+
+test('agregarLote suma al lote con el mismo número y vencimiento', () => {
+  const resultado = lotes.agregarLote(medicamento, { numero: 'A1', fechaVencimiento: new Date('2030-06-30'), cantidad: 4 });
+  assert.equal(resultado.find(l => l.numero === 'A1').cantidad, 14);
+  assert.equal(resultado.length, 2);
+});
+
+test('agregarLote rechaza un número ya registrado con otro vencimiento', () => {
+  assert.throws(
+    () => lotes.agregarLote(medicamento, { numero: 'A1', fechaVencimiento: new Date('2029-12-31'), cantidad: 4 }),
+    error => error.status === 409 && /otra fecha de vencimiento/.test(error.message)
+  );
+  assert.throws(() => lotes.agregarLote(medicamento, { numero: 'A1', fechaVencimiento: null, cantidad: 4 }));
+  assert.equal(medicamento.lotes[0].cantidad, 10);
+});
+
+test('asignarFefo despacha primero el lote que vence antes', () => {
+  const { consumidos } = lotes.asignarFefo(medicamento, 7, new Date('2029-01-01'));
+  assert.deepEqual(consumidos.map(c => [c.numero, c.cantidad]), [['B2', 5], ['A1', 2]]);
+});
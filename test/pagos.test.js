@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearServicioPedidos } = require('../servicios/pedidos');
+const { crearServicioPagos } = require('../servicios/pagos');
+const { crearPasarela, crearPasarelaFalsa } = require('../servicios/pasarelasPago');
+const crearRutasPagos = require('../rutas/pagos');
+const { crearReposPrueba, borrarRepos, servir } = require('./ayuda');
+
+const SECRETO = 'secreto-de-la-pasarela';
+
+const PEDIDO = {
+  numero: 'PED-7KQ2M9XW4R',
+  items: [{ id: 'ibu', nombre: 'Ibuprofeno', cantidad: 1, precio: 10, subtotal: 10 }],
+  entrega: { tipo: 'retiro' },
+  total: 10,
+  estado: 'pendiente',
+  creadoEn: new Date()
+};
+
+// Webhook como lo firmaría la pasarela falsa
+function notificacion(datos, firma) {
+  const cuerpo = Buffer.from(JSON.stringify({ estado: 'pagado', referencia: 'BANCO-1', ...datos }));
+  const cabeceras = firma === undefined
+    ? { 'x-pasarela-firma': crypto.createHmac('sha256', SECRETO).update(cuerpo).digest('hex') }
+    : { ...(firma && { 'x-pasarela-firma': firma }) };
+  return [cuerpo, cabeceras];
+}
+
+async function preparar(t, { metodoPago = 'qr', simulacion = false } = {}) {
+  t.mock.method(console, 'warn', () => {});
+  const repos = await crearReposPrueba([{ _id: 'ibu', nombre: 'Ibuprofeno', precio: 10, stock: 5 }]);
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const pedidos = crearServicioPedidos({
+    repos,
+    recetas: { liberar: async () => {} },
+    promociones: { liberarUsos: async () => {} },
+    entregas: { liberarTurno: async () => {} }
+  });
+  const sessionId = auth.emitirSesion();
+  await repos.pedidos.crear({ ...PEDIDO, sessionId, metodoPago });
+  const pagos = crearServicioPagos({
+    repos,
+    pedidos,
+    pasarela: crearPasarelaFalsa({ secreto: SECRETO }),
+    urlNotificacion: 'http://127.0.0.1:1/webhooks/pagos',
+    minutos: 30,
+    simulacion
+  });
+  t.after(() => borrarRepos(repos));
+  return { repos, auth, pedidos, pagos, sessionId };
+}
+
+test('sin PAGOS_PASARELA los pagos por QR quedan desactivados', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const pasarela = crearPasarela({});
+  assert.equal(pasarela.tipo, 'ninguna');
+  await assert.rejects(pasarela.crearCobro({ referencia: 'PAG-1', monto: 10, moneda: 'BOB' }), error => error.status === 503);
+  assert.equal(await pasarela.leerNotificacion(...notificacion({ cobro: 'QRF-1', monto: 10 })), null);
+  assert.equal(crearPasarela({ PAGOS_PASARELA: 'falso' }).tipo, 'falso');
+  assert.throws(() => crearPasarela({ PAGOS_PASARELA: 'otro' }), /desconocida/);
+});
+
+test('la pasarela falsa emite cobros y solo acepta webhooks con su firma', async () => {
+  const pasarela = crearPasarelaFalsa({ secreto: SECRETO });
+  const cobro = await pasarela.crearCobro({ referencia: 'PAG-1', monto: 10, moneda: 'BOB' });
+  assert.match(cobro.id, /^QRF-\d+$/);
+  assert.match(cobro.qr, /PAG-1\|10\.00 BOB$/);
+
+  const leida = await pasarela.leerNotificacion(...notificacion({ cobro: cobro.id, monto: 10 }));
+  assert.equal(leida.id, cobro.id);
+  assert.equal(leida.estado, 'pagado');
+  assert.equal(leida.monto, 10);
+
+  assert.equal(await pasarela.leerNotificacion(...notificacion({ cobro: cobro.id, monto: 10 }, 'f'.repeat(64))), null);
+  assert.equal(await pasarela.leerNotificacion(...notificacion({ cobro: cobro.id, monto: 10 }, '')), null);
+  const [cuerpo, cabeceras] = notificacion({ cobro: cobro.id, monto: 10 });
+  assert.equal(await pasarela.leerNotificacion(Buffer.from(cuerpo.toString().replace('10', '1')), cabeceras), null);
+});
+
+test('el QR solo lo piden el personal, la cuenta o la sesión del pedido', async t => {
+  const { auth, pagos, sessionId } = await preparar(t);
+  await assert.rejects(pagos.solicitar(PEDIDO.numero, {}), error => error.status === 404);
+  await assert.rejects(pagos.solicitar(PEDIDO.numero, { sessionId: auth.emitirSesion() }), error => error.status === 404);
+
+  const pago = await pagos.solicitar(PEDIDO.numero, { sessionId });
+  assert.equal(pago.estado, 'pendiente');
+  assert.equal(pago.cancelaPedido, true);
+  assert.ok(pago.imagen.startsWith('data:image/png;base64,'));
+  assert.equal((await pagos.solicitar(PEDIDO.numero, { personal: true })).numero, pago.numero);
+  await assert.rejects(pagos.dePedido(PEDIDO.numero, {}), error => error.status === 404);
+});
+
+test('el webhook firmado marca el pedido pagado una sola vez', async t => {
+  const { repos, pagos, sessionId } = await preparar(t);
+  const pago = await pagos.solicitar(PEDIDO.numero, { sessionId });
+
+  await assert.rejects(
+    pagos.procesarNotificacion(...notificacion({ cobro: pago.idExterno, monto: 10 }, 'f'.repeat(64))),
+    error => error.status === 401
+  );
+  await assert.rejects(
+    pagos.procesarNotificacion(...notificacion({ cobro: pago.idExterno, monto: 9 })),
+    error => error.status === 400
+  );
+
+  const primera = await pagos.procesarNotificacion(...notificacion({ cobro: pago.idExterno, monto: 10 }));
+  assert.equal(primera.cambiado, true);
+  assert.equal(primera.pago.estado, 'pagado');
+  assert.equal((await repos.pedidos.obtener(PEDIDO.numero)).pago.estado, 'pagado');
+
+  const repetida = await pagos.procesarNotificacion(...notificacion({ cobro: pago.idExterno, monto: 10 }));
+  assert.equal(repetida.cambiado, false);
+  await assert.rejects(pagos.solicitar(PEDIDO.numero, { sessionId }), error => error.status === 409);
+});
+
+test('al vencer el QR se cancela el pedido hecho para pagar por QR', async t => {
+  const { repos, pagos, sessionId } = await preparar(t);
+  const pago = await pagos.solicitar(PEDIDO.numero, { sessionId }, new Date('2026-10-18T10:00:00Z'));
+
+  assert.deepEqual(await pagos.expirarVencidos(new Date('2026-10-18T10:29:00Z')), { expirados: [], sinQr: [] });
+  assert.deepEqual(await pagos.expirarVencidos(new Date('2026-10-18T10:31:00Z')), { expirados: [pago.numero], sinQr: [] });
+
+  const pedido = await repos.pedidos.obtener(PEDIDO.numero);
+  assert.equal(pedido.estado, 'cancelado');
+  assert.equal(pedido.pago.estado, 'expirado');
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 6);
+});
+
+test('al vencer el QR de un pedido que se paga al retirar, el pedido sigue en pie', async t => {
+  const { repos, pagos, sessionId } = await preparar(t, { metodoPago: 'entrega' });
+  const pago = await pagos.solicitar(PEDIDO.numero, { sessionId }, new Date('2026-10-18T10:00:00Z'));
+  assert.equal(pago.cancelaPedido, false);
+
+  assert.deepEqual(await pagos.expirarVencidos(new Date('2026-10-18T10:31:00Z')), { expirados: [pago.numero], sinQr: [] });
+
+  const pedido = await repos.pedidos.obtener(PEDIDO.numero);
+  assert.equal(pedido.estado, 'pendiente');
+  assert.equal(pedido.pago.estado, 'expirado');
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 5);
+});
+
+test('la simulación de pagos está desactivada si no se habilita', async t => {
+  const { auth, pagos, sessionId } = await preparar(t);
+  t.mock.method(console, 'error', () => {});
+  const pago = await pagos.solicitar(PEDIDO.numero, { sessionId });
+  assert.equal(pagos.simulacion, false);
+
+  const servidor = await servir('/api', crearRutasPagos({ pagos, auth }));
+  t.after(() => servidor.cerrar());
+  const respuesta = await fetch(`${servidor.url}/pagos/${pago.numero}/simular`, { method: 'POST' });
+  assert.equal(respuesta.status, 404);
+
+  const consulta = await fetch(`${servidor.url}/pedidos/${PEDIDO.numero}/pago`);
+  assert.equal(consulta.status, 404);
+  const propia = await fetch(`${servidor.url}/pedidos/${PEDIDO.numero}/pago?sessionId=${encodeURIComponent(sessionId)}`);
+  assert.equal(propia.status, 200);
+  assert.equal((await propia.json()).simulacion, false);
+});
+
+test('sin pasarela configurada no se aceptan pedidos para pagar por QR', async () => {
+  const sinPasarela = crearServicioPedidos({ repos: {} });
+  assert.deepEqual(sinPasarela.metodosPago, ['entrega']);
+  await assert.rejects(
+    sinPasarela.crear({ items: [{ id: 'ibu', cantidad: 1 }], metodoPago: 'qr' }),
+    error => error.status === 400 && /no está disponible/.test(error.message)
+  );
+  assert.deepEqual(crearServicioPedidos({ repos: {}, pagoQr: true }).metodosPago, ['entrega', 'qr']);
+});
+
+test('un pedido para pagar por QR que nunca pidió su QR se cancela al vencer el plazo', async t => {
+  const { repos, pagos, sessionId } = await preparar(t);
+  await repos.pedidos.crear({
+    ...PEDIDO,
+    numero: 'PED-SINQR00001',
+    sessionId,
+    metodoPago: 'qr',
+    creadoEn: new Date('2026-10-18T10:00:00Z'),
+    historial: [{ estado: 'pendiente', fecha: new Date('2026-10-18T10:00:00Z') }]
+  });
+
+  assert.deepEqual((await pagos.expirarVencidos(new Date('2026-10-18T10:29:00Z'))).sinQr, []);
+  await assert.rejects(
+    pagos.solicitar('PED-SINQR00001', { sessionId }, new Date('2026-10-18T10:30:00Z')),
+    error => error.status === 409 && /Venció el plazo/.test(error.message)
+  );
+  assert.deepEqual((await pagos.expirarVencidos(new Date('2026-10-18T10:31:00Z'))).sinQr, ['PED-SINQR00001']);
+
+  const pedido = await repos.pedidos.obtener('PED-SINQR00001');
+  assert.equal(pedido.estado, 'cancelado');
+  assert.equal(pedido.historial.at(-1).nota, 'No se recibió el pago por QR a tiempo.');
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 6);
+  assert.equal((await repos.pedidos.obtener(PEDIDO.numero)).estado, 'pendiente');
+  assert.deepEqual((await pagos.expirarVencidos(new Date('2026-10-18T10:32:00Z'))).sinQr, []);
+});
+
+test('cada QR recibe un número de pago propio', async t => {
+  const { repos, pagos, sessionId } = await preparar(t, { metodoPago: 'entrega' });
+  const primero = await pagos.solicitar(PEDIDO.numero, { sessionId }, new Date('2026-10-18T10:00:00Z'));
+  const segundo = await pagos.solicitar(PEDIDO.numero, { sessionId }, new Date('2026-10-18T10:31:00Z'));
+
+  assert.match(primero.numero, /^PAG-[2-9A-Z]{10}$/);
+  assert.notEqual(primero.numero, segundo.numero);
+  await assert.rejects(repos.pagos.crear({ ...primero, idExterno: 'QRF-otro' }), error => error.status === 409);
+});
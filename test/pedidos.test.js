@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearServicioPedidos } = require('../servicios/pedidos');
+const crearRutasPedidos = require('../rutas/pedidos');
+const { crearReposPrueba, borrarRepos, servir } = require('./ayuda');
+
+const PEDIDO = {
+  numero: 'PED-7KQ2M9XW4R',
+  sessionId: 'ses-dueno',
+  cuenta: 'CLI-1',
+  telefono: '+59170000000',
+  cliente: { nombre: 'Ana Pérez', nit: '1234567' },
+  items: [{ id: 'ibu', nombre: 'Ibuprofeno', cantidad: 1, precio: 10, subtotal: 10 }],
+  total: 10,
+  estado: 'pendiente',
+  creadoEn: new Date()
+};
+
+async function preparar(t) {
+  const repos = await crearReposPrueba();
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const pedidos = crearServicioPedidos({ repos });
+  const sessionId = auth.emitirSesion();
+  await repos.pedidos.crear({ ...PEDIDO, sessionId });
+  await auth.crearUsuario({ usuario: 'ana', password: 'clave-segura' });
+  const { token } = await auth.login('ana', 'clave-segura');
+  const servidor = await servir('/api/pedidos', crearRutasPedidos({ pedidos, auth }));
+  t.after(async () => {
+    await servidor.cerrar();
+    borrarRepos(repos);
+  });
+  return { repos, auth, sessionId, token, url: servidor.url };
+}
+
+test('el pedido solo lo consultan el personal, su cuenta o su sesión', async t => {
+  const { auth, sessionId, token, url } = await preparar(t);
+  const consultar = (consulta = '', headers = {}) => fetch(`${url}/${PEDIDO.numero}${consulta}`, { headers });
+
+  assert.equal((await consultar()).status, 404);
+  assert.equal((await consultar(`?sessionId=${encodeURIComponent(auth.emitirSesion())}`)).status, 404);
+  assert.equal((await consultar('?sessionId=ses-dueno')).status, 404);
+
+  const porSesion = await consultar(`?sessionId=${encodeURIComponent(sessionId)}`);
+  assert.equal(porSesion.status, 200);
+  const { pedido } = await porSesion.json();
+  assert.equal(pedido.numero, PEDIDO.numero);
+  assert.equal(pedido.sessionId, undefined);
+
+  const porCuenta = await consultar('', { authorization: `Bearer ${auth.sesionCliente({ numero: 'CLI-1' }).token}` });
+  assert.equal(porCuenta.status, 200);
+  const otraCuenta = await consultar('', { authorization: `Bearer ${auth.sesionCliente({ numero: 'CLI-2' }).token}` });
+  assert.equal(otraCuenta.status, 404);
+
+  assert.equal((await consultar('', { authorization: `Bearer ${token}` })).status, 200);
+});
+
+test('un pedido con cantidades que no son enteros positivos se rechaza', async t => {
+  const { sessionId, url } = await preparar(t);
+  for (const cantidad of [1.5, 0, -2, 'dos']) {
+    const respuesta = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, items: [{ id: 'ibu', cantidad }] })
+    });
+    assert.equal(respuesta.status, 400, `cantidad ${cantidad}`);
+  }
+});
+
+test('no se registran dos pedidos con el mismo número', async t => {
+  const { repos } = await preparar(t);
+  await assert.rejects(repos.pedidos.crear({ ...PEDIDO }), error => error.status === 409);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioPromociones, calcularPrecios } = require('../servicios/promociones');
+const { crearServicioInteracciones } = require('../servicios/interacciones');
+const { crearServicioEntregas } = require('../servicios/entregas');
+const { crearServicioAuth } = require('../servicios/auth');
+const crearRutasStock = require('../rutas/stock');
+const { crearReposPrueba, borrarRepos, servir } = require('./ayuda');
+
+const linea = (id, precio, cantidad, extra = {}) => ({ id, nombre: id, precio, cantidad, categoria: 'venta_libre', ...extra });
+
+const PORCENTAJE = { numero: 'PRO-POR', nombre: '10% en todo', tipo: 'porcentaje', valor: 10 };
+const TRES_POR_DOS = { numero: 'PRO-3X2', nombre: '3x2', tipo: 'volumen', lleva: 3, paga: 2 };
+
+test('cada línea recibe la mejor promoción automática entre porcentaje y volumen', () => {
+  const precios = calcularPrecios([linea('ibu', 10, 3), linea('par', 5, 1)], { automaticas: [PORCENTAJE, TRES_POR_DOS] });
+
+  assert.deepEqual(precios.items.map(i => [i.id, i.descuento, i.subtotal, i.promociones.map(p => p.numero)]), [
+    ['ibu', 10, 20, ['PRO-3X2']],
+    ['par', 0.5, 4.5, ['PRO-POR']]
+  ]);
+  assert.deepEqual([precios.subtotal, precios.descuento, precios.total], [35, 10.5, 24.5]);
+  assert.deepEqual(precios.promociones.map(p => [p.numero, p.monto]), [['PRO-3X2', 10], ['PRO-POR', 0.5]]);
+});
+
+test('el 3x2 regala solo los grupos completos de unidades', () => {
+  const descuento = cantidad => calcularPrecios([linea('ibu', 10, cantidad)], { automaticas: [TRES_POR_DOS] }).descuento;
+  assert.equal(descuento(2), 0);
+  assert.equal(descuento(3), 10);
+  assert.equal(descuento(5), 10);
+  assert.equal(descuento(7), 20);
+});
+
+test('un descuento por monto se reparte entre las líneas y la última se queda con el redondeo', () => {
+  const monto = valor => ({ numero: 'PRO-MON', nombre: `Bs ${valor} de descuento`, tipo: 'monto', valor });
+  const lineas = [linea('a', 10, 1), linea('b', 10, 1), linea('c', 10, 1)];
+
+  const precios = calcularPrecios(lineas, { automaticas: [monto(10)] });
+  assert.deepEqual(precios.items.map(i => i.descuento), [3.33, 3.33, 3.34]);
+  assert.equal(precios.total, 20);
+
+  const tope = calcularPrecios(lineas, { automaticas: [monto(5), monto(100)] });
+  assert.equal(tope.descuento, 30);
+  assert.equal(tope.total, 0);
+  assert.ok(tope.items.every(i => i.subtotal === 0));
+});
+
+test('los controlados quedan fuera de una promoción general y el cupón se calcula sobre lo que queda', () => {
+  const cupon = { numero: 'PRO-CUP', nombre: 'Cupón 20%', tipo: 'porcentaje', valor: 20, cupon: 'SALUD20' };
+  const precios = calcularPrecios(
+    [linea('ibu', 10, 3), linea('tra', 30, 1, { controlado: true, categoria: 'estupefaciente' })],
+    { automaticas: [TRES_POR_DOS], cupon }
+  );
+
+  assert.deepEqual(precios.items.map(i => [i.id, i.descuento, i.subtotal]), [['ibu', 14, 16], ['tra', 0, 30]]);
+  assert.deepEqual(precios.promociones.find(p => p.numero === 'PRO-CUP'), { numero: 'PRO-CUP', nombre: 'Cupón 20%', cupon: 'SALUD20', monto: 4 });
+  assert.equal(precios.errorCupon, null);
+});
+
+test('la compra mínima del cupón se mide sobre el precio de lista de los productos alcanzados', () => {
+  const cupon = { numero: 'PRO-CUP', nombre: 'Bs 10 en antibióticos', tipo: 'monto', valor: 10, cupon: 'ANTI10', minimo: 50, categorias: ['antibiotico'] };
+  const amoxicilina = cantidad => linea('amo', 20, cantidad, { categoria: 'antibiotico' });
+
+  const corto = calcularPrecios([amoxicilina(2), linea('ibu', 10, 5)], { cupon });
+  assert.equal(corto.descuento, 0);
+  assert.match(corto.errorCupon, /requiere una compra mínima de Bs 50\.00/);
+
+  const justo = calcularPrecios([amoxicilina(3), linea('ibu', 10, 5)], { automaticas: [PORCENTAJE], cupon });
+  assert.equal(justo.errorCupon, null);
+  // El 10% deja la amoxicilina en Bs 54, pero el mínimo se mide sobre los Bs 60 de lista
+  assert.deepEqual(justo.items.map(i => [i.id, i.descuento]), [['amo', 16], ['ibu', 5]]);
+
+  const ajeno = calcularPrecios([linea('ibu', 10, 5)], { cupon });
+  assert.match(ajeno.errorCupon, /no aplica a los productos del carrito/);
+});
+
+async function preparar(t) {
+  const repos = await crearReposPrueba([
+    { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 50, categoria: 'venta_libre' }
+  ]);
+  t.after(() => borrarRepos(repos));
+  return { repos, promociones: crearServicioPromociones({ repos }) };
+}
+
+test('cotizar solo aplica las promociones vigentes en la fecha y explica por qué un cupón no sirve', async t => {
+  const { promociones } = await preparar(t);
+  await promociones.crear({ nombre: 'Octubre', tipo: 'porcentaje', valor: 10, desde: '2026-10-01', hasta: '2026-10-31' });
+  await promociones.crear({ nombre: 'Cupón de septiembre', tipo: 'monto', valor: 5, cupon: 'sept5', hasta: '2026-09-30' });
+  const items = [{ id: 'ibu', cantidad: 2 }];
+
+  const septiembre = await promociones.cotizar(items, { cupon: 'SEPT5', fecha: new Date('2026-09-30T15:00:00') });
+  assert.equal(septiembre.total, 15);
+  assert.deepEqual(septiembre.cupon, { codigo: 'SEPT5', aplicado: true });
+
+  const octubre = await promociones.cotizar(items, { cupon: 'sept5', fecha: new Date('2026-10-31T20:00:00') });
+  assert.equal(octubre.total, 18);
+  assert.deepEqual(octubre.cupon, { codigo: 'SEPT5', aplicado: false, error: 'El cupón SEPT5 ya venció' });
+
+  const noviembre = await promociones.cotizar(items, { cupon: 'NOEXISTE', fecha: new Date('2026-11-01T08:00:00') });
+  assert.equal(noviembre.total, 20);
+  assert.equal(noviembre.cupon.error, 'El cupón NOEXISTE no existe');
+});
+
+test('si una promoción se agotó, registrarUsos no cuenta el uso de ninguna', async t => {
+  const { repos, promociones } = await preparar(t);
+  const general = await promociones.crear({ nombre: '10% en todo', tipo: 'porcentaje', valor: 10 });
+  const unica = await promociones.crear({ nombre: 'Bs 5 una vez', tipo: 'monto', valor: 5, cupon: 'UNAVEZ', limiteUsos: 1 });
+
+  await promociones.registrarUsos([general, unica]);
+  await assert.rejects(promociones.registrarUsos([general, unica]), error => error.status === 409);
+  assert.equal((await repos.promociones.obtener(general.numero)).usos, 1);
+  assert.equal((await repos.promociones.obtener(unica.numero)).usos, 1);
+});
+
+test('cada promoción recibe un número propio, aunque se creen en el mismo instante', async t => {
+  const { repos, promociones } = await preparar(t);
+  const datos = { nombre: '10% en todo', tipo: 'porcentaje', valor: 10 };
+
+  const [a, b] = await Promise.all([promociones.crear(datos), promociones.crear(datos)]);
+  assert.match(a.numero, /^PRO-[2-9A-Z]{10}$/);
+  assert.notEqual(a.numero, b.numero);
+  await assert.rejects(repos.promociones.crear({ ...a }), error => error.status === 409);
+});
+
+test('POST /precios y /interacciones rechazan items que no son objetos', async t => {
+  const { repos, promociones } = await preparar(t);
+  t.mock.method(console, 'error', () => {});
+  const servidor = await servir('/', crearRutasStock({
+    reservas: {},
+    interacciones: crearServicioInteracciones({ repos }),
+    promociones,
+    entregas: crearServicioEntregas({ repos }),
+    auth: crearServicioAuth({ repos, secreto: 'secreto-de-prueba' })
+  }));
+  t.after(() => servidor.cerrar());
+  const enviar = (ruta, cuerpo) => fetch(`${servidor.url}${ruta}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(cuerpo)
+  });
+
+  for (const ruta of ['/precios', '/interacciones']) {
+    for (const items of [[null], [{ id: 'ibu', cantidad: 1 }, 'ibu'], [['ibu', 1]], 'ibu']) {
+      assert.equal((await enviar(ruta, { items })).status, 400, `${ruta} ${JSON.stringify(items)}`);
+    }
+    assert.equal((await fetch(`${servidor.url}${ruta}`, { method: 'POST' })).status, 400);
+    assert.equal((await enviar(ruta, { items: [{ id: 'ibu', cantidad: 1 }] })).status, 200);
+  }
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioRecetas } = require('../servicios/recetas');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const CATALOGO = [{ _id: 'tra', nombre: 'Tramadol 50 mg', precio: 30, stock: 20, controlado: true }];
+
+async function conReceta(t, datos) {
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  await repos.recetas.crear({
+    numero: 'REC-1',
+    medicamentoId: 'tra',
+    cantidad: 10,
+    estado: 'aprobada',
+    fechaEmision: new Date(),
+    ...datos
+  });
+  return crearServicioRecetas({ repos });
+}
+
+const ITEMS = [{ id: 'tra', cantidad: 2, receta: 'REC-1' }];
+
+test('la receta solo la usa la sesión que la envió', async t => {
+  const recetas = await conReceta(t, { sessionId: 'ses-dueno' });
+  assert.deepEqual(await recetas.verificarItems(ITEMS, 'ses-dueno'), []);
+  assert.equal((await recetas.verificarItems(ITEMS, 'ses-otra')).length, 1);
+  assert.equal((await recetas.verificarItems(ITEMS, undefined)).length, 1);
+});
+
+test('una receta sin sesión no la usa ninguna sesión, pero sí el personal', async t => {
+  const recetas = await conReceta(t, {});
+  const [error] = await recetas.verificarItems(ITEMS, 'ses-cualquiera');
+  assert.match(error.error, /no corresponde/);
+  assert.deepEqual(await recetas.verificarItems(ITEMS, undefined, { personal: true }), []);
+});
+
+test('cada receta enviada recibe un número propio, aunque lleguen en el mismo instante', async t => {
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  const recetas = crearServicioRecetas({ repos });
+  const datos = sessionId => ({
+    sessionId,
+    medicamentoId: 'tra',
+    cantidad: 10,
+    medico: 'Dr. Rojas',
+    matricula: 'MP-123',
+    paciente: 'Ana Pérez',
+    fechaEmision: new Date().toISOString(),
+    imagen: 'data:image/png;base64,iVBORw0KGgo='
+  });
+
+  const [a, b] = await Promise.all([recetas.crear(datos('ses-a')), recetas.crear(datos('ses-b'))]);
+  assert.match(a.numero, /^REC-[2-9A-Z]{10}$/);
+  assert.notEqual(a.numero, b.numero);
+  await assert.rejects(repos.recetas.crear({ numero: a.numero, sessionId: 'ses-c' }), error => error.status === 409);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioReportes } = require('../servicios/reportes');
+const { crearClasificador } = require('../servicios/clasificacion');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const linea = (id, precio, cantidad, extra = {}) => ({ id, nombre: id, precio, cantidad, ...extra });
+const RETIRO = { tipo: 'retiro', costo: 0 };
+const delivery = costo => ({ tipo: 'delivery', zona: 'centro', costo });
+
+// Horas en UTC; la farmacia está en -04:00
+const PEDIDOS = [
+  // Domingo 11/10 a las 23:00: antes de "desde"
+  { numero: 'P0', creadoEn: '2026-10-12T03:00:00Z', items: [linea('ibu', 10, 1)], entrega: RETIRO },
+  // Domingo 18/10 a las 23:00: todavía es la semana del lunes 12, aunque en UTC ya sea lunes
+  { numero: 'P1', creadoEn: '2026-10-19T03:00:00Z', items: [linea('ibu', 10, 3, { subtotal: 20 })], entrega: RETIRO },
+  // Lunes 19/10 a las 00:30; la línea sin subtotal es de un pedido sin descuento
+  { numero: 'P2', creadoEn: '2026-10-19T04:30:00Z', items: [linea('ibu', 10, 1, { subtotal: 9 }), linea('par', 5.5, 2)], entrega: delivery(10) },
+  { numero: 'P3', creadoEn: '2026-10-20T15:00:00Z', estado: 'cancelado', items: [linea('ibu', 10, 5)], entrega: delivery(10) },
+  // Sábado 31/10 a las 22:30: es octubre, aunque en UTC ya sea noviembre
+  { numero: 'P4', creadoEn: '2026-11-01T02:30:00Z', items: [linea('par', 5.5, 1, { subtotal: 4.95 })], entrega: delivery(25.5) },
+  // Domingo 01/11 a las 00:30
+  { numero: 'P5', creadoEn: '2026-11-01T04:30:00Z', items: [linea('par', 5.5, 4)] }
+];
+
+async function preparar(t) {
+  const repos = await crearReposPrueba([
+    { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 50 },
+    { _id: 'par', nombre: 'Paracetamol 500 mg', precio: 5.5, stock: 80 }
+  ]);
+  t.after(() => borrarRepos(repos));
+  for (const pedido of PEDIDOS) await repos.pedidos.crear({ estado: 'entregado', ...pedido });
+  return crearServicioReportes({ repos, clasificador: crearClasificador(), zonaHoraria: '-04:00' });
+}
+
+const resumen = fila => [fila.periodo, fila.pedidos, fila.unidades, fila.bruto, fila.descuento, fila.ventas, fila.envios, fila.ticketPromedio];
+
+test('las semanas empiezan el lunes en la hora local y el rango incluye los días completos de "desde" y "hasta"', async t => {
+  const reportes = await preparar(t);
+  const reporte = await reportes.ventas({ periodo: 'semana', desde: '2026-10-12', hasta: '2026-10-31' });
+
+  assert.equal(reporte.desde.toISOString(), '2026-10-12T04:00:00.000Z');
+  assert.equal(reporte.hasta.toISOString(), '2026-11-01T03:59:59.999Z');
+  assert.deepEqual(reporte.filas.map(resumen), [
+    ['2026-10-12', 1, 3, 30, 10, 20, 0, 20],
+    ['2026-10-19', 1, 3, 21, 1, 20, 10, 20],
+    ['2026-10-26', 1, 1, 5.5, 0.55, 4.95, 25.5, 4.95]
+  ]);
+});
+
+test('los meses se cortan en la hora local e incluyen los períodos sin ventas', async t => {
+  const reportes = await preparar(t);
+
+  const reporte = await reportes.ventas({ periodo: 'mes', desde: '2026-10-12', hasta: '2026-12-01' });
+  assert.deepEqual(reporte.filas.map(fila => [fila.periodo, fila.pedidos, fila.unidades]), [
+    ['2026-10', 3, 7],
+    ['2026-11', 1, 4],
+    ['2026-12', 0, 0]
+  ]);
+
+  const dias = await reportes.ventas({ periodo: 'dia', desde: '2026-10-18', hasta: '2026-10-19' });
+  assert.deepEqual(dias.filas.map(fila => [fila.periodo, fila.pedidos]), [['2026-10-18', 1], ['2026-10-19', 1]]);
+});
+
+test('los totales separan el bruto, los descuentos, lo vendido y los envíos, sin los pedidos cancelados', async t => {
+  const reportes = await preparar(t);
+  const { totales } = await reportes.ventas({ periodo: 'mes', desde: '2026-10-12', hasta: '2026-10-31' });
+
+  assert.deepEqual(totales, {
+    pedidos: 3,
+    unidades: 7,
+    bruto: 56.5,
+    descuento: 11.55,
+    ventas: 44.95,
+    envios: 35.5,
+    ticketPromedio: 14.98
+  });
+});
+
+test('ventas rechaza un período desconocido y un rango invertido', async t => {
+  const reportes = await preparar(t);
+
+  await assert.rejects(reportes.ventas({ periodo: 'anio' }), error => error.status === 400 && error.periodosValidos.length === 3);
+  await assert.rejects(reportes.ventas({ desde: '2026-10-31', hasta: '2026-10-01' }), error => error.status === 400);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioReservas } = require('../servicios/reservas');
+const { crearServicioRecetas } = require('../servicios/recetas');
+const { crearReposPrueba, borrarRepos } = require('./ayuda');
+
+const CATALOGO = [
+  { _id: 'ibu', nombre: 'Ibuprofeno 400 mg', precio: 10, stock: 5, controlado: false },
+  { _id: 'par', nombre: 'Paracetamol 500 mg', precio: 8, stock: 200, controlado: false }
+];
+
+async function preparar(t, opciones = {}) {
+  const repos = await crearReposPrueba(CATALOGO);
+  t.after(() => borrarRepos(repos));
+  const recetas = crearServicioRecetas({ repos });
+  return { repos, reservas: crearServicioReservas({ repos, recetas, ...opciones }) };
+}
+
+test('las líneas repetidas de un producto se suman antes de comparar con el stock', async t => {
+  const { reservas } = await preparar(t);
+  const resultados = await reservas.verificarItems([
+    { id: 'ibu', cantidad: 3 },
+    { id: 'ibu', cantidad: 3 }
+  ], 'ses-a');
+
+  assert.deepEqual(resultados.map(r => r.valido), [false, false]);
+  assert.match(resultados[0].error, /Disponible: 5 \(el carrito suma 6\)/);
+});
+
+test('no se reservan líneas repetidas que juntas superan el stock', async t => {
+  const { reservas, repos } = await preparar(t);
+  await assert.rejects(
+    reservas.reservar('ses-a', [{ id: 'ibu', cantidad: 3 }, { id: 'ibu', cantidad: 3 }]),
+    error => error.status === 400
+  );
+  assert.equal(await repos.reservas.obtener('ses-a'), null);
+
+  const reserva = await reservas.reservar('ses-a', [{ id: 'ibu', cantidad: 2 }, { id: 'ibu', cantidad: 3 }]);
+  assert.deepEqual(reserva.items.map(i => [i.id, i.cantidad]), [['ibu', 5]]);
+});
+
+test('cada sesión reserva como máximo maximoUnidades', async t => {
+  const { reservas } = await preparar(t, { maximoUnidades: 20 });
+  await assert.rejects(
+    reservas.reservar('ses-a', [{ id: 'par', cantidad: 21 }]),
+    error => error.errors.some(e => /como máximo 20 unidades/.test(e.error))
+  );
+  assert.ok(await reservas.reservar('ses-a', [{ id: 'par', cantidad: 20 }]));
+});
+
+test('descontarStock no deja que líneas repetidas superen el stock', async t => {
+  const { repos } = await preparar(t);
+  await assert.rejects(repos.medicamentos.descontarStock([
+    { id: 'ibu', cantidad: 3 },
+    { id: 'ibu', cantidad: 3 }
+  ]), error => error.status === 400);
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 5);
+
+  await repos.medicamentos.descontarStock([{ id: 'ibu', cantidad: 2 }, { id: 'ibu', cantidad: 3 }]);
+  assert.equal((await repos.medicamentos.obtener('ibu')).stock, 0);
+});
+
+test('los items que no son objetos se rechazan con 400', async t => {
+  const { reservas } = await preparar(t);
+  for (const items of [[null], [{ id: 'ibu', cantidad: 1 }, 'ibu'], [['ibu', 1]]]) {
+    await assert.rejects(reservas.verificarYReservar(items, 'ses-a'), error => error.status === 400);
+  }
+});
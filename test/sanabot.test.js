@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioAuth } = require('../servicios/auth');
+const { crearServicioSanabot } = require('../servicios/sanabot');
+const { crearServicioSeguridadClinica, cargarReglas } = require('../servicios/seguridadClinica');
+const crearRutasChat = require('../rutas/chat');
+const { crearReposPrueba, borrarRepos, servir } = require('./ayuda');
+
+const reglas = cargarReglas();
+
+// Modelo de prueba: entrega la respuesta en los fragmentos indicados
+function crearProveedor(fragmentos) {
+  return {
+    tipo: 'prueba',
+    async completar({ alToken }) {
+      for (const fragmento of fragmentos) {
+        if (alToken) alToken(fragmento);
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return { content: fragmentos.join('') };
+    }
+  };
+}
+
+async function preparar(t, fragmentos) {
+  t.mock.method(console, 'error', () => {});
+  const repos = await crearReposPrueba();
+  const seguridad = crearServicioSeguridadClinica({ repos, catalogo: { obtenerCatalogo: async () => [] }, reglas });
+  const sanabot = crearServicioSanabot({ repos, proveedor: crearProveedor(fragmentos), seguridad });
+  t.after(() => borrarRepos(repos));
+  return { repos, sanabot };
+}
+
+test('en streaming la dosis de un controlado nunca llega al cliente', async t => {
+  const { repos, sanabot } = await preparar(t, [
+    'El clonazepam es un ansiolítico. ',
+    'Se suele tomar 2 mg ',
+    'cada 8 horas. ',
+    'Consulta a tu médico.'
+  ]);
+  const enviados = [];
+  const { respuesta } = await sanabot.responder('ses-1', '¿Qué es el clonazepam?', { alToken: texto => enviados.push(texto) });
+
+  assert.equal(respuesta, reglas.mensajes.dosisControlado);
+  assert.equal(enviados.join(''), 'El clonazepam es un ansiolítico.');
+  assert.doesNotMatch(enviados.join(''), /mg|horas/);
+  const [alerta] = await repos.alertasChat.listar({});
+  assert.equal(alerta.etapa, 'respuesta');
+  assert.equal(alerta.categoria, 'dosisControlado');
+});
+
+test('en streaming una respuesta aprobada llega completa con el descargo', async t => {
+  const { sanabot } = await preparar(t, ['El paracetamol ', 'baja la fiebre. ', 'Bebe mucha agua', ' y descansa']);
+  const enviados = [];
+  const { respuesta } = await sanabot.responder('ses-1', '¿Qué tomo para la fiebre?', { alToken: texto => enviados.push(texto) });
+
+  assert.equal(respuesta, `El paracetamol baja la fiebre. Bebe mucha agua y descansa\n\n${reglas.descargo}`);
+  assert.equal(enviados.join(''), respuesta);
+  assert.equal(enviados[0], 'El paracetamol baja la fiebre.');
+});
+
+test('las señales de alarma se responden sin consultar al modelo', async t => {
+  const { repos, sanabot } = await preparar(t, ['No debería usarse']);
+  const enviados = [];
+  const { respuesta } = await sanabot.responder('ses-1', 'Me duele mucho el pecho', { alToken: texto => enviados.push(texto) });
+
+  assert.equal(respuesta, reglas.mensajes.emergencia);
+  assert.deepEqual(enviados, [reglas.mensajes.emergencia]);
+  const [alerta] = await repos.alertasChat.listar({});
+  assert.equal(alerta.etapa, 'pregunta');
+});
+
+test('POST /chat rechaza una pregunta que no es texto', async t => {
+  const { repos, sanabot } = await preparar(t, ['Hola, soy SANABOT! Tu asistente virtual.']);
+  const auth = crearServicioAuth({ repos, secreto: 'secreto-de-prueba' });
+  const servidor = await servir('/', crearRutasChat({ sanabot, auth }));
+  t.after(() => servidor.cerrar());
+  const sessionId = auth.emitirSesion();
+  const preguntar = (ruta, cuerpo) => fetch(`${servidor.url}${ruta}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId, ...cuerpo })
+  });
+
+  for (const texto of [42, ['hola'], { texto: 'hola' }, '   ']) {
+    assert.equal((await preguntar('/chat', { texto })).status, 400, JSON.stringify(texto));
+    assert.equal((await preguntar('/chat/stream', { texto })).status, 400, JSON.stringify(texto));
+  }
+  assert.equal((await preguntar('/chat', { texto: 'Hola' })).status, 200);
+});
+
+test('cada conversación marcada recibe un número propio, aunque lleguen en el mismo instante', async t => {
+  const { repos } = await preparar(t, []);
+  const seguridad = crearServicioSeguridadClinica({ repos, catalogo: { obtenerCatalogo: async () => [] }, reglas });
+  const caso = sessionId => ({
+    sessionId,
+    etapa: 'pregunta',
+    alerta: { categoria: 'emergencia', regla: 'dolor de pecho' },
+    pregunta: 'Me duele mucho el pecho',
+    respuesta: reglas.mensajes.emergencia
+  });
+
+  const [a, b] = await Promise.all([seguridad.registrar(caso('ses-a')), seguridad.registrar(caso('ses-b'))]);
+  assert.match(a.numero, /^CHAT-[2-9A-Z]{10}$/);
+  assert.notEqual(a.numero, b.numero);
+  await assert.rejects(repos.alertasChat.crear({ numero: a.numero, estado: 'pendiente' }), error => error.status === 409);
+});
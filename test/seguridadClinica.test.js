@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crearServicioSeguridadClinica, cargarReglas } = require('../servicios/seguridadClinica');
+
+const reglas = cargarReglas();
+const catalogo = {
+  async obtenerCatalogo() {
+    return [
+      { nombre: 'Rivotril 2mg', principioActivo: 'Clonazepam', controlado: true },
+      { nombre: 'Tramal Plus', principioActivo: 'Tramadol + Paracetamol', controlado: true },
+      { nombre: 'Panadol', principioActivo: 'Paracetamol' }
+    ];
+  }
+};
+const seguridad = crearServicioSeguridadClinica({ repos: {}, catalogo, reglas });
+
+async function categoria(pregunta) {
+  const alerta = await seguridad.revisarPregunta(pregunta);
+  return alerta && alerta.categoria;
+}
+
+test('las señales de emergencia no llegan al modelo', async () => {
+  for (const pregunta of [
+    'Tengo un dolor fuerte en el pecho',
+    'Mi papá no puede respirar bien',
+    'Mi hijo se tomó toda la caja de pastillas',
+    'Creo que es una intoxicación'
+  ]) {
+    assert.equal(await categoria(pregunta), 'emergencia', pregunta);
+  }
+  const alerta = await seguridad.revisarPregunta('Siento opresión en el pecho');
+  assert.equal(alerta.regla, 'dolor_pecho');
+  assert.equal(alerta.mensaje, reglas.mensajes.emergencia);
+});
+
+test('las menciones de autolesión reciben el mensaje de ayuda', async () => {
+  for (const pregunta of ['Quiero morir', 'Pienso en quitarme la vida', 'tengo ideas suicidas']) {
+    assert.equal(await categoria(pregunta), 'autolesion', pregunta);
+  }
+  assert.equal((await seguridad.revisarPregunta('Quiero morir')).mensaje, reglas.mensajes.autolesion);
+});
+
+test('las consultas en embarazo o lactancia se derivan al médico', async () => {
+  for (const pregunta of ['Estoy embarazada, ¿puedo tomar ibuprofeno?', '¿Sirve durante la lactancia?', 'Estoy dando de pecho']) {
+    assert.equal(await categoria(pregunta), 'embarazo', pregunta);
+  }
+});
+
+test('no se piden ni se dan dosis de controlados', async () => {
+  assert.equal(await categoria('¿Cuántos mg de clonazepam puedo tomar?'), 'dosisControlado');
+  assert.equal(await categoria('Dosis de Tramadol para el dolor'), 'dosisControlado');
+  assert.equal(await categoria('¿Qué es el clonazepam?'), null);
+  assert.equal(await categoria('¿Cada cuántas horas tomo paracetamol?'), null);
+
+  const reemplazada = await seguridad.revisarRespuesta('Se suele tomar 2 mg de clonazepam cada 8 horas.');
+  assert.deepEqual(reemplazada.alerta, { categoria: 'dosisControlado', regla: 'clonazepam' });
+  assert.equal(reemplazada.respuesta, reglas.mensajes.dosisControlado);
+
+  const aprobada = await seguridad.revisarRespuesta('El paracetamol se toma cada 8 horas.');
+  assert.equal(aprobada.alerta, null);
+  assert.equal(aprobada.respuesta, `El paracetamol se toma cada 8 horas.\n\n${reglas.descargo}`);
+});
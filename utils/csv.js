@@ -0,0 +1,67 @@
+// Generación y lectura de CSV (RFC 4180). El BOM inicial hace que Excel respete las tildes.
+
+function escaparCampo(valor) {
+  if (valor === undefined || valor === null) return '';
+  const texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+// columnas: [{ titulo, valor: fila => ... }]
+function aCsv(filas, columnas) {
+  const lineas = [
+    columnas.map(c => escaparCampo(c.titulo)).join(','),
+    ...filas.map(fila => columnas.map(c => escaparCampo(c.valor(fila))).join(','))
+  ];
+  return '\ufeff' + lineas.join('\r\n') + '\r\n';
+}
+
+// Excel con configuración regional en español guarda los CSV separados por ";"
+function detectarSeparador(texto) {
+  const primeraLinea = texto.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const cuenta = separador => primeraLinea.split(separador).length - 1;
+  return [';', '\t'].find(separador => cuenta(separador) > cuenta(',')) || ',';
+}
+
+// Devuelve las filas como arreglos de textos (sin descartar la cabecera)
+function leerCsv(texto) {
+  texto = String(texto || '').replace(/^\ufeff/, '');
+  const separador = detectarSeparador(texto);
+  const filas = [];
+  let fila = [];
+  let campo = '';
+  let entreComillas = false;
+
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+    if (entreComillas) {
+      if (c === '"' && texto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        campo += c;
+      }
+    } else if (c === '"') {
+      entreComillas = true;
+    } else if (c === separador) {
+      fila.push(campo);
+      campo = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texto[i + 1] === '\n') i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = '';
+    } else {
+      campo += c;
+    }
+  }
+  if (campo !== '' || fila.length > 0) {
+    fila.push(campo);
+    filas.push(fila);
+  }
+  return filas;
+}
+
+module.exports = { aCsv, leerCsv, escaparCampo };
@@ -0,0 +1,23 @@
+// Error con código HTTP para que las rutas respondan de forma uniforme
+class ErrorHttp extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.name = 'ErrorHttp';
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+// Responde un error: los ErrorHttp con su status, el resto como 500
+function responderError(res, error, mensaje) {
+  if (error instanceof ErrorHttp) {
+    const { status, message, name, stack, ...extra } = error;
+    return res.status(status).json({ success: false, error: message, ...extra });
+  }
+  res.status(500).json({
+    error: mensaje,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+module.exports = { ErrorHttp, responderError };
@@ -0,0 +1,20 @@
+// Lee una fecha de la query string; undefined si no viene o no es válida.
+// Con finDelDia, una fecha sin hora ("2025-06-30") incluye todo ese día.
+function leerFecha(valor, { finDelDia = false } = {}) {
+  if (!valor) return undefined;
+  const fecha = new Date(valor);
+  if (isNaN(fecha.getTime())) return undefined;
+  if (finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+    fecha.setUTCHours(23, 59, 59, 999);
+  }
+  return fecha;
+}
+
+// Desfase en minutos de una zona horaria fija: "-04:00" -> -240
+function desfaseDe(zonaHoraria) {
+  const partes = /^([+-])(\d{2}):(\d{2})$/.exec(zonaHoraria || '+00:00');
+  if (!partes) throw new Error(`Zona horaria inválida: "${zonaHoraria}" (formato "-04:00")`);
+  return (partes[1] === '-' ? -1 : 1) * (Number(partes[2]) * 60 + Number(partes[3]));
+}
+
+module.exports = { leerFecha, desfaseDe };
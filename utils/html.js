@@ -0,0 +1,8 @@
+// Escapa texto para insertarlo en HTML generado en el servidor
+function escaparHtml(texto) {
+  return String(texto ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+module.exports = { escaparHtml };
@@ -0,0 +1,138 @@
+const { ErrorHttp } = require('./errores');
+
+// Manejo de lotes con fecha de vencimiento y despacho FEFO (primero en vencer, primero en salir).
+// Un medicamento sin lotes usa su campo stock como hasta ahora.
+
+function estaVencido(lote, ahora = new Date()) {
+  return Boolean(lote.fechaVencimiento) && new Date(lote.fechaVencimiento) <= ahora;
+}
+
+function tieneLotes(medicamento) {
+  return Array.isArray(medicamento.lotes) && medicamento.lotes.length > 0;
+}
+
+// Lotes vendibles ordenados por vencimiento; los que no vencen van al final
+function lotesVigentes(medicamento, ahora = new Date()) {
+  return (medicamento.lotes || [])
+    .filter(lote => lote.cantidad > 0 && !estaVencido(lote, ahora))
+    .sort((a, b) => {
+      if (!a.fechaVencimiento) return 1;
+      if (!b.fechaVencimiento) return -1;
+      return new Date(a.fechaVencimiento) - new Date(b.fechaVencimiento);
+    });
+}
+
+function stockTotal(medicamento) {
+  if (!tieneLotes(medicamento)) return Number(medicamento.stock) || 0;
+  return medicamento.lotes.reduce((suma, lote) => suma + (Number(lote.cantidad) || 0), 0);
+}
+
+// Stock que se puede vender: excluye los lotes vencidos
+function stockVendible(medicamento, ahora = new Date()) {
+  if (!tieneLotes(medicamento)) return Number(medicamento.stock) || 0;
+  return lotesVigentes(medicamento, ahora).reduce((suma, lote) => suma + lote.cantidad, 0);
+}
+
+// Vista para la API: stock = vendible, stockVencido = unidades en lotes vencidos
+function conStockVigente(medicamento, ahora = new Date()) {
+  if (!tieneLotes(medicamento)) return medicamento;
+  const vendible = stockVendible(medicamento, ahora);
+  return { ...medicamento, stock: vendible, stockVencido: stockTotal(medicamento) - vendible };
+}
+
+// Calcula qué lotes consumir para despachar "cantidad" unidades.
+// Devuelve { lotes, consumidos } con los lotes resultantes, o null si no alcanza.
+function asignarFefo(medicamento, cantidad, ahora = new Date()) {
+  if (!tieneLotes(medicamento)) {
+    const stock = Number(medicamento.stock) || 0;
+    return stock >= cantidad ? { lotes: undefined, consumidos: [] } : null;
+  }
+
+  const lotes = medicamento.lotes.map(lote => ({ ...lote }));
+  const consumidos = [];
+  let pendiente = cantidad;
+
+  for (const vigente of lotesVigentes(medicamento, ahora)) {
+    if (pendiente === 0) break;
+    const lote = lotes.find(l => l.numero === vigente.numero);
+    const tomado = Math.min(lote.cantidad, pendiente);
+    lote.cantidad -= tomado;
+    pendiente -= tomado;
+    consumidos.push({ numero: lote.numero, fechaVencimiento: lote.fechaVencimiento, cantidad: tomado });
+  }
+
+  return pendiente === 0 ? { lotes, consumidos } : null;
+}
+
+// Devuelve unidades a los lotes de los que salieron (p. ej. al cancelar un pedido)
+function reponerLotes(medicamento, consumidos) {
+  const lotes = (medicamento.lotes || []).map(lote => ({ ...lote }));
+  consumidos.forEach(consumido => {
+    const lote = lotes.find(l => l.numero === consumido.numero);
+    if (lote) {
+      lote.cantidad += consumido.cantidad;
+    } else {
+      lotes.push({ ...consumido });
+    }
+  });
+  return lotes;
+}
+
+// Quita unidades de lotes concretos (lo inverso de reponerLotes); null si alguno no tiene suficientes
+function retirarLotes(medicamento, retirados) {
+  const lotes = (medicamento.lotes || []).map(lote => ({ ...lote }));
+  for (const retirado of retirados) {
+    const lote = lotes.find(l => l.numero === retirado.numero);
+    if (!lote || lote.cantidad < retirado.cantidad) return null;
+    lote.cantidad -= retirado.cantidad;
+  }
+  return lotes;
+}
+
+// Lotes a los que vuelve un item devuelto; sin datos de lote va a "SIN-LOTE"
+function lotesDeDevolucion(item) {
+  if (item.lotes && item.lotes.length > 0) return item.lotes;
+  return [{ numero: 'SIN-LOTE', fechaVencimiento: null, cantidad: item.cantidad }];
+}
+
+function mismoVencimiento(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+// Agrega un lote (o suma a uno existente con el mismo número y vencimiento).
+// Un número ya registrado con otro vencimiento se rechaza: mezclarlos desordenaría el FEFO.
+// Si el producto aún no tenía lotes, su stock actual pasa a un lote "INICIAL" sin vencimiento.
+function agregarLote(medicamento, { numero, fechaVencimiento, cantidad }) {
+  const lotes = (medicamento.lotes || []).map(lote => ({ ...lote }));
+  if (lotes.length === 0 && (Number(medicamento.stock) || 0) > 0) {
+    lotes.push({ numero: 'INICIAL', fechaVencimiento: null, cantidad: Number(medicamento.stock) });
+  }
+
+  const existente = lotes.find(l => l.numero === numero);
+  if (existente && !mismoVencimiento(existente.fechaVencimiento, fechaVencimiento)) {
+    throw new ErrorHttp(409, `El lote ${numero} ya está registrado con otra fecha de vencimiento`, {
+      fechaVencimiento: existente.fechaVencimiento
+    });
+  }
+  if (existente) {
+    existente.cantidad += cantidad;
+  } else {
+    lotes.push({ numero, fechaVencimiento, cantidad, ingresadoEn: new Date() });
+  }
+  return lotes;
+}
+
+module.exports = {
+  estaVencido,
+  tieneLotes,
+  lotesVigentes,
+  stockTotal,
+  stockVendible,
+  conStockVigente,
+  asignarFefo,
+  reponerLotes,
+  retirarLotes,
+  lotesDeDevolucion,
+  agregarLote
+};
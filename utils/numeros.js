@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Sin letras que se confunden al dictar el número (0/O, 1/I/L)
+const ALFABETO = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// Número aleatorio con prefijo (no se puede deducir uno a partir de otro ni se repite
+// aunque se generen dos en el mismo instante): PREFIJO-XXXXXXXXXX
+function generarNumero(prefijo, largo = 10) {
+  return `${prefijo}-${Array.from({ length: largo }, () => ALFABETO[crypto.randomInt(ALFABETO.length)]).join('')}`;
+}
+
+module.exports = { generarNumero };
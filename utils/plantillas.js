@@ -0,0 +1,8 @@
+// Reemplaza {{campo}} por datos.campo (vacío si no existe)
+function renderizar(plantilla, datos) {
+  return String(plantilla || '')
+    .replace(/\{\{(\w+)\}\}/g, (_, campo) => datos[campo] ?? '')
+    .trim();
+}
+
+module.exports = { renderizar };
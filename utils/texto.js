@@ -0,0 +1,34 @@
+// Normaliza texto para comparar: minúsculas, sin tildes ni diéresis, espacios simples
+function normalizar(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.%/+]+/g, ' ')
+    .trim();
+}
+
+function palabras(texto) {
+  return normalizar(texto).split(' ').filter(Boolean);
+}
+
+// Distancia de Levenshtein; corta en cuanto supera "maximo" para no gastar de más
+function distancia(a, b, maximo = Infinity) {
+  if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    let menorFila = i;
+    for (let j = 1; j <= b.length; j++) {
+      const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+      actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+      menorFila = Math.min(menorFila, actual[j]);
+    }
+    if (menorFila > maximo) return maximo + 1;
+    anterior = actual;
+  }
+  return anterior[b.length];
+}
+
+module.exports = { normalizar, palabras, distancia };
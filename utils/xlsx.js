@@ -0,0 +1,47 @@
+const ExcelJS = require('exceljs');
+
+// Lectura y generación de planillas Excel (.xlsx) con la misma forma que utils/csv.js
+
+// Las celdas de exceljs pueden traer fórmulas, texto enriquecido o hipervínculos
+function valorCelda(valor) {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date || typeof valor !== 'object') return valor;
+  if ('result' in valor) return valorCelda(valor.result);
+  if (valor.richText) return valor.richText.map(parte => parte.text).join('');
+  if ('text' in valor) return valorCelda(valor.text);
+  return '';
+}
+
+// Filas de la primera hoja como arreglos de valores (sin descartar la cabecera)
+async function leerXlsx(buffer) {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(buffer);
+  const hoja = libro.worksheets[0];
+  if (!hoja) return [];
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: true }, (fila, numero) => {
+    // row.values empieza en la columna 1
+    filas[numero - 1] = fila.values.slice(1).map(valorCelda);
+  });
+  return Array.from(filas, fila => fila || []);
+}
+
+// columnas: [{ titulo, valor: fila => ... }]; devuelve un Buffer
+async function aXlsx(filas, columnas, nombreHoja = 'Hoja1') {
+  const libro = new ExcelJS.Workbook();
+  const hoja = libro.addWorksheet(nombreHoja);
+  hoja.addRow(columnas.map(c => c.titulo)).font = { bold: true };
+  filas.forEach(fila => hoja.addRow(columnas.map(c => {
+    const valor = c.valor(fila);
+    return valor === undefined ? null : valor;
+  })));
+  // Ancho según el texto más largo de cada columna
+  hoja.columns.forEach(columna => {
+    const largos = columna.values.map(valor => String(valor ?? '').length);
+    columna.width = Math.min(Math.max(10, ...largos) + 2, 60);
+  });
+  return Buffer.from(await libro.xlsx.writeBuffer());
+}
+
+module.exports = { leerXlsx, aXlsx };